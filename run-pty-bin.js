@@ -5,7 +5,12 @@
 // Workaround for:
 // https://github.com/lydell/run-pty/issues/45
 // https://github.com/lydell/run-pty/issues/53
-if (process.platform === "linux" && !("UV_USE_IO_URING" in process.env)) {
+// (`run-pty ctl` does not run any ptys, so it does not need the workaround.)
+if (
+  process.platform === "linux" &&
+  !("UV_USE_IO_URING" in process.env) &&
+  process.argv[2] !== "ctl"
+) {
   require("child_process")
     .spawn(
       process.execPath,
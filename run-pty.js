@@ -5,6 +5,9 @@
 const fs = require("fs");
 const path = require("path");
 const os = require("os");
+const childProcess = require("child_process");
+const net = require("net");
+const events = require("events");
 const pty = require("@lydell/node-pty");
 const Codec = require("tiny-decoders");
 
@@ -12,17 +15,51 @@ const Codec = require("tiny-decoders");
  * @typedef {
     | { tag: "Waiting" }
     | { tag: "Running", terminal: import("@lydell/node-pty").IPty }
-    | { tag: "Killing", terminal: import("@lydell/node-pty").IPty, slow: boolean, lastKillPress: number | undefined, restartAfterKill: boolean }
-    | { tag: "Exit", exitCode: number, wasKilled: boolean }
+    | { tag: "Ready", terminal: import("@lydell/node-pty").IPty }
+    | { tag: "Killing", terminal: import("@lydell/node-pty").IPty, slow: boolean, lastKillPress: number | undefined, restartAfterKill: boolean, wasReady: boolean }
+    | { tag: "Paused", terminal: import("@lydell/node-pty").IPty, wasReady: boolean }
+    | { tag: "Exit", exitCode: number, wasKilled: boolean, skippedBecause?: string }
    } Status
  *
  * @typedef {
     | { tag: "Command", index: number }
-    | { tag: "Dashboard", previousRender: Array<string> }
+    | { tag: "Dashboard", previousRender: Array<string>, window: DashboardWindow | undefined }
+    | { tag: "Pager", index: number, pager: Pager }
+    | { tag: "Split", split: Split }
+    | { tag: "AllOutput", partialLines: Map<number, string>, summarized: Set<number> }
    } Current
+ *
+ * `top: undefined` means that the pager sticks to the bottom, showing new
+ * output as it arrives.
+ *
+ * @typedef {{
+    top: number | undefined,
+    search: PagerSearch | undefined,
+    match: number | undefined,
+    input: PagerSearch | undefined,
+    message: string | undefined,
+  }} Pager
+ *
+ * @typedef {{ query: string, direction: 1 | -1 }} PagerSearch
+ *
+ * `focused` is the index of the command that gets the keyboard input.
+ *
+ * @typedef {{
+    indexes: Array<number>,
+    focused: number,
+    direction: "SideBySide" | "Stacked",
+  }} Split
+ *
+ * @typedef {
+    | { tag: "Normal", percent: number }
+    | { tag: "Error", percent: number }
+    | { tag: "Indeterminate" }
+    | { tag: "Paused", percent: number }
+   } Progress
  */
 
 const IS_WINDOWS = process.platform === "win32";
+const IS_LINUX = process.platform === "linux";
 const IS_WINDOWS_TERMINAL = "WT_SESSION" in process.env; // https://github.com/microsoft/terminal/issues/1040
 const SUPPORTS_EMOJI = !IS_WINDOWS || IS_WINDOWS_TERMINAL;
 
@@ -31,6 +68,23 @@ const IS_TERMINAL_APP = process.env.TERM_PROGRAM === "Apple_Terminal";
 
 const SLOW_KILL = 100; // ms
 
+// Automatic restarts wait 1 s, 2 s, 4 s and so on, up to 30 s.
+const RESTART_DELAY_MIN = 1000; // ms
+const RESTART_DELAY_MAX = 30000; // ms
+// A run that lasts this long (or gets ready) ends a series of crashes, so the
+// next automatic restart starts over the count and the backoff.
+const RESTART_RESET_AFTER = 30000; // ms
+
+const WATCH_DEBOUNCE_DEFAULT = 200; // ms
+
+// Notifications wait for things to settle for a moment, and are sent at most
+// this often per command, so that a flapping watcher doesn’t spam.
+const NOTIFY_DEBOUNCE = 1000; // ms
+const NOTIFY_INTERVAL = 10000; // ms
+
+// How often to measure CPU and memory usage of the commands (Linux only).
+const RESOURCE_USAGE_INTERVAL = 2000; // ms
+
 // This is apparently what Windows uses for double clicks.
 const DOUBLE_PRESS = 500; // ms
 
@@ -49,22 +103,53 @@ const KEYS = {
   kill: "ctrl+c",
   restart: "enter",
   dashboard: "ctrl+z",
+  pager: "ctrl+o",
   navigate: "↑↓←→",
   navigateVerticallyOnly: "↑↓",
   enter: "enter",
   unselect: "escape",
+  filter: "/",
+  nextInGroup: "tab",
+  collapse: "←",
+  expand: "→",
+  split: "ctrl+x",
+  nextPane: "ctrl+t",
+  allOutput: "ctrl+a",
+  mark: "space",
+  broadcast: "ctrl+b",
+  add: "+",
+  duplicate: "ctrl+d",
+  remove: "-",
+  pause: "ctrl+p",
 };
 
 const KEY_CODES = {
   kill: "\x03",
   restart: "\r",
   dashboard: "\x1a",
+  pager: "\x0f",
+  split: "\x18",
+  nextPane: "\x14",
+  allOutput: "\x01",
+  mark: " ",
+  broadcast: "\x02",
+  add: "+",
+  duplicate: "\x04",
+  remove: "-",
+  pause: "\x10",
   up: "\x1B[A",
   down: "\x1B[B",
   left: "\x1B[D",
   right: "\x1B[C",
   enter: "\r",
   esc: "\x1B",
+  tab: "\t",
+  filter: "/",
+  backspace: "\x7F",
+  pageUp: "\x1B[5~",
+  pageDown: "\x1B[6~",
+  home: "\x1B[H",
+  end: "\x1B[F",
 };
 
 /** @type {Record<string, string>} */
@@ -78,6 +163,12 @@ const WIN32_KEY_CODES = {
 const ALPHABET = "abcdefghijklmnopqrstuvwxyz";
 const LABEL_GROUPS = ["123456789", ALPHABET, ALPHABET.toUpperCase()];
 const ALL_LABELS = LABEL_GROUPS.join("");
+const TWO_KEY_LABELS = [
+  ...Array.from(LABEL_GROUPS[0]),
+  ...Array.from(ALPHABET).flatMap((first) =>
+    Array.from(ALPHABET, (second) => first + second),
+  ),
+];
 
 const HIDE_CURSOR = "\x1B[?25l";
 const SHOW_CURSOR = "\x1B[?25h";
@@ -144,6 +235,12 @@ const runningIndicator = NO_COLOR
     ? `\x1B[92m●${RESET_COLOR}`
     : "🟢";
 
+const startingIndicator = NO_COLOR
+  ? "◦"
+  : !SUPPORTS_EMOJI
+    ? `\x1B[33m●${RESET_COLOR}`
+    : "🟡";
+
 const killingIndicator = NO_COLOR
   ? "○"
   : !SUPPORTS_EMOJI
@@ -156,6 +253,12 @@ const restartingIndicator = NO_COLOR
     ? `\x1B[96m◌${RESET_COLOR}`
     : "🔄";
 
+const pausedIndicator = NO_COLOR
+  ? "‖"
+  : !SUPPORTS_EMOJI
+    ? `\x1B[94m‖${RESET_COLOR}`
+    : "⏸️";
+
 const abortedIndicator = NO_COLOR
   ? "▲"
   : !SUPPORTS_EMOJI
@@ -186,6 +289,18 @@ const folder = NO_COLOR
     ? `\x1B[2m⌂${RESET_COLOR}`
     : "📂";
 
+const wrench = NO_COLOR
+  ? "$"
+  : !SUPPORTS_EMOJI
+    ? `\x1B[2m$${RESET_COLOR}`
+    : "🔧";
+
+const speechBalloon = NO_COLOR
+  ? '"'
+  : !SUPPORTS_EMOJI
+    ? `\x1B[2m"${RESET_COLOR}`
+    : "💬";
+
 /**
  * @param {number} n
  * @returns {string}
@@ -255,29 +370,55 @@ const [ICON_WIDTH, EMOJI_WIDTH_FIX] =
   !SUPPORTS_EMOJI || NO_COLOR ? [1, ""] : [2, cursorHorizontalAbsolute(3)];
 
 /**
+ * Labels are assigned in order, so each kind of label forms a consecutive
+ * range.
+ *
  * @param {Array<string | undefined>} labels
  * @returns {string}
  */
 const summarizeLabels = (labels) => {
-  const numLabels = labels.length;
-  return LABEL_GROUPS.flatMap((group, index) => {
-    const previousLength = LABEL_GROUPS.slice(0, index).reduce(
-      (sum, previousGroup) => sum + previousGroup.length,
-      0,
-    );
-    const currentLength = previousLength + group.length;
-    return numLabels > previousLength
-      ? numLabels < currentLength
-        ? group.slice(0, numLabels - previousLength)
-        : group
-      : [];
-  })
+  /** @type {Array<Array<string>>} */
+  const groups = [];
+  for (const label of labels) {
+    if (label === undefined) {
+      continue;
+    }
+    const group = groups[groups.length - 1];
+    if (group !== undefined && labelKind(group[0]) === labelKind(label)) {
+      group.push(label);
+    } else {
+      groups.push([label]);
+    }
+  }
+  return groups
     .map((group) =>
       group.length === 1 ? group[0] : `${group[0]}-${group[group.length - 1]}`,
     )
     .join("/");
 };
 
+/**
+ * Digits, lowercase and uppercase labels are summarized separately, and so are
+ * one and two key labels.
+ *
+ * @param {string} label
+ * @returns {string}
+ */
+const labelKind = (label) =>
+  `${label.length}:${LABEL_GROUPS.findIndex((group) =>
+    group.includes(label[0]),
+  )}`;
+
+/**
+ * Up to 61 commands get single key labels. With more commands, 1-9 stay the
+ * same but the letters are used in pairs: aa, ab, …, zz.
+ *
+ * @param {number} numCommands
+ * @returns {Array<string>}
+ */
+const getLabels = (numCommands) =>
+  numCommands <= ALL_LABELS.length ? Array.from(ALL_LABELS) : TWO_KEY_LABELS;
+
 const autoExitHelp = `
     --auto-exit=<number>   auto exit when done, with at most <number> parallel processes
     --auto-exit=auto       uses the number of logical CPU cores
@@ -286,6 +427,39 @@ const autoExitHelp = `
   .slice(1)
   .trimEnd();
 
+const logHelp = `
+    --log-dir=<dir>        also write the output of each command to <dir>/<title>.log
+    --log-plain            strip escape codes (such as colors) from log files
+    --log-max-size=<size>  rotate log files at this size, like 500K or 10M (default: 10M)
+`
+  .slice(1)
+  .trimEnd();
+
+const timestampsHelp = `
+    --timestamps=wall      prefix each line of output with the time of day
+    --timestamps=relative  prefix each line of output with the time since start
+    --timestamps           defaults to wall
+`
+  .slice(1)
+  .trimEnd();
+
+const notifyHelp = `
+    --notify=bell          ring the terminal bell when a command fails or changes status
+    --notify=osc9          show a desktop notification (iTerm2, WezTerm, …)
+    --notify=osc777        show a desktop notification (GNOME Terminal, foot, …)
+    --notify=<program>     run <program> with a title and a message as arguments
+    --notify               defaults to bell
+`
+  .slice(1)
+  .trimEnd();
+
+const socketHelp = `
+    --socket=<path>        let \`run-pty ctl\` control this session via a socket at <path>
+    --socket               uses a socket in the temp directory
+`
+  .slice(1)
+  .trimEnd();
+
 const help = `
 Run several commands concurrently.
 Show output for one command at a time.
@@ -307,6 +481,33 @@ You can tell run-pty to exit once all commands have exited with status 0:
 
 ${autoExitHelp}
 
+You can keep the full output of all commands on disk:
+
+    ${runPty} --log-dir=logs ${pc} npm start ${pc} make watch
+
+${logHelp}
+
+You can see when each line of output appeared:
+
+    ${runPty} --timestamps ${pc} npm start ${pc} make watch
+
+${timestampsHelp}
+
+You can get notified when a command fails, or when --auto-exit is done:
+
+    ${runPty} --notify=notify-send ${pc} npm start ${pc} make watch
+
+${notifyHelp}
+
+You can restart, kill and query commands from other terminals:
+
+    ${runPty} --socket=.run-pty.sock ${pc} npm start ${pc} make watch
+    ${runPty} ctl --socket=.run-pty.sock restart "npm start"
+
+${socketHelp}
+
+Run ${runPty} ctl --help for more information.
+
 Keyboard shortcuts:
 
     ${shortcut(KEYS.dashboard)} Dashboard
@@ -336,60 +537,369 @@ const killAllLabel = (commands) =>
       ? "exit"
       : "kill all";
 
+/**
+ * Words for matching commands by status in the dashboard filter.
+ *
+ * @param {Command} command
+ * @returns {string}
+ */
+const statusFilterText = (command) => {
+  const { status } = command;
+  const words =
+    status.tag === "Exit"
+      ? [
+          `exit ${status.exitCode}`,
+          status.exitCode === 0 ? "" : "failed",
+          status.wasKilled ? "killed" : "",
+        ]
+      : [status.tag.toLowerCase()];
+  return [...words, command.statusTextFromEscape ?? ""].join(" ");
+};
+
+/**
+ * Fuzzy: The characters of the word must occur in order, but not necessarily
+ * next to each other.
+ *
+ * @param {string} word
+ * @param {string} string
+ * @returns {boolean}
+ */
+const fuzzyMatches = (word, string) => {
+  let index = 0;
+  for (const char of word) {
+    index = string.indexOf(char, index);
+    if (index === -1) {
+      return false;
+    }
+    index += char.length;
+  }
+  return true;
+};
+
+/**
+ * Returns the indexes of the commands shown in the dashboard. Every word of
+ * the filter must fuzzy match the title, command or status of a command.
+ *
+ * @param {Array<Command>} commands
+ * @param {string | undefined} filter
+ * @returns {Array<number>}
+ */
+const filterCommandIndexes = (commands, filter) => {
+  const words = (filter ?? "")
+    .toLowerCase()
+    .split(/\s+/)
+    .filter((word) => word !== "");
+  return commands.flatMap((command, index) => {
+    const strings = [
+      command.title,
+      removeGraphicRenditions(command.formattedCommandWithTitle),
+      statusFilterText(command),
+    ].map((string) => string.toLowerCase());
+    return words.every((word) =>
+      strings.some((string) => fuzzyMatches(word, string)),
+    )
+      ? [index]
+      : [];
+  });
+};
+
+/**
+ * @typedef {
+    | { tag: "Command", index: number }
+    | { tag: "Group", group: string, collapsed: boolean }
+   } DashboardRow
+ */
+
+/**
+ * The rows of the dashboard: The commands matching the filter, with a header
+ * wherever a group starts. The commands of collapsed groups are left out,
+ * except while filtering.
+ *
+ * @param {Array<Command>} commands
+ * @param {{ filter: string | undefined, collapsedGroups: Set<string> }} options
+ * @returns {Array<DashboardRow>}
+ */
+const getDashboardRows = (commands, { filter, collapsedGroups }) => {
+  /** @type {Array<DashboardRow>} */
+  const rows = [];
+  /** @type {string | undefined} */
+  let previousGroup = undefined;
+  for (const index of filterCommandIndexes(commands, filter)) {
+    const { group } = commands[index];
+    const collapsed =
+      group !== undefined && filter === undefined && collapsedGroups.has(group);
+    if (group !== undefined && group !== previousGroup) {
+      rows.push({ tag: "Group", group, collapsed });
+    }
+    previousGroup = group;
+    if (!collapsed) {
+      rows.push({ tag: "Command", index });
+    }
+  }
+  return rows;
+};
+
+/**
+ * @param {DashboardRow} row
+ * @param {Selection} selection
+ * @returns {boolean}
+ */
+const isRowSelected = (row, selection) => {
+  switch (selection.tag) {
+    case "Invisible":
+    case "ByIndicator":
+      return false;
+    case "Mousedown":
+    case "Keyboard":
+      return row.tag === "Command" && row.index === selection.index;
+    case "ByGroup":
+      return row.tag === "Group" && row.group === selection.group;
+  }
+};
+
+/**
+ * Moves the keyboard selection one row up or down, wrapping around. Showing
+ * the selection again after it was hidden selects the same command as before,
+ * if visible.
+ *
+ * @param {Array<Command>} commands
+ * @param {Array<DashboardRow>} rows
+ * @param {Selection} selection
+ * @param {1 | -1} direction
+ * @returns {Selection | undefined}
+ */
+const moveSelection = (commands, rows, selection, direction) => {
+  if (rows.length === 0) {
+    return undefined;
+  }
+  const position =
+    selection.tag === "Invisible"
+      ? rows.findIndex(
+          (row) => row.tag === "Command" && row.index === selection.index,
+        )
+      : -1;
+  const selected = rows.findIndex((row) => isRowSelected(row, selection));
+  const row =
+    rows[
+      position !== -1
+        ? position
+        : selected === -1
+          ? direction === 1
+            ? 0
+            : rows.length - 1
+          : (selected + direction + rows.length) % rows.length
+    ];
+  switch (row.tag) {
+    case "Command":
+      return { tag: "Keyboard", index: row.index };
+    case "Group":
+      return {
+        tag: "ByGroup",
+        group: row.group,
+        keyboardIndex: commands.findIndex(
+          (command) => command.group === row.group,
+        ),
+      };
+  }
+};
+
 /**
  * @param {Array<Command>} commands
  * @param {Selection} selection
- * @param {{ width: number, useSeparateKilledIndicator: boolean }} options
- * @returns {Array<{ line: string, length: number }>}
+ * @param {{ width: number, useSeparateKilledIndicator: boolean, filter: string | undefined, collapsedGroups: Set<string>, marked: Set<number> }} options
+ * @returns {Array<{ line: string, length: number, row: DashboardRow }>}
  */
 const drawDashboardCommandLines = (
   commands,
   selection,
-  { width, useSeparateKilledIndicator },
+  { width, useSeparateKilledIndicator, filter, collapsedGroups, marked },
 ) => {
-  const lines = commands.map((command) => {
-    const [icon, status] = statusText(command.status, {
-      statusFromRules: command.statusFromRules ?? runningIndicator,
+  const widestLabel = Math.max(
+    1,
+    ...commands.map((command) => command.label?.length ?? 0),
+  );
+
+  /**
+   * @param {Command} command
+   * @returns {[string, string | undefined]}
+   */
+  const getStatusText = (command) =>
+    statusText(command.status, {
+      statusFromRules: command.statusFromRules ?? defaultIndicator(command),
       useSeparateKilledIndicator,
     });
+
+  const rows = getDashboardRows(commands, { filter, collapsedGroups });
+
+  const separator = "  ";
+
+  // Durations get a column of their own, between the status and the title.
+  // CPU and memory usage of running commands go right before them.
+  const now = Date.now();
+  const durations = rows.map((row) =>
+    row.tag === "Command" ? durationText(commands[row.index], now) : undefined,
+  );
+  const widestDuration = Math.max(
+    0,
+    ...durations.map((duration) => duration?.length ?? 0),
+  );
+  const resourceUsages = rows.map((row) => {
+    if (row.tag !== "Command") {
+      return undefined;
+    }
+    const command = commands[row.index];
+    return "terminal" in command.status && command.resourceUsage !== undefined
+      ? resourceUsageText(command.resourceUsage)
+      : undefined;
+  });
+  const widestResourceUsage = Math.max(
+    0,
+    ...resourceUsages.map((resourceUsage) => resourceUsage?.length ?? 0),
+  );
+
+  // Commands in groups are indented below the group header. The commands
+  // outside groups are padded on the other side, to line up the icons.
+  const groupIndent = rows.some((row) => row.tag === "Group") ? "  " : "";
+
+  const lines = rows.map((row, rowIndex) => {
+    if (row.tag === "Group") {
+      // Group headers are drawn on their own below, and don’t affect the
+      // widths of the columns.
+      return {
+        row,
+        label: "",
+        icon: "",
+        status: undefined,
+        title: "",
+        terminalTitle: undefined,
+      };
+    }
+    const command = commands[row.index];
+    const [icon, exitStatus] = getStatusText(command);
+    const restart = restartText(command);
+    const isRunning = "terminal" in command.status;
+    const parts = [
+      exitStatus,
+      isRunning && command.progress !== undefined
+        ? progressText(command.progress)
+        : undefined,
+      isRunning ? command.statusTextFromEscape : undefined,
+      restart === undefined ? undefined : dim(restart),
+    ].filter((part) => part !== undefined);
+    const status = parts.length === 0 ? undefined : parts.join(" ");
     const { label = " " } = command;
+    const duration = durations[rowIndex];
+    const resourceUsage = resourceUsages[rowIndex] ?? "";
     return {
-      label: shortcut(label, { pad: false }),
+      row,
+      label:
+        command.group === undefined
+          ? `${shortcut(label.padEnd(widestLabel), { pad: false })}${groupIndent}`
+          : `${groupIndent}${shortcut(label.padEnd(widestLabel), {
+              pad: false,
+            })}`,
       icon,
       status,
-      title: command.titlePossiblyWithGraphicRenditions,
+      title:
+        (widestResourceUsage === 0
+          ? ""
+          : `${dim(resourceUsage.padStart(widestResourceUsage))}${separator}`) +
+        (duration === undefined
+          ? command.titlePossiblyWithGraphicRenditions
+          : `${dim(duration.padEnd(widestDuration))}${separator}${
+              command.titlePossiblyWithGraphicRenditions
+            }`),
+      terminalTitle: command.terminalTitle,
     };
   });
 
-  const separator = "  ";
-
   const widestStatus = Math.max(
     0,
-    ...lines.map(({ status }) => (status === undefined ? 0 : status.length)),
+    ...lines.map(({ status }) =>
+      status === undefined ? 0 : removeGraphicRenditions(status).length,
+    ),
   );
 
+  /**
+   * @param {string | undefined} status
+   * @param {string} title
+   * @returns {string}
+   */
+  const statusAndTitle = (status, title) =>
+    status === undefined
+      ? title
+      : `${status}${" ".repeat(
+          widestStatus - removeGraphicRenditions(status).length,
+        )}${separator}${title}`;
+
+  // The terminal titles set by the commands get a column of their own, but only
+  // if any command has set one.
+  const widestStatusAndTitle = lines.some(
+    ({ terminalTitle }) => terminalTitle !== undefined,
+  )
+    ? Math.max(
+        ...lines.map(
+          ({ status, title }) =>
+            removeGraphicRenditions(statusAndTitle(status, title)).length,
+        ),
+      )
+    : undefined;
+
   const selectedIndicator =
     selection.tag === "ByIndicator" ? selection.indicator : undefined;
 
-  return lines.map(({ label, icon, status, title }, index) => {
+  return lines.map(({ row, label, icon, status, title, terminalTitle }) => {
+    if (row.tag === "Group") {
+      const icons = row.collapsed
+        ? commands
+            .filter((command) => command.group === row.group)
+            .map((command) => getStatusText(command)[0])
+            .join(" ")
+        : undefined;
+      const text = truncate(
+        icons === undefined
+          ? bold(row.group)
+          : `${bold(row.group)}${separator}${icons}`,
+        width - 2,
+      );
+      return {
+        line: `${row.collapsed ? "▸" : "▾"}${
+          isRowSelected(row, selection)
+            ? NO_COLOR
+              ? `→${text}`
+              : ` ${invert(text)}`
+            : ` ${text}`
+        }${RESET_COLOR}`,
+        length: 2 + removeGraphicRenditions(text).length,
+        row,
+      };
+    }
+    // Marked commands get a star right after the label.
+    const iconSeparator = marked.has(row.index)
+      ? `*${separator.slice(1)}`
+      : separator;
     const finalIcon =
       icon === selectedIndicator
         ? NO_COLOR
-          ? `${separator.slice(0, -1)}→${icon}`
+          ? `${iconSeparator.slice(0, -1)}→${icon}`
           : // Add spaces at the end to make sure that two terminal slots get
             // inverted, no matter the actual width of the icon (which may even
             // be the empty string).
-            `${separator.slice(0, -1)}${invert(
+            `${iconSeparator.slice(0, -1)}${invert(
               ` ${icon}${" ".repeat(ICON_WIDTH)}`,
             )}`
-        : `${separator}${icon}`;
+        : `${iconSeparator}${icon}`;
     const start = truncate(`${label}${finalIcon}`, width);
     const startLength =
       removeGraphicRenditions(label).length + separator.length + ICON_WIDTH;
+    const statusAndTitleString = statusAndTitle(status, title);
     const end =
-      status === undefined
-        ? title
-        : `${status.padEnd(widestStatus, " ")}${separator}${title}`;
+      widestStatusAndTitle === undefined || terminalTitle === undefined
+        ? statusAndTitleString
+        : `${statusAndTitleString}${RESET_COLOR}${" ".repeat(
+            widestStatusAndTitle -
+              removeGraphicRenditions(statusAndTitleString).length,
+          )}${separator}${dim(terminalTitle)}`;
     const truncatedEnd = truncate(end, width - startLength - separator.length);
     const length =
       startLength +
@@ -399,87 +909,245 @@ const drawDashboardCommandLines = (
       icon === selectedIndicator && !NO_COLOR
         ? invert(" ") + separator.slice(1)
         : separator;
-    const finalEnd =
-      (selection.tag === "Mousedown" || selection.tag === "Keyboard") &&
-      index === selection.index
-        ? NO_COLOR
-          ? `${highlightedSeparator.slice(0, -1)}→${truncatedEnd}`
-          : `${highlightedSeparator}${invert(truncatedEnd)}`
-        : `${highlightedSeparator}${truncatedEnd}`;
+    const finalEnd = isRowSelected(row, selection)
+      ? NO_COLOR
+        ? `${highlightedSeparator.slice(0, -1)}→${truncatedEnd}`
+        : `${highlightedSeparator}${invert(truncatedEnd)}`
+      : `${highlightedSeparator}${truncatedEnd}`;
     return {
       line: `${start}${RESET_COLOR}${cursorHorizontalAbsolute(
         startLength + 1,
       )}${CLEAR_RIGHT}${finalEnd}${RESET_COLOR}`,
       length,
+      row,
     };
   });
 };
 
 /**
- * @param {{
+ * @typedef {{
     commands: Array<Command>,
     width: number,
+    height: number,
+    scroll: number,
     attemptedKillAll: boolean,
     autoExit: AutoExit,
     selection: Selection,
-   }} options
- * @returns {string}
+    filter: string | undefined,
+    collapsedGroups: Set<string>,
+    labelPrefix: string,
+    marked: Set<number>,
+    broadcast: Array<number> | undefined,
+    commandInput: CommandInput | undefined,
+    socketPath: string | undefined,
+    configError: string | undefined,
+   }} DashboardOptions
+ *
+ * A command line being typed in the dashboard, to add commands. When
+ * duplicating a command, `template` is the command being duplicated.
+ *
+ * @typedef {{
+    text: string,
+    template: CommandDescription | undefined,
+    error: string | undefined,
+   }} CommandInput
+ *
+ * @typedef {{ start: number, end: number }} DashboardWindow
  */
-const drawDashboard = ({
-  commands,
-  width,
-  attemptedKillAll,
-  autoExit,
-  selection,
-}) => {
-  const done = isDone({ commands, attemptedKillAll, autoExit });
 
-  const finalLines = drawDashboardCommandLines(
+/**
+ * @param {DashboardOptions} options
+ * @param {Array<{ row: DashboardRow }>} lines
+ * @returns {string}
+ */
+const drawDashboardHelp = (
+  {
     commands,
-    done ? { tag: "Invisible", index: 0 } : selection,
-    {
-      width,
-      useSeparateKilledIndicator: autoExit.tag === "AutoExit",
-    },
-  )
-    .map(({ line }) => line)
-    .join("\n");
+    autoExit,
+    selection,
+    filter,
+    labelPrefix,
+    marked,
+    broadcast,
+    commandInput,
+    socketPath,
+    configError,
+  },
+  lines,
+) => {
+  if (commandInput !== undefined) {
+    return `
+${bold(`${KEYS.add} `)}${commandInput.text}${invert(" ")}
+${commandInput.error === undefined ? "" : `\n${commandInput.error}\n`}
+${shortcut(KEYS.enter)} ${commandInput.template === undefined ? "add" : "add copy"}
+${shortcut(KEYS.unselect)} cancel
+
+${dim("Separate commands with %. Start with --cwd=<dir> to run in another directory.")}
+`.trim();
+  }
 
-  if (done) {
-    return `${finalLines}\n`;
+  if (broadcast !== undefined) {
+    const receiving = broadcast.some(
+      (index) => "terminal" in commands[index].status,
+    );
+    return `
+${bold("Broadcasting:")} Typing goes to the running commands marked with *.
+
+${shortcut(KEYS.dashboard)} stop broadcasting
+${receiving ? `${shortcut(KEYS.kill)} kill marked` : ""}
+`.trim();
+  }
+
+  const broadcastTarget =
+    marked.size > 0
+      ? "marked"
+      : selection.tag === "ByGroup"
+        ? "group"
+        : selection.tag === "ByIndicator"
+          ? "selected"
+          : filter !== undefined
+            ? "matching"
+            : "all";
+
+  if (filter !== undefined) {
+    const indexes = lines.flatMap(({ row }) =>
+      row.tag === "Command" ? [row.index] : [],
+    );
+    const enter =
+      (selection.tag === "Keyboard" || selection.tag === "Mousedown") &&
+      indexes.includes(selection.index)
+        ? `${shortcut(KEYS.enter)} focus selected${getPid(
+            commands[selection.index],
+          )}`
+        : indexes.length === 1
+          ? `${shortcut(KEYS.enter)} focus command${getPid(
+              commands[indexes[0]],
+            )}`
+          : "";
+
+    return `
+${bold(KEYS.filter)}${filter}${invert(" ")}
+
+${shortcut(KEYS.unselect)} clear filter
+${shortcut(KEYS.kill)} ${killAllLabel(commands)}
+${shortcut(KEYS.navigateVerticallyOnly)} move selection
+${
+  indexes.length > 1
+    ? `${shortcut(KEYS.split)} split matching\n${shortcut(
+        KEYS.broadcast,
+      )} broadcast to ${broadcastTarget}\n`
+    : ""
+}${enter}
+`.trim();
+  }
+
+  if (labelPrefix !== "") {
+    const label = summarizeLabels(
+      commands.flatMap((command) =>
+        command.label?.startsWith(labelPrefix) === true ? [command.label] : [],
+      ),
+    );
+    return `
+${shortcut(label)} focus command
+${shortcut(KEYS.unselect)} cancel
+`.trim();
   }
 
   const label = summarizeLabels(commands.map((command) => command.label));
 
-  const enter =
+  const kill =
+    selection.tag === "ByGroup"
+      ? commands.some(
+          (command) =>
+            command.group === selection.group &&
+            command.status.tag === "Killing",
+        )
+        ? `kill group ${dim("(double-press to force) ")}`
+        : "kill group"
+      : killAllLabel(commands);
+
+  const split =
+    commands.length > 1
+      ? `\n${shortcut(KEYS.split)} ${
+          selection.tag === "ByGroup"
+            ? "split group"
+            : selection.tag === "ByIndicator"
+              ? "split selected"
+              : "split view"
+        }\n${shortcut(KEYS.allOutput)} all output\n${shortcut(
+          KEYS.broadcast,
+        )} broadcast to ${broadcastTarget}`
+      : "";
+
+  const selectedStatus =
     selection.tag === "Keyboard"
-      ? `${shortcut(KEYS.enter)} focus selected${getPid(
-          commands[selection.index],
-        )}\n${shortcut(KEYS.unselect)} unselect`
-      : selection.tag === "ByIndicator"
-        ? `${shortcut(KEYS.enter)} ${
-            commands.some(
-              (command) =>
-                getIndicatorChoice(command) === selection.indicator &&
-                command.status.tag === "Killing",
-            )
-              ? "force "
+      ? commands[selection.index].status.tag
+      : undefined;
+  const pause = IS_WINDOWS
+    ? ""
+    : selectedStatus === "Paused"
+      ? `\n${shortcut(KEYS.pause)} resume selected`
+      : selectedStatus === "Running" || selectedStatus === "Ready"
+        ? `\n${shortcut(KEYS.pause)} pause selected`
+        : "";
+
+  const unmark =
+    marked.size > 0 &&
+    (selection.tag === "Invisible" || selection.tag === "Mousedown")
+      ? `\n${shortcut(KEYS.unselect)} unmark all`
+      : "";
+
+  const enter =
+    selection.tag === "ByGroup"
+      ? `${shortcut(KEYS.enter)} restart group\n${shortcut(
+          KEYS.nextInGroup,
+        )} focus next in group${getPid(commands[selection.keyboardIndex])}\n${
+          lines.some(
+            ({ row }) =>
+              row.tag === "Group" &&
+              row.group === selection.group &&
+              row.collapsed,
+          )
+            ? `${shortcut(KEYS.expand)} expand`
+            : `${shortcut(KEYS.collapse)} collapse`
+        }\n${shortcut(KEYS.unselect)} unselect`
+      : selection.tag === "Keyboard"
+        ? `${shortcut(KEYS.enter)} focus selected${getPid(
+            commands[selection.index],
+          )}\n${shortcut(KEYS.mark)} ${
+            marked.has(selection.index) ? "unmark" : "mark"
+          } selected\n${shortcut(KEYS.duplicate)} duplicate selected${
+            commands[selection.index].status.tag === "Exit" &&
+            commands.length > 1
+              ? `\n${shortcut(KEYS.remove)} remove selected`
               : ""
-          }restart selected\n${shortcut(KEYS.unselect)} unselect`
-        : autoExit.tag === "AutoExit"
-          ? commands.some(
-              (command) =>
-                command.status.tag === "Exit" &&
-                (command.status.exitCode !== 0 || command.status.wasKilled),
-            )
-            ? `${shortcut(KEYS.enter)} restart failed`
-            : ""
-          : commands.some((command) => command.status.tag === "Exit")
-            ? `${shortcut(KEYS.enter)} restart exited`
-            : "";
+          }${pause}\n${shortcut(KEYS.unselect)} unselect`
+        : selection.tag === "ByIndicator"
+          ? `${shortcut(KEYS.enter)} ${
+              commands.some(
+                (command) =>
+                  getIndicatorChoice(command) === selection.indicator &&
+                  command.status.tag === "Killing",
+              )
+                ? "force "
+                : ""
+            }restart selected\n${shortcut(KEYS.unselect)} unselect`
+          : autoExit.tag === "AutoExit"
+            ? commands.some(
+                (command) =>
+                  command.status.tag === "Exit" &&
+                  (command.status.exitCode !== 0 || command.status.wasKilled),
+              )
+              ? `${shortcut(KEYS.enter)} restart failed`
+              : ""
+            : commands.some((command) => command.status.tag === "Exit")
+              ? `${shortcut(KEYS.enter)} restart exited`
+              : "";
 
   const navigationKeys =
-    autoExit.tag === "AutoExit" ? KEYS.navigateVerticallyOnly : KEYS.navigate;
+    autoExit.tag === "AutoExit" || selection.tag === "ByGroup"
+      ? KEYS.navigateVerticallyOnly
+      : KEYS.navigate;
 
   const sessionEnds = "The session ends automatically once all commands are ";
   const autoExitText =
@@ -497,44 +1165,201 @@ const drawDashboard = ({
           .join("\n")
       : "";
 
-  return `
-${finalLines}
-
+  return (
+    `
 ${shortcut(label)} focus command ${dim("(or click)")}
-${shortcut(KEYS.kill)} ${killAllLabel(commands)}
+${shortcut(KEYS.kill)} ${kill}
 ${shortcut(navigationKeys)} move selection
+${shortcut(KEYS.filter)} filter
+${shortcut(KEYS.add)} add command${split}${unmark}
 ${enter}
 ${autoExitText}
-`.trim();
+`.trim() +
+    (socketPath === undefined
+      ? ""
+      : `\n\n${dim(`Control socket: ${socketPath}`)}`) +
+    (configError === undefined ? "" : `\n\n${configError}`)
+  );
 };
 
 /**
- * @param {Array<Command>} commands
- * @returns {string}
+ * When there are more commands than fit in the terminal, only a window of them
+ * is shown, followed by a line telling where in the list you are. The window
+ * follows the keyboard selection.
+ *
+ * @param {Array<{ row: DashboardRow }>} lines
+ * @param {{ helpHeight: number, height: number, scroll: number, selection: Selection }} options
+ * @returns {DashboardWindow | undefined}
  */
-const drawSummary = (commands) => {
-  const summary = commands.every(
-    (command) =>
-      command.status.tag === "Exit" &&
-      command.status.exitCode === 0 &&
-      !command.status.wasKilled,
-  )
-    ? "success"
-    : commands.some(
-          (command) =>
-            command.status.tag === "Exit" &&
-            command.status.exitCode !== 0 &&
-            !command.status.wasKilled,
-        )
-      ? "failure"
-      : "aborted";
-  const lines = commands.map((command) => {
-    const [indicator, status] = statusText(command.status, {
-      statusFromRules: runningIndicator,
-      useSeparateKilledIndicator: true,
-    });
+const getDashboardWindow = (
+  lines,
+  { helpHeight, height, scroll, selection },
+) => {
+  // The command lines, an empty line and the help.
+  if (lines.length + 1 + helpHeight <= height) {
+    return undefined;
+  }
+  // Make room for the position line and the empty line.
+  const size = Math.max(1, height - helpHeight - 2);
+  const selected = lines.findIndex(({ row }) => isRowSelected(row, selection));
+  const followSelection =
+    selected === -1
+      ? scroll
+      : Math.min(Math.max(scroll, selected - size + 1), selected);
+  const start = Math.max(0, Math.min(followSelection, lines.length - size));
+  return { start, end: start + size };
+};
+
+/**
+ * @param {DashboardOptions} options
+ * @returns {{ text: string, window: DashboardWindow | undefined }}
+ */
+const dashboardLayout = (options) => {
+  const {
+    commands,
+    width,
+    height,
+    scroll,
+    attemptedKillAll,
+    autoExit,
+    selection,
+    filter,
+    collapsedGroups,
+    marked,
+    broadcast,
+  } = options;
+
+  const done = isDone({ commands, attemptedKillAll, autoExit });
+
+  const lines = drawDashboardCommandLines(
+    commands,
+    done ? { tag: "Invisible", index: 0 } : selection,
+    {
+      width,
+      useSeparateKilledIndicator: autoExit.tag === "AutoExit",
+      filter: done ? undefined : filter,
+      collapsedGroups: done ? new Set() : collapsedGroups,
+      marked: done
+        ? new Set()
+        : broadcast === undefined
+          ? marked
+          : new Set(broadcast),
+    },
+  );
+
+  // The final dashboard stays in the terminal scrollback, so show everything.
+  if (done) {
+    return {
+      text: `${lines.map(({ line }) => line).join("\n")}\n`,
+      window: undefined,
+    };
+  }
+
+  const helpText = drawDashboardHelp(options, lines);
+
+  const window = getDashboardWindow(lines, {
+    helpHeight: helpText.split("\n").length,
+    height,
+    scroll,
+    selection,
+  });
+
+  const finalLines =
+    window === undefined
+      ? lines.map(({ line }) => line)
+      : [
+          ...lines.slice(window.start, window.end).map(({ line }) => line),
+          dim(
+            `${window.start + 1}-${Math.min(window.end, lines.length)} of ${
+              lines.length
+            } (scroll or use the arrow keys to see more)`,
+          ),
+        ];
+
+  return {
+    text: `
+${
+  lines.length === 0 && filter !== undefined
+    ? dim("No matching commands.")
+    : finalLines.join("\n")
+}
+
+${helpText}
+`.trim(),
+    window,
+  };
+};
+
+/**
+ * @param {DashboardOptions} options
+ * @returns {string}
+ */
+const drawDashboard = (options) => dashboardLayout(options).text;
+
+/**
+ * The terminal title while the dashboard is shown.
+ *
+ * @param {Array<Command>} commands
+ * @returns {string}
+ */
+const dashboardTerminalTitle = (commands) => {
+  /** @type {Array<[string, (command: Command) => boolean]>} */
+  const groups = [
+    [
+      "running",
+      (command) =>
+        "terminal" in command.status && command.status.tag !== "Paused",
+    ],
+    ["paused", (command) => command.status.tag === "Paused"],
+    ["waiting", (command) => command.status.tag === "Waiting"],
+    [
+      "failed",
+      (command) =>
+        command.status.tag === "Exit" && command.status.exitCode !== 0,
+    ],
+    [
+      "exited",
+      (command) =>
+        command.status.tag === "Exit" && command.status.exitCode === 0,
+    ],
+  ];
+  const counts = groups.flatMap(([name, predicate]) => {
+    const count = commands.filter(predicate).length;
+    return count === 0 ? [] : [`${count} ${name}`];
+  });
+  return counts.length === 0 ? "run-pty" : `run-pty: ${counts.join(", ")}`;
+};
+
+/**
+ * @param {Array<Command>} commands
+ * @returns {string}
+ */
+const drawSummary = (commands) => {
+  const summary = commands.every(
+    (command) =>
+      command.status.tag === "Exit" &&
+      command.status.exitCode === 0 &&
+      !command.status.wasKilled,
+  )
+    ? "success"
+    : commands.some(
+          (command) =>
+            command.status.tag === "Exit" &&
+            command.status.exitCode !== 0 &&
+            !command.status.wasKilled,
+        )
+      ? "failure"
+      : "aborted";
+  const lines = commands.map((command) => {
+    const [indicator, status] = statusText(command.status, {
+      statusFromRules: defaultIndicator(command),
+      useSeparateKilledIndicator: true,
+    });
+    const runDuration = runDurationText(command);
     return `${indicator}${EMOJI_WIDTH_FIX} ${
       status === undefined ? "" : `${status} `
+    }${
+      runDuration === undefined ? "" : `${dim(`(ran for ${runDuration})`)} `
     }${command.titlePossiblyWithGraphicRenditions}${RESET_COLOR}`;
   });
   return `${bold(`Summary – ${summary}:`)}\n${lines.join("\n")}\n`;
@@ -558,7 +1383,9 @@ const isDone = ({ commands, attemptedKillAll, autoExit }) =>
       (command) =>
         command.status.tag === "Exit" &&
         command.status.exitCode === 0 &&
-        !command.status.wasKilled,
+        !command.status.wasKilled &&
+        // `restart: "always"` keeps going, just like without a TTY.
+        command.pendingRestart === undefined,
     ));
 
 /**
@@ -570,13 +1397,24 @@ const getPid = (command) =>
     ? ` ${dim(`(pid ${command.status.terminal.pid})`)}`
     : "";
 
+/**
+ * Commands with a `ready` rule are “starting” until it matches.
+ *
+ * @param {Pick<Command, "status" | "readyRule">} command
+ * @returns {string}
+ */
+const defaultIndicator = (command) =>
+  command.status.tag === "Running" && command.readyRule !== undefined
+    ? startingIndicator
+    : runningIndicator;
+
 /**
  * @param {Command} command
  * @returns {string}
  */
 const getIndicatorChoice = (command) =>
   statusText(command.status, {
-    statusFromRules: command.statusFromRules ?? runningIndicator,
+    statusFromRules: command.statusFromRules ?? defaultIndicator(command),
     useSeparateKilledIndicator: false,
   })[0];
 
@@ -589,7 +1427,344 @@ const getIndicatorChoices = (commands) => [
 ];
 
 /**
- * @typedef {Pick<Command, "formattedCommandWithTitle" | "title" | "titlePossiblyWithGraphicRenditions" | "cwd" | "history">} CommandText
+ * A dependency is fulfilled by a ready command (or a running one, if it has no
+ * `ready` rule), or by a command that has finished successfully (such as a
+ * one-off code generation step).
+ *
+ * @param {Command} command
+ * @returns {boolean}
+ */
+const isUp = (command) =>
+  command.status.tag === "Ready" ||
+  (command.status.tag === "Running" && command.readyRule === undefined) ||
+  (command.status.tag === "Exit" &&
+    command.status.exitCode === 0 &&
+    !command.status.wasKilled);
+
+/**
+ * @param {Command} command
+ * @param {Array<Command>} commands
+ * @returns {Array<Command>}
+ */
+const getUnmetDependencies = (command, commands) =>
+  commands.filter(
+    (otherCommand) =>
+      command.dependsOn.some((name) => hasName(otherCommand, name)) &&
+      !isUp(otherCommand),
+  );
+
+/**
+ * A dependency that has exited without success (or was killed), and isn’t
+ * going to be restarted automatically, will never be up.
+ *
+ * @param {Command} command
+ * @param {Array<Command>} commands
+ * @returns {Command | undefined}
+ */
+const getFailedDependency = (command, commands) =>
+  commands.find(
+    (otherCommand) =>
+      command.dependsOn.some((name) => hasName(otherCommand, name)) &&
+      otherCommand.status.tag === "Exit" &&
+      !isUp(otherCommand) &&
+      otherCommand.pendingRestart === undefined,
+  );
+
+/**
+ * @param {Command} command
+ * @param {Array<Command>} commands
+ * @param {number} maxParallel
+ * @returns {boolean}
+ */
+const canStart = (command, commands, maxParallel) =>
+  commands.filter((otherCommand) => "terminal" in otherCommand.status).length <
+    maxParallel && getUnmetDependencies(command, commands).length === 0;
+
+/**
+ * Starting a command can let other commands that depend on it start, so keep
+ * going until nothing more can be started. Waiting commands whose dependencies
+ * have failed are skipped instead, which in turn can skip their dependents.
+ *
+ * @param {Array<Command>} commands
+ * @param {number} maxParallel
+ * @returns {Array<Command>} The commands that were started.
+ */
+const startWaitingCommands = (commands, maxParallel) => {
+  /** @type {Array<Command>} */
+  const started = [];
+  for (;;) {
+    const skipped = commands.find(
+      (otherCommand) =>
+        otherCommand.status.tag === "Waiting" &&
+        getFailedDependency(otherCommand, commands) !== undefined,
+    );
+    if (skipped !== undefined) {
+      const dependency = getFailedDependency(skipped, commands);
+      skipped.skip(dependency?.title ?? "a dependency");
+      continue;
+    }
+    const command = commands.find(
+      (otherCommand) =>
+        otherCommand.status.tag === "Waiting" &&
+        canStart(otherCommand, commands, maxParallel),
+    );
+    if (command === undefined) {
+      return started;
+    }
+    command.start({ needsToWait: false });
+    started.push(command);
+  }
+};
+
+/**
+ * @param {Pick<Command, "status" | "restartPolicy" | "maxRestarts" | "numRestarts">} command
+ * @returns {number | undefined} Milliseconds to wait before restarting the command, or `undefined` if it should not be restarted automatically.
+ */
+const getRestartDelay = (command) => {
+  if (
+    command.status.tag !== "Exit" ||
+    command.status.wasKilled ||
+    // Restarting would only skip the command again.
+    command.status.skippedBecause !== undefined
+  ) {
+    return undefined;
+  }
+  switch (command.restartPolicy) {
+    case "no":
+      return undefined;
+    case "on-failure":
+      if (command.status.exitCode === 0) {
+        return undefined;
+      }
+      break;
+    case "always":
+      break;
+  }
+  if (
+    command.maxRestarts !== undefined &&
+    command.numRestarts >= command.maxRestarts
+  ) {
+    return undefined;
+  }
+  return Math.min(
+    RESTART_DELAY_MIN * 2 ** command.numRestarts,
+    RESTART_DELAY_MAX,
+  );
+};
+
+/**
+ * @param {Pick<Command, "maxRestarts" | "numRestarts" | "pendingRestart">} command
+ * @returns {string | undefined}
+ */
+const restartText = (command) => {
+  const max =
+    command.maxRestarts === undefined ? "" : `/${command.maxRestarts}`;
+  return command.pendingRestart !== undefined
+    ? `restart ${command.numRestarts + 1}${max} in ${Math.max(
+        0,
+        Math.ceil((command.pendingRestart.at - Date.now()) / 1000),
+      )}s`
+    : command.numRestarts > 0
+      ? `restarts: ${command.numRestarts}${max}`
+      : undefined;
+};
+
+/**
+ * Formats milliseconds as a short duration, such as `4.2s`, `3m 5s`, `2h 10m`
+ * or `1d 4h`. Only the two largest units are shown.
+ *
+ * @param {number} milliseconds
+ * @returns {string}
+ */
+const formatDuration = (milliseconds) => {
+  const ms = Math.max(0, milliseconds);
+  if (ms < 10000) {
+    return `${(Math.floor(ms / 100) / 10).toFixed(1)}s`;
+  }
+  const seconds = Math.floor(ms / 1000);
+  const minutes = Math.floor(seconds / 60);
+  const hours = Math.floor(minutes / 60);
+  const days = Math.floor(hours / 24);
+  return days > 0
+    ? `${days}d ${hours % 24}h`
+    : hours > 0
+      ? `${hours}h ${minutes % 60}m`
+      : minutes > 0
+        ? `${minutes}m ${seconds % 60}s`
+        : `${seconds}s`;
+};
+
+/**
+ * How long the last run of the command took, if it has exited.
+ *
+ * @param {Pick<Command, "startedAt" | "exitedAt">} command
+ * @returns {string | undefined}
+ */
+const runDurationText = (command) =>
+  command.startedAt === undefined ||
+  command.exitedAt === undefined ||
+  // The command has been restarted and is running again.
+  command.exitedAt < command.startedAt
+    ? undefined
+    : formatDuration(command.exitedAt - command.startedAt);
+
+/**
+ * The duration column in the dashboard: uptime for running commands, and run
+ * time plus time since exit for exited commands.
+ *
+ * @param {Pick<Command, "status" | "startedAt" | "exitedAt">} command
+ * @param {number} now
+ * @returns {string | undefined}
+ */
+const durationText = (command, now) => {
+  if ("terminal" in command.status) {
+    return command.startedAt === undefined
+      ? undefined
+      : `up ${formatDuration(now - command.startedAt)}`;
+  }
+  if (command.status.tag === "Exit") {
+    const runDuration = runDurationText(command);
+    return runDuration === undefined || command.exitedAt === undefined
+      ? undefined
+      : `ran ${runDuration}, ${formatDuration(now - command.exitedAt)} ago`;
+  }
+  return undefined;
+};
+
+/**
+ * @typedef {{
+    cpu: number,
+    rss: number,
+   }} ResourceUsage
+ */
+
+// The unit of CPU times in `/proc`. It is 100 on all common Linux systems, and
+// Node.js has no way of asking for it.
+const CLOCK_TICKS_PER_SECOND = 100;
+
+/**
+ * @param {string} file
+ * @returns {Promise<string | undefined>}
+ */
+const readProcFile = (file) =>
+  fs.promises.readFile(file, "utf8").then(
+    (content) => content,
+    // The process exited while reading.
+    () => undefined,
+  );
+
+/**
+ * Reads the parent pid and CPU time (in clock ticks) of all processes. Resolves
+ * to `undefined` if `/proc` can’t be read.
+ *
+ * @returns {Promise<Map<number, { ppid: number, ticks: number }> | undefined>}
+ */
+const readProcesses = () =>
+  fs.promises.readdir("/proc").then(
+    (names) => {
+      const pids = names.filter((name) => /^\d+$/.test(name)).map(Number);
+      return Promise.all(
+        pids.map((pid) => readProcFile(`/proc/${pid}/stat`)),
+      ).then((stats) => {
+        /** @type {Map<number, { ppid: number, ticks: number }>} */
+        const processes = new Map();
+        for (const [index, stat] of stats.entries()) {
+          if (stat === undefined) {
+            continue;
+          }
+          // The process name is in parentheses and may contain spaces and
+          // parentheses itself, so look at the fields after the last `)`.
+          // The fields after it are: state, ppid, …, utime (12th), stime (13th).
+          const fields = stat.slice(stat.lastIndexOf(")") + 2).split(" ");
+          processes.set(pids[index], {
+            ppid: Number(fields[1]),
+            ticks: Number(fields[11]) + Number(fields[12]),
+          });
+        }
+        return processes;
+      });
+    },
+    () => undefined,
+  );
+
+/**
+ * Sums up the CPU time (in clock ticks) and resident memory (in bytes) of each
+ * given process and all its descendants. Only the memory of the processes in
+ * those trees is read. Resolves to `undefined` if `/proc` can’t be read, and
+ * processes that don’t exist are left out.
+ *
+ * @param {Array<number>} rootPids
+ * @returns {Promise<Map<number, { ticks: number, rss: number }> | undefined>}
+ */
+const readProcessTreeUsages = (rootPids) =>
+  readProcesses().then((processes) => {
+    if (processes === undefined) {
+      return undefined;
+    }
+    /** @type {Map<number, Array<number>>} */
+    const children = new Map();
+    for (const [pid, { ppid }] of processes) {
+      const siblings = children.get(ppid);
+      if (siblings === undefined) {
+        children.set(ppid, [pid]);
+      } else {
+        siblings.push(pid);
+      }
+    }
+    return Promise.all(
+      rootPids
+        .filter((rootPid) => processes.has(rootPid))
+        .map((rootPid) => {
+          const pids = [rootPid];
+          for (const pid of pids) {
+            pids.push(...(children.get(pid) ?? []));
+          }
+          return Promise.all(
+            pids.map((pid) => readProcFile(`/proc/${pid}/status`)),
+          ).then((statuses) => {
+            let ticks = 0;
+            let rss = 0;
+            for (const [index, pid] of pids.entries()) {
+              ticks += processes.get(pid)?.ticks ?? 0;
+              const match = /^VmRSS:\s*(\d+) kB$/m.exec(statuses[index] ?? "");
+              rss += match === null ? 0 : Number(match[1]) * 1024;
+            }
+            return /** @type {const} */ ([rootPid, { ticks, rss }]);
+          });
+        }),
+    ).then((entries) => new Map(entries));
+  });
+
+/**
+ * @param {number} bytes
+ * @returns {string}
+ */
+const formatBytes = (bytes) => {
+  const units = ["K", "M", "G", "T"];
+  let value = bytes / 1024;
+  let unit = 0;
+  while (value >= 1024 && unit < units.length - 1) {
+    value /= 1024;
+    unit++;
+  }
+  return `${value < 10 && unit > 0 ? value.toFixed(1) : Math.round(value)}${
+    units[unit]
+  }`;
+};
+
+/**
+ * Padded, so that CPU and memory line up in the dashboard: `  3%  120M`
+ *
+ * @param {ResourceUsage} resourceUsage
+ * @returns {string}
+ */
+const resourceUsageText = (resourceUsage) =>
+  `${`${Math.round(resourceUsage.cpu)}%`.padStart(4)} ${formatBytes(
+    resourceUsage.rss,
+  ).padStart(5)}`;
+
+/**
+ * @typedef {Pick<Command, "formattedCommandWithTitle" | "title" | "titlePossiblyWithGraphicRenditions" | "cwd" | "env" | "history" | "maxRestarts" | "numRestarts" | "pendingRestart" | "startedAt" | "exitedAt" | "terminalTitle">} CommandText
  */
 
 /**
@@ -601,13 +1776,48 @@ const cwdText = (command) =>
     ? ""
     : `${folder}${EMOJI_WIDTH_FIX} ${dim(command.cwd)}\n`;
 
+/**
+ * Unset variables are shown like `env -u NAME` would do it.
+ *
+ * @param {CommandText} command
+ * @returns {string}
+ */
+const envText = (command) => {
+  const entries = Object.entries(command.env);
+  if (entries.length === 0) {
+    return "";
+  }
+  const unset = entries.flatMap(([name, value]) =>
+    value === null ? ["-u", name] : [],
+  );
+  const set = entries.flatMap(([name, value]) =>
+    value === null ? [] : [`${name}=${value}`],
+  );
+  return `${wrench}${EMOJI_WIDTH_FIX} ${dim(
+    commandToPresentationName([...unset, ...set]),
+  )}\n`;
+};
+
+/**
+ * The title that the command has set for the terminal, if any.
+ *
+ * @param {CommandText} command
+ * @returns {string}
+ */
+const terminalTitleText = (command) =>
+  command.terminalTitle === undefined
+    ? ""
+    : `${speechBalloon}${EMOJI_WIDTH_FIX} ${dim(command.terminalTitle)}\n`;
+
 /**
  * @param {string} indicator
  * @param {CommandText} command
  * @returns {string}
  */
 const historyStart = (indicator, command) =>
-  `${commandTitleWithIndicator(indicator, command)}\n${cwdText(command)}`;
+  `${commandTitleWithIndicator(indicator, command)}\n${cwdText(
+    command,
+  )}${envText(command)}${terminalTitleText(command)}`;
 
 /**
  * Used in interactive mode.
@@ -637,24 +1847,52 @@ const commandTitleOnlyWithIndicator = (indicator, command) =>
 
 /**
  * @param {Array<Command>} commands
+ * @param {Array<string>} waitingFor
  * @returns {string}
  */
-const waitingText = (commands) =>
+const waitingText = (commands, waitingFor) =>
   `
-Waiting for other commands to finish before starting.
+${
+  waitingFor.length === 0
+    ? "Waiting for other commands to finish before starting."
+    : `Waiting for: ${waitingFor.join(", ")}`
+}
 
 ${shortcut(KEYS.kill)} ${killAllLabel(commands)}
 ${shortcut(KEYS.dashboard)} dashboard
 `.trim();
 
+/**
+ * @param {number} pid
+ * @param {ResourceUsage | undefined} resourceUsage
+ * @returns {string}
+ */
+const runningText = (pid, resourceUsage) =>
+  `
+${shortcut(KEYS.kill)} kill ${dim(
+    `(pid ${pid}${
+      resourceUsage === undefined
+        ? ""
+        : `, ${Math.round(resourceUsage.cpu)}% CPU, ${formatBytes(
+            resourceUsage.rss,
+          )} memory`
+    })`,
+  )}
+${shortcut(KEYS.dashboard)} dashboard
+${shortcut(KEYS.pager)} scrollback
+${IS_WINDOWS ? "" : `${shortcut(KEYS.pause)} pause`}
+`.trim();
+
 /**
  * @param {number} pid
  * @returns {string}
  */
-const runningText = (pid) =>
+const pausedText = (pid) =>
   `
-${shortcut(KEYS.kill)} kill ${dim(`(pid ${pid})`)}
+${shortcut(KEYS.pause)} resume ${dim(`(pid ${pid})`)}
+${shortcut(KEYS.kill)} kill
 ${shortcut(KEYS.dashboard)} dashboard
+${shortcut(KEYS.pager)} scrollback
 `.trim();
 
 /**
@@ -665,6 +1903,7 @@ const killingText = (pid) =>
   `
 ${shortcut(KEYS.kill)} kill ${dim(`(double-press to force) (pid ${pid})`)}
 ${shortcut(KEYS.dashboard)} dashboard
+${shortcut(KEYS.pager)} scrollback
 `.trim();
 
 /**
@@ -685,12 +1924,20 @@ const exitText = (commands, command, status, autoExit) => {
     autoExit.tag === "AutoExit" && status.exitCode === 0 && !status.wasKilled
       ? ""
       : `${shortcut(KEYS.enter)} restart\n`;
+  const runDuration = runDurationText(command);
+  const details = [
+    runDuration === undefined ? undefined : `ran for ${runDuration}`,
+    command.pendingRestart === undefined ? undefined : restartText(command),
+  ].filter((part) => part !== undefined);
+  const detailsText =
+    details.length === 0 ? "" : ` ${dim(`(${details.join(", ")})`)}`;
   return `
 ${titleWithIndicator}
-${cwdText(command)}exit ${status.exitCode}
+${cwdText(command)}${envText(command)}exit ${status.exitCode}${detailsText}
 
 ${restart}${shortcut(KEYS.kill)} ${killAllLabel(commands)}
 ${shortcut(KEYS.dashboard)} dashboard
+${shortcut(KEYS.pager)} scrollback
 `.trim();
 };
 
@@ -703,11 +1950,16 @@ const exitTextAndHistory = ({ command, exitCode, numExited, numTotal }) => {
   const newline =
     // If the last line is empty, no extra newline is needed.
     lastLine.trim() === "" ? "" : "\n";
+  const runDuration = runDurationText(command);
   return `
 ${commandTitleOnlyWithIndicator(exitIndicator(exitCode), command)}
-${cwdText(command)}${command.history}${CLEAR_DOWN}${newline}${bold(
+${cwdText(command)}${envText(command)}${command.history}${CLEAR_DOWN}${newline}${bold(
     `exit ${exitCode}`,
-  )} ${dim(`(${numExited}/${numTotal} exited)`)}
+  )} ${dim(
+    `(${
+      runDuration === undefined ? "" : `ran for ${runDuration}, `
+    }${numExited}/${numTotal} exited)`,
+  )}
 
 `.trimStart();
 };
@@ -728,45 +1980,1039 @@ const statusText = (
     case "Running":
       return [statusFromRules, undefined];
 
+    case "Ready":
+      return [statusFromRules, bold("ready")];
+
     case "Killing":
       return [
         status.restartAfterKill ? restartingIndicator : killingIndicator,
         undefined,
       ];
 
+    case "Paused":
+      return [pausedIndicator, undefined];
+
     case "Exit":
       return [
         status.wasKilled && useSeparateKilledIndicator
           ? abortedIndicator
           : exitIndicator(status.exitCode),
-        bold(`exit ${status.exitCode}`),
+        bold(
+          status.skippedBecause === undefined
+            ? `exit ${status.exitCode}`
+            : "skipped",
+        ),
       ];
   }
 };
 
-// If a command moves the cursor to another line it’s not considered a “simple
-// log”. Then it’s not safe to print the keyboard shortcuts.
-//
-// - A, B: Cursor up/down. Moving down should be safe. So is `\n1A` (move to
-//         start of new line, then up one line) – docker-compose does that
-//         to update the previous line. We always print on the next line so it’s safe.
-// - C, D: Cursor left/right. Should be safe! Parcel does this.
-// - E, F: Cursor down/up, and to the start of the line. Moving down should be safe.
-// - G: Cursor absolute position within line. Should be safe! Again, Parcel.
-// - H, f: Cursor absolute position, both x and y. Exception: Moving to the
-//         top-left corner and clearing the screen (ctrl+l).
-// - I, Z: Cursor forward/backward by tab stops. Should be safe.
-// - J: Clear the screen in different ways. Should be safe.
-// - K: Erase in line. Should be safe.
-// - L: Insert lines.
-// - M: Delete lines.
-// - S: Scroll up.
-// - T: Scroll down.
-// - s: Save cursor position.
-// - u: Restore cursor position.
-//
-// This includes the regexes for clearing the screen, since they also affect “is
-// simple log”: They reset it to `true` sometimes.
+const CONTROL_CHARACTERS = /[\x00-\x08\x0B-\x1F\x7F]/g;
+
+/**
+ * `history`, `historyCut` and `lineStarts` are used to update the content
+ * incrementally. `lineStarts` are positions in the history, counting the
+ * characters that have been cut off from the start.
+ *
+ * @typedef {{
+    lines: Array<string>,
+    rows: Array<{ lineIndex: number, start: number, end: number }>,
+    firstRows: Array<number>,
+    width: number,
+    history: string,
+    historyCut: number,
+    lineStarts: Array<number>,
+  }} PagerContent
+ */
+
+/**
+ * @param {string} rawLine
+ * @returns {string}
+ */
+const getPagerLine = (rawLine) =>
+  removeEscapes(rawLine)
+    .split("\r")
+    .reduce((result, part) => part + result.slice(part.length), "")
+    .split("\t")
+    .reduce(
+      (result, part) =>
+        result + " ".repeat(8 - (displayWidth(result) % 8)) + part,
+    )
+    .replace(CONTROL_CHARACTERS, "");
+
+/**
+ * Splits a line into rows that fit within `width` columns.
+ *
+ * @param {string} line
+ * @param {number} width
+ * @returns {Array<{ start: number, end: number }>}
+ */
+const wrapPagerLine = (line, width) => {
+  /** @type {Array<{ start: number, end: number }>} */
+  const rows = [];
+  let start = 0;
+  let index = 0;
+  let column = 0;
+  for (const char of line) {
+    const charWidth = getCharWidth(char);
+    if (column + charWidth > width && column > 0) {
+      rows.push({ start, end: index });
+      start = index;
+      column = 0;
+    }
+    column += charWidth;
+    index += char.length;
+  }
+  rows.push({ start, end: line.length });
+  return rows;
+};
+
+/**
+ * The pager shows the history as plain text, wrapped to the terminal width.
+ * Carriage returns are applied, so that progress bars and spinners (which
+ * redraw the same line over and over) only show their last state.
+ *
+ * @param {string} history
+ * @param {number} width
+ * @returns {PagerContent}
+ */
+const getPagerContent = (history, width) =>
+  updatePagerContent(undefined, history, 0, width);
+
+/**
+ * Like `getPagerContent`, but only does the work for what has changed in the
+ * history since `content` was made: Usually just the last line, and the new
+ * output. Lines that have been cut off from the start of the history (see
+ * `MAX_HISTORY`) are removed. If the history has changed in any other way,
+ * everything is done again.
+ *
+ * @param {PagerContent | undefined} content
+ * @param {string} history
+ * @param {number} historyCut
+ * @param {number} width
+ * @returns {PagerContent}
+ */
+const updatePagerContent = (content, history, historyCut, width) => {
+  if (
+    content !== undefined &&
+    content.width === width &&
+    content.historyCut === historyCut &&
+    content.history === history
+  ) {
+    return content;
+  }
+
+  // The cut must not be within the last line, since it is always done again.
+  const isIncremental =
+    content !== undefined &&
+    content.width === width &&
+    historyCut >= content.historyCut &&
+    historyCut <= content.lineStarts[content.lineStarts.length - 1] &&
+    history.startsWith(content.history.slice(historyCut - content.historyCut));
+
+  // The lines before `keepFrom` have been (partially) cut off, and the last
+  // line might have been unfinished. The lines in between are kept.
+  const keepFrom = isIncremental
+    ? content.lineStarts.findIndex((lineStart) => lineStart >= historyCut)
+    : 0;
+  const keepTo = isIncremental ? content.lines.length - 1 : 0;
+
+  /** @type {Array<string>} */
+  const lines = [];
+  /** @type {Array<number>} */
+  const lineStarts = [];
+  /** @type {Array<{ lineIndex: number, start: number, end: number }>} */
+  const rows = [];
+  /** @type {Array<number>} */
+  const firstRows = [];
+
+  /**
+   * @param {string} rawText
+   * @param {number} position
+   * @returns {void}
+   */
+  const addLines = (rawText, position) => {
+    let lineStart = position;
+    for (const rawLine of rawText.split("\n")) {
+      const line = getPagerLine(rawLine);
+      const lineIndex = lines.length;
+      lines.push(line);
+      lineStarts.push(lineStart);
+      firstRows.push(rows.length);
+      for (const { start, end } of wrapPagerLine(line, width)) {
+        rows.push({ lineIndex, start, end });
+      }
+      lineStart += rawLine.length + 1;
+    }
+  };
+
+  if (isIncremental) {
+    // The partially cut off line, if any, ends with a newline.
+    const head = history.slice(0, content.lineStarts[keepFrom] - historyCut);
+    if (head !== "") {
+      addLines(head.slice(0, -1), historyCut);
+    }
+    const rowOffset = rows.length - content.firstRows[keepFrom];
+    const lineOffset = lines.length - keepFrom;
+    for (let index = keepFrom; index < keepTo; index++) {
+      lines.push(content.lines[index]);
+      lineStarts.push(content.lineStarts[index]);
+      firstRows.push(content.firstRows[index] + rowOffset);
+    }
+    const keptRows = content.rows.slice(
+      content.firstRows[keepFrom],
+      content.firstRows[keepTo],
+    );
+    for (const row of keptRows) {
+      rows.push(
+        lineOffset === 0
+          ? row
+          : { ...row, lineIndex: row.lineIndex + lineOffset },
+      );
+    }
+    addLines(
+      history.slice(content.lineStarts[keepTo] - historyCut),
+      content.lineStarts[keepTo],
+    );
+  } else {
+    addLines(history, historyCut);
+  }
+
+  // Output usually ends with a newline, which doesn’t need an empty line.
+  if (lines.length > 1 && lines[lines.length - 1] === "") {
+    lines.pop();
+    lineStarts.pop();
+    firstRows.pop();
+    rows.pop();
+  }
+
+  return { lines, rows, firstRows, width, history, historyCut, lineStarts };
+};
+
+/**
+ * Case insensitive, unless the query contains uppercase letters (like
+ * “smartcase” in Vim).
+ *
+ * @param {string} line
+ * @param {string} query
+ * @returns {Array<number>}
+ */
+const findMatches = (line, query) => {
+  const haystack = query === query.toLowerCase() ? line.toLowerCase() : line;
+  /** @type {Array<number>} */
+  const result = [];
+  let index = haystack.indexOf(query);
+  while (index !== -1) {
+    result.push(index);
+    index = haystack.indexOf(query, index + query.length);
+  }
+  return result;
+};
+
+/** @type {Pager} */
+const initialPager = {
+  top: undefined,
+  search: undefined,
+  match: undefined,
+  input: undefined,
+  message: undefined,
+};
+
+/**
+ * The last row is used for the search input and other information.
+ *
+ * @param {number} height
+ * @returns {number}
+ */
+const pagerPageSize = (height) => Math.max(1, height - 1);
+
+/**
+ * @param {PagerContent} content
+ * @param {Pager} pager
+ * @param {number} pageSize
+ * @returns {number}
+ */
+const getPagerTop = (content, pager, pageSize) => {
+  const maxTop = Math.max(0, content.rows.length - pageSize);
+  return pager.top === undefined ? maxTop : Math.min(pager.top, maxTop);
+};
+
+/**
+ * @param {PagerContent} content
+ * @param {Pager} pager
+ * @param {number} pageSize
+ * @param {number} newTop
+ * @returns {Pager}
+ */
+const scrollPager = (content, pager, pageSize, newTop) => ({
+  ...pager,
+  top:
+    newTop >= content.rows.length - pageSize ? undefined : Math.max(0, newTop),
+  match: undefined,
+  message: undefined,
+});
+
+/**
+ * Jumps to the next match in `direction`, starting from the previous match, or
+ * from the visible rows after scrolling.
+ *
+ * @param {PagerContent} content
+ * @param {Pager} pager
+ * @param {number} pageSize
+ * @param {1 | -1} direction
+ * @returns {Pager}
+ */
+const searchPager = (content, pager, pageSize, direction) => {
+  if (pager.search === undefined) {
+    return { ...pager, message: "No previous search" };
+  }
+  const { query } = pager.search;
+  const matchRows = content.lines.flatMap((line, lineIndex) =>
+    findMatches(line, query).map((start) => {
+      let row = content.firstRows[lineIndex];
+      while (
+        content.rows[row + 1]?.lineIndex === lineIndex &&
+        content.rows[row + 1].start <= start
+      ) {
+        row++;
+      }
+      return row;
+    }),
+  );
+  const top = getPagerTop(content, pager, pageSize);
+  const row =
+    direction === 1
+      ? matchRows.find((matchRow) => matchRow > (pager.match ?? top - 1))
+      : matchRows.findLast(
+          (matchRow) => matchRow < (pager.match ?? top + pageSize),
+        );
+  return row === undefined
+    ? {
+        ...pager,
+        message:
+          matchRows.length === 0
+            ? `Not found: ${query}`
+            : `No more matches: ${query}`,
+      }
+    : { ...scrollPager(content, pager, pageSize, row), match: row };
+};
+
+/**
+ * Returns the new pager state, or `undefined` if the pager should be closed.
+ *
+ * @param {PagerContent} content
+ * @param {Pager} pager
+ * @param {number} pageSize
+ * @param {string} data
+ * @returns {Pager | undefined}
+ */
+const pagerKeypress = (content, pager, pageSize, data) => {
+  const { input } = pager;
+
+  if (input !== undefined) {
+    switch (data) {
+      case KEY_CODES.kill:
+      case KEY_CODES.esc:
+        return { ...pager, input: undefined };
+
+      case KEY_CODES.enter:
+        return input.query === ""
+          ? { ...pager, input: undefined }
+          : searchPager(
+              content,
+              { ...pager, input: undefined, search: input, match: undefined },
+              pageSize,
+              input.direction,
+            );
+
+      case KEY_CODES.backspace:
+        return input.query === ""
+          ? { ...pager, input: undefined }
+          : { ...pager, input: { ...input, query: input.query.slice(0, -1) } };
+
+      default:
+        // Ignore arrow keys and such.
+        return /[\x00-\x1F\x7F]/.test(data)
+          ? pager
+          : { ...pager, input: { ...input, query: input.query + data } };
+    }
+  }
+
+  const top = getPagerTop(content, pager, pageSize);
+
+  switch (data) {
+    case KEY_CODES.kill:
+    case KEY_CODES.esc:
+    case "q":
+      return undefined;
+
+    case KEY_CODES.up:
+    case "k":
+      return scrollPager(content, pager, pageSize, top - 1);
+
+    case KEY_CODES.down:
+    case KEY_CODES.enter:
+    case "j":
+      return scrollPager(content, pager, pageSize, top + 1);
+
+    case KEY_CODES.pageUp:
+    case "b":
+      return scrollPager(content, pager, pageSize, top - pageSize);
+
+    case KEY_CODES.pageDown:
+    case " ":
+      return scrollPager(content, pager, pageSize, top + pageSize);
+
+    case KEY_CODES.home:
+    case "g":
+      return scrollPager(content, pager, pageSize, 0);
+
+    case KEY_CODES.end:
+    case "G":
+      return scrollPager(content, pager, pageSize, content.rows.length);
+
+    case "/":
+      return {
+        ...pager,
+        input: { query: "", direction: 1 },
+        message: undefined,
+      };
+
+    case "?":
+      return {
+        ...pager,
+        input: { query: "", direction: -1 },
+        message: undefined,
+      };
+
+    case "n":
+    case "N": {
+      const direction = pager.search?.direction ?? 1;
+      return searchPager(
+        content,
+        pager,
+        pageSize,
+        data === "n" ? direction : direction === 1 ? -1 : 1,
+      );
+    }
+
+    default:
+      return pager;
+  }
+};
+
+/**
+ * @param {string} text
+ * @param {number} offset
+ * @param {Array<number>} matches
+ * @param {number} length
+ * @returns {string}
+ */
+const highlightMatches = (text, offset, matches, length) => {
+  let result = "";
+  let index = 0;
+  for (const start of matches) {
+    const from = Math.max(start - offset, index);
+    const to = Math.min(start - offset + length, text.length);
+    if (to > from) {
+      result += text.slice(index, from) + invert(text.slice(from, to));
+      index = to;
+    }
+  }
+  return result + text.slice(index);
+};
+
+/**
+ * @param {PagerContent} content
+ * @param {Pager} pager
+ * @param {number} height
+ * @returns {Array<string>}
+ */
+const drawPager = (content, pager, height) => {
+  const pageSize = pagerPageSize(height);
+  const top = getPagerTop(content, pager, pageSize);
+  const visibleRows = content.rows.slice(top, top + pageSize);
+  const query = pager.search?.query;
+
+  const lines = visibleRows.map(({ lineIndex, start, end }) => {
+    const line = content.lines[lineIndex];
+    const text = line.slice(start, end);
+    return query === undefined
+      ? text
+      : highlightMatches(text, start, findMatches(line, query), query.length);
+  });
+
+  const filler = Array.from({ length: pageSize - lines.length }, () =>
+    dim("~"),
+  );
+
+  const position = dim(
+    `${top + 1}-${top + visibleRows.length}/${content.rows.length}`,
+  );
+
+  const statusLine =
+    pager.input !== undefined
+      ? `${pager.input.direction === 1 ? "/" : "?"}${pager.input.query}`
+      : pager.message !== undefined
+        ? `${position} ${bold(pager.message)}`
+        : `${position} ${[
+            `${shortcut("/?", { pad: false })} search`,
+            `${shortcut("n/N", { pad: false })} next/previous`,
+            `${shortcut("g/G", { pad: false })} top/bottom`,
+            `${shortcut("q", { pad: false })} close`,
+          ].join(" ")}`;
+
+  return [...lines, ...filler, truncate(statusLine, content.width)];
+};
+
+const SPLIT_MIN_WIDTH = 20;
+// The header row and two rows of output.
+const SPLIT_MIN_HEIGHT = 3;
+
+/**
+ * The panes of the split view. The last row of the terminal is used for the
+ * keyboard shortcuts. Each pane starts with a header row, and panes side by
+ * side are separated by a column.
+ *
+ * @param {number} count
+ * @param {Split["direction"]} direction
+ * @param {number} width
+ * @param {number} height
+ * @returns {Array<{ x: number, y: number, width: number, height: number }>}
+ */
+const getSplitPanes = (count, direction, width, height) => {
+  const available = Math.max(SPLIT_MIN_HEIGHT, height - 1);
+  return Array.from({ length: count }, (_, index) => {
+    switch (direction) {
+      case "SideBySide": {
+        const x = Math.floor((index * (width + 1)) / count);
+        const nextX = Math.floor(((index + 1) * (width + 1)) / count);
+        return {
+          x,
+          y: 0,
+          width: Math.max(1, nextX - x - 1),
+          height: available,
+        };
+      }
+      case "Stacked": {
+        const y = Math.floor((index * available) / count);
+        const nextY = Math.floor(((index + 1) * available) / count);
+        return { x: 0, y, width, height: Math.max(2, nextY - y) };
+      }
+    }
+  });
+};
+
+/**
+ * @param {Split["direction"]} direction
+ * @param {number} width
+ * @param {number} height
+ * @returns {number}
+ */
+const maxSplitPanes = (direction, width, height) =>
+  Math.max(
+    1,
+    direction === "SideBySide"
+      ? Math.floor((width + 1) / (SPLIT_MIN_WIDTH + 1))
+      : Math.floor((height - 1) / SPLIT_MIN_HEIGHT),
+  );
+
+// Finished escapes, and the control characters that move the cursor.
+const SCREEN_TOKEN =
+  /(\x1B\[[0-?]*[ -/]*[@-~]|\x1B\][^\x1B\x07]*(?:\x07|\x1B\\)|\x1B[^[\]]|[\x00-\x1F\x7F])/;
+
+// Emoji and East Asian characters take two columns, roughly. Combining
+// characters are added to the previous column.
+const WIDE_CHARACTER =
+  /^[\p{Emoji_Presentation}\u1100-\u115F\u2E80-\u303E\u3041-\u33FF\u3400-\u4DBF\u4E00-\u9FFF\uA000-\uA4CF\uAC00-\uD7A3\uF900-\uFAFF\uFE30-\uFE4F\uFF00-\uFF60\uFFE0-\uFFE6]$/u;
+const COMBINING_CHARACTER = /^(?:\p{M}|\u200D|\uFE0F)$/u;
+
+/**
+ * @param {string} char A single code point.
+ * @returns {number}
+ */
+const getCharWidth = (char) =>
+  COMBINING_CHARACTER.test(char) ? 0 : WIDE_CHARACTER.test(char) ? 2 : 1;
+
+/**
+ * @param {string} string
+ * @returns {number}
+ */
+const displayWidth = (string) => {
+  let width = 0;
+  for (const char of string) {
+    width += getCharWidth(char);
+  }
+  return width;
+};
+
+/**
+ * A wide character is followed by a cell with an empty `char`.
+ *
+ * @typedef {{ char: string, graphicRendition: string }} ScreenCell
+ */
+
+/**
+ * A small terminal screen for the split view, which can’t just print the
+ * output like the focused command view does. It is the size of the pane, and
+ * is updated as output arrives (see `Command#pushHistory`). `x === width` means
+ * that the next character goes on the next row, like in real terminals.
+ *
+ * @typedef {{
+    width: number,
+    height: number,
+    rows: Array<Array<ScreenCell>>,
+    x: number,
+    y: number,
+    graphicRendition: string,
+    savedCursor: { x: number, y: number } | undefined,
+   }} Screen
+ */
+
+/**
+ * Only the end of the history is used, since only the last rows fit in a pane
+ * anyway. Cursor movement at the start of that might be a bit off, since it is
+ * relative to output that is left out.
+ *
+ * @param {string} history
+ * @param {number} width
+ * @param {number} height
+ * @returns {Screen}
+ */
+const createScreen = (history, width, height) => {
+  /** @type {Screen} */
+  const screen = {
+    width,
+    height,
+    rows: Array.from({ length: height }, () => []),
+    x: 0,
+    y: 0,
+    graphicRendition: "",
+    savedCursor: undefined,
+  };
+  const maxLength = Math.max(10000, width * height * 10);
+  const start =
+    history.length > maxLength
+      ? Math.max(
+          history.length - maxLength,
+          history.indexOf("\n", history.length - maxLength) + 1,
+        )
+      : 0;
+  writeScreen(screen, history.slice(start));
+  return screen;
+};
+
+/**
+ * The screen is made from the history the first time a command is shown in a
+ * pane (or when the pane changes size), and is after that updated as output
+ * arrives.
+ *
+ * @param {Command} command
+ * @param {number} width
+ * @param {number} height
+ * @returns {Screen}
+ */
+const getCommandScreen = (command, width, height) => {
+  if (
+    command.screen === undefined ||
+    command.screen.width !== width ||
+    command.screen.height !== height
+  ) {
+    command.screen = createScreen(command.history, width, height);
+  }
+  return command.screen;
+};
+
+/**
+ * @param {Screen} screen
+ * @returns {void}
+ */
+const screenLineFeed = (screen) => {
+  if (screen.y < screen.height - 1) {
+    screen.y++;
+  } else {
+    screen.rows.shift();
+    screen.rows.push([]);
+  }
+};
+
+/**
+ * Erases from `from` up to (but not including) `to` on the current row.
+ *
+ * @param {Screen} screen
+ * @param {number} from
+ * @param {number} to
+ * @returns {void}
+ */
+const screenEraseInRow = (screen, from, to) => {
+  const row = screen.rows[screen.y];
+  if (to >= row.length) {
+    row.length = Math.min(row.length, from);
+  } else {
+    for (let x = from; x < to; x++) {
+      row[x] = { char: " ", graphicRendition: "" };
+    }
+  }
+};
+
+/**
+ * Applies colors, line feeds, carriage returns, backspace, tabs, cursor
+ * movement and erasing. Other escapes are ignored, which is good enough for
+ * most command line tools.
+ *
+ * @param {Screen} screen
+ * @param {string} data
+ * @returns {void}
+ */
+const writeScreen = (screen, data) => {
+  const { width, height } = screen;
+  for (const [index, part] of data.split(SCREEN_TOKEN).entries()) {
+    if (index % 2 === 0) {
+      for (const char of part) {
+        const charWidth = getCharWidth(char);
+        if (charWidth === 0) {
+          const row = screen.rows[screen.y];
+          const previous = row[Math.min(screen.x, row.length) - 1];
+          if (previous !== undefined) {
+            previous.char += char;
+          }
+          continue;
+        }
+        if (screen.x + charWidth > width) {
+          screen.x = 0;
+          screenLineFeed(screen);
+        }
+        const row = screen.rows[screen.y];
+        while (row.length < screen.x) {
+          row.push({ char: " ", graphicRendition: "" });
+        }
+        const { graphicRendition } = screen;
+        row[screen.x] = { char, graphicRendition };
+        if (charWidth === 2) {
+          row[screen.x + 1] = { char: "", graphicRendition };
+        }
+        screen.x += charWidth;
+      }
+      continue;
+    }
+
+    if (/^\x1B\[0*m$/.test(part)) {
+      screen.graphicRendition = "";
+      continue;
+    }
+    if (/^\x1B\[[\d;:]*m$/.test(part)) {
+      screen.graphicRendition += part;
+      continue;
+    }
+
+    const csi = /^\x1B\[([\d;]*)([A-HJKdf])$/.exec(part);
+    if (csi === null) {
+      switch (part) {
+        case "\n":
+          screenLineFeed(screen);
+          break;
+        case "\r":
+          screen.x = 0;
+          break;
+        case "\b":
+          screen.x = Math.max(0, Math.min(screen.x, width - 1) - 1);
+          break;
+        case "\t":
+          screen.x = Math.min(width - 1, screen.x + 8 - (screen.x % 8));
+          break;
+        case "\x1B7":
+          screen.savedCursor = { x: screen.x, y: screen.y };
+          break;
+        case "\x1B8":
+          if (screen.savedCursor !== undefined) {
+            ({ x: screen.x, y: screen.y } = screen.savedCursor);
+          }
+          break;
+      }
+      continue;
+    }
+
+    const [, params, command] = csi;
+    const [first = 0, second = 0] = params.split(";").map(Number);
+    // Missing counts and positions mean 1.
+    const count = Math.max(1, first);
+    const x = Math.min(screen.x, width - 1);
+    switch (command) {
+      case "A":
+        screen.y = Math.max(0, screen.y - count);
+        screen.x = x;
+        break;
+      case "B":
+        screen.y = Math.min(height - 1, screen.y + count);
+        screen.x = x;
+        break;
+      case "C":
+        screen.x = Math.min(width - 1, x + count);
+        break;
+      case "D":
+        screen.x = Math.max(0, x - count);
+        break;
+      case "E":
+        screen.y = Math.min(height - 1, screen.y + count);
+        screen.x = 0;
+        break;
+      case "F":
+        screen.y = Math.max(0, screen.y - count);
+        screen.x = 0;
+        break;
+      case "G":
+        screen.x = Math.min(width - 1, count - 1);
+        break;
+      case "d":
+        screen.y = Math.min(height - 1, count - 1);
+        screen.x = x;
+        break;
+      case "H":
+      case "f":
+        screen.y = Math.min(height - 1, count - 1);
+        screen.x = Math.min(width - 1, Math.max(1, second) - 1);
+        break;
+      case "J":
+        if (first === 0) {
+          screenEraseInRow(screen, x, width);
+          for (let y = screen.y + 1; y < height; y++) {
+            screen.rows[y] = [];
+          }
+        } else if (first === 1) {
+          screenEraseInRow(screen, 0, x + 1);
+          for (let y = 0; y < screen.y; y++) {
+            screen.rows[y] = [];
+          }
+        } else {
+          screen.rows = Array.from({ length: height }, () => []);
+        }
+        break;
+      case "K":
+        if (first === 0) {
+          screenEraseInRow(screen, x, width);
+        } else if (first === 1) {
+          screenEraseInRow(screen, 0, x + 1);
+        } else {
+          screenEraseInRow(screen, 0, width);
+        }
+        break;
+    }
+  }
+};
+
+/**
+ * @param {Array<ScreenCell>} cells
+ * @returns {string}
+ */
+const drawScreenCells = (cells) => {
+  let result = "";
+  let graphicRendition = "";
+  for (const cell of cells) {
+    if (cell.graphicRendition !== graphicRendition) {
+      result += RESET_COLOR + cell.graphicRendition;
+      ({ graphicRendition } = cell);
+    }
+    result += cell.char;
+  }
+  return graphicRendition === "" ? result : result + RESET_COLOR;
+};
+
+/**
+ * Draws the whole terminal, one string per row. Also returns where to show
+ * the cursor of the focused command, if it is running.
+ *
+ * @param {Array<Command>} commands
+ * @param {Split} split
+ * @param {{ width: number, height: number, useSeparateKilledIndicator: boolean }} options
+ * @returns {{ lines: Array<string>, cursor: { x: number, y: number } | undefined }}
+ */
+const drawSplit = (
+  commands,
+  split,
+  { width, height, useSeparateKilledIndicator },
+) => {
+  const panes = getSplitPanes(
+    split.indexes.length,
+    split.direction,
+    width,
+    height,
+  );
+  /** @type {Array<string>} */
+  const lines = Array.from(
+    { length: Math.max(...panes.map((pane) => pane.y + pane.height)) },
+    () => "",
+  );
+  /** @type {{ x: number, y: number } | undefined} */
+  let cursor = undefined;
+
+  for (const [paneIndex, index] of split.indexes.entries()) {
+    const pane = panes[paneIndex];
+    const command = commands[index];
+    const isFocused = index === split.focused;
+    const [icon] = statusText(command.status, {
+      statusFromRules: command.statusFromRules ?? defaultIndicator(command),
+      useSeparateKilledIndicator,
+    });
+    const title = truncate(
+      `${command.label ?? " "} ${command.titlePossiblyWithGraphicRenditions}`,
+      pane.width - ICON_WIDTH - 1,
+    );
+    const paddedTitle = `${title}${" ".repeat(
+      Math.max(
+        0,
+        pane.width - ICON_WIDTH - 1 - removeGraphicRenditions(title).length,
+      ),
+    )}`;
+    // The width of emojis varies between terminals, so move the cursor
+    // explicitly after the icon.
+    lines[pane.y] += `${cursorHorizontalAbsolute(
+      pane.x + 1,
+    )}${RESET_COLOR}${icon}${cursorHorizontalAbsolute(
+      pane.x + ICON_WIDTH + 1,
+    )}${RESET_COLOR} ${isFocused ? invert(paddedTitle) : bold(paddedTitle)}`;
+
+    const numRows = pane.height - 1;
+    /** @type {Array<string>} */
+    let rows = [];
+    if (command.isOnAlternateScreen) {
+      rows = [
+        truncate(dim("Full screen – focus the command to see it."), pane.width),
+      ];
+    } else {
+      const screen = getCommandScreen(command, pane.width, numRows);
+      rows = screen.rows.map(
+        (cells) =>
+          drawScreenCells(cells) + " ".repeat(pane.width - cells.length),
+      );
+      if (isFocused && "terminal" in command.status) {
+        cursor = {
+          x: pane.x + Math.min(screen.x, pane.width - 1),
+          y: pane.y + 1 + screen.y,
+        };
+      }
+    }
+
+    for (let row = 0; row < numRows; row++) {
+      lines[pane.y + 1 + row] +=
+        cursorHorizontalAbsolute(pane.x + 1) +
+        (rows[row] ?? " ".repeat(pane.width));
+    }
+  }
+
+  if (split.direction === "SideBySide") {
+    for (const pane of panes.slice(0, -1)) {
+      for (let row = 0; row < pane.height; row++) {
+        lines[row] += `${cursorHorizontalAbsolute(
+          pane.x + pane.width + 1,
+        )}${dim("│")}`;
+      }
+    }
+  }
+
+  const focusedCommand = commands[split.focused];
+  const helpText = [
+    `${shortcut(KEYS.nextPane, { pad: false })} next pane`,
+    `${shortcut(KEYS.split, { pad: false })} ${
+      split.direction === "SideBySide" ? "stacked" : "side by side"
+    }`,
+    `${shortcut(KEYS.dashboard, { pad: false })} dashboard`,
+    focusedCommand.status.tag === "Exit"
+      ? `${shortcut(KEYS.restart, { pad: false })} restart`
+      : `${shortcut(KEYS.kill, { pad: false })} kill`,
+  ].join(" ");
+
+  return {
+    lines: [...lines, truncate(helpText, width)].map(
+      (line) => `${line}${RESET_COLOR}`,
+    ),
+    cursor,
+  };
+};
+
+// The prefixes in the all output view cycle through these colors.
+const ALL_OUTPUT_COLORS = [36, 33, 35, 32, 34, 31];
+
+/**
+ * @param {Command} command
+ * @param {number} index
+ * @returns {string}
+ */
+const allOutputPrefix = (command, index) => {
+  const prefix = `[${command.label ?? index + 1} ${command.title}]`;
+  return NO_COLOR
+    ? prefix
+    : `\x1B[${
+        ALL_OUTPUT_COLORS[index % ALL_OUTPUT_COLORS.length]
+      }m${prefix}${RESET_COLOR}`;
+};
+
+/**
+ * Splits output into whole lines for the all output view, and returns the
+ * unfinished last line separately. Only the last state of lines redrawn with
+ * carriage returns (like progress bars) is kept, and escapes other than colors
+ * are removed, since they could mess up the lines of other commands.
+ *
+ * @param {string} partialLine
+ * @param {string} data
+ * @returns {{ lines: Array<string>, partialLine: string }}
+ */
+const splitAllOutputLines = (partialLine, data) => {
+  const parts = (partialLine + data).split("\n");
+  const rest = parts.pop() ?? "";
+  return {
+    lines: parts.map(
+      (line) =>
+        line
+          .replace(ESCAPES, (match) =>
+            /^\x1B\[[\d;]*m$/.test(match) ? match : "",
+          )
+          .replace(/\r+$/, "")
+          .split("\r")
+          .pop()
+          ?.replace(/[\x00-\x08\x0B-\x1A\x1C-\x1F\x7F]/g, "") ?? "",
+    ),
+    partialLine: rest,
+  };
+};
+
+/**
+ * Shown at the top of the all output view, before the output starts
+ * streaming in below.
+ *
+ * @param {Array<Command>} commands
+ * @returns {string}
+ */
+const allOutputHelp = (commands) =>
+  `
+${shortcut(summarizeLabels(commands.map((command) => command.label)))} focus command
+${shortcut(KEYS.dashboard)} dashboard
+${shortcut(KEYS.kill)} ${killAllLabel(commands)}
+
+${dim("Output from all commands shows up below as it arrives.")}
+`.trimStart();
+
+// If a command moves the cursor to another line it’s not considered a “simple
+// log”. Then it’s not safe to print the keyboard shortcuts.
+//
+// - A, B: Cursor up/down. Moving down should be safe. So is `\n1A` (move to
+//         start of new line, then up one line) – docker-compose does that
+//         to update the previous line. We always print on the next line so it’s safe.
+// - C, D: Cursor left/right. Should be safe! Parcel does this.
+// - E, F: Cursor down/up, and to the start of the line. Moving down should be safe.
+// - G: Cursor absolute position within line. Should be safe! Again, Parcel.
+// - H, f: Cursor absolute position, both x and y. Exception: Moving to the
+//         top-left corner and clearing the screen (ctrl+l).
+// - I, Z: Cursor forward/backward by tab stops. Should be safe.
+// - J: Clear the screen in different ways. Should be safe.
+// - K: Erase in line. Should be safe.
+// - L: Insert lines.
+// - M: Delete lines.
+// - S: Scroll up.
+// - T: Scroll down.
+// - s: Save cursor position.
+// - u: Restore cursor position.
+//
+// This includes the regexes for clearing the screen, since they also affect “is
+// simple log”: They reset it to `true` sometimes.
 const NOT_SIMPLE_LOG_ESCAPE_RAW =
   /(\x1B\[0?J)|\x1B\[(?:\d*[FLMST]|[su]|(?!(?:[01](?:;[01])?)?[fH]\x1B\[[02]?J)(?:\d+(?:;\d+)?)?[fH])|(?!\n\x1B\[1?A)(?:^|[^])\x1B\[\d*A/;
 const NOT_SIMPLE_LOG_ESCAPE = RegExp(
@@ -802,14 +3048,143 @@ const NOT_SIMPLE_LOG_ESCAPE = RegExp(
 // - ]10;? and ]11;?: Report foreground/background color. https://unix.stackexchange.com/a/172674
 // - ]4;NUM;?: Report color NUM in the palette.
 // - `ESCAPES_REQUEST` also matches `BEGIN_SYNC_UPDATE` and `END_SYNC_UPDATE` at the end.
+// - It also matches run-pty’s own `STATUS_ESCAPE`, `TERMINAL_TITLE_ESCAPE` and
+//   `PROGRESS_ESCAPE`, which are no requests, but need to be taken out of the
+//   output the same way.
 const ESCAPES_REQUEST =
-  /(\x1B\[(?:\??6n|\d*(?:;\d*){0,2}t)|\x1B\](?:1[01]|4;\d+);\?(?:\x07|\x1B\\)|\x1B\[\?2026[hl])/g;
+  /(\x1B\[(?:\??6n|\d*(?:;\d*){0,2}t)|\x1B\](?:1[01]|4;\d+);\?(?:\x07|\x1B\\)|\x1B\[\?2026[hl]|\x1B\](?:7777|[012]|9;4);[^\x07\x1B]*(?:\x07|\x1B\\))/g;
 const ESCAPES_RESPONSE =
   /(\x1B\[(?:\??\d+;\d+(?:;\d+)?R|\d*(?:;\d*){0,2}t)|\x1B\](?:1[01]|4;\d+);[^\x07\x1B]+(?:\x07|\x1B\\))/g;
 const CURSOR_POSITION_RESPONSE = /(\x1B\[\??)\d+;\d+R/g;
 const CONPTY_CURSOR_MOVE = /\x1B\[\d+;1H/;
 const CONPTY_CURSOR_MOVE_REPLACEMENT = "\n\n";
 
+// Commands can set their dashboard status with an OSC escape using the
+// (made up) number 7777, instead of configuring `status` regexes:
+//
+// - `\x1B]7777;status;🚨;E\x07`: Like a `status` rule matching, with the
+//   primary and fallback indicator. The fallback can be left out, in which case
+//   the primary is used for both. `\x1B]7777;status\x07` resets the indicator.
+// - `\x1B]7777;text;3 errors\x07`: A short text shown next to the indicator.
+//   `\x1B]7777;text\x07` removes it.
+//
+// `\x1B\\` (ST) works too instead of `\x07` (BEL). The escapes are never shown.
+const STATUS_ESCAPE = /^\x1B\]7777;([^;\x07\x1B]*)(?:;([^\x07\x1B]*))?/;
+const STATUS_TEXT_MAX_LENGTH = 30;
+
+// Many tools set the terminal (window or tab) title to describe what they are
+// doing. If passed through, the commands would clobber each other’s titles. So
+// they are remembered per command instead: Shown in the dashboard, and passed
+// on to the terminal for the focused command. (OSC 1 technically sets the “icon
+// name”, but it is treated as a title just like in most terminals.)
+const TERMINAL_TITLE_ESCAPE = /^\x1B\][012];([^\x07\x1B]*)/;
+const PUSH_TERMINAL_TITLE = "\x1B[22;0t";
+const POP_TERMINAL_TITLE = "\x1B[23;0t";
+
+/**
+ * @param {string} title
+ * @returns {string}
+ */
+const setTerminalTitle = (title) =>
+  `\x1B]2;${title.replace(/[\x00-\x1F\x7F]/g, "")}\x07`;
+
+// ConEmu, Windows Terminal and tools like cargo report progress with
+// `\x1B]9;4;STATE;PERCENT\x07`. STATE is 0 (remove), 1 (normal), 2 (error),
+// 3 (indeterminate) or 4 (paused). It is shown in the dashboard.
+// https://learn.microsoft.com/en-us/windows/terminal/tutorials/progress-bar-sequences
+const PROGRESS_ESCAPE = /^\x1B\]9;4;(\d*)(?:;(\d*))?/;
+const PROGRESS_BAR_WIDTH = 5;
+
+/**
+ * @param {string} escape
+ * @returns {
+    | { tag: "Status", status: [string, string] | undefined }
+    | { tag: "Text", text: string | undefined }
+    | undefined
+   }
+ */
+const parseStatusEscape = (escape) => {
+  const match = STATUS_ESCAPE.exec(escape);
+  if (match === null) {
+    return undefined;
+  }
+  const [, kind, rawArgs = ""] = match;
+  // Control characters would mess up the dashboard.
+  const args = rawArgs.replace(/[\x00-\x1F\x7F]/g, "");
+  switch (kind) {
+    case "status": {
+      if (args === "") {
+        return { tag: "Status", status: undefined };
+      }
+      const [primary, fallback = primary] = args.split(";");
+      return { tag: "Status", status: [primary, fallback] };
+    }
+    case "text":
+      return {
+        tag: "Text",
+        text:
+          args.trim() === ""
+            ? undefined
+            : truncate(args.trim(), STATUS_TEXT_MAX_LENGTH),
+      };
+    default:
+      return undefined;
+  }
+};
+
+/**
+ * Returns `undefined` for unknown states, and `{ tag: "Progress", progress:
+ * undefined }` for removing the progress.
+ *
+ * @param {string} escape
+ * @returns {{ tag: "Progress", progress: Progress | undefined } | undefined}
+ */
+const parseProgressEscape = (escape) => {
+  const match = PROGRESS_ESCAPE.exec(escape);
+  if (match === null) {
+    return undefined;
+  }
+  const [, state, rawPercent = ""] = match;
+  const percent = Math.min(100, Number(rawPercent));
+  switch (state) {
+    case "0":
+    case "":
+      return { tag: "Progress", progress: undefined };
+    case "1":
+      return { tag: "Progress", progress: { tag: "Normal", percent } };
+    case "2":
+      return { tag: "Progress", progress: { tag: "Error", percent } };
+    case "3":
+      return { tag: "Progress", progress: { tag: "Indeterminate" } };
+    case "4":
+      return { tag: "Progress", progress: { tag: "Paused", percent } };
+    default:
+      return undefined;
+  }
+};
+
+/**
+ * @param {Progress} progress
+ * @returns {string}
+ */
+const progressText = (progress) => {
+  switch (progress.tag) {
+    case "Indeterminate":
+      return dim("░".repeat(PROGRESS_BAR_WIDTH));
+    case "Normal":
+    case "Error":
+    case "Paused": {
+      const filled = Math.round((progress.percent / 100) * PROGRESS_BAR_WIDTH);
+      const bar = "█".repeat(filled) + "░".repeat(PROGRESS_BAR_WIDTH - filled);
+      const text = `${bar} ${progress.percent}%`;
+      // Same colors as the indicators used when emojis aren’t supported.
+      const color =
+        progress.tag === "Normal" ? 92 : progress.tag === "Error" ? 91 : 93;
+      return NO_COLOR ? text : `\x1B[${color}m${text}${RESET_COLOR}`;
+    }
+  }
+};
+
 /**
  * @param {string} request
  * @returns {string}
@@ -858,6 +3233,19 @@ const UNFINISHED_ESCAPE = /\x1B(?:\[[0-?]*[ -/]*|\][^\x1B\x07]*)?$/;
 
 const GRAPHIC_RENDITIONS = /(\x1B\[(?:\d+(?:;\d+)*)?m)/g;
 
+// Any finished escape. See `UNFINISHED_ESCAPE` for the different kinds.
+const ESCAPES =
+  /\x1B(?:\[[0-?]*[ -/]*[@-~]|\][^\x1B\x07]*(?:\x07|\x1B\\)|[^[\]])/g;
+
+/**
+ * For `--log-plain`.
+ *
+ * @param {string} string
+ * @returns {string}
+ */
+const removeEscapes = (string) =>
+  string.replace(ESCAPES, "").replace(/\r\n/g, "\n");
+
 /**
  * @param {string} string
  * @returns {string}
@@ -970,28 +3358,79 @@ const cmdEscapeArg = (arg) =>
   );
 
 const AUTO_EXIT_REGEX = /^--auto-exit(?:=(\d+|auto))?$/;
+const LOG_DIR_REGEX = /^--log-dir=(.+)$/;
+const LOG_MAX_SIZE_REGEX = /^--log-max-size=(\d+)([KMG]?)$/;
+const LOG_MAX_SIZE_DEFAULT = 10 * 1024 ** 2; // bytes
+const SOCKET_REGEX = /^--socket(?:=(.+))?$/;
+const TIMESTAMPS_REGEX = /^--timestamps(?:=(wall|relative))?$/;
+const NOTIFY_REGEX = /^--notify(?:=(.+))?$/;
+const CWD_REGEX = /^--cwd=(.+)$/;
+
+/** @type {Record<string, Notify>} */
+const NOTIFY_KINDS = {
+  off: { tag: "Off" },
+  bell: { tag: "Bell" },
+  osc9: { tag: "Osc9" },
+  osc777: { tag: "Osc777" },
+};
 
 /**
  * @typedef {
     | { tag: "Help" }
     | { tag: "NoCommands" }
     | { tag: "Error", message: string }
-    | { tag: "Parsed", commands: Array<CommandDescription>, autoExit: AutoExit }
+    | { tag: "Parsed", commands: Array<CommandDescription>, autoExit: AutoExit, log: LogOptions, notify: Notify, socket: string | undefined, configFile: string | undefined, flagDefaults: FlagDefaults }
    } ParseResult
  *
+ * @typedef {{
+    logDir: string | undefined,
+    timestamps: Timestamps | undefined,
+    notify: Notify | undefined,
+   }} FlagDefaults
+ *
  * @typedef {{
     title: string,
+    id?: string,
+    dependsOn: Array<string>,
+    group?: string,
     cwd: string,
+    env: Record<string, string | null>,
     command: Array<string>,
     status: Array<[RegExp, [string, string] | undefined]>,
     defaultStatus?: [string, string] | undefined,
+    ready?: RegExp | number,
+    restart: RestartPolicy,
+    maxRestarts?: number,
+    watch: Array<string>,
+    watchIgnore: Array<string>,
+    watchDebounce: number,
+    logFile?: string,
     killAllSequence: string,
+    timestamps?: Timestamps,
+    notify?: Notify,
    }} CommandDescription
  *
+ * @typedef {"no" | "on-failure" | "always"} RestartPolicy
+ *
+ * @typedef {"off" | "wall" | "relative"} Timestamps
+ *
+ * @typedef {
+    | { tag: "Off" }
+    | { tag: "Bell" }
+    | { tag: "Osc9" }
+    | { tag: "Osc777" }
+    | { tag: "Command", command: Array<string> }
+   } Notify
+ *
  * @typedef {
     | { tag: "NoAutoExit" }
     | { tag: "AutoExit", maxParallel: number }
    } AutoExit
+ *
+ * @typedef {{
+    plain: boolean,
+    maxSize: number,
+   }} LogOptions
  */
 
 /**
@@ -1007,11 +3446,57 @@ const parseArgs = (args) => {
 
   /** @type {AutoExit} */
   let autoExit = { tag: "NoAutoExit" };
+  /** @type {string | undefined} */
+  let logDir = undefined;
+  /** @type {LogOptions} */
+  const log = { plain: false, maxSize: LOG_MAX_SIZE_DEFAULT };
+  /** @type {string | undefined} */
+  let socket = undefined;
+  /** @type {Timestamps | undefined} */
+  let timestamps = undefined;
+  /** @type {Notify | undefined} */
+  let notify = undefined;
 
   for (const flag of flags) {
     if (flag === "-h" || flag === "--help") {
       return { tag: "Help" };
     }
+    if (flag === "--log-plain") {
+      log.plain = true;
+      continue;
+    }
+    const logDirMatch = LOG_DIR_REGEX.exec(flag);
+    if (logDirMatch !== null) {
+      logDir = logDirMatch[1];
+      continue;
+    }
+    const socketMatch = SOCKET_REGEX.exec(flag);
+    if (socketMatch !== null) {
+      socket = socketMatch[1] ?? defaultSocketPath();
+      continue;
+    }
+    const timestampsMatch = TIMESTAMPS_REGEX.exec(flag);
+    if (timestampsMatch !== null) {
+      timestamps = timestampsMatch[1] === "relative" ? "relative" : "wall";
+      continue;
+    }
+    const notifyMatch = NOTIFY_REGEX.exec(flag);
+    if (notifyMatch !== null) {
+      const [, kind = "bell"] = notifyMatch;
+      notify = Object.hasOwn(NOTIFY_KINDS, kind)
+        ? NOTIFY_KINDS[kind]
+        : { tag: "Command", command: [kind] };
+      continue;
+    }
+    const logMaxSizeMatch = LOG_MAX_SIZE_REGEX.exec(flag);
+    if (logMaxSizeMatch !== null) {
+      const [, size, unit] = logMaxSizeMatch;
+      log.maxSize = Number(size) * 1024 ** ["", "K", "M", "G"].indexOf(unit);
+      if (log.maxSize === 0) {
+        return { tag: "Error", message: "--log-max-size must be at least 1." };
+      }
+      continue;
+    }
     const match = AUTO_EXIT_REGEX.exec(flag);
     if (match !== null) {
       const maxParallel =
@@ -1032,6 +3517,10 @@ const parseArgs = (args) => {
           `Bad flag: ${flag}`,
           "Only these forms are accepted:",
           autoExitHelp,
+          logHelp,
+          timestampsHelp,
+          notifyHelp,
+          socketHelp,
         ].join("\n"),
       };
     }
@@ -1042,7 +3531,20 @@ const parseArgs = (args) => {
       const commands = parseInputFile(fs.readFileSync(restArgs[0], "utf8"));
       return commands.length === 0
         ? { tag: "NoCommands" }
-        : { tag: "Parsed", commands, autoExit };
+        : {
+            tag: "Parsed",
+            commands: withFlagDefaults(commands, {
+              logDir,
+              timestamps,
+              notify,
+            }),
+            autoExit,
+            log,
+            notify: notify ?? { tag: "Off" },
+            socket,
+            configFile: restArgs[0],
+            flagDefaults: { logDir, timestamps, notify },
+          };
     } catch (errorAny) {
       /** @type {Error & {code?: string} | undefined} */
       const error = errorAny instanceof Error ? errorAny : undefined;
@@ -1067,12 +3569,38 @@ const parseArgs = (args) => {
     }
   }
 
-  const delimiter = restArgs[0];
+  const commands = splitCommands(restArgs, restArgs[0]);
 
+  if (commands.length === 0) {
+    return { tag: "NoCommands" };
+  }
+
+  return {
+    tag: "Parsed",
+    commands: withFlagDefaults(commands.map(simpleCommandDescription), {
+      logDir,
+      timestamps,
+      notify,
+    }),
+    autoExit,
+    log,
+    notify: notify ?? { tag: "Off" },
+    socket,
+    configFile: undefined,
+    flagDefaults: { logDir, timestamps, notify },
+  };
+};
+
+/**
+ * @param {Array<string>} args
+ * @param {string} delimiter
+ * @returns {Array<Array<string>>}
+ */
+const splitCommands = (args, delimiter) => {
   let command = [];
   const commands = [];
 
-  for (const arg of restArgs) {
+  for (const arg of args) {
     if (arg === delimiter) {
       if (command.length > 0) {
         commands.push(command);
@@ -1083,28 +3611,299 @@ const parseArgs = (args) => {
     }
   }
 
-  if (command.length > 0) {
-    commands.push(command);
+  if (command.length > 0) {
+    commands.push(command);
+  }
+
+  return commands;
+};
+
+/**
+ * A command given on the command line, which can’t have any of the settings
+ * of the JSON format.
+ *
+ * @param {Array<string>} command
+ * @returns {CommandDescription}
+ */
+const simpleCommandDescription = (command) => ({
+  title: commandToPresentationName(command),
+  dependsOn: [],
+  cwd: ".",
+  env: {},
+  command,
+  status: [],
+  defaultStatus: undefined,
+  restart: "no",
+  watch: [],
+  watchIgnore: [],
+  watchDebounce: WATCH_DEBOUNCE_DEFAULT,
+  killAllSequence: KEY_CODES.kill,
+});
+
+/**
+ * Splits a command line typed in the dashboard into arguments. Whitespace,
+ * quotes and backslashes work like in a shell, but nothing else does (such as
+ * variables and globs).
+ *
+ * @param {string} string
+ * @returns {Array<string> | undefined} `undefined` if a quote isn’t closed.
+ */
+const splitCommandLine = (string) => {
+  /** @type {Array<string>} */
+  const args = [];
+  let arg = "";
+  let hasArg = false;
+  /** @type {string | undefined} */
+  let quote = undefined;
+
+  for (let index = 0; index < string.length; index++) {
+    const char = string[index];
+    if (quote === "'") {
+      if (char === "'") {
+        quote = undefined;
+      } else {
+        arg += char;
+      }
+    } else if (
+      char === "\\" &&
+      index + 1 < string.length &&
+      (quote === undefined || /["\\$`]/.test(string[index + 1]))
+    ) {
+      index++;
+      arg += string[index];
+      hasArg = true;
+    } else if (quote === '"') {
+      if (char === '"') {
+        quote = undefined;
+      } else {
+        arg += char;
+      }
+    } else if (char === "'" || char === '"') {
+      quote = char;
+      hasArg = true;
+    } else if (/\s/.test(char)) {
+      if (hasArg) {
+        args.push(arg);
+        arg = "";
+        hasArg = false;
+      }
+    } else {
+      arg += char;
+      hasArg = true;
+    }
+  }
+
+  if (quote !== undefined) {
+    return undefined;
+  }
+  if (hasArg) {
+    args.push(arg);
+  }
+  return args;
+};
+
+/**
+ * Parses a command line typed in the dashboard: One or more commands separated
+ * by `%`, optionally preceded by `--cwd=<dir>`. When duplicating a command, the
+ * new commands get all the settings of the `template`, except its id and log
+ * file.
+ *
+ * @param {string} string
+ * @param {CommandDescription | undefined} template
+ * @returns {{ tag: "Error", message: string } | { tag: "Parsed", commands: Array<CommandDescription> }}
+ */
+const parseCommandInput = (string, template) => {
+  const args = splitCommandLine(string);
+  if (args === undefined) {
+    return { tag: "Error", message: "Missing closing quote." };
+  }
+
+  const [flags, restArgs] = partitionArgs(args);
+  let cwd = template?.cwd ?? ".";
+  for (const flag of flags) {
+    const match = CWD_REGEX.exec(flag);
+    if (match === null) {
+      return {
+        tag: "Error",
+        message: `Bad flag: ${flag}\nOnly --cwd=<dir> is accepted.`,
+      };
+    }
+    cwd = match[1];
   }
 
+  const commands = splitCommands(restArgs, "%");
   if (commands.length === 0) {
-    return { tag: "NoCommands" };
+    return { tag: "Error", message: "Type a command to run." };
   }
 
   return {
     tag: "Parsed",
-    commands: commands.map((command2) => ({
-      title: commandToPresentationName(command2),
-      cwd: ".",
-      command: command2,
-      status: [],
-      defaultStatus: undefined,
-      killAllSequence: KEY_CODES.kill,
-    })),
-    autoExit,
+    commands: commands.map((command) => {
+      if (template === undefined) {
+        return { ...simpleCommandDescription(command), cwd };
+      }
+      const description = {
+        ...template,
+        title:
+          template.title === commandToPresentationName(template.command)
+            ? commandToPresentationName(command)
+            : template.title,
+        cwd,
+        command,
+      };
+      // Ids need to be unique, and two commands can’t share a log file.
+      delete description.id;
+      delete description.logFile;
+      return description;
+    }),
   };
 };
 
+/**
+ * The text to edit when duplicating a command.
+ *
+ * @param {CommandDescription} commandDescription
+ * @returns {string}
+ */
+const commandInputText = ({ cwd, command }) =>
+  commandToPresentationName(
+    cwd === "." ? command : [`--cwd=${cwd}`, ...command],
+  );
+
+/**
+ * Matches the commands of a reloaded config file with the previous ones, by id
+ * or by title if there’s no id. Commands with the same title are matched in
+ * order. Indexes refer to `before`.
+ *
+ * @param {Array<CommandDescription>} before
+ * @param {Array<CommandDescription>} after
+ * @returns {{
+    changed: Array<{ index: number, commandDescription: CommandDescription, needsRestart: boolean }>,
+    added: Array<CommandDescription>,
+    removed: Array<number>,
+   }}
+ */
+const diffCommandDescriptions = (before, after) => {
+  const unmatched = Array.from(before.keys());
+  /** @type {Array<{ index: number, commandDescription: CommandDescription, needsRestart: boolean }>} */
+  const changed = [];
+  /** @type {Array<CommandDescription>} */
+  const added = [];
+
+  for (const commandDescription of after) {
+    const name =
+      commandDescription.id ??
+      removeGraphicRenditions(commandDescription.title);
+    const unmatchedIndex = unmatched.findIndex((index) =>
+      hasName(before[index], name),
+    );
+    if (unmatchedIndex === -1) {
+      added.push(commandDescription);
+      continue;
+    }
+    const [index] = unmatched.splice(unmatchedIndex, 1);
+    if (
+      stringifyCommandDescription(before[index]) !==
+      stringifyCommandDescription(commandDescription)
+    ) {
+      changed.push({
+        index,
+        commandDescription,
+        // Other changes, like status rules, apply to the running command.
+        needsRestart:
+          JSON.stringify([
+            before[index].command,
+            before[index].cwd,
+            before[index].env,
+          ]) !==
+          JSON.stringify([
+            commandDescription.command,
+            commandDescription.cwd,
+            commandDescription.env,
+          ]),
+      });
+    }
+  }
+
+  return { changed, added, removed: unmatched };
+};
+
+/**
+ * `JSON.stringify` turns regexes into `{}`, so stringify them as source.
+ *
+ * @param {CommandDescription} commandDescription
+ * @returns {string}
+ */
+const stringifyCommandDescription = (commandDescription) =>
+  JSON.stringify(commandDescription, (_key, value) =>
+    value instanceof RegExp ? value.toString() : /** @type {unknown} */ (value),
+  );
+
+/**
+ * @returns {string}
+ */
+const defaultSocketPath = () =>
+  IS_WINDOWS
+    ? `\\\\.\\pipe\\run-pty-${process.pid}`
+    : path.join(os.tmpdir(), `run-pty-${process.pid}.sock`);
+
+/**
+ * Commands without a `logFile` get one in `logDir`, named after the title.
+ *
+ * @param {Array<CommandDescription>} commands
+ * @param {string | undefined} logDir
+ * @param {Array<string>} existingLogFiles Log files of other commands.
+ * @returns {Array<CommandDescription>}
+ */
+const withLogFiles = (commands, logDir, existingLogFiles) => {
+  if (logDir === undefined) {
+    return commands;
+  }
+  const usedLogFiles = new Set(existingLogFiles);
+  return commands.map((command) => {
+    if (command.logFile !== undefined) {
+      return command;
+    }
+    const slug = removeGraphicRenditions(command.title)
+      .replace(/[^\w.-]+/g, "-")
+      .replace(/^[-.]+|-+$/g, "")
+      .slice(0, 100);
+    const base = slug === "" ? "command" : slug;
+    let logFile = path.join(logDir, `${base}.log`);
+    for (let index = 2; usedLogFiles.has(logFile); index++) {
+      logFile = path.join(logDir, `${base}-${index}.log`);
+    }
+    usedLogFiles.add(logFile);
+    return { ...command, logFile };
+  });
+};
+
+/**
+ * Applies `--log-dir`, `--timestamps` and `--notify` to the commands that
+ * don’t set those themselves. Used both for the commands given at startup and
+ * for commands added in the dashboard.
+ *
+ * @param {Array<CommandDescription>} commands
+ * @param {FlagDefaults} flags
+ * @param {Array<string>} existingLogFiles Log files of other commands.
+ * @returns {Array<CommandDescription>}
+ */
+const withFlagDefaults = (
+  commands,
+  { logDir, timestamps, notify },
+  existingLogFiles = [],
+) =>
+  withLogFiles(commands, logDir, existingLogFiles).map((command) => {
+    const result = { ...command };
+    if (result.timestamps === undefined && timestamps !== undefined) {
+      result.timestamps = timestamps;
+    }
+    if (result.notify === undefined && notify !== undefined) {
+      result.notify = notify;
+    }
+    return result;
+  });
+
 const LOOKS_LIKE_FLAG = /^--?\w/;
 
 /**
@@ -1124,7 +3923,7 @@ const partitionArgs = (args) => {
  * @returns {Array<CommandDescription>}
  */
 const parseInputFile = (string) => {
-  const result = Codec.JSON.parse(Codec.array(commandDescriptionCodec), string);
+  const result = Codec.JSON.parse(commandDescriptionsCodec, string);
   switch (result.tag) {
     case "Valid":
       return result.value;
@@ -1141,24 +3940,37 @@ const statusCodec = Codec.map(
   },
 );
 
+/**
+ * @param {string} source
+ * @param {Array<number | string>} errorPath
+ * @returns {Codec.DecoderResult<RegExp>}
+ */
+const decodeRegex = (source, errorPath) => {
+  try {
+    return { tag: "Valid", value: RegExp(source, "u") };
+  } catch (error) {
+    return {
+      tag: "DecoderError",
+      error: {
+        tag: "custom",
+        message: error instanceof Error ? error.message : String(error),
+        got: source,
+        path: errorPath,
+      },
+    };
+  }
+};
+
 const statusesCodec = Codec.flatMap(Codec.record(statusCodec), {
   decoder: (record) => {
     /** @type {Array<[RegExp, Codec.Infer<typeof statusCodec>]>} */
     const result = [];
     for (const [key, value] of Object.entries(record)) {
-      try {
-        result.push([RegExp(key, "u"), value]);
-      } catch (error) {
-        return {
-          tag: "DecoderError",
-          error: {
-            tag: "custom",
-            message: error instanceof Error ? error.message : String(error),
-            got: key,
-            path: [key],
-          },
-        };
+      const regexResult = decodeRegex(key, [key]);
+      if (regexResult.tag === "DecoderError") {
+        return regexResult;
       }
+      result.push([regexResult.value, value]);
     }
     return { tag: "Valid", value: result };
   },
@@ -1166,6 +3978,215 @@ const statusesCodec = Codec.flatMap(Codec.record(statusCodec), {
     Object.fromEntries(items.map(([key, value]) => [key.source, value])),
 });
 
+/**
+ * @type {Codec.Codec<RegExp | number>}
+ */
+const readyCodec = Codec.flatMap(Codec.multi(["string", "number"]), {
+  /** @returns {Codec.DecoderResult<RegExp | number>} */
+  decoder: (value) => {
+    switch (value.type) {
+      case "string":
+        return decodeRegex(value.value, []);
+      case "number":
+        return value.value >= 0
+          ? { tag: "Valid", value: value.value }
+          : {
+              tag: "DecoderError",
+              error: {
+                tag: "custom",
+                message: "Expected a non-negative number of milliseconds",
+                got: value.value,
+                path: [],
+              },
+            };
+    }
+  },
+  encoder: (value) =>
+    typeof value === "number"
+      ? { type: "number", value }
+      : { type: "string", value: value.source },
+});
+
+/**
+ * @param {Notify} notify
+ * @param {string} message
+ * @returns {void}
+ */
+const sendNotification = (notify, message) => {
+  // Control characters would end the escape sequences early.
+  const text = message.replace(/[\x00-\x1F\x7F]/g, "");
+  switch (notify.tag) {
+    case "Off":
+      return;
+
+    case "Bell":
+      process.stdout.write("\x07");
+      return;
+
+    case "Osc9":
+      process.stdout.write(`\x1B]9;${text}\x07`);
+      return;
+
+    case "Osc777":
+      process.stdout.write(`\x1B]777;notify;run-pty;${text}\x07`);
+      return;
+
+    case "Command": {
+      const [file, ...args] = notify.command;
+      const child = childProcess.spawn(file, [...args, "run-pty", text], {
+        stdio: "ignore",
+        detached: true,
+      });
+      // A missing or failing notifier shouldn’t take run-pty down.
+      child.on("error", () => undefined);
+      child.unref();
+      return;
+    }
+  }
+};
+
+/**
+ * @param {Command} command
+ * @returns {string}
+ */
+const notificationText = (command) =>
+  `${removeGraphicRenditions(getIndicatorChoice(command))} ${command.title}${
+    command.status.tag === "Exit" ? `: exit ${command.status.exitCode}` : ""
+  }`;
+
+/**
+ * @typedef {{
+    schedule: (command: Command) => void,
+    forget: (command: Command) => void,
+    flush: () => void,
+    cancelAll: () => void,
+   }} NotificationScheduler
+ */
+
+/**
+ * Notifies about how things are for a command a moment from now. Further
+ * scheduling while a notification is pending doesn’t do anything, and
+ * notifications are sent at most every `NOTIFY_INTERVAL` per command.
+ * `flush` sends the pending notifications right away.
+ *
+ * @returns {NotificationScheduler}
+ */
+const createNotificationScheduler = () => {
+  /** @type {Map<Command, NodeJS.Timeout>} */
+  const pendingNotifications = new Map();
+  /** @type {Map<Command, number>} */
+  const lastNotificationAt = new Map();
+
+  /**
+   * @param {Command} command
+   * @returns {void}
+   */
+  const send = (command) => {
+    pendingNotifications.delete(command);
+    lastNotificationAt.set(command, Date.now());
+    sendNotification(command.notify, notificationText(command));
+  };
+
+  return {
+    schedule: (command) => {
+      if (command.notify.tag === "Off" || pendingNotifications.has(command)) {
+        return;
+      }
+      const delay = Math.max(
+        NOTIFY_DEBOUNCE,
+        (lastNotificationAt.get(command) ?? -Infinity) +
+          NOTIFY_INTERVAL -
+          Date.now(),
+      );
+      pendingNotifications.set(
+        command,
+        setTimeout(() => {
+          send(command);
+        }, delay),
+      );
+    },
+    forget: (command) => {
+      clearTimeout(pendingNotifications.get(command));
+      pendingNotifications.delete(command);
+      lastNotificationAt.delete(command);
+    },
+    flush: () => {
+      for (const [command, timeout] of pendingNotifications) {
+        clearTimeout(timeout);
+        send(command);
+      }
+    },
+    cancelAll: () => {
+      for (const timeout of pendingNotifications.values()) {
+        clearTimeout(timeout);
+      }
+      pendingNotifications.clear();
+    },
+  };
+};
+
+/**
+ * `"off"`, `"bell"`, `"osc9"`, `"osc777"` or a command to run.
+ *
+ * @type {Codec.Codec<Notify>}
+ */
+const notifyCodec = Codec.flatMap(Codec.multi(["string", "array"]), {
+  /** @returns {Codec.DecoderResult<Notify>} */
+  decoder: (value) => {
+    switch (value.type) {
+      case "string":
+        return Object.hasOwn(NOTIFY_KINDS, value.value)
+          ? { tag: "Valid", value: NOTIFY_KINDS[value.value] }
+          : {
+              tag: "DecoderError",
+              error: {
+                tag: "custom",
+                message: `Expected one of ${Object.keys(NOTIFY_KINDS)
+                  .map((kind) => JSON.stringify(kind))
+                  .join(", ")}, or a command (array of strings)`,
+                got: value.value,
+                path: [],
+              },
+            };
+      case "array": {
+        const result = nonEmptyArray(Codec.string).decoder(value.value);
+        return result.tag === "Valid"
+          ? { tag: "Valid", value: { tag: "Command", command: result.value } }
+          : result;
+      }
+    }
+  },
+  encoder: (value) =>
+    value.tag === "Command"
+      ? { type: "array", value: value.command }
+      : {
+          type: "string",
+          value:
+            Object.keys(NOTIFY_KINDS).find(
+              (kind) => NOTIFY_KINDS[kind].tag === value.tag,
+            ) ?? "off",
+        },
+});
+
+/**
+ * @type {Codec.Codec<number>}
+ */
+const nonNegativeIntegerCodec = Codec.flatMap(Codec.number, {
+  decoder: (value) =>
+    Number.isInteger(value) && value >= 0
+      ? { tag: "Valid", value }
+      : {
+          tag: "DecoderError",
+          error: {
+            tag: "custom",
+            message: "Expected a non-negative integer",
+            got: value,
+            path: [],
+          },
+        },
+  encoder: (value) => value,
+});
+
 /**
  * @type {Codec.Codec<CommandDescription>}
  */
@@ -1174,10 +4195,31 @@ const commandDescriptionCodec = Codec.map(
     {
       command: nonEmptyArray(Codec.string),
       title: Codec.field(Codec.string, { optional: true }),
+      id: Codec.field(Codec.string, { optional: true }),
+      dependsOn: Codec.field(Codec.array(Codec.string), { optional: true }),
+      group: Codec.field(Codec.string, { optional: true }),
       cwd: Codec.field(Codec.string, { optional: true }),
+      env: Codec.field(Codec.record(Codec.nullOr(Codec.string)), {
+        optional: true,
+      }),
       status: Codec.field(statusesCodec, { optional: true }),
       defaultStatus: Codec.field(statusCodec, { optional: true }),
+      ready: Codec.field(readyCodec, { optional: true }),
+      restart: Codec.field(
+        Codec.primitiveUnion(["no", "on-failure", "always"]),
+        { optional: true },
+      ),
+      maxRestarts: Codec.field(nonNegativeIntegerCodec, { optional: true }),
+      watch: Codec.field(Codec.array(Codec.string), { optional: true }),
+      watchIgnore: Codec.field(Codec.array(Codec.string), { optional: true }),
+      watchDebounce: Codec.field(nonNegativeIntegerCodec, { optional: true }),
+      logFile: Codec.field(Codec.string, { optional: true }),
       killAllSequence: Codec.field(Codec.string, { optional: true }),
+      timestamps: Codec.field(
+        Codec.primitiveUnion(["off", "wall", "relative"]),
+        { optional: true },
+      ),
+      notify: Codec.field(notifyCodec, { optional: true }),
     },
     { allowExtraFields: false },
   ),
@@ -1185,15 +4227,170 @@ const commandDescriptionCodec = Codec.map(
     decoder: ({
       command,
       title = commandToPresentationName(command),
+      dependsOn = [],
       cwd = ".",
+      env = {},
       status = [],
+      restart = "no",
+      watch = [],
+      watchIgnore = [],
+      watchDebounce = WATCH_DEBOUNCE_DEFAULT,
       killAllSequence = KEY_CODES.kill,
       ...rest
-    }) => ({ ...rest, command, title, cwd, status, killAllSequence }),
+    }) => ({
+      ...rest,
+      command,
+      title,
+      dependsOn,
+      cwd,
+      env,
+      status,
+      restart,
+      watch,
+      watchIgnore,
+      watchDebounce,
+      killAllSequence,
+    }),
     encoder: (value) => value,
   },
 );
 
+/**
+ * @param {{ id?: string | undefined, title: string }} commandDescription
+ * @param {string} name
+ * @returns {boolean}
+ */
+const hasName = (commandDescription, name) =>
+  commandDescription.id === undefined
+    ? removeGraphicRenditions(commandDescription.title) === name
+    : commandDescription.id === name;
+
+/**
+ * @type {Codec.Codec<Array<CommandDescription>>}
+ */
+const commandDescriptionsCodec = Codec.flatMap(
+  Codec.array(commandDescriptionCodec),
+  {
+    decoder: (commandDescriptions) => {
+      /** @type {Array<Array<number>>} */
+      const dependencies = [];
+
+      for (const [index, { dependsOn }] of commandDescriptions.entries()) {
+        /** @type {Array<number>} */
+        const indexes = [];
+        for (const [nameIndex, name] of dependsOn.entries()) {
+          const matches = commandDescriptions.flatMap(
+            (commandDescription, otherIndex) =>
+              hasName(commandDescription, name) ? [otherIndex] : [],
+          );
+          if (matches.length !== 1) {
+            return {
+              tag: "DecoderError",
+              error: {
+                tag: "custom",
+                message:
+                  matches.length === 0
+                    ? "Expected the title or id of another command"
+                    : "Several commands have this title. Give them an id to tell them apart",
+                got: name,
+                path: [index, "dependsOn", nameIndex],
+              },
+            };
+          }
+          indexes.push(matches[0]);
+        }
+        dependencies.push(indexes);
+      }
+
+      const cycle = findDependencyCycle(dependencies);
+      if (cycle !== undefined) {
+        const [index] = cycle;
+        return {
+          tag: "DecoderError",
+          error: {
+            tag: "custom",
+            message: `Dependency cycle: ${cycle
+              .map((cycleIndex) => {
+                const { id, title } = commandDescriptions[cycleIndex];
+                return id ?? removeGraphicRenditions(title);
+              })
+              .join(" → ")}`,
+            got: commandDescriptions[index].dependsOn,
+            path: [index, "dependsOn"],
+          },
+        };
+      }
+
+      return { tag: "Valid", value: commandDescriptions };
+    },
+    encoder: (value) => value,
+  },
+);
+
+/**
+ * Depth-first search that visits every command once, so that it is fast even
+ * if every command depends on all others. Returns the first cycle found, which
+ * starts and ends with the same index.
+ *
+ * @param {Array<Array<number>>} dependencies
+ * @returns {Array<number> | undefined}
+ */
+const findDependencyCycle = (dependencies) => {
+  /** @type {Array<"Unvisited" | "InProgress" | "Done">} */
+  const states = dependencies.map(() => "Unvisited");
+  /** @type {Array<number>} */
+  const parents = dependencies.map(() => -1);
+
+  /**
+   * @param {number} index
+   * @returns {Array<number> | undefined}
+   */
+  const visit = (index) => {
+    states[index] = "InProgress";
+    for (const next of dependencies[index]) {
+      switch (states[next]) {
+        case "Unvisited": {
+          parents[next] = index;
+          const cycle = visit(next);
+          if (cycle !== undefined) {
+            return cycle;
+          }
+          break;
+        }
+
+        case "InProgress": {
+          // `next` is further up the current path: Walk back up to it.
+          /** @type {Array<number>} */
+          const between = [];
+          for (
+            let current = index;
+            current !== next;
+            current = parents[current]
+          ) {
+            between.push(current);
+          }
+          return [next, ...between.reverse(), next];
+        }
+
+        case "Done":
+          break;
+      }
+    }
+    states[index] = "Done";
+    return undefined;
+  };
+
+  for (const index of dependencies.keys()) {
+    if (states[index] === "Unvisited") {
+      const cycle = visit(index);
+      if (cycle !== undefined) {
+        return cycle;
+      }
+    }
+  }
+  return undefined;
+};
+
 /**
  * @template Decoded
  * @param {Codec.Codec<Decoded>} decoder
@@ -1231,57 +4428,238 @@ const joinHistory = (command) =>
       command.historyAlternateScreen +
       (command.isOnAlternateScreen ? "" : DISABLE_ALTERNATE_SCREEN));
 
+/**
+ * `null` values unset variables inherited from run-pty. node-pty would pass
+ * `undefined` values as the string "undefined", so those are removed as well.
+ * On Windows, variable names are case insensitive: `PATH` replaces (or unsets)
+ * an inherited `Path`.
+ *
+ * @param {NodeJS.ProcessEnv} baseEnv
+ * @param {Record<string, string | null>} env
+ * @param {boolean} ignoreCase
+ * @returns {Record<string, string>}
+ */
+const mergeEnv = (baseEnv, env, ignoreCase) => {
+  /**
+   * @param {string} name
+   * @returns {string}
+   */
+  const normalizeName = (name) => (ignoreCase ? name.toUpperCase() : name);
+  const overridden = new Set(Object.keys(env).map(normalizeName));
+  return Object.fromEntries(
+    [
+      ...Object.entries(baseEnv).filter(
+        ([name]) => !overridden.has(normalizeName(name)),
+      ),
+      ...Object.entries(env),
+    ].flatMap(([name, value]) =>
+      value === null || value === undefined ? [] : [[name, value]],
+    ),
+  );
+};
+
+/**
+ * @param {string} watchPath
+ * @returns {string}
+ */
+const normalizeWatchPath = (watchPath) =>
+  path.posix.normalize(watchPath.replace(/\\/g, "/")).replace(/\/$/, "");
+
+/**
+ * Supports `*`, `**` and `?`. Like for plain paths, a glob matching a
+ * directory also matches everything inside it.
+ *
+ * @param {string} glob
+ * @returns {RegExp}
+ */
+const globToRegex = (glob) => {
+  const normalized = normalizeWatchPath(glob);
+  if (normalized === ".") {
+    return /(?:)/u;
+  }
+  const source = normalized.replace(
+    /\*\*\/|\*\*|\*|\?|[.+^${}()|[\]\\]/g,
+    (match) => {
+      switch (match) {
+        case "**/":
+          return "(?:.*/)?";
+        case "**":
+          return ".*";
+        case "*":
+          return "[^/]*";
+        case "?":
+          return "[^/]";
+        default:
+          return `\\${match}`;
+      }
+    },
+  );
+  return RegExp(`^${source}(?:/.*)?$`, "u");
+};
+
+/**
+ * The directories to watch for a path or glob, starting at the part before the
+ * first segment with a wildcard. A wildcard only in the last segment (such as
+ * `*.go`) just needs that directory, plus the subdirectories it matches. Only
+ * `**` or wildcards further up need everything below (including, say,
+ * `node_modules`). Throws if the path does not exist.
+ *
+ * @param {string} cwd
+ * @param {string} glob
+ * @returns {Array<{ directory: string, recursive: boolean }>}
+ */
+const getWatchTargets = (cwd, glob) => {
+  const segments = normalizeWatchPath(glob).split("/");
+  const index = segments.findIndex((segment) => /[*?]/.test(segment));
+  const base = path.resolve(
+    cwd,
+    index === -1 ? segments.join("/") : segments.slice(0, index).join("/"),
+  );
+  if (index === -1) {
+    // Watch the directory of single files, since many editors save by
+    // replacing the file, which would end a watcher on the file itself.
+    return fs.statSync(base).isDirectory()
+      ? [{ directory: base, recursive: true }]
+      : [{ directory: path.dirname(base), recursive: false }];
+  }
+  const wildcard = segments[index];
+  if (index < segments.length - 1 || wildcard.includes("**")) {
+    return [{ directory: base, recursive: true }];
+  }
+  const regex = globToRegex(wildcard);
+  return [
+    { directory: base, recursive: false },
+    ...fs
+      .readdirSync(base, { withFileTypes: true })
+      .filter((entry) => entry.isDirectory() && regex.test(entry.name))
+      .map((entry) => ({
+        directory: path.join(base, entry.name),
+        recursive: true,
+      })),
+  ];
+};
+
 /**
  * @typedef {Command} CommandTypeForTest
  */
+// Positions right after a line break, and the very start, unless followed by
+// another line break. Empty lines don’t get timestamps.
+const LINE_START = /(?:^|(?<=[\r\n]))(?=[^\r\n])/g;
+
+// What `timestampPrefix` produces, once graphic renditions are removed.
+const TIMESTAMP_PREFIX = /^(?:\d{2}:\d{2}:\d{2}\.\d{3}|\+\d+\.\d{3}s) /;
+
+/**
+ * @param {Exclude<Timestamps, "off">} timestamps
+ * @param {number} now
+ * @param {number} startedAt
+ * @returns {string}
+ */
+const timestampPrefix = (timestamps, now, startedAt) => {
+  /**
+   * @param {number} number
+   * @param {number} length
+   * @returns {string}
+   */
+  const pad = (number, length) => String(number).padStart(length, "0");
+  /** @type {string} */
+  let timestamp;
+  switch (timestamps) {
+    case "wall": {
+      const date = new Date(now);
+      timestamp = `${pad(date.getHours(), 2)}:${pad(
+        date.getMinutes(),
+        2,
+      )}:${pad(date.getSeconds(), 2)}.${pad(date.getMilliseconds(), 3)}`;
+      break;
+    }
+    case "relative":
+      timestamp = `+${((now - startedAt) / 1000).toFixed(3)}s`;
+      break;
+  }
+  // Only reset the dimming, not the colors that the line might continue with.
+  return NO_COLOR ? `${timestamp} ` : `\x1B[2m${timestamp}\x1B[22m `;
+};
+
 class Command {
   /**
    * @param {{
       label: string | undefined,
       addHistoryStart: boolean,
       commandDescription: CommandDescription,
+      log: LogOptions,
+      socketPath: string | undefined,
       onData: (data: string, statusFromRulesChanged: boolean) => undefined,
       onRequest: (data: string) => undefined,
       onSynchronizedOutputChange: (data: string) => undefined,
+      onTerminalTitleChange: () => undefined,
+      onReady: () => undefined,
       onExit: (exitCode: number) => undefined,
+      onStatusChange: (previousStatus: Status) => undefined,
      }} commandInit
    */
   constructor({
     label,
     addHistoryStart,
+    commandDescription,
     commandDescription: {
       title,
+      id,
+      dependsOn,
+      group,
       cwd,
+      env,
       command: [file, ...args],
       status: statusRules,
       defaultStatus,
+      ready: readyRule,
+      restart: restartPolicy,
+      maxRestarts,
+      watch,
+      watchIgnore,
+      watchDebounce,
+      logFile,
       killAllSequence,
+      timestamps = "off",
+      notify = { tag: "Off" },
     },
+    log,
+    socketPath,
     onData,
     onRequest,
     onSynchronizedOutputChange,
+    onTerminalTitleChange,
+    onReady,
     onExit,
+    onStatusChange,
   }) {
-    const formattedCommand = commandToPresentationName([file, ...args]);
+    // Used when duplicating the command.
+    this.commandDescription = commandDescription;
     this.label = label;
     this.file = file;
     this.args = args;
+    this.id = id;
+    this.dependsOn = dependsOn;
+    this.group = group;
     this.cwd = cwd;
+    this.env = env;
+    this.socketPath = socketPath;
     this.killAllSequence = killAllSequence;
     this.title = removeGraphicRenditions(title);
     this.titlePossiblyWithGraphicRenditions = NO_COLOR
       ? removeGraphicRenditions(title)
       : title;
-    this.formattedCommandWithTitle =
-      title === formattedCommand
-        ? formattedCommand
-        : NO_COLOR
-          ? `${removeGraphicRenditions(title)}: ${formattedCommand}`
-          : `${bold(title)}: ${formattedCommand}`;
+    this.formattedCommandWithTitle = formatCommandWithTitle(title, [
+      file,
+      ...args,
+    ]);
     this.onData = onData;
     this.onRequest = onRequest;
     this.onSynchronizedOutputChange = onSynchronizedOutputChange;
+    this.onTerminalTitleChange = onTerminalTitleChange;
+    this.onReady = onReady;
     this.onExit = onExit;
+    this.onStatusChange = onStatusChange;
     this.addHistoryStart = addHistoryStart;
     this.isSimpleLog = true;
     this.isOnAlternateScreen = false;
@@ -1289,10 +4667,58 @@ class Command {
     this.status = { tag: "Waiting" };
     /** @type {string | undefined} */
     this.statusFromRules = extractStatus(defaultStatus);
+    /** @type {string | undefined} */
+    this.statusTextFromEscape = undefined;
+    /** @type {string | undefined} */
+    this.terminalTitle = undefined;
+    /** @type {Progress | undefined} */
+    this.progress = undefined;
     /** @type {[string, string] | undefined} */
     this.defaultStatus = defaultStatus;
     /** @type {Array<[RegExp, [string, string] | undefined]>} */
     this.statusRules = statusRules;
+    /** @type {RegExp | number | undefined} */
+    this.readyRule = readyRule;
+    /** @type {RestartPolicy} */
+    this.restartPolicy = restartPolicy;
+    /** @type {number | undefined} */
+    this.maxRestarts = maxRestarts;
+    this.numRestarts = 0;
+    /** @type {{ at: number, timeout: NodeJS.Timeout } | undefined} */
+    this.pendingRestart = undefined;
+    /** @type {Array<string>} */
+    this.watch = watch;
+    /** @type {Array<string>} */
+    this.watchIgnore = watchIgnore;
+    /** @type {number} */
+    this.watchDebounce = watchDebounce;
+    /** @type {(() => void) | undefined} */
+    this.stopWatchingFiles = undefined;
+    /** @type {string | undefined} */
+    this.restartReason = undefined;
+    /** @type {string | undefined} */
+    this.logFile = logFile;
+    this.log = log;
+    /** @type {number | undefined} */
+    this.logFd = undefined;
+    this.logSize = 0;
+    /** @type {number | undefined} */
+    this.lastExitCode = undefined;
+    /** @type {number | undefined} */
+    this.startedAt = undefined;
+    /** @type {number | undefined} */
+    this.exitedAt = undefined;
+    /** @type {number | undefined} */
+    this.restartedAt = undefined;
+    /** @type {Timestamps} */
+    this.timestamps = timestamps;
+    this.isAtLineStart = true;
+    /** @type {Notify} */
+    this.notify = notify;
+    /** @type {ResourceUsage | undefined} */
+    this.resourceUsage = undefined;
+    /** @type {{ ticks: number, at: number } | undefined} */
+    this.previousCpuSample = undefined;
     this.windowsConptyCursorMoveWorkaround = false;
     this.unfinishedEscapeBuffer = "";
 
@@ -1303,35 +4729,150 @@ class Command {
     // (We don’t want `historyStart` for --auto-exit.)
     /** @type {string} */
     this.history = addHistoryStart ? historyStart(waitingIndicator, this) : "";
+    // How many characters have been cut off from the start of `this.history`
+    // due to `MAX_HISTORY`, ever. Lets the pager update incrementally.
+    this.historyCut = 0;
     this.historyAlternateScreen = "";
+    // Only while shown in the split view.
+    /** @type {Screen | undefined} */
+    this.screen = undefined;
+    // What `this.history` started with, so it can be redone when the terminal
+    // title changes.
+    this.historyStartIndicator = waitingIndicator;
+    this.historyStartText = this.history;
+  }
+
+  /**
+   * Applies a changed command description from a reloaded config file. Changes
+   * to what is run only take effect when the command is restarted. The log
+   * file and file watchers need to be set up again by the caller.
+   *
+   * @param {CommandDescription} commandDescription
+   * @returns {void}
+   */
+  update(commandDescription) {
+    const {
+      title,
+      id,
+      dependsOn,
+      group,
+      cwd,
+      env,
+      command: [file, ...args],
+      status: statusRules,
+      defaultStatus,
+      ready: readyRule,
+      restart: restartPolicy,
+      maxRestarts,
+      watch,
+      watchIgnore,
+      watchDebounce,
+      logFile,
+      killAllSequence,
+      timestamps = "off",
+      notify = { tag: "Off" },
+    } = commandDescription;
+    this.commandDescription = commandDescription;
+    this.file = file;
+    this.args = args;
+    this.id = id;
+    this.dependsOn = dependsOn;
+    this.group = group;
+    this.cwd = cwd;
+    this.env = env;
+    this.killAllSequence = killAllSequence;
+    this.title = removeGraphicRenditions(title);
+    this.titlePossiblyWithGraphicRenditions = NO_COLOR
+      ? removeGraphicRenditions(title)
+      : title;
+    this.formattedCommandWithTitle = formatCommandWithTitle(title, [
+      file,
+      ...args,
+    ]);
+    this.defaultStatus = defaultStatus;
+    this.statusRules = statusRules;
+    this.readyRule = readyRule;
+    this.restartPolicy = restartPolicy;
+    this.maxRestarts = maxRestarts;
+    this.watch = watch;
+    this.watchIgnore = watchIgnore;
+    this.watchDebounce = watchDebounce;
+    this.logFile = logFile;
+    this.timestamps = timestamps;
+    this.notify = notify;
+    // Apply the new status rules to the output so far.
+    this.statusFromRules = extractStatus(defaultStatus);
+    this.applyStatusRules(
+      (this.isOnAlternateScreen
+        ? this.historyAlternateScreen
+        : this.history
+      ).split(/(?:\r?\n|\r)/),
+    );
   }
 
   /**
-   * @param {{ needsToWait: boolean }} options
+   * @param {{ needsToWait: boolean, automaticRestart?: boolean }} options
    * @returns {void}
    */
-  start({ needsToWait }) {
+  start({ needsToWait, automaticRestart = false }) {
     if ("terminal" in this.status) {
       throw new Error(
         `Cannot start command because the command is ${this.status.tag} with pid ${this.status.terminal.pid} for: ${this.title}`,
       );
     }
 
-    this.history = this.addHistoryStart
-      ? historyStart(needsToWait ? waitingIndicator : runningIndicator, this)
+    this.cancelRestart();
+    if (automaticRestart) {
+      this.numRestarts++;
+    } else if (this.status.tag === "Exit") {
+      // Restarting by hand starts over the backoff.
+      this.numRestarts = 0;
+    }
+
+    this.terminalTitle = undefined;
+    this.historyStartIndicator = needsToWait
+      ? waitingIndicator
+      : this.readyRule === undefined
+        ? runningIndicator
+        : startingIndicator;
+    this.historyStartText = this.addHistoryStart
+      ? historyStart(this.historyStartIndicator, this)
       : "";
+    this.screen = undefined;
+    this.history =
+      this.historyStartText +
+      (this.addHistoryStart && !needsToWait && this.restartReason !== undefined
+        ? `${dim(this.restartReason)}\n`
+        : "");
     this.historyAlternateScreen = "";
     this.isSimpleLog = true;
     this.isOnAlternateScreen = false;
+    this.isAtLineStart = true;
+    this.resourceUsage = undefined;
+    this.previousCpuSample = undefined;
     this.statusFromRules = extractStatus(this.defaultStatus);
+    this.statusTextFromEscape = undefined;
+    this.progress = undefined;
     // See the comment for `CONPTY_CURSOR_MOVE`.
     this.windowsConptyCursorMoveWorkaround = IS_WINDOWS;
 
     if (needsToWait) {
-      this.status = { tag: "Waiting" };
+      this.setStatus({ tag: "Waiting" });
       return;
     }
 
+    this.restartReason = undefined;
+
+    this.writeLog(
+      `--- ${new Date().toISOString()} ${removeGraphicRenditions(
+        this.formattedCommandWithTitle,
+      )}${
+        this.lastExitCode === undefined
+          ? ""
+          : ` (previous run: exit ${this.lastExitCode})`
+      } ---\n`,
+    );
+
     const [file, args] = IS_WINDOWS
       ? [
           "cmd.exe",
@@ -1347,20 +4888,36 @@ class Command {
       : [this.file, this.args];
     const terminal = pty.spawn(file, args, {
       cwd: path.resolve(this.cwd),
+      // Not set on `process.env`, since that belongs to the caller of `runPty`.
+      env: mergeEnv(
+        process.env,
+        this.socketPath === undefined
+          ? this.env
+          : { ...this.env, RUN_PTY_SOCKET: this.socketPath },
+        IS_WINDOWS,
+      ),
       cols: process.stdout.columns,
       rows: process.stdout.rows,
       // Avoid conpty adding escape sequences to clear the screen:
       conptyInheritCursor: true,
     });
 
+    const now = Date.now();
+    if (this.startedAt !== undefined) {
+      this.restartedAt = now;
+    }
+    this.startedAt = now;
+
     const disposeOnData = terminal.onData((rawData) => {
       const rawDataWithBuffer = this.unfinishedEscapeBuffer + rawData;
       const match = UNFINISHED_ESCAPE.exec(rawDataWithBuffer);
-      const [data, unfinishedEscapeBuffer] =
+      const [dataWithoutTimestamps, unfinishedEscapeBuffer] =
         match === null
           ? [rawDataWithBuffer, ""]
           : [rawDataWithBuffer.slice(0, match.index), match[0]];
       this.unfinishedEscapeBuffer = unfinishedEscapeBuffer;
+      const data = this.addTimestamps(dataWithoutTimestamps);
+      this.writeLog(data);
       for (const [index, rawPart] of data.split(ESCAPES_REQUEST).entries()) {
         let part = rawPart;
         if (
@@ -1375,11 +4932,32 @@ class Command {
         }
         if (index % 2 === 0) {
           if (part !== "") {
+            const wasReady = this.status.tag === "Ready";
             const statusFromRulesChanged = this.pushHistory(part);
+            if (!wasReady && this.status.tag === "Ready") {
+              this.onReady();
+            }
             this.onData(part, statusFromRulesChanged);
           }
         } else if (part === BEGIN_SYNC_UPDATE || part === END_SYNC_UPDATE) {
           this.onSynchronizedOutputChange(part);
+        } else if (TERMINAL_TITLE_ESCAPE.test(part)) {
+          if (this.updateTerminalTitleFromEscape(part)) {
+            this.updateHistoryStart();
+            this.onTerminalTitleChange();
+          }
+        } else if (PROGRESS_ESCAPE.test(part)) {
+          const result = parseProgressEscape(part);
+          if (result !== undefined) {
+            this.progress = result.progress;
+            // Ugly way to redraw:
+            this.onData("", false);
+          }
+        } else if (STATUS_ESCAPE.test(part)) {
+          if (this.updateStatusFromEscape(part)) {
+            // Ugly way to redraw:
+            this.onData("", true);
+          }
         } else {
           this.onRequest(part);
         }
@@ -1396,22 +4974,250 @@ class Command {
         const exitCode =
           signal === undefined || signal === 0 ? actualExitCode : 128 + signal;
         const previousStatus = this.status;
-        this.status = {
+        this.lastExitCode = exitCode;
+        this.exitedAt = Date.now();
+        if (
+          previousStatus.tag === "Ready" ||
+          ("wasReady" in previousStatus && previousStatus.wasReady) ||
+          this.exitedAt - now >= RESTART_RESET_AFTER
+        ) {
+          this.numRestarts = 0;
+        }
+        this.setStatus({
           tag: "Exit",
           exitCode,
           wasKilled: this.status.tag === "Killing",
-        };
+        });
         if (
           previousStatus.tag === "Killing" &&
           previousStatus.restartAfterKill
         ) {
           this.start({ needsToWait: false });
+        } else {
+          this.restartReason = undefined;
         }
         this.onExit(exitCode);
       },
     );
 
-    this.status = { tag: "Running", terminal };
+    this.setStatus({ tag: "Running", terminal });
+
+    if (typeof this.readyRule === "number") {
+      setTimeout(() => {
+        if (
+          this.status.tag === "Running" &&
+          this.status.terminal === terminal
+        ) {
+          this.setStatus({ tag: "Ready", terminal });
+          this.onReady();
+        }
+      }, this.readyRule);
+    }
+  }
+
+  /**
+   * Gives up on a waiting command because a dependency failed. That counts as a
+   * failed exit, so that `--auto-exit` can finish (with failure).
+   *
+   * @param {string} dependency
+   * @returns {void}
+   */
+  skip(dependency) {
+    if (this.status.tag !== "Waiting") {
+      return;
+    }
+    const exitCode = 1;
+    this.history += `${dim(`Skipped because ${dependency} failed.`)}\n`;
+    this.screen = undefined;
+    this.lastExitCode = exitCode;
+    this.exitedAt = Date.now();
+    this.setStatus({
+      tag: "Exit",
+      exitCode,
+      wasKilled: false,
+      skippedBecause: dependency,
+    });
+    this.onExit(exitCode);
+  }
+
+  /**
+   * @param {Status} status
+   * @returns {void}
+   */
+  setStatus(status) {
+    const previousStatus = this.status;
+    this.status = status;
+    this.onStatusChange(previousStatus);
+  }
+
+  /**
+   * @param {number} delay
+   * @param {() => void} callback
+   * @returns {void}
+   */
+  scheduleRestart(delay, callback) {
+    this.cancelRestart();
+    const timeout = setTimeout(() => {
+      this.pendingRestart = undefined;
+      callback();
+    }, delay);
+    this.pendingRestart = { at: Date.now() + delay, timeout };
+  }
+
+  /**
+   * @returns {void}
+   */
+  cancelRestart() {
+    if (this.pendingRestart !== undefined) {
+      clearTimeout(this.pendingRestart.timeout);
+      this.pendingRestart = undefined;
+    }
+  }
+
+  /**
+   * Throws if the log file cannot be opened.
+   *
+   * @returns {void}
+   */
+  openLogFile() {
+    if (this.logFile === undefined) {
+      return;
+    }
+    fs.mkdirSync(path.dirname(this.logFile), { recursive: true });
+    this.logFd = fs.openSync(this.logFile, "a");
+    this.logSize = fs.fstatSync(this.logFd).size;
+  }
+
+  /**
+   * @returns {void}
+   */
+  closeLogFile() {
+    if (this.logFd !== undefined) {
+      fs.closeSync(this.logFd);
+      this.logFd = undefined;
+    }
+  }
+
+  /**
+   * @param {string} data
+   * @returns {void}
+   */
+  writeLog(data) {
+    if (this.logFile === undefined || this.logFd === undefined) {
+      return;
+    }
+    const text = this.log.plain ? removeEscapes(data) : data;
+    const size = Buffer.byteLength(text);
+    try {
+      if (this.logSize > 0 && this.logSize + size > this.log.maxSize) {
+        fs.closeSync(this.logFd);
+        this.logFd = undefined;
+        fs.renameSync(this.logFile, `${this.logFile}.1`);
+        this.logFd = fs.openSync(this.logFile, "a");
+        this.logSize = 0;
+      }
+      fs.writeSync(this.logFd, text);
+      this.logSize += size;
+    } catch {
+      // For example if the disk is full. Stop logging rather than crashing
+      // (or trying again for every chunk of output).
+      if (this.logFd !== undefined) {
+        try {
+          fs.closeSync(this.logFd);
+        } catch {
+          // The descriptor is released even if closing fails.
+        }
+        this.logFd = undefined;
+      }
+    }
+  }
+
+  /**
+   * Paths are relative to the command’s cwd. Throws if a path to watch does not
+   * exist.
+   *
+   * @param {(file: string) => void} onChange
+   * @returns {void}
+   */
+  watchFiles(onChange) {
+    const cwd = path.resolve(this.cwd);
+    const include = this.watch.map(globToRegex);
+    const ignore = this.watchIgnore.map(globToRegex);
+    /** @type {NodeJS.Timeout | undefined} */
+    let timeout = undefined;
+    /** @type {string | undefined} */
+    let firstChangedFile = undefined;
+
+    /**
+     * @param {string} file
+     * @returns {void}
+     */
+    const handleChange = (file) => {
+      const relative = normalizeWatchPath(path.relative(cwd, file));
+      if (
+        include.some((regex) => regex.test(relative)) &&
+        !ignore.some((regex) => regex.test(relative))
+      ) {
+        firstChangedFile ??= relative;
+        clearTimeout(timeout);
+        timeout = setTimeout(() => {
+          const changedFile = firstChangedFile ?? relative;
+          firstChangedFile = undefined;
+          onChange(changedFile);
+        }, this.watchDebounce);
+      }
+    };
+
+    /** @type {Array<fs.FSWatcher>} */
+    const watchers = [];
+
+    /**
+     * @returns {void}
+     */
+    const stop = () => {
+      clearTimeout(timeout);
+      for (const watcher of watchers) {
+        watcher.close();
+      }
+    };
+
+    try {
+      const targets = new Map(
+        this.watch
+          .flatMap((glob) => getWatchTargets(cwd, glob))
+          .map((target) => [JSON.stringify(target), target]),
+      );
+      for (const { directory, recursive } of targets.values()) {
+        const watcher = fs.watch(
+          directory,
+          { recursive },
+          (_event, filename) => {
+            if (filename !== null) {
+              handleChange(path.join(directory, filename));
+            }
+          },
+        );
+        watcher.on("error", () => {
+          // For example if the directory is removed. Keep going without it.
+        });
+        watchers.push(watcher);
+      }
+    } catch (error) {
+      stop();
+      throw error;
+    }
+
+    this.stopWatchingFiles = stop;
+  }
+
+  /**
+   * @returns {void}
+   */
+  unwatchFiles() {
+    if (this.stopWatchingFiles !== undefined) {
+      this.stopWatchingFiles();
+      this.stopWatchingFiles = undefined;
+    }
   }
 
   /**
@@ -1421,13 +5227,15 @@ class Command {
   kill({ restartAfterKill = false } = {}) {
     switch (this.status.tag) {
       case "Running":
-        this.status = {
+      case "Ready":
+        this.setStatus({
           tag: "Killing",
           terminal: this.status.terminal,
           slow: false,
           lastKillPress: undefined,
           restartAfterKill,
-        };
+          wasReady: this.status.tag === "Ready",
+        });
         setTimeout(() => {
           if (this.status.tag === "Killing") {
             this.status.slow = true;
@@ -1457,6 +5265,12 @@ class Command {
         return undefined;
       }
 
+      case "Paused":
+        // A stopped process can’t react to the kill sequence.
+        this.resume();
+        this.kill({ restartAfterKill });
+        return undefined;
+
       case "Waiting":
       case "Exit":
         throw new Error(
@@ -1465,6 +5279,109 @@ class Command {
     }
   }
 
+  /**
+   * Stops the process group of the command with SIGSTOP. It keeps its state
+   * until resumed with SIGCONT. Does nothing on Windows, which has no signals.
+   *
+   * @returns {void}
+   */
+  pause() {
+    switch (this.status.tag) {
+      case "Running":
+      case "Ready":
+        if (IS_WINDOWS) {
+          return;
+        }
+        signalProcessGroup(this.status.terminal.pid, "SIGSTOP");
+        this.setStatus({
+          tag: "Paused",
+          terminal: this.status.terminal,
+          wasReady: this.status.tag === "Ready",
+        });
+        return;
+
+      case "Waiting":
+      case "Killing":
+      case "Paused":
+      case "Exit":
+        return;
+    }
+  }
+
+  /**
+   * @returns {void}
+   */
+  resume() {
+    if (this.status.tag === "Paused") {
+      signalProcessGroup(this.status.terminal.pid, "SIGCONT");
+      this.setStatus({
+        tag: this.status.wasReady ? "Ready" : "Running",
+        terminal: this.status.terminal,
+      });
+    }
+  }
+
+  /**
+   * Measures CPU and memory usage of the process tree of the command. The CPU
+   * usage is the average since the previous measurement (or since start).
+   *
+   * @param {{ ticks: number, rss: number } | undefined} usage
+   * @param {number} now
+   * @returns {void}
+   */
+  updateResourceUsage(usage, now) {
+    if (usage === undefined) {
+      this.resourceUsage = undefined;
+      return;
+    }
+    const previous = this.previousCpuSample ?? {
+      ticks: 0,
+      at: this.startedAt ?? now,
+    };
+    const seconds = (now - previous.at) / 1000;
+    this.resourceUsage = {
+      cpu:
+        seconds <= 0
+          ? 0
+          : // The ticks go down if a child process exits.
+            (Math.max(0, usage.ticks - previous.ticks) /
+              CLOCK_TICKS_PER_SECOND /
+              seconds) *
+            100,
+      rss: usage.rss,
+    };
+    this.previousCpuSample = { ticks: usage.ticks, at: now };
+  }
+
+  /**
+   * Prefixes each line with the time it started appearing, if enabled. Just
+   * like `isSimpleLog`, output that moves the cursor around or uses the
+   * alternate screen is left alone – it would be garbled by the prefixes.
+   *
+   * @param {string} data
+   * @returns {string}
+   */
+  addTimestamps(data) {
+    const { isAtLineStart } = this;
+    if (data !== "") {
+      this.isAtLineStart = data.endsWith("\n") || data.endsWith("\r");
+    }
+    if (
+      this.timestamps === "off" ||
+      this.startedAt === undefined ||
+      !this.isSimpleLog ||
+      this.isOnAlternateScreen ||
+      ALTERNATE_SCREEN_REGEX.test(data) ||
+      data.search(NOT_SIMPLE_LOG_ESCAPE) !== -1
+    ) {
+      return data;
+    }
+    const prefix = timestampPrefix(this.timestamps, Date.now(), this.startedAt);
+    return data.replace(LINE_START, (match, offset) =>
+      offset === 0 && !isAtLineStart ? match : prefix,
+    );
+  }
+
   /**
    * @param {string} data
    * @returns {boolean}
@@ -1494,6 +5411,9 @@ class Command {
             }
           } else {
             this.history += part;
+            if (this.screen !== undefined) {
+              writeScreen(this.screen, part);
+            }
             // Take one extra character so `NOT_SIMPLE_LOG_ESCAPE` can match the
             // `\n${CURSOR_UP}` pattern.
             const matches = this.history
@@ -1510,6 +5430,7 @@ class Command {
               }
             }
             if (this.history.length > MAX_HISTORY) {
+              this.historyCut += this.history.length - MAX_HISTORY;
               this.history = this.history.slice(-MAX_HISTORY);
             }
           }
@@ -1522,6 +5443,69 @@ class Command {
     return statusFromRulesChanged;
   }
 
+  /**
+   * Returns whether anything changed.
+   *
+   * @param {string} escape
+   * @returns {boolean}
+   */
+  updateStatusFromEscape(escape) {
+    const result = parseStatusEscape(escape);
+    if (result === undefined) {
+      return false;
+    }
+    switch (result.tag) {
+      case "Status": {
+        const previous = this.statusFromRules;
+        this.statusFromRules = extractStatus(result.status);
+        return this.statusFromRules !== previous;
+      }
+      case "Text": {
+        const previous = this.statusTextFromEscape;
+        this.statusTextFromEscape = result.text;
+        return this.statusTextFromEscape !== previous;
+      }
+    }
+  }
+
+  /**
+   * Returns whether the title changed.
+   *
+   * @param {string} escape
+   * @returns {boolean}
+   */
+  updateTerminalTitleFromEscape(escape) {
+    const match = TERMINAL_TITLE_ESCAPE.exec(escape);
+    if (match === null) {
+      return false;
+    }
+    const title = match[1].replace(/[\x00-\x1F\x7F]/g, "").trim();
+    const previous = this.terminalTitle;
+    this.terminalTitle = title === "" ? undefined : title;
+    return this.terminalTitle !== previous;
+  }
+
+  /**
+   * Shows the current terminal title at the top of the history. Only if the
+   * history still starts with the top, though – it might have been cleared or
+   * truncated since. Takes effect the next time the history is drawn.
+   *
+   * @returns {void}
+   */
+  updateHistoryStart() {
+    if (
+      this.historyStartText === "" ||
+      !this.history.startsWith(this.historyStartText)
+    ) {
+      return;
+    }
+    const historyStartText = historyStart(this.historyStartIndicator, this);
+    this.history =
+      historyStartText + this.history.slice(this.historyStartText.length);
+    this.historyStartText = historyStartText;
+    this.screen = undefined;
+  }
+
   /**
    * @param {string} data
    * @returns {void}
@@ -1530,18 +5514,68 @@ class Command {
     const lastLine = getLastLine(
       this.isOnAlternateScreen ? this.historyAlternateScreen : this.history,
     );
-    const lines = (lastLine + data).split(/(?:\r?\n|\r)/);
+    this.applyStatusRules((lastLine + data).split(/(?:\r?\n|\r)/));
+  }
 
+  /**
+   * @param {Array<string>} lines
+   * @returns {void}
+   */
+  applyStatusRules(lines) {
     for (const line of lines) {
+      // The rules are about the output of the command, so they should match
+      // the same way with or without our timestamps (for example `^Listening`).
+      const lineWithoutGraphicRenditions =
+        this.timestamps === "off"
+          ? removeGraphicRenditions(line)
+          : removeGraphicRenditions(line).replace(TIMESTAMP_PREFIX, "");
       for (const [regex, status] of this.statusRules) {
-        if (regex.test(removeGraphicRenditions(line))) {
+        if (regex.test(lineWithoutGraphicRenditions)) {
           this.statusFromRules = extractStatus(status);
         }
       }
+      if (
+        this.status.tag === "Running" &&
+        this.readyRule instanceof RegExp &&
+        this.readyRule.test(lineWithoutGraphicRenditions)
+      ) {
+        this.setStatus({ tag: "Ready", terminal: this.status.terminal });
+      }
     }
   }
 }
 
+/**
+ * @param {string} title
+ * @param {Array<string>} command
+ * @returns {string}
+ */
+const formatCommandWithTitle = (title, command) => {
+  const formattedCommand = commandToPresentationName(command);
+  return title === formattedCommand
+    ? formattedCommand
+    : NO_COLOR
+      ? `${removeGraphicRenditions(title)}: ${formattedCommand}`
+      : `${bold(title)}: ${formattedCommand}`;
+};
+
+/**
+ * node-pty starts commands in a new session, so the pid is also the id of the
+ * process group. Signaling the group includes subprocesses, like the ones
+ * started by `npm run`.
+ *
+ * @param {number} pid
+ * @param {NodeJS.Signals} signal
+ * @returns {void}
+ */
+const signalProcessGroup = (pid, signal) => {
+  try {
+    process.kill(-pid, signal);
+  } catch {
+    // The process might just have exited.
+  }
+};
+
 /**
  * @param {[string, string] | undefined} status
  * @returns {string | undefined}
@@ -1556,43 +5590,191 @@ const extractStatus = (status) =>
         : status[0];
 
 /**
- * @param {string} string
- * @returns {string}
+ * @param {string} string
+ * @returns {string}
+ */
+const getLastLine = (string) => {
+  let index = string.length - 1;
+  while (index >= 0) {
+    const char = string[index];
+    if (char === "\n" || char === "\r") {
+      break;
+    }
+    index--;
+  }
+  return string.slice(index + 1);
+};
+/**
+ * How `runInteractively` and `runNonInteractively` report back, instead of
+ * printing to the terminal. `onDone` is called once, when run-pty would exit.
+ * `onFail` is called instead if the session can’t start.
+ *
+ * @typedef {{
+    onEvent: (event: SessionEvent) => void,
+    onDone: (exitCode: number) => void,
+    onFail: (error: Error) => void,
+   }} SessionHooks
+ *
+ * @typedef {
+    | { tag: "Start", index: number }
+    | { tag: "Data", index: number, data: string }
+    | { tag: "StatusChange", index: number }
+    | { tag: "Exit", index: number, exitCode: number }
+   } SessionEvent
+ *
+ * What can be done with a running session. `focus` is only available in
+ * interactive mode.
+ *
+ * @typedef {{
+    commands: Array<Command>,
+    restart: (index: number, reason: string | undefined) => void,
+    kill: (index: number) => void,
+    killAll: () => void,
+    focus: ((index: number) => void) | undefined,
+   }} Session
+ */
+
+/**
+ * @param {SessionHooks} hooks
+ * @param {number} index
+ * @param {Status} previousStatus
+ * @param {Status} status
+ * @returns {void}
+ */
+const emitStatusChange = (hooks, index, previousStatus, status) => {
+  hooks.onEvent({ tag: "StatusChange", index });
+  if (!("terminal" in previousStatus) && "terminal" in status) {
+    hooks.onEvent({ tag: "Start", index });
+  }
+};
+
+/**
+ * The exit event is emitted after run-pty has handled the exit, but before
+ * checking if all commands are done – so that listeners can restart the
+ * command, even the last one. The index is taken before, since handling the
+ * exit might remove the command.
+ *
+ * @param {SessionHooks} hooks
+ * @param {() => number} getIndex
+ * @param {(exitCode: number) => undefined} onExit
+ * @param {() => void} exitIfDone
+ * @returns {(exitCode: number) => undefined}
  */
-const getLastLine = (string) => {
-  let index = string.length - 1;
-  while (index >= 0) {
-    const char = string[index];
-    if (char === "\n" || char === "\r") {
-      break;
-    }
-    index--;
+const withExitEvent = (hooks, getIndex, onExit, exitIfDone) => (exitCode) => {
+  const index = getIndex();
+  onExit(exitCode);
+  hooks.onEvent({ tag: "Exit", index, exitCode });
+  exitIfDone();
+  return undefined;
+};
+
+/**
+ * Kills the command if needed, and then starts it again.
+ *
+ * @param {Command} command
+ * @param {Array<Command>} commands
+ * @param {number} maxParallel
+ * @returns {void}
+ */
+const restartCommand = (command, commands, maxParallel) => {
+  switch (command.status.tag) {
+    case "Exit":
+      command.start({
+        needsToWait: !canStart(command, commands, maxParallel),
+      });
+      return;
+    case "Waiting":
+      return;
+    case "Running":
+    case "Ready":
+    case "Paused":
+      command.kill({ restartAfterKill: true });
+      return;
+    case "Killing":
+      command.status.lastKillPress = Date.now(); // Force kill.
+      command.kill({ restartAfterKill: true });
+      return;
   }
-  return string.slice(index + 1);
 };
+
 /**
  * @typedef {
     | { tag: "Invisible", index: number }
     | { tag: "Mousedown", index: number }
     | { tag: "Keyboard", index: number }
     | { tag: "ByIndicator", indicator: string, keyboardIndex: number }
+    | { tag: "ByGroup", group: string, keyboardIndex: number }
    } Selection
  */
 
 /**
+ * Throws if the log files or file watchers cannot be set up.
+ *
  * @param {Array<CommandDescription>} commandDescriptions
  * @param {AutoExit} autoExit
- * @returns {void}
+ * @param {LogOptions} log
+ * @param {Notify} notify
+ * @param {FlagDefaults} flagDefaults For commands added in the dashboard.
+ * @param {{ server: net.Server, socketPath: string, listening: Promise<void> } | undefined} control
+ * @param {{ file: string, reload: () => ParseResult } | undefined} config
+ * @param {SessionHooks} hooks
+ * @returns {Session}
  */
-const runInteractively = (commandDescriptions, autoExit) => {
+const runInteractively = (
+  commandDescriptions,
+  autoExit,
+  log,
+  notify,
+  flagDefaults,
+  control,
+  config,
+  hooks,
+) => {
+  const maxParallel =
+    autoExit.tag === "AutoExit" ? autoExit.maxParallel : Infinity;
   /** @type {Current} */
-  let current = { tag: "Dashboard", previousRender: [] };
+  let current = { tag: "Dashboard", previousRender: [], window: undefined };
   let attemptedKillAll = false;
   /** @type {Selection} */
   let selection = { tag: "Invisible", index: 0 };
+  /** @type {string | undefined} */
+  let filter = undefined;
+  /** @type {Set<string>} */
+  const collapsedGroups = new Set();
+  // The first key of a two key label.
+  let labelPrefix = "";
+  /** @type {Set<number>} */
+  const marked = new Set();
+  // The commands that typing in the dashboard goes to, while broadcasting.
+  /** @type {Array<number> | undefined} */
+  let broadcast = undefined;
+  /** @type {CommandInput | undefined} */
+  let commandInput = undefined;
+  // Why the config file could not be reloaded, if it couldn’t.
+  /** @type {string | undefined} */
+  let configError = undefined;
+  // Commands removed from the config file, that are being killed.
+  /** @type {Set<Command>} */
+  const removeAfterExit = new Set();
+  // The first command line shown when the dashboard doesn’t fit.
+  let dashboardScroll = 0;
   let extraTextPrinted = false;
   /** @type {number | undefined} */
   let inSynchronizedOutputModeSince = undefined;
+  /** @type {string | undefined} */
+  let currentTerminalTitle = undefined;
+
+  /**
+   * @param {string} title
+   * @returns {string}
+   */
+  const updateTerminalTitle = (title) => {
+    if (title === currentTerminalTitle) {
+      return "";
+    }
+    currentTerminalTitle = title;
+    return setTerminalTitle(title);
+  };
 
   /**
    * @param {Command} command
@@ -1685,14 +5867,19 @@ const runInteractively = (commandDescriptions, autoExit) => {
 
     switch (command.status.tag) {
       case "Running":
-        helper(runningText(command.status.terminal.pid));
+      case "Ready":
+        helper(runningText(command.status.terminal.pid, command.resourceUsage));
+        return undefined;
+
+      case "Paused":
+        helper(pausedText(command.status.terminal.pid));
         return undefined;
 
       case "Killing":
         helper(
           command.status.slow
             ? killingText(command.status.terminal.pid)
-            : runningText(command.status.terminal.pid),
+            : runningText(command.status.terminal.pid, command.resourceUsage),
         );
         return undefined;
 
@@ -1717,7 +5904,12 @@ const runInteractively = (commandDescriptions, autoExit) => {
             CLEAR_DOWN +
             newlines +
             (command.status.tag === "Waiting"
-              ? waitingText(commands)
+              ? waitingText(
+                  commands,
+                  getUnmetDependencies(command, commands).map(
+                    (dependency) => dependency.title,
+                  ),
+                )
               : exitText(commands, command, command.status, autoExit)) +
             END_SYNC_UPDATE,
         );
@@ -1742,22 +5934,36 @@ const runInteractively = (commandDescriptions, autoExit) => {
         ? current.previousRender
         : [];
 
-    const currentRender = drawDashboard({
+    const { text, window } = dashboardLayout({
       commands,
       width: process.stdout.columns,
+      height: process.stdout.rows,
+      scroll: dashboardScroll,
       attemptedKillAll,
       autoExit,
       selection,
-    })
-      .split("\n")
-      .slice(0, process.stdout.rows);
+      filter,
+      collapsedGroups,
+      labelPrefix,
+      marked,
+      broadcast,
+      commandInput,
+      socketPath: control?.socketPath,
+      configError,
+    });
+
+    const currentRender = text.split("\n").slice(0, process.stdout.rows);
 
     const clear = previousRender.length === 0 ? CLEAR : "";
     const numLinesToClear = previousRender.length - currentRender.length;
 
-    current = { tag: "Dashboard", previousRender: currentRender };
+    dashboardScroll = window?.start ?? 0;
+    current = { tag: "Dashboard", previousRender: currentRender, window };
+    resizeCommands();
+    updateDashboardClock();
     process.stdout.write(
       BEGIN_SYNC_UPDATE +
+        updateTerminalTitle(dashboardTerminalTitle(commands)) +
         HIDE_CURSOR +
         DISABLE_ALTERNATE_SCREEN +
         DISABLE_APPLICATION_CURSOR_KEYS +
@@ -1784,25 +5990,692 @@ const runInteractively = (commandDescriptions, autoExit) => {
    * @param {number} index
    * @returns {void}
    */
-  const switchToCommand = (index, { hideSelection = false } = {}) => {
+  const switchToCommand = (index, { hideSelection = false } = {}) => {
+    const command = commands[index];
+    current = { tag: "Command", index };
+    resizeCommands();
+    // The filter and label prefix are only used to find a command to focus.
+    filter = undefined;
+    labelPrefix = "";
+    // Broadcasting and adding commands only happen in the dashboard.
+    broadcast = undefined;
+    commandInput = undefined;
+    if (hideSelection) {
+      selection = { tag: "Invisible", index };
+    }
+
+    process.stdout.write(
+      updateTerminalTitle(command.terminalTitle ?? command.title) +
+        SHOW_CURSOR +
+        DISABLE_ALTERNATE_SCREEN +
+        DISABLE_APPLICATION_CURSOR_KEYS +
+        DISABLE_MOUSE +
+        RESET_COLOR +
+        CLEAR,
+    );
+
+    extraTextPrinted = false;
+
+    printDataWithExtraText(command, joinHistory(command));
+  };
+
+  /** @type {{ command: Command, content: PagerContent } | undefined} */
+  let pagerCache = undefined;
+
+  /**
+   * The pager content of the command is kept between keypresses and output.
+   * Only one command is shown in the pager at a time.
+   *
+   * @param {Command} command
+   * @returns {PagerContent}
+   */
+  const getCommandPagerContent = (command) => {
+    const content = updatePagerContent(
+      pagerCache?.command === command ? pagerCache.content : undefined,
+      command.history,
+      command.historyCut,
+      process.stdout.columns,
+    );
+    pagerCache = { command, content };
+    return content;
+  };
+
+  /**
+   * Closing the pager is done with `switchToCommand`, which prints the history
+   * again.
+   *
+   * @param {number} index
+   * @param {Pager} pager
+   * @returns {void}
+   */
+  const switchToPager = (index, pager) => {
+    current = { tag: "Pager", index, pager };
+    resizeCommands();
+
+    const lines = drawPager(
+      getCommandPagerContent(commands[index]),
+      pager,
+      process.stdout.rows,
+    );
+
+    process.stdout.write(
+      BEGIN_SYNC_UPDATE +
+        HIDE_CURSOR +
+        DISABLE_ALTERNATE_SCREEN +
+        DISABLE_APPLICATION_CURSOR_KEYS +
+        DISABLE_MOUSE +
+        RESET_COLOR +
+        lines
+          .map(
+            (line, lineIndex) =>
+              cursorAbsolute(lineIndex + 1, 1) + CLEAR_RIGHT + line,
+          )
+          .join("") +
+        // Show the cursor while typing a search.
+        (pager.input === undefined ? "" : SHOW_CURSOR) +
+        END_SYNC_UPDATE,
+    );
+  };
+
+  /**
+   * @param {Split} split
+   * @returns {void}
+   */
+  const switchToSplit = (split) => {
+    const command = commands[split.focused];
+    current = { tag: "Split", split };
+    resizeCommands();
+    filter = undefined;
+    labelPrefix = "";
+    broadcast = undefined;
+    commandInput = undefined;
+
+    const { lines, cursor } = drawSplit(commands, split, {
+      width: process.stdout.columns,
+      height: process.stdout.rows,
+      useSeparateKilledIndicator: autoExit.tag === "AutoExit",
+    });
+
+    process.stdout.write(
+      BEGIN_SYNC_UPDATE +
+        updateTerminalTitle(command.terminalTitle ?? command.title) +
+        HIDE_CURSOR +
+        DISABLE_ALTERNATE_SCREEN +
+        DISABLE_APPLICATION_CURSOR_KEYS +
+        DISABLE_MOUSE +
+        RESET_COLOR +
+        lines
+          .slice(0, process.stdout.rows)
+          .map(
+            (line, lineIndex) =>
+              cursorAbsolute(lineIndex + 1, 1) + CLEAR_RIGHT + line,
+          )
+          .join("") +
+        (cursor === undefined
+          ? ""
+          : cursorAbsolute(cursor.y + 1, cursor.x + 1) + SHOW_CURSOR) +
+        END_SYNC_UPDATE,
+    );
+  };
+
+  /**
+   * The all output view only prints new output, so it starts out (almost)
+   * empty.
+   *
+   * @returns {void}
+   */
+  const switchToAllOutput = () => {
+    current = {
+      tag: "AllOutput",
+      partialLines: new Map(),
+      summarized: new Set(),
+    };
+    resizeCommands();
+    filter = undefined;
+    labelPrefix = "";
+    broadcast = undefined;
+    commandInput = undefined;
+
+    process.stdout.write(
+      updateTerminalTitle(dashboardTerminalTitle(commands)) +
+        HIDE_CURSOR +
+        DISABLE_ALTERNATE_SCREEN +
+        DISABLE_APPLICATION_CURSOR_KEYS +
+        DISABLE_MOUSE +
+        RESET_COLOR +
+        CLEAR +
+        allOutputHelp(commands),
+    );
+  };
+
+  /**
+   * Prints the whole lines of output from a command in the all output view.
+   * Commands that move the cursor around or use the alternate screen would
+   * mess up the other lines, so for those a note is printed instead.
+   *
+   * @param {number} index
+   * @param {string} data
+   * @returns {void}
+   */
+  const printAllOutput = (index, data) => {
+    if (current.tag !== "AllOutput") {
+      return;
+    }
+    const command = commands[index];
+    const prefix = allOutputPrefix(command, index);
+    if (command.isOnAlternateScreen || !command.isSimpleLog) {
+      current.partialLines.delete(index);
+      if (!current.summarized.has(index)) {
+        current.summarized.add(index);
+        process.stdout.write(
+          `${prefix} ${dim(
+            `(redraws the screen – press ${command.label ?? "its label"} to see it)`,
+          )}\n`,
+        );
+      }
+      return;
+    }
+    current.summarized.delete(index);
+    const { lines, partialLine } = splitAllOutputLines(
+      current.partialLines.get(index) ?? "",
+      data,
+    );
+    current.partialLines.set(index, partialLine);
+    process.stdout.write(
+      lines.map((line) => `${prefix} ${line}${RESET_COLOR}\n`).join(""),
+    );
+  };
+
+  /**
+   * In the split view, the commands are resized to fit their panes. Everywhere
+   * else, they get the whole terminal.
+   *
+   * @returns {void}
+   */
+  const resizeCommands = () => {
+    const panes =
+      current.tag === "Split"
+        ? getSplitPanes(
+            current.split.indexes.length,
+            current.split.direction,
+            process.stdout.columns,
+            process.stdout.rows,
+          )
+        : [];
+    for (const [index, command] of commands.entries()) {
+      const pane =
+        current.tag === "Split"
+          ? panes[current.split.indexes.indexOf(index)]
+          : undefined;
+      if (pane === undefined) {
+        // No need to keep the screen up to date when not in a pane.
+        command.screen = undefined;
+      }
+      if ("terminal" in command.status) {
+        const { terminal } = command.status;
+        const [columns, rows] =
+          pane === undefined
+            ? [process.stdout.columns, process.stdout.rows]
+            : [pane.width, pane.height - 1];
+        if (terminal.cols !== columns || terminal.rows !== rows) {
+          terminal.resize(columns, rows);
+        }
+      }
+    }
+  };
+
+  /**
+   * The selected group, the commands with the selected indicator, or the
+   * commands shown in the dashboard.
+   *
+   * @returns {Array<number>}
+   */
+  const getSelectedIndexes = () => {
+    const { group, indicator } =
+      selection.tag === "ByGroup"
+        ? { group: selection.group, indicator: undefined }
+        : selection.tag === "ByIndicator"
+          ? { group: undefined, indicator: selection.indicator }
+          : { group: undefined, indicator: undefined };
+    return group !== undefined
+      ? commands.flatMap((command, index) =>
+          command.group === group ? [index] : [],
+        )
+      : indicator !== undefined
+        ? commands.flatMap((command, index) =>
+            getIndicatorChoice(command) === indicator ? [index] : [],
+          )
+        : filterCommandIndexes(commands, filter);
+  };
+
+  /**
+   * Splits the selected commands – as many as fit.
+   *
+   * @returns {void}
+   */
+  const openSplit = () => {
+    const direction = "SideBySide";
+    const indexes = getSelectedIndexes().slice(
+      0,
+      maxSplitPanes(direction, process.stdout.columns, process.stdout.rows),
+    );
+    if (indexes.length === 0) {
+      return;
+    }
+    const preferred =
+      "keyboardIndex" in selection ? selection.keyboardIndex : selection.index;
+    switchToSplit({
+      indexes,
+      focused: indexes.includes(preferred) ? preferred : indexes[0],
+      direction,
+    });
+  };
+
+  /**
+   * @param {number} index
+   * @returns {void}
+   */
+  const toggleMarked = (index) => {
+    if (marked.has(index)) {
+      marked.delete(index);
+    } else {
+      marked.add(index);
+    }
+    // Redraw dashboard.
+    switchToDashboard();
+  };
+
+  /**
+   * @returns {void}
+   */
+  const unmarkAll = () => {
+    marked.clear();
+    // Redraw dashboard.
+    switchToDashboard();
+  };
+
+  /**
+   * Sends typing in the dashboard to the marked commands, or to the selected
+   * commands if none are marked.
+   *
+   * @returns {void}
+   */
+  const startBroadcast = () => {
+    const indexes =
+      marked.size > 0
+        ? Array.from(marked).sort((a, b) => a - b)
+        : getSelectedIndexes();
+    if (indexes.length === 0) {
+      return;
+    }
+    broadcast = indexes;
+    // The arrow keys go to the commands now, so the selection can’t be moved.
+    filter = undefined;
+    hideSelection();
+    // Redraw dashboard.
+    switchToDashboard();
+  };
+
+  /**
+   * @returns {void}
+   */
+  const stopBroadcast = () => {
+    broadcast = undefined;
+    // Redraw dashboard.
+    switchToDashboard();
+  };
+
+  /**
+   * @param {CommandInput | undefined} newCommandInput
+   * @returns {void}
+   */
+  const setCommandInput = (newCommandInput) => {
+    commandInput = newCommandInput;
+    // Redraw dashboard.
+    switchToDashboard();
+  };
+
+  /**
+   * Adds and starts the commands typed in the dashboard, or shows what’s wrong
+   * with the input.
+   *
+   * @returns {void}
+   */
+  const submitCommandInput = () => {
+    if (commandInput === undefined) {
+      return;
+    }
+    const result = parseCommandInput(commandInput.text, commandInput.template);
+    switch (result.tag) {
+      case "Error":
+        commandInput = { ...commandInput, error: result.message };
+        break;
+
+      case "Parsed": {
+        const newCommands = withFlagDefaults(
+          result.commands,
+          flagDefaults,
+          commands.flatMap((command) =>
+            command.logFile === undefined ? [] : [command.logFile],
+          ),
+        ).map(createCommand);
+        try {
+          setupCommandResources(newCommands, onWatchedFileChange);
+        } catch (error) {
+          commandInput = {
+            ...commandInput,
+            error: error instanceof Error ? error.message : String(error),
+          };
+          break;
+        }
+        commandInput = undefined;
+        attemptedKillAll = false;
+        commands.push(...newCommands);
+        updateLabels();
+        for (const command of newCommands) {
+          command.start({
+            needsToWait: !canStart(command, commands, maxParallel),
+          });
+        }
+        startWaiting();
+        break;
+      }
+    }
+    // Redraw dashboard.
+    switchToDashboard();
+  };
+
+  /**
+   * Only exited commands can be removed, and there must be at least one
+   * command left.
+   *
+   * @param {number} index
+   * @returns {void}
+   */
+  const removeCommand = (index) => {
+    const command = commands[index];
+    if (command.status.tag !== "Exit" || commands.length === 1) {
+      return;
+    }
+    spliceCommand(index);
+    // Keep the selection where it was, to be able to remove several commands
+    // in a row.
+    selection = {
+      tag: "Keyboard",
+      index: Math.min(index, commands.length - 1),
+    };
+
+    // With `--auto-exit`, the removed command might have been the only one
+    // that didn’t succeed.
+    if (!exitIfDone()) {
+      // Redraw dashboard.
+      switchToDashboard();
+    }
+  };
+
+  /**
+   * Pauses a running command, or resumes a paused one.
+   *
+   * @param {number} index
+   * @returns {void}
+   */
+  const togglePause = (index) => {
+    const command = commands[index];
+    const previousStatus = command.status;
+    if (previousStatus.tag === "Paused") {
+      command.resume();
+    } else {
+      command.pause();
+    }
+    if (command.status === previousStatus) {
+      return;
+    }
+    if (current.tag === "Command") {
+      // Update the keyboard shortcuts below the output.
+      printDataWithExtraText(command, "");
+    } else {
+      redraw();
+    }
+  };
+
+  /**
+   * Removes an exited command. The commands after it move up, so everything
+   * referring to them by index is updated. If the removed command is shown, the
+   * dashboard is shown instead – but it’s up to the caller to redraw.
+   *
+   * @param {number} index
+   * @returns {void}
+   */
+  const spliceCommand = (index) => {
     const command = commands[index];
-    current = { tag: "Command", index };
-    if (hideSelection) {
-      selection = { tag: "Invisible", index };
+    command.cancelRestart();
+    command.unwatchFiles();
+    command.closeLogFile();
+    notifications.forget(command);
+    configCommands.delete(command);
+    commands.splice(index, 1);
+    updateLabels();
+
+    /**
+     * @param {number} otherIndex
+     * @returns {number}
+     */
+    const moveUp = (otherIndex) =>
+      otherIndex > index ? otherIndex - 1 : otherIndex;
+
+    const markedIndexes = Array.from(marked);
+    marked.clear();
+    for (const markedIndex of markedIndexes) {
+      if (markedIndex !== index) {
+        marked.add(moveUp(markedIndex));
+      }
     }
 
-    process.stdout.write(
-      SHOW_CURSOR +
-        DISABLE_ALTERNATE_SCREEN +
-        DISABLE_APPLICATION_CURSOR_KEYS +
-        DISABLE_MOUSE +
-        RESET_COLOR +
-        CLEAR,
+    if (broadcast !== undefined) {
+      const remaining = broadcast
+        .filter((broadcastIndex) => broadcastIndex !== index)
+        .map(moveUp);
+      broadcast = remaining.length === 0 ? undefined : remaining;
+    }
+
+    const lastIndex = commands.length - 1;
+    selection =
+      "keyboardIndex" in selection
+        ? {
+            ...selection,
+            keyboardIndex: Math.min(moveUp(selection.keyboardIndex), lastIndex),
+          }
+        : { ...selection, index: Math.min(moveUp(selection.index), lastIndex) };
+
+    switch (current.tag) {
+      case "Command":
+      case "Pager":
+        current =
+          current.index === index
+            ? { tag: "Dashboard", previousRender: [], window: undefined }
+            : { ...current, index: moveUp(current.index) };
+        return;
+
+      case "Split": {
+        const { split } = current;
+        const indexes = split.indexes
+          .filter((splitIndex) => splitIndex !== index)
+          .map(moveUp);
+        current =
+          indexes.length === 0
+            ? { tag: "Dashboard", previousRender: [], window: undefined }
+            : {
+                tag: "Split",
+                split: {
+                  ...split,
+                  indexes,
+                  focused:
+                    split.focused === index
+                      ? indexes[0]
+                      : moveUp(split.focused),
+                },
+              };
+        return;
+      }
+
+      case "AllOutput": {
+        const { partialLines, summarized } = current;
+        current = {
+          tag: "AllOutput",
+          partialLines: new Map(),
+          summarized: new Set(),
+        };
+        for (const [otherIndex, partialLine] of partialLines) {
+          if (otherIndex !== index) {
+            current.partialLines.set(moveUp(otherIndex), partialLine);
+          }
+        }
+        for (const otherIndex of summarized) {
+          if (otherIndex !== index) {
+            current.summarized.add(moveUp(otherIndex));
+          }
+        }
+        return;
+      }
+
+      case "Dashboard":
+        return;
+    }
+  };
+
+  /**
+   * Applies changes to the config file: Changed commands get their new
+   * settings (and are restarted if what is run changed), new commands are
+   * started and removed commands are killed. Commands added in the dashboard
+   * are left alone. If the file can’t be read, nothing changes and the error is
+   * shown in the dashboard.
+   *
+   * @returns {void}
+   */
+  const reloadConfig = () => {
+    if (config === undefined || isFinished) {
+      return;
+    }
+
+    const parseResult = config.reload();
+    switch (parseResult.tag) {
+      case "Help":
+      case "NoCommands":
+        configError = `Failed to reload ${config.file}:\nNo commands.`;
+        redraw();
+        return;
+
+      case "Error":
+        configError = `Failed to reload ${config.file}:\n${parseResult.message}`;
+        redraw();
+        return;
+
+      case "Parsed":
+        break;
+    }
+
+    const before = Array.from(configCommands);
+    const { changed, added, removed } = diffCommandDescriptions(
+      before.map((command) => command.commandDescription),
+      parseResult.commands,
     );
 
-    extraTextPrinted = false;
+    // Set up the log files and file watchers of all changed and added commands
+    // before touching anything else, so that a failure leaves the session as
+    // it was, rather than half reloaded.
+    const changedCommands = changed.map(({ index }) => before[index]);
+    const previousDescriptions = changedCommands.map(
+      (command) => command.commandDescription,
+    );
+    for (const [index, { commandDescription }] of changed.entries()) {
+      const command = changedCommands[index];
+      command.unwatchFiles();
+      command.closeLogFile();
+      command.update(commandDescription);
+    }
+    const newCommands = added.map(createCommand);
+    try {
+      setupCommandResources(
+        [...changedCommands, ...newCommands],
+        onWatchedFileChange,
+      );
+    } catch (error) {
+      configError = `Failed to reload ${config.file}:\n${
+        error instanceof Error ? error.message : String(error)
+      }`;
+      for (const [index, command] of changedCommands.entries()) {
+        command.update(previousDescriptions[index]);
+      }
+      try {
+        setupCommandResources(changedCommands, onWatchedFileChange);
+      } catch (restoreError) {
+        configError += `\n${
+          restoreError instanceof Error
+            ? restoreError.message
+            : String(restoreError)
+        }`;
+      }
+      redraw();
+      return;
+    }
+    configError = undefined;
 
-    printDataWithExtraText(command, joinHistory(command));
+    for (const [index, { needsRestart }] of changed.entries()) {
+      if (needsRestart) {
+        restartCommand(changedCommands[index], commands, maxParallel);
+      }
+    }
+
+    if (newCommands.length > 0) {
+      attemptedKillAll = false;
+      commands.push(...newCommands);
+      for (const command of newCommands) {
+        configCommands.add(command);
+      }
+      updateLabels();
+      for (const command of newCommands) {
+        command.start({
+          needsToWait: !canStart(command, commands, maxParallel),
+        });
+      }
+    }
+
+    for (const command of removed.map((index) => before[index])) {
+      command.cancelRestart();
+      if ("terminal" in command.status) {
+        // If the command is added back before it has exited, it’s a new one.
+        configCommands.delete(command);
+        removeAfterExit.add(command);
+        command.kill();
+      } else {
+        spliceCommand(commands.indexOf(command));
+      }
+    }
+
+    startWaiting();
+    if (!exitIfDone()) {
+      redraw();
+    }
+  };
+
+  /**
+   * Exits the whole program if all commands have exited.
+   *
+   * @returns {boolean} Whether the program exited.
+   */
+  const exitIfDone = () => {
+    if (isFinished) {
+      return true;
+    }
+    if (!isDone({ commands, attemptedKillAll, autoExit })) {
+      return false;
+    }
+    switchToDashboard({ forceClearScrollback: true });
+    if (autoExit.tag === "AutoExit" && !attemptedKillAll) {
+      sendNotification(notify, "All commands succeeded");
+    }
+    done(autoExit.tag === "AutoExit" && attemptedKillAll ? 1 : 0);
+    return true;
   };
 
   /**
@@ -1815,6 +6688,42 @@ const runInteractively = (commandDescriptions, autoExit) => {
     switchToDashboard();
   };
 
+  /**
+   * @param {string | undefined} newFilter
+   * @returns {void}
+   */
+  const setFilter = (newFilter) => {
+    filter = newFilter;
+    // The selected command might not match the new filter.
+    hideSelection();
+    // Redraw dashboard.
+    switchToDashboard();
+  };
+
+  /**
+   * @param {string} newLabelPrefix
+   * @returns {void}
+   */
+  const setLabelPrefix = (newLabelPrefix) => {
+    labelPrefix = newLabelPrefix;
+    if (current.tag === "Dashboard") {
+      // Redraw dashboard.
+      switchToDashboard();
+    }
+  };
+
+  /**
+   * @param {number} delta
+   * @returns {void}
+   */
+  const scrollDashboard = (delta) => {
+    // The window follows the selection, so it needs to be hidden to scroll away.
+    hideSelection();
+    dashboardScroll = Math.max(0, dashboardScroll + delta);
+    // Redraw dashboard.
+    switchToDashboard();
+  };
+
   /**
    * @returns {void}
    */
@@ -1822,7 +6731,7 @@ const runInteractively = (commandDescriptions, autoExit) => {
     selection = {
       tag: "Invisible",
       index:
-        selection.tag === "ByIndicator"
+        "keyboardIndex" in selection
           ? selection.keyboardIndex
           : selection.index,
     };
@@ -1835,6 +6744,7 @@ const runInteractively = (commandDescriptions, autoExit) => {
     attemptedKillAll = true;
     hideSelection();
     for (const command of commands) {
+      command.cancelRestart();
       if (command.status.tag === "Killing") {
         command.status.restartAfterKill = false;
       }
@@ -1844,7 +6754,7 @@ const runInteractively = (commandDescriptions, autoExit) => {
     );
     if (notExited.length === 0) {
       switchToDashboard({ forceClearScrollback: true });
-      process.exit(autoExit.tag === "AutoExit" ? 1 : 0);
+      done(autoExit.tag === "AutoExit" ? 1 : 0);
     } else {
       for (const command of notExited) {
         command.kill();
@@ -1855,99 +6765,509 @@ const runInteractively = (commandDescriptions, autoExit) => {
   };
 
   /**
-   * @param {number} index
-   * @param {Extract<Status, {tag: "Exit"}>} status
+   * @param {number} index
+   * @param {Extract<Status, {tag: "Exit"}>} status
+   * @returns {void}
+   */
+  const restart = (index, status) => {
+    const command = commands[index];
+    if (
+      autoExit.tag === "NoAutoExit" ||
+      !(status.exitCode === 0 && !status.wasKilled)
+    ) {
+      attemptedKillAll = false;
+      command.start({
+        needsToWait: !canStart(command, commands, maxParallel),
+      });
+      startWaitingCommands(commands, maxParallel);
+      if (current.tag === "Split") {
+        switchToSplit(current.split);
+      } else {
+        switchToCommand(index);
+      }
+    }
+  };
+
+  /**
+   * @returns {void}
+   */
+  const restartExited = () => {
+    if (autoExit.tag === "AutoExit") {
+      const exited = commands.filter(
+        (command) =>
+          command.status.tag === "Exit" &&
+          (command.status.exitCode !== 0 || command.status.wasKilled),
+      );
+      if (exited.length > 0) {
+        attemptedKillAll = false;
+        for (const command of exited) {
+          command.start({
+            needsToWait: !canStart(command, commands, maxParallel),
+          });
+        }
+      }
+    } else {
+      const exited = commands.filter(
+        (command) => command.status.tag === "Exit",
+      );
+      if (exited.length > 0) {
+        attemptedKillAll = false;
+        for (const command of exited) {
+          command.start({
+            needsToWait: !canStart(command, commands, maxParallel),
+          });
+        }
+      }
+    }
+    startWaitingCommands(commands, maxParallel);
+
+    // Redraw dashboard.
+    switchToDashboard();
+  };
+
+  /**
+   * @param {string} indicator
+   * @returns {void}
+   */
+  const restartByIndicator = (indicator) => {
+    attemptedKillAll = false;
+    hideSelection();
+    const matchingCommands = commands.filter(
+      (command) => getIndicatorChoice(command) === indicator,
+    );
+    for (const command of matchingCommands) {
+      restartCommand(command, commands, maxParallel);
+    }
+    startWaitingCommands(commands, maxParallel);
+
+    // Redraw dashboard.
+    switchToDashboard();
+  };
+
+  /**
+   * @param {string} group
+   * @param {boolean} collapsed
+   * @returns {void}
+   */
+  const setGroupCollapsed = (group, collapsed) => {
+    if (collapsed) {
+      collapsedGroups.add(group);
+    } else {
+      collapsedGroups.delete(group);
+    }
+    // Redraw dashboard.
+    switchToDashboard();
+  };
+
+  /**
+   * @param {string} group
+   * @returns {void}
+   */
+  const restartGroup = (group) => {
+    attemptedKillAll = false;
+    for (const command of commands) {
+      if (command.group === group) {
+        restartCommand(command, commands, maxParallel);
+      }
+    }
+    startWaitingCommands(commands, maxParallel);
+
+    // Redraw dashboard.
+    switchToDashboard();
+  };
+
+  /**
+   * Like `killAll`, but only for the commands in the group, and without
+   * exiting once they are all done.
+   *
+   * @param {string} group
+   * @returns {void}
+   */
+  const killGroup = (group) => {
+    for (const command of commands) {
+      if (command.group === group) {
+        command.cancelRestart();
+        if (command.status.tag === "Killing") {
+          command.status.restartAfterKill = false;
+        }
+        if ("terminal" in command.status) {
+          command.kill();
+        }
+      }
+    }
+    // So you can see how killing the commands go:
+    switchToDashboard();
+  };
+
+  /**
+   * Focuses the next command of the selected group. Going back to the
+   * dashboard and pressing the key again focuses the one after that.
+   *
+   * @returns {void}
+   */
+  const focusNextInGroup = () => {
+    if (selection.tag !== "ByGroup") {
+      return;
+    }
+    const { group, keyboardIndex } = selection;
+    const indexes = commands.flatMap((command, index) =>
+      command.group === group ? [index] : [],
+    );
+    selection = {
+      tag: "ByGroup",
+      group,
+      keyboardIndex:
+        indexes[(indexes.indexOf(keyboardIndex) + 1) % indexes.length],
+    };
+    switchToCommand(keyboardIndex);
+  };
+
+  /**
+   * @param {Command} command
+   * @param {string} file
+   * @returns {void}
+   */
+  const onWatchedFileChange = (command, file) => {
+    if (!attemptedKillAll) {
+      restartWithReason(
+        commands.indexOf(command),
+        `restarted because ${file} changed`,
+      );
+    }
+  };
+
+  /**
+   * For restarts that don’t come from the keyboard. The reason (if any) is
+   * printed at the top of the new history.
+   *
+   * @param {number} index
+   * @param {string | undefined} reason
+   * @returns {void}
+   */
+  const restartWithReason = (index, reason) => {
+    const command = commands[index];
+    if (command.status.tag === "Waiting") {
+      return;
+    }
+    command.restartReason = reason;
+    restartCommand(command, commands, maxParallel);
+    startWaitingCommands(commands, maxParallel);
+    switch (current.tag) {
+      case "Command":
+        // When killing, the command is redrawn once restarted instead.
+        if (current.index === index && command.status.tag !== "Killing") {
+          switchToCommand(index);
+        }
+        return;
+      case "Pager":
+        if (current.index === index) {
+          switchToPager(index, current.pager);
+        }
+        return;
+      case "Split":
+        if (current.split.indexes.includes(index)) {
+          switchToSplit(current.split);
+        }
+        return;
+      case "AllOutput":
+        return;
+      case "Dashboard":
+        // Redraw dashboard.
+        switchToDashboard();
+        return;
+    }
+  };
+
+  /**
+   * @returns {void}
+   */
+  const startWaiting = () => {
+    if (attemptedKillAll) {
+      return;
+    }
+    const started = startWaitingCommands(commands, maxParallel);
+    // If starting the command we’re currently on, redraw to remove `waitingText`.
+    if (
+      current.tag === "Command" &&
+      started.includes(commands[current.index])
+    ) {
+      switchToCommand(current.index);
+    } else if (
+      current.tag === "Split" &&
+      current.split.indexes.some((index) => started.includes(commands[index]))
+    ) {
+      switchToSplit(current.split);
+    }
+  };
+
+  /** @type {NodeJS.Timeout | undefined} */
+  let dashboardClockInterval = undefined;
+
+  /**
+   * Keeps the countdowns in the dashboard ticking while restarts are pending,
+   * and the durations while the dashboard is shown.
+   *
+   * @returns {void}
+   */
+  const updateDashboardClock = () => {
+    if (
+      commands.some((command) => command.pendingRestart !== undefined) ||
+      (current.tag === "Dashboard" &&
+        commands.some((command) => command.startedAt !== undefined))
+    ) {
+      dashboardClockInterval ??= setInterval(() => {
+        if (current.tag === "Dashboard") {
+          // Redraw dashboard.
+          switchToDashboard();
+        }
+        updateDashboardClock();
+      }, 1000);
+    } else if (dashboardClockInterval !== undefined) {
+      clearInterval(dashboardClockInterval);
+      dashboardClockInterval = undefined;
+    }
+  };
+
+  let isMeasuringResourceUsage = false;
+
+  /**
+   * Measures CPU and memory usage of the running commands, and shows the new
+   * values in the dashboard or the footer of the focused command. Nothing is
+   * measured while the values aren’t shown.
+   *
+   * @returns {void}
+   */
+  const updateResourceUsage = () => {
+    const measured =
+      current.tag === "Dashboard"
+        ? commands
+        : current.tag === "Command"
+          ? [commands[current.index]]
+          : [];
+    /** @type {Array<number>} */
+    const pids = measured.flatMap((command) =>
+      "terminal" in command.status ? [command.status.terminal.pid] : [],
+    );
+    // A previous measurement might still be going on if the system is slow.
+    if (pids.length === 0 || isMeasuringResourceUsage) {
+      return;
+    }
+    isMeasuringResourceUsage = true;
+    // Unreadable files are skipped, so this only rejects on bugs – just like
+    // the interval callback would throw.
+    void readProcessTreeUsages(pids)
+      .finally(() => {
+        isMeasuringResourceUsage = false;
+      })
+      .then((usages) => {
+        if (usages === undefined || isFinished) {
+          return;
+        }
+        const now = Date.now();
+        for (const command of measured) {
+          // The command might have exited or restarted while measuring.
+          command.updateResourceUsage(
+            "terminal" in command.status
+              ? usages.get(command.status.terminal.pid)
+              : undefined,
+            now,
+          );
+        }
+        switch (current.tag) {
+          case "Dashboard":
+            // Redraw dashboard.
+            switchToDashboard();
+            return;
+
+          case "Command": {
+            const command = commands[current.index];
+            if ("terminal" in command.status) {
+              printDataWithExtraText(command, "");
+            }
+            return;
+          }
+
+          case "Pager":
+          case "Split":
+          case "AllOutput":
+            return;
+        }
+      });
+  };
+
+  const notifications = createNotificationScheduler();
+
+  const resourceUsageInterval = IS_LINUX
+    ? setInterval(updateResourceUsage, RESOURCE_USAGE_INTERVAL)
+    : undefined;
+
+  /**
+   * @param {Command} command
    * @returns {void}
    */
-  const restart = (index, status) => {
-    const command = commands[index];
-    if (autoExit.tag === "AutoExit") {
-      if (!(status.exitCode === 0 && !status.wasKilled)) {
-        const numRunning = commands.filter(
-          (command2) => "terminal" in command2.status,
-        ).length;
-        attemptedKillAll = false;
-        command.start({
-          needsToWait: numRunning >= autoExit.maxParallel,
-        });
-        switchToCommand(index);
-      }
-    } else {
-      attemptedKillAll = false;
-      command.start({ needsToWait: false });
-      switchToCommand(index);
+  const scheduleAutomaticRestart = (command) => {
+    const delay = attemptedKillAll ? undefined : getRestartDelay(command);
+    if (delay === undefined) {
+      return;
     }
+    command.scheduleRestart(delay, () => {
+      const index = commands.indexOf(command);
+      command.start({
+        needsToWait: !canStart(command, commands, maxParallel),
+        automaticRestart: true,
+      });
+      startWaiting();
+      switch (current.tag) {
+        case "Command":
+          if (current.index === index) {
+            switchToCommand(index);
+          }
+          return;
+        case "Pager":
+          if (current.index === index) {
+            switchToPager(index, current.pager);
+          }
+          return;
+        case "Split":
+          if (current.split.indexes.includes(index)) {
+            switchToSplit(current.split);
+          }
+          return;
+        case "AllOutput":
+          return;
+        case "Dashboard":
+          // Redraw dashboard.
+          switchToDashboard();
+          return;
+      }
+    });
+    updateDashboardClock();
   };
 
+  /** @type {Set<net.Socket>} */
+  const subscribers = new Set();
+  /** @type {Array<string>} */
+  let lastControlCommands = [];
+
+  /**
+   * @returns {Array<string>}
+   */
+  const getControlCommands = () =>
+    commands.map((command, index) =>
+      Codec.JSON.stringify(
+        controlCommandCodec,
+        commandToControlCommand(command, index),
+      ),
+    );
+
   /**
+   * Called when a status, indicator or label might have changed. Only sends
+   * the commands that actually changed to subscribers.
+   *
    * @returns {void}
    */
-  const restartExited = () => {
-    if (autoExit.tag === "AutoExit") {
-      const exited = commands.filter(
-        (command) =>
-          command.status.tag === "Exit" &&
-          (command.status.exitCode !== 0 || command.status.wasKilled),
-      );
-      if (exited.length > 0) {
-        const numRunning = commands.filter(
-          (command2) => "terminal" in command2.status,
-        ).length;
-        attemptedKillAll = false;
-        for (const [index, command] of exited.entries()) {
-          command.start({
-            needsToWait: numRunning + index >= autoExit.maxParallel,
-          });
-        }
-      }
-    } else {
-      const exited = commands.filter(
-        (command) => command.status.tag === "Exit",
-      );
-      if (exited.length > 0) {
-        attemptedKillAll = false;
-        for (const command of exited) {
-          command.start({ needsToWait: false });
+  const notifyStatusChanges = () => {
+    if (subscribers.size === 0) {
+      return;
+    }
+    const controlCommands = getControlCommands();
+    for (const [index, line] of controlCommands.entries()) {
+      if (line !== lastControlCommands[index]) {
+        for (const socket of subscribers) {
+          socket.write(`{"event":"status","command":${line}}\n`);
         }
       }
     }
-
-    // Redraw dashboard.
-    switchToDashboard();
+    lastControlCommands = controlCommands;
   };
 
   /**
-   * @param {string} indicator
+   * @param {ControlRequest} request
+   * @param {net.Socket} socket
    * @returns {void}
    */
-  const restartByIndicator = (indicator) => {
-    attemptedKillAll = false;
-    hideSelection();
-    const matchingCommands = commands.filter(
-      (command) => getIndicatorChoice(command) === indicator,
-    );
-    for (const command of matchingCommands) {
-      switch (command.status.tag) {
-        case "Exit":
-          command.start({ needsToWait: false });
-          break;
-        case "Waiting":
-          break;
-        case "Running":
-          command.kill({ restartAfterKill: true });
-          break;
-        case "Killing":
-          command.status.lastKillPress = Date.now(); // Force kill.
-          command.kill({ restartAfterKill: true });
-          break;
+  const handleControlRequest = (request, socket) => {
+    switch (request.tag) {
+      case "List":
+        writeControlResponse(socket, {
+          ok: true,
+          commands: commands.map(commandToControlCommand),
+        });
+        return;
+
+      case "Subscribe":
+        if (subscribers.size === 0) {
+          lastControlCommands = getControlCommands();
+        }
+        subscribers.add(socket);
+        socket.on("close", () => {
+          subscribers.delete(socket);
+        });
+        writeControlResponse(socket, {
+          ok: true,
+          commands: commands.map(commandToControlCommand),
+        });
+        return;
+
+      case "KillAll":
+        // Respond first, since this exits run-pty if nothing is running.
+        writeControlResponse(socket, { ok: true }, killAll);
+        return;
+
+      case "Restart":
+      case "Kill":
+      case "Input": {
+        const result = findControlTarget(commands, request.target);
+        if (result.tag === "Error") {
+          writeControlResponse(socket, { ok: false, error: result.message });
+          return;
+        }
+        const { index } = result;
+        const command = commands[index];
+        switch (request.tag) {
+          case "Restart":
+            if (command.status.tag === "Waiting") {
+              writeControlResponse(socket, {
+                ok: false,
+                error: `Already waiting to start: ${command.title}`,
+              });
+              return;
+            }
+            attemptedKillAll = false;
+            restartWithReason(index, "restarted by run-pty ctl");
+            break;
+          case "Kill":
+            if (!("terminal" in command.status)) {
+              writeControlResponse(socket, {
+                ok: false,
+                error: `Not running: ${command.title}`,
+              });
+              return;
+            }
+            command.kill();
+            if (current.tag === "Dashboard") {
+              // Redraw dashboard.
+              switchToDashboard();
+            }
+            break;
+          case "Input":
+            if (!("terminal" in command.status)) {
+              writeControlResponse(socket, {
+                ok: false,
+                error: `Not running: ${command.title}`,
+              });
+              return;
+            }
+            command.status.terminal.write(request.data);
+            break;
+        }
+        writeControlResponse(socket, { ok: true });
+        return;
       }
     }
-
-    // Redraw dashboard.
-    switchToDashboard();
   };
 
-  /** @type {Array<{ commandIndex: number, data: string }>} */
+  /** @type {Array<{ command: Command, data: string }>} */
   const requests = [];
   let requestInFlight = false;
 
@@ -1963,111 +7283,231 @@ const runInteractively = (commandDescriptions, autoExit) => {
     requestInFlight = true;
   };
 
-  /** @type {Array<Command>} */
-  const commands = commandDescriptions.map(
-    (commandDescription, index) =>
-      new Command({
-        label: ALL_LABELS[index],
-        addHistoryStart: true,
-        commandDescription,
-        onData: (data, statusFromRulesChanged) => {
-          switch (current.tag) {
-            case "Command":
-              if (current.index === index) {
-                const command = commands[index];
-                switch (command.status.tag) {
-                  case "Running":
-                  case "Killing":
-                    printDataWithExtraText(command, data);
-                    return undefined;
-                  case "Waiting":
-                  case "Exit":
-                    throw new Error(
-                      `Received unexpected output from ${command.status.tag} pty for: ${command.title}\n${data}`,
-                    );
-                }
+  /**
+   * The callbacks look up the index of the command when called, since commands
+   * can be added and removed.
+   *
+   * @param {CommandDescription} commandDescription
+   * @returns {Command}
+   */
+  const createCommand = (commandDescription) => {
+    /** @type {Command} */
+    const command = new Command({
+      label: undefined,
+      addHistoryStart: true,
+      commandDescription,
+      log,
+      socketPath: control?.socketPath,
+      onData: (data, statusFromRulesChanged) => {
+        const index = commands.indexOf(command);
+        if (data !== "") {
+          hooks.onEvent({ tag: "Data", index, data });
+        }
+        if (statusFromRulesChanged) {
+          // Also when set via `STATUS_ESCAPE`, which comes without data.
+          notifications.schedule(command);
+          notifyStatusChanges();
+        }
+        switch (current.tag) {
+          case "Command":
+            if (current.index === index) {
+              switch (command.status.tag) {
+                case "Running":
+                case "Ready":
+                case "Killing":
+                case "Paused":
+                  printDataWithExtraText(command, data);
+                  return undefined;
+                case "Waiting":
+                case "Exit":
+                  throw new Error(
+                    `Received unexpected output from ${command.status.tag} pty for: ${command.title}\n${data}`,
+                  );
               }
-              return undefined;
+            }
+            return undefined;
 
-            case "Dashboard":
-              if (
-                selection.tag === "ByIndicator" &&
-                !getIndicatorChoices(commands).includes(selection.indicator)
-              ) {
-                selection = {
-                  tag: "Invisible",
-                  index: selection.keyboardIndex,
-                };
-                // Redraw dashboard.
-                switchToDashboard();
-              } else if (statusFromRulesChanged) {
-                // Redraw dashboard.
-                switchToDashboard();
+          case "Pager":
+            // Only follow new output when scrolled to the bottom.
+            if (
+              current.index === index &&
+              current.pager.top === undefined &&
+              data !== ""
+            ) {
+              switchToPager(index, current.pager);
+            }
+            return undefined;
+
+          case "Split":
+            if (current.split.indexes.includes(index)) {
+              switchToSplit(current.split);
+            }
+            return undefined;
+
+          case "AllOutput":
+            printAllOutput(index, data);
+            return undefined;
+
+          case "Dashboard":
+            if (
+              selection.tag === "ByIndicator" &&
+              !getIndicatorChoices(commands).includes(selection.indicator)
+            ) {
+              selection = {
+                tag: "Invisible",
+                index: selection.keyboardIndex,
+              };
+              // Redraw dashboard.
+              switchToDashboard();
+            } else if (statusFromRulesChanged || data === "") {
+              // Redraw dashboard.
+              switchToDashboard();
+            }
+            return undefined;
+        }
+      },
+      onRequest: (data) => {
+        requests.push({ command, data });
+        handleNextRequest();
+        return undefined;
+      },
+      onSynchronizedOutputChange: (data) => {
+        const index = commands.indexOf(command);
+        switch (current.tag) {
+          case "Command":
+            if (current.index === index) {
+              switch (command.status.tag) {
+                case "Running":
+                case "Ready":
+                case "Killing":
+                case "Paused":
+                  inSynchronizedOutputModeSince =
+                    data === BEGIN_SYNC_UPDATE ? Date.now() : undefined;
+                  printDataWithExtraText(command, data);
+                  return undefined;
+                case "Waiting":
+                case "Exit":
+                  throw new Error(
+                    `Received unexpected synchronized output change from ${command.status.tag} pty for: ${command.title}\n${JSON.stringify(data)}`,
+                  );
               }
-              return undefined;
+            }
+            return undefined;
+          case "Pager":
+          case "Split":
+          case "AllOutput":
+          case "Dashboard":
+            return undefined;
+        }
+      },
+      onTerminalTitleChange: () => {
+        const index = commands.indexOf(command);
+        switch (current.tag) {
+          case "Command":
+            if (current.index === index) {
+              process.stdout.write(
+                updateTerminalTitle(command.terminalTitle ?? command.title),
+              );
+            }
+            return undefined;
+          case "Pager":
+          case "AllOutput":
+            return undefined;
+          case "Split":
+            if (current.split.focused === index) {
+              process.stdout.write(
+                updateTerminalTitle(command.terminalTitle ?? command.title),
+              );
+            }
+            return undefined;
+          case "Dashboard":
+            // Redraw dashboard.
+            switchToDashboard();
+            return undefined;
+        }
+      },
+      onReady: () => {
+        const index = commands.indexOf(command);
+        startWaiting();
+        if (current.tag === "Dashboard") {
+          // Redraw dashboard.
+          switchToDashboard();
+        } else if (
+          current.tag === "Split" &&
+          current.split.indexes.includes(index)
+        ) {
+          switchToSplit(current.split);
+        }
+        return undefined;
+      },
+      onExit: withExitEvent(
+        hooks,
+        () => commands.indexOf(command),
+        () => {
+          const index = commands.indexOf(command);
+          if (
+            removeAfterExit.delete(command) &&
+            command.status.tag === "Exit"
+          ) {
+            spliceCommand(index);
+            redraw();
+            return undefined;
           }
-        },
-        onRequest: (data) => {
-          requests.push({ commandIndex: index, data });
-          handleNextRequest();
-          return undefined;
-        },
-        onSynchronizedOutputChange: (data) => {
+
+          scheduleAutomaticRestart(command);
+
+          const { status } = command;
+          if (
+            status.tag === "Exit" &&
+            status.exitCode !== 0 &&
+            !status.wasKilled
+          ) {
+            notifications.schedule(command);
+          }
+
+          startWaiting();
+          // Starting waiting commands can skip the last ones, which finishes.
+          if (isFinished) {
+            return undefined;
+          }
+
           switch (current.tag) {
             case "Command":
               if (current.index === index) {
-                const command = commands[index];
-                switch (command.status.tag) {
-                  case "Running":
-                  case "Killing":
-                    inSynchronizedOutputModeSince =
-                      data === BEGIN_SYNC_UPDATE ? Date.now() : undefined;
-                    printDataWithExtraText(command, data);
-                    return undefined;
-                  case "Waiting":
-                  case "Exit":
-                    throw new Error(
-                      `Received unexpected synchronized output change from ${command.status.tag} pty for: ${command.title}\n${JSON.stringify(data)}`,
-                    );
+                if ("terminal" in command.status) {
+                  // Restarted after being killed: Show the fresh history.
+                  switchToCommand(index);
+                } else {
+                  printDataWithExtraText(command, "", {
+                    ignoreAlternateScreen: true,
+                  });
                 }
               }
               return undefined;
-            case "Dashboard":
+
+            case "Pager":
               return undefined;
-          }
-        },
-        onExit: () => {
-          // Exit the whole program if all commands have exited.
-          if (isDone({ commands, attemptedKillAll, autoExit })) {
-            switchToDashboard({ forceClearScrollback: true });
-            process.exit(
-              autoExit.tag === "AutoExit" && attemptedKillAll ? 1 : 0,
-            );
-          }
 
-          const nextWaitingIndex = commands.findIndex(
-            (command) => command.status.tag === "Waiting",
-          );
-          if (nextWaitingIndex !== -1 && !attemptedKillAll) {
-            commands[nextWaitingIndex].start({ needsToWait: false });
-            // If starting the command we’re currently on, redraw to remove `waitingText`.
-            if (
-              current.tag === "Command" &&
-              current.index === nextWaitingIndex
-            ) {
-              switchToCommand(current.index);
-            }
-          }
+            case "Split":
+              if (current.split.indexes.includes(index)) {
+                switchToSplit(current.split);
+              }
+              return undefined;
 
-          switch (current.tag) {
-            case "Command":
-              if (current.index === index) {
-                const command = commands[index];
-                printDataWithExtraText(command, "", {
-                  ignoreAlternateScreen: true,
-                });
+            case "AllOutput": {
+              // Print the unfinished last line, if any.
+              if ((current.partialLines.get(index) ?? "") !== "") {
+                printAllOutput(index, "\n");
+              }
+              if (command.status.tag === "Exit") {
+                process.stdout.write(
+                  `${allOutputPrefix(command, index)} ${bold(
+                    `exit ${command.status.exitCode}`,
+                  )}\n`,
+                );
               }
               return undefined;
+            }
 
             case "Dashboard":
               if (
@@ -2084,45 +7524,103 @@ const runInteractively = (commandDescriptions, autoExit) => {
               return undefined;
           }
         },
-      }),
-  );
-
-  process.stdout.on("resize", () => {
-    for (const command of commands) {
-      if ("terminal" in command.status) {
-        command.status.terminal.resize(
-          process.stdout.columns,
-          process.stdout.rows,
+        exitIfDone,
+      ),
+      onStatusChange: (previousStatus) => {
+        emitStatusChange(
+          hooks,
+          commands.indexOf(command),
+          previousStatus,
+          command.status,
         );
-      }
-    }
+        notifyStatusChanges();
+        return undefined;
+      },
+    });
+    return command;
+  };
 
-    if (current.tag === "Dashboard") {
-      // Redraw dashboard.
-      switchToDashboard();
+  /**
+   * Labels follow the order of the commands, so they change when commands are
+   * added or removed.
+   *
+   * @returns {void}
+   */
+  const updateLabels = () => {
+    const labels = getLabels(commands.length);
+    for (const [index, command] of commands.entries()) {
+      command.label = labels[index];
     }
-  });
+    // Adding or removing commands shifts the indexes.
+    notifyStatusChanges();
+  };
+
+  /** @type {Array<Command>} */
+  const commands = commandDescriptions.map(createCommand);
+  updateLabels();
 
-  setupSignalHandlers(commands, killAll);
+  // The commands that came from the config file, in the order of the file.
+  // These are updated when the file changes.
+  /** @type {Set<Command>} */
+  const configCommands = new Set(config === undefined ? [] : commands);
 
-  process.stdin.setRawMode(true);
+  /**
+   * @returns {void}
+   */
+  const onResize = () => {
+    resizeCommands();
+    redraw();
+  };
 
-  process.stdin.on("data", (data) => {
+  /**
+   * Draws the current view again, for views that aren’t just output printed
+   * as it comes in.
+   *
+   * @returns {void}
+   */
+  const redraw = () => {
+    switch (current.tag) {
+      case "Command":
+        return;
+      case "Pager":
+        switchToPager(current.index, current.pager);
+        return;
+      case "Split":
+        switchToSplit(current.split);
+        return;
+      case "AllOutput":
+        return;
+      case "Dashboard":
+        // Redraw dashboard.
+        switchToDashboard();
+        return;
+    }
+  };
+
+  /**
+   * @param {Buffer} data
+   * @returns {void}
+   */
+  const onStdinData = (data) => {
     for (const [index, part] of data
       .toString("utf8")
       .split(ESCAPES_RESPONSE)
       .entries()) {
       if (index % 2 === 1 && requests.length > 0) {
-        const request = requests[0];
-        const command = commands[request.commandIndex];
+        const { command } = requests[0];
         switch (command.status.tag) {
           case "Running":
+          case "Ready":
           case "Killing":
+          case "Paused":
             switch (current.tag) {
               case "Command":
                 command.status.terminal.write(part);
                 break;
-              // In the dashboard, make an educated guess where the cursor would be in the command.
+              // In the dashboard, pager and split view, make an educated guess where the cursor would be in the command.
+              case "Pager":
+              case "Split":
+              case "AllOutput":
               case "Dashboard": {
                 const numLines = (
                   command.isOnAlternateScreen
@@ -2147,70 +7645,284 @@ const runInteractively = (commandDescriptions, autoExit) => {
       } else if (part !== "") {
         onStdin(
           part,
-          autoExit,
-          current,
-          commands,
-          selection,
-          switchToDashboard,
-          switchToCommand,
-          setSelection,
-          killAll,
-          restart,
-          restartExited,
-          restartByIndicator,
+          {
+            autoExit,
+            current,
+            commands,
+            selection,
+            filter,
+            collapsedGroups,
+            labelPrefix,
+            marked,
+            broadcast,
+            commandInput,
+          },
+          {
+            switchToDashboard,
+            switchToCommand,
+            switchToPager,
+            getCommandPagerContent,
+            switchToSplit,
+            switchToAllOutput,
+            setSelection,
+            setFilter,
+            setLabelPrefix,
+            setGroupCollapsed,
+            scrollDashboard,
+            openSplit,
+            killAll,
+            restart,
+            restartExited,
+            restartByIndicator,
+            restartGroup,
+            killGroup,
+            focusNextInGroup,
+            toggleMarked,
+            unmarkAll,
+            startBroadcast,
+            stopBroadcast,
+            setCommandInput,
+            submitCommandInput,
+            removeCommand,
+            togglePause,
+          },
         );
       }
     }
-  });
+  };
+
+  /**
+   * @returns {void}
+   */
+  const restoreTerminal = () => {
+    process.stdout.write(
+      SHOW_CURSOR +
+        DISABLE_BRACKETED_PASTE_MODE +
+        DISABLE_MOUSE +
+        RESET_COLOR +
+        POP_TERMINAL_TITLE,
+    );
+  };
+
+  const teardownCommandResources = setupCommandResources(
+    commands,
+    onWatchedFileChange,
+  );
+  let isFinished = false;
+  const stopWatchingConfig =
+    config === undefined
+      ? undefined
+      : watchConfigFile(config.file, reloadConfig);
+
+  /**
+   * Gives the terminal back and reports the exit code. Nothing is left
+   * listening, so the process can exit (or, when used via `runPty`, go on with
+   * other things).
+   *
+   * @param {number} exitCode
+   * @returns {void}
+   */
+  const done = (exitCode) => {
+    teardown();
+    hooks.onDone(exitCode);
+  };
+
+  /**
+   * @returns {void}
+   */
+  const teardown = () => {
+    isFinished = true;
+    for (const command of commands) {
+      command.cancelRestart();
+    }
+    clearInterval(dashboardClockInterval);
+    clearInterval(resourceUsageInterval);
+    notifications.cancelAll();
+    teardownCommandResources();
+    stopWatchingConfig?.();
+    process.stdout.off("resize", onResize);
+    process.stdin.off("data", onStdinData);
+    process.stdin.setRawMode(false);
+    process.stdin.pause();
+    process.off("exit", restoreTerminal);
+    restoreTerminal();
+    control?.server.close();
+  };
 
-  process.on("exit", () => {
-    process.stdout.write(
-      SHOW_CURSOR + DISABLE_BRACKETED_PASTE_MODE + DISABLE_MOUSE + RESET_COLOR,
-    );
-  });
+  process.stdout.on("resize", onResize);
 
-  const maxParallel =
-    autoExit.tag === "AutoExit" ? autoExit.maxParallel : Infinity;
-  for (const [index, command] of commands.entries()) {
-    command.start({ needsToWait: index >= maxParallel });
+  if (control !== undefined) {
+    handleControlConnections(control.server, handleControlRequest);
   }
 
-  if (commandDescriptions.length === 1) {
-    switchToCommand(0);
+  process.stdin.setRawMode(true);
+  process.stdin.on("data", onStdinData);
+  process.on("exit", restoreTerminal);
+  // Save the title, so it can be restored when done.
+  process.stdout.write(PUSH_TERMINAL_TITLE);
+
+  /**
+   * @returns {void}
+   */
+  const start = () => {
+    if (isFinished) {
+      return;
+    }
+
+    for (const command of commands) {
+      command.start({
+        needsToWait: !canStart(command, commands, maxParallel),
+      });
+    }
+    startWaitingCommands(commands, maxParallel);
+
+    if (commandDescriptions.length === 1) {
+      switchToCommand(0);
+    } else {
+      switchToDashboard();
+    }
+  };
+
+  if (control === undefined) {
+    // Start on the next tick, so that `runPty` callers have a chance to listen
+    // for events first.
+    process.nextTick(start);
   } else {
-    switchToDashboard();
+    // The commands get `RUN_PTY_SOCKET`, so wait until it can be connected to.
+    control.listening.then(start, (/** @type {unknown} */ error) => {
+      if (isFinished) {
+        return;
+      }
+      teardown();
+      hooks.onFail(
+        new Error(
+          `Failed to create socket: ${
+            error instanceof Error ? error.message : String(error)
+          }`,
+        ),
+      );
+    });
   }
+
+  return {
+    commands,
+    restart: (index, reason) => {
+      attemptedKillAll = false;
+      restartWithReason(index, reason);
+    },
+    kill: (index) => {
+      commands[index].kill();
+      if (current.tag === "Dashboard") {
+        // Redraw dashboard.
+        switchToDashboard();
+      }
+    },
+    killAll,
+    focus: (index) => {
+      switchToCommand(index, { hideSelection: true });
+    },
+  };
 };
 
+/**
+ * The parts of the state in `runInteractively` that keypresses depend on.
+ *
+ * @typedef {{
+    autoExit: AutoExit,
+    current: Current,
+    commands: Array<Command>,
+    selection: Selection,
+    filter: string | undefined,
+    collapsedGroups: Set<string>,
+    labelPrefix: string,
+    marked: Set<number>,
+    broadcast: Array<number> | undefined,
+    commandInput: CommandInput | undefined,
+   }} StdinState
+ */
+
+/**
+ * What keypresses can do, implemented in `runInteractively`.
+ *
+ * @typedef {{
+    switchToDashboard: () => void,
+    switchToCommand: (index: number, options?: { hideSelection?: boolean }) => void,
+    switchToPager: (index: number, pager: Pager) => void,
+    getCommandPagerContent: (command: Command) => PagerContent,
+    switchToSplit: (split: Split) => void,
+    switchToAllOutput: () => void,
+    setSelection: (newSelection: Selection) => void,
+    setFilter: (newFilter: string | undefined) => void,
+    setLabelPrefix: (newLabelPrefix: string) => void,
+    setGroupCollapsed: (group: string, collapsed: boolean) => void,
+    scrollDashboard: (delta: number) => void,
+    openSplit: () => void,
+    killAll: () => void,
+    restart: (index: number, status: Extract<Status, {tag: "Exit"}>) => void,
+    restartExited: () => void,
+    restartByIndicator: (indicator: string) => void,
+    restartGroup: (group: string) => void,
+    killGroup: (group: string) => void,
+    focusNextInGroup: () => void,
+    toggleMarked: (index: number) => void,
+    unmarkAll: () => void,
+    startBroadcast: () => void,
+    stopBroadcast: () => void,
+    setCommandInput: (newCommandInput: CommandInput | undefined) => void,
+    submitCommandInput: () => void,
+    removeCommand: (index: number) => void,
+    togglePause: (index: number) => void,
+   }} StdinActions
+ */
+
 /**
  * @param {string} rawData
- * @param {AutoExit} autoExit
- * @param {Current} current
- * @param {Array<Command>} commands
- * @param {Selection} selection
- * @param {() => void} switchToDashboard
- * @param {(index: number, options?: { hideSelection?: boolean }) => void} switchToCommand
- * @param {(newSelection: Selection) => void} setSelection
- * @param {() => void} killAll
- * @param {(index: number, status: Extract<Status, {tag: "Exit"}>) => void} restart
- * @param {() => void} restartExited
- * @param {(indicator: string) => void} restartByIndicator
+ * @param {StdinState} state
+ * @param {StdinActions} actions
  * @returns {undefined}
  */
-const onStdin = (
-  rawData,
-  autoExit,
-  current,
-  commands,
-  selection,
-  switchToDashboard,
-  switchToCommand,
-  setSelection,
-  killAll,
-  restart,
-  restartExited,
-  restartByIndicator,
-) => {
+const onStdin = (rawData, state, actions) => {
+  const {
+    autoExit,
+    current,
+    commands,
+    selection,
+    filter,
+    collapsedGroups,
+    labelPrefix,
+    marked,
+    broadcast,
+    commandInput,
+  } = state;
+  const {
+    switchToDashboard,
+    switchToCommand,
+    switchToPager,
+    getCommandPagerContent,
+    switchToSplit,
+    switchToAllOutput,
+    setSelection,
+    setFilter,
+    setLabelPrefix,
+    setGroupCollapsed,
+    scrollDashboard,
+    openSplit,
+    killAll,
+    restart,
+    restartExited,
+    restartByIndicator,
+    restartGroup,
+    killGroup,
+    focusNextInGroup,
+    toggleMarked,
+    unmarkAll,
+    startBroadcast,
+    stopBroadcast,
+    setCommandInput,
+    submitCommandInput,
+    removeCommand,
+    togglePause,
+  } = actions;
   const data = IS_WINDOWS ? convertWin32InputMode(rawData) : rawData;
   switch (current.tag) {
     case "Command": {
@@ -2231,6 +7943,7 @@ const onStdin = (
           }
 
         case "Running":
+        case "Ready":
         case "Killing":
           switch (data) {
             case KEY_CODES.kill:
@@ -2241,12 +7954,48 @@ const onStdin = (
               switchToDashboard();
               return undefined;
 
+            case KEY_CODES.pager:
+              switchToPager(current.index, initialPager);
+              return undefined;
+
+            case KEY_CODES.pause:
+              togglePause(current.index);
+              return undefined;
+
+            default: {
+              const { terminal } = command.status;
+              // Typing something cancels killing.
+              if (command.status.tag === "Killing") {
+                command.setStatus({
+                  tag: command.status.wasReady ? "Ready" : "Running",
+                  terminal,
+                });
+              }
+              terminal.write(rawData);
+              return undefined;
+            }
+          }
+
+        case "Paused":
+          switch (data) {
+            case KEY_CODES.kill:
+              command.kill();
+              return undefined;
+
+            case KEY_CODES.dashboard:
+              switchToDashboard();
+              return undefined;
+
+            case KEY_CODES.pager:
+              switchToPager(current.index, initialPager);
+              return undefined;
+
+            case KEY_CODES.pause:
+              togglePause(current.index);
+              return undefined;
+
             default:
-              command.status = {
-                tag: "Running",
-                terminal: command.status.terminal,
-              };
-              command.status.terminal.write(rawData);
+              // The command can’t read input while paused.
               return undefined;
           }
 
@@ -2264,18 +8013,340 @@ const onStdin = (
               restart(current.index, command.status);
               return undefined;
 
+            case KEY_CODES.pager:
+              switchToPager(current.index, initialPager);
+              return undefined;
+
             default:
               return undefined;
           }
       }
     }
 
-    case "Dashboard":
+    case "Pager":
+      switch (data) {
+        case KEY_CODES.dashboard:
+          switchToDashboard();
+          return undefined;
+
+        case KEY_CODES.pager:
+          switchToCommand(current.index);
+          return undefined;
+
+        default: {
+          const pager = pagerKeypress(
+            getCommandPagerContent(commands[current.index]),
+            current.pager,
+            pagerPageSize(process.stdout.rows),
+            data,
+          );
+          if (pager === undefined) {
+            switchToCommand(current.index);
+          } else {
+            switchToPager(current.index, pager);
+          }
+          return undefined;
+        }
+      }
+
+    case "Split": {
+      const { split } = current;
+      const command = commands[split.focused];
+      switch (data) {
+        case KEY_CODES.dashboard:
+          switchToDashboard();
+          return undefined;
+
+        case KEY_CODES.nextPane:
+          switchToSplit({
+            ...split,
+            focused:
+              split.indexes[
+                (split.indexes.indexOf(split.focused) + 1) %
+                  split.indexes.length
+              ],
+          });
+          return undefined;
+
+        case KEY_CODES.split:
+          switchToSplit({
+            ...split,
+            direction:
+              split.direction === "SideBySide" ? "Stacked" : "SideBySide",
+          });
+          return undefined;
+
+        case KEY_CODES.kill:
+          if ("terminal" in command.status) {
+            command.kill();
+            switchToSplit(split);
+          } else {
+            killAll();
+          }
+          return undefined;
+
+        case KEY_CODES.pause:
+          togglePause(split.focused);
+          return undefined;
+
+        default:
+          // The rest works like in the focused command view.
+          switch (command.status.tag) {
+            case "Waiting":
+            case "Paused":
+              return undefined;
+
+            case "Running":
+            case "Ready":
+            case "Killing": {
+              const { terminal } = command.status;
+              // Typing something cancels killing.
+              if (command.status.tag === "Killing") {
+                command.setStatus({
+                  tag: command.status.wasReady ? "Ready" : "Running",
+                  terminal,
+                });
+              }
+              terminal.write(rawData);
+              return undefined;
+            }
+
+            case "Exit":
+              if (data === KEY_CODES.restart) {
+                restart(split.focused, command.status);
+              }
+              return undefined;
+          }
+      }
+    }
+
+    case "AllOutput":
       switch (data) {
+        case KEY_CODES.dashboard:
+          switchToDashboard();
+          return undefined;
+
         case KEY_CODES.kill:
           killAll();
           return undefined;
 
+        default: {
+          const commandIndex = commands.findIndex(
+            (command) => command.label === labelPrefix + data,
+          );
+          if (commandIndex !== -1) {
+            switchToCommand(commandIndex, { hideSelection: true });
+          } else if (
+            labelPrefix === "" &&
+            commands.some(
+              (command) =>
+                command.label !== undefined &&
+                command.label.length > 1 &&
+                command.label.startsWith(data),
+            )
+          ) {
+            setLabelPrefix(data);
+          } else {
+            setLabelPrefix("");
+          }
+          return undefined;
+        }
+      }
+
+    case "Dashboard":
+      if (broadcast !== undefined) {
+        switch (data) {
+          case KEY_CODES.dashboard:
+            stopBroadcast();
+            return undefined;
+
+          case KEY_CODES.kill: {
+            const running = broadcast.filter(
+              (index) => "terminal" in commands[index].status,
+            );
+            // Killing everything would be surprising when none of the
+            // commands that typing goes to are running. Let ctrl+c be the
+            // reflexive way out instead.
+            if (running.length === 0) {
+              stopBroadcast();
+            } else {
+              for (const index of running) {
+                commands[index].kill();
+              }
+              // Redraw dashboard.
+              switchToDashboard();
+            }
+            return undefined;
+          }
+
+          default:
+            // Mouse events are for the dashboard, not for the commands.
+            if (data.startsWith("\x1B[<")) {
+              return undefined;
+            }
+            for (const index of broadcast) {
+              const command = commands[index];
+              if ("terminal" in command.status) {
+                const { terminal } = command.status;
+                // Typing something cancels killing.
+                if (command.status.tag === "Killing") {
+                  command.setStatus({
+                    tag: command.status.wasReady ? "Ready" : "Running",
+                    terminal,
+                  });
+                }
+                terminal.write(rawData);
+              }
+            }
+            return undefined;
+        }
+      }
+
+      if (commandInput !== undefined) {
+        switch (data) {
+          case KEY_CODES.esc:
+            setCommandInput(undefined);
+            return undefined;
+
+          case KEY_CODES.backspace:
+            setCommandInput({
+              ...commandInput,
+              text: commandInput.text.slice(0, -1),
+              error: undefined,
+            });
+            return undefined;
+
+          case KEY_CODES.enter:
+            submitCommandInput();
+            return undefined;
+
+          default:
+            if (!/[\x00-\x1F\x7F]/.test(data)) {
+              setCommandInput({
+                ...commandInput,
+                text: commandInput.text + data,
+                error: undefined,
+              });
+              return undefined;
+            }
+            if (data !== KEY_CODES.kill) {
+              return undefined;
+            }
+            // ctrl+c works the same as without the input.
+            break;
+        }
+      }
+
+      if (filter !== undefined) {
+        switch (data) {
+          case KEY_CODES.esc:
+            setFilter(undefined);
+            return undefined;
+
+          case KEY_CODES.backspace:
+            setFilter(filter === "" ? undefined : filter.slice(0, -1));
+            return undefined;
+
+          case KEY_CODES.enter: {
+            const visible = filterCommandIndexes(commands, filter);
+            const index =
+              (selection.tag === "Mousedown" || selection.tag === "Keyboard") &&
+              visible.includes(selection.index)
+                ? selection.index
+                : visible.length === 1
+                  ? visible[0]
+                  : undefined;
+            if (index !== undefined) {
+              switchToCommand(index, { hideSelection: true });
+            }
+            return undefined;
+          }
+
+          case KEY_CODES.left:
+          case KEY_CODES.right:
+            return undefined;
+
+          default:
+            if (!/[\x00-\x1F\x7F]/.test(data)) {
+              setFilter(filter + data);
+              return undefined;
+            }
+            // ctrl+c, up, down and the mouse work the same as without filter.
+            break;
+        }
+      }
+
+      if (labelPrefix !== "") {
+        // The second key of a two key label. Any other key cancels.
+        const commandIndex = commands.findIndex(
+          (command) => command.label === labelPrefix + data,
+        );
+        if (commandIndex === -1) {
+          setLabelPrefix("");
+        } else {
+          switchToCommand(commandIndex, { hideSelection: true });
+        }
+        return undefined;
+      }
+
+      switch (data) {
+        case KEY_CODES.kill:
+          if (selection.tag === "ByGroup") {
+            killGroup(selection.group);
+          } else {
+            killAll();
+          }
+          return undefined;
+
+        case KEY_CODES.split:
+          openSplit();
+          return undefined;
+
+        case KEY_CODES.allOutput:
+          switchToAllOutput();
+          return undefined;
+
+        case KEY_CODES.broadcast:
+          startBroadcast();
+          return undefined;
+
+        case KEY_CODES.mark:
+          if (selection.tag === "Keyboard") {
+            toggleMarked(selection.index);
+          }
+          return undefined;
+
+        case KEY_CODES.add:
+          setCommandInput({ text: "", template: undefined, error: undefined });
+          return undefined;
+
+        case KEY_CODES.duplicate:
+          if (selection.tag === "Keyboard") {
+            const { commandDescription } = commands[selection.index];
+            setCommandInput({
+              text: commandInputText(commandDescription),
+              template: commandDescription,
+              error: undefined,
+            });
+          }
+          return undefined;
+
+        case KEY_CODES.remove:
+          if (selection.tag === "Keyboard") {
+            removeCommand(selection.index);
+          }
+          return undefined;
+
+        case KEY_CODES.pause:
+          if (selection.tag === "Keyboard") {
+            togglePause(selection.index);
+          }
+          return undefined;
+
+        case KEY_CODES.filter:
+          setFilter("");
+          return undefined;
+
         case KEY_CODES.enter:
           switch (selection.tag) {
             case "Invisible":
@@ -2288,6 +8359,9 @@ const onStdin = (
             case "ByIndicator":
               restartByIndicator(selection.indicator);
               return undefined;
+            case "ByGroup":
+              restartGroup(selection.group);
+              return undefined;
           }
 
         case KEY_CODES.up:
@@ -2301,15 +8375,15 @@ const onStdin = (
               keyboardIndex: selection.keyboardIndex,
             });
           } else {
-            setSelection({
-              tag: "Keyboard",
-              index:
-                selection.tag === "Invisible"
-                  ? selection.index
-                  : selection.index === 0
-                    ? commands.length - 1
-                    : selection.index - 1,
-            });
+            const newSelection = moveSelection(
+              commands,
+              getDashboardRows(commands, { filter, collapsedGroups }),
+              selection,
+              -1,
+            );
+            if (newSelection !== undefined) {
+              setSelection(newSelection);
+            }
           }
           return undefined;
 
@@ -2326,22 +8400,24 @@ const onStdin = (
               indicator: indicators[newIndex],
               keyboardIndex: selection.keyboardIndex,
             });
-          } else {
-            setSelection({
-              tag: "Keyboard",
-              index:
-                selection.tag === "Invisible"
-                  ? selection.index
-                  : selection.index === commands.length - 1
-                    ? 0
-                    : selection.index + 1,
-            });
+          } else {
+            const newSelection = moveSelection(
+              commands,
+              getDashboardRows(commands, { filter, collapsedGroups }),
+              selection,
+              1,
+            );
+            if (newSelection !== undefined) {
+              setSelection(newSelection);
+            }
           }
           return undefined;
 
         case KEY_CODES.left:
         case KEY_CODES.right: {
-          if (autoExit.tag === "NoAutoExit") {
+          if (selection.tag === "ByGroup") {
+            setGroupCollapsed(selection.group, data === KEY_CODES.left);
+          } else if (autoExit.tag === "NoAutoExit") {
             if (selection.tag === "ByIndicator") {
               setSelection({
                 tag: "Keyboard",
@@ -2358,11 +8434,24 @@ const onStdin = (
           return undefined;
         }
 
+        case KEY_CODES.tab:
+          if (selection.tag === "ByGroup") {
+            focusNextInGroup();
+          }
+          return undefined;
+
         case KEY_CODES.esc:
+          if (
+            marked.size > 0 &&
+            (selection.tag === "Invisible" || selection.tag === "Mousedown")
+          ) {
+            unmarkAll();
+            return undefined;
+          }
           setSelection({
             tag: "Invisible",
             index:
-              selection.tag === "ByIndicator"
+              "keyboardIndex" in selection
                 ? selection.keyboardIndex
                 : selection.index,
           });
@@ -2377,22 +8466,57 @@ const onStdin = (
             return undefined;
           }
 
+          if (
+            commands.some(
+              (command) =>
+                command.label !== undefined &&
+                command.label.length > 1 &&
+                command.label.startsWith(data),
+            )
+          ) {
+            setLabelPrefix(data);
+            return undefined;
+          }
+
           const mousePosition = parseMouse(data);
           if (mousePosition === undefined) {
             return undefined;
           }
 
-          const index = getCommandIndexFromMousePosition(
+          const row = getDashboardRowFromMousePosition(
             commands,
+            filter,
+            collapsedGroups,
+            current.window,
             mousePosition,
           );
 
           switch (mousePosition.type) {
+            case "wheelup":
+              scrollDashboard(-MOUSE_WHEEL_LINES);
+              return undefined;
+
+            case "wheeldown":
+              scrollDashboard(MOUSE_WHEEL_LINES);
+              return undefined;
+
             case "mousedown":
-              if (index !== undefined) {
-                setSelection({ tag: "Mousedown", index });
+              switch (row?.tag) {
+                case undefined:
+                  return undefined;
+                case "Command":
+                  setSelection({ tag: "Mousedown", index: row.index });
+                  return undefined;
+                case "Group":
+                  setSelection({
+                    tag: "ByGroup",
+                    group: row.group,
+                    keyboardIndex: commands.findIndex(
+                      (command) => command.group === row.group,
+                    ),
+                  });
+                  return undefined;
               }
-              return undefined;
 
             case "mouseup": {
               switch (selection.tag) {
@@ -2401,12 +8525,18 @@ const onStdin = (
                   return undefined;
                 case "Mousedown":
                 case "Keyboard":
-                  if (index !== undefined && index === selection.index) {
-                    switchToCommand(index, { hideSelection: true });
+                  if (row?.tag === "Command" && row.index === selection.index) {
+                    switchToCommand(row.index, { hideSelection: true });
                   } else {
                     setSelection({ tag: "Invisible", index: selection.index });
                   }
                   return undefined;
+                case "ByGroup":
+                  // Clicking a group header toggles it.
+                  if (row?.tag === "Group" && row.group === selection.group) {
+                    setGroupCollapsed(row.group, !row.collapsed);
+                  }
+                  return undefined;
               }
             }
           }
@@ -2415,20 +8545,30 @@ const onStdin = (
   }
 };
 
-const MOUSE_REGEX = /\x1B\[<0;(\d+);(\d+)([Mm])/;
+// Button 0 is the left button, and 64 and 65 are the mouse wheel.
+const MOUSE_REGEX = /\x1B\[<(0|64|65);(\d+);(\d+)([Mm])/;
+
+const MOUSE_WHEEL_LINES = 3;
 
 /**
  * @param {string} string
- * @returns {{ type: "mousedown" | "mouseup", x: number, y: number } | undefined}
+ * @returns {{ type: "mousedown" | "mouseup" | "wheelup" | "wheeldown", x: number, y: number } | undefined}
  */
 const parseMouse = (string) => {
   const match = MOUSE_REGEX.exec(string);
   if (match === null) {
     return undefined;
   }
-  const [, x, y, type] = match;
+  const [, button, x, y, type] = match;
   return {
-    type: type === "M" ? "mousedown" : "mouseup",
+    type:
+      button === "64"
+        ? "wheelup"
+        : button === "65"
+          ? "wheeldown"
+          : type === "M"
+            ? "mousedown"
+            : "mouseup",
     x: Number(x) - 1,
     y: Number(y) - 1,
   };
@@ -2436,9 +8576,19 @@ const parseMouse = (string) => {
 
 /**
  * @param {Array<Command>} commands
+ * @param {string | undefined} filter
+ * @param {Set<string>} collapsedGroups
+ * @param {DashboardWindow | undefined} window
  * @param {{ x: number, y: number }} mousePosition
+ * @returns {DashboardRow | undefined}
  */
-const getCommandIndexFromMousePosition = (commands, { x, y }) => {
+const getDashboardRowFromMousePosition = (
+  commands,
+  filter,
+  collapsedGroups,
+  window,
+  { x, y },
+) => {
   const lines = drawDashboardCommandLines(
     commands,
     {
@@ -2448,13 +8598,19 @@ const getCommandIndexFromMousePosition = (commands, { x, y }) => {
     {
       width: process.stdout.columns,
       useSeparateKilledIndicator: false,
+      filter,
+      collapsedGroups,
+      marked: new Set(),
     },
   );
 
-  if (y >= 0 && y < lines.length) {
-    const line = lines[y];
+  const visibleLines =
+    window === undefined ? lines : lines.slice(window.start, window.end);
+
+  if (y >= 0 && y < visibleLines.length) {
+    const line = visibleLines[y];
     if (x >= 0 && x < line.length) {
-      return y;
+      return line.row;
     }
   }
 
@@ -2462,18 +8618,33 @@ const getCommandIndexFromMousePosition = (commands, { x, y }) => {
 };
 
 /**
+ * Throws if the log files cannot be opened.
+ *
  * @param {Array<CommandDescription>} commandDescriptions
  * @param {number} maxParallel
- * @returns {void}
+ * @param {LogOptions} log
+ * @param {Notify} notify
+ * @param {SessionHooks} hooks
+ * @returns {Session}
  */
-const runNonInteractively = (commandDescriptions, maxParallel) => {
+const runNonInteractively = (
+  commandDescriptions,
+  maxParallel,
+  log,
+  notify,
+  hooks,
+) => {
   let attemptedKillAll = false;
+  const notifications = createNotificationScheduler();
 
   /**
    * @returns {void}
    */
   const killAll = () => {
     attemptedKillAll = true;
+    for (const command of commands) {
+      command.cancelRestart();
+    }
     const notExited = commands.filter(
       (command) => "terminal" in command.status,
     );
@@ -2485,7 +8656,7 @@ const runNonInteractively = (commandDescriptions, maxParallel) => {
 
     if (notExited.length === 0) {
       process.stdout.write(drawSummary(commands));
-      process.exit(1);
+      done(1);
     } else {
       for (const command of notExited) {
         command.kill();
@@ -2496,13 +8667,84 @@ const runNonInteractively = (commandDescriptions, maxParallel) => {
     }
   };
 
+  /**
+   * @returns {void}
+   */
+  const startWaiting = () => {
+    if (attemptedKillAll) {
+      return;
+    }
+    for (const command of startWaitingCommands(commands, maxParallel)) {
+      printStarted(command, false);
+    }
+  };
+
+  /**
+   * Exits the whole program if all commands have exited, and otherwise starts
+   * the commands that can start now.
+   *
+   * @returns {void}
+   */
+  const exitIfDone = () => {
+    if (isFinished) {
+      return;
+    }
+
+    const numRunning = commands.filter(
+      (command) => "terminal" in command.status,
+    ).length;
+    const numExit = commands.filter(
+      (command) => command.status.tag === "Exit",
+    ).length;
+    const numExit0 = commands.filter(
+      (command) =>
+        command.status.tag === "Exit" &&
+        command.status.exitCode === 0 &&
+        !command.status.wasKilled,
+    ).length;
+
+    if (
+      (attemptedKillAll && numRunning === 0) ||
+      (numExit === commands.length &&
+        commands.every((command) => command.pendingRestart === undefined))
+    ) {
+      process.stdout.write(drawSummary(commands));
+      if (attemptedKillAll) {
+        done(1);
+      } else {
+        // Don’t leave out failures that happened just now.
+        notifications.flush();
+        if (numExit0 === numExit) {
+          sendNotification(notify, "All commands succeeded");
+        }
+        done(numExit0 !== numExit ? 1 : 0);
+      }
+      return;
+    }
+
+    startWaiting();
+  };
+
+  const labels = getLabels(commandDescriptions.length);
+
   /** @type {Array<Command>} */
   const commands = commandDescriptions.map((commandDescription, index) => {
+    const getIndex = () => index;
     const thisCommand = new Command({
-      label: ALL_LABELS[index],
+      label: labels[index],
       addHistoryStart: false,
       commandDescription,
-      onData: () => undefined,
+      log,
+      socketPath: undefined,
+      onData: (data, statusFromRulesChanged) => {
+        if (data !== "") {
+          hooks.onEvent({ tag: "Data", index, data });
+        }
+        if (statusFromRulesChanged) {
+          notifications.schedule(thisCommand);
+        }
+        return undefined;
+      },
       // `process.stdin.setRawMode(true)` is required to make real requests to
       // the terminal, but that is not possible when `process.stdin.isTTY === false`.
       // The best we can do is respond immediately with a fake response so
@@ -2515,82 +8757,705 @@ const runNonInteractively = (commandDescriptions, maxParallel) => {
         return undefined;
       },
       onSynchronizedOutputChange: () => undefined,
-      onExit: (exitCode) => {
-        const numRunning = commands.filter(
-          (command) => "terminal" in command.status,
-        ).length;
-        const numExit = commands.filter(
-          (command) => command.status.tag === "Exit",
-        ).length;
-        const numExit0 = commands.filter(
-          (command) =>
-            command.status.tag === "Exit" &&
-            command.status.exitCode === 0 &&
-            !command.status.wasKilled,
-        ).length;
+      onTerminalTitleChange: () => undefined,
+      onReady: () => {
+        startWaiting();
+        return undefined;
+      },
+      onExit: withExitEvent(
+        hooks,
+        getIndex,
+        (exitCode) => {
+          process.stdout.write(
+            exitTextAndHistory({
+              command: thisCommand,
+              exitCode,
+              numExited: commands.filter(
+                (command) => command.status.tag === "Exit",
+              ).length,
+              numTotal: commands.length,
+            }),
+          );
+
+          if ("terminal" in thisCommand.status) {
+            // Restarted after being killed.
+            printStarted(thisCommand, false);
+          } else if (
+            exitCode !== 0 &&
+            thisCommand.status.tag === "Exit" &&
+            !thisCommand.status.wasKilled
+          ) {
+            notifications.schedule(thisCommand);
+          }
+
+          const restartDelay = attemptedKillAll
+            ? undefined
+            : getRestartDelay(thisCommand);
+          if (restartDelay !== undefined) {
+            thisCommand.scheduleRestart(restartDelay, () => {
+              const needsToWait = !canStart(thisCommand, commands, maxParallel);
+              thisCommand.start({ needsToWait, automaticRestart: true });
+              printStarted(thisCommand, needsToWait);
+            });
+          }
+
+          return undefined;
+        },
+        exitIfDone,
+      ),
+      onStatusChange: (previousStatus) => {
+        emitStatusChange(hooks, index, previousStatus, thisCommand.status);
+        return undefined;
+      },
+    });
+
+    return thisCommand;
+  });
+
+  /**
+   * Reasons passed to `restart`, printed once the command actually starts.
+   *
+   * @type {Map<Command, string>}
+   */
+  const restartReasons = new Map();
+
+  /**
+   * @param {Command} command
+   * @param {boolean} needsToWait
+   * @returns {void}
+   */
+  const printStarted = (command, needsToWait) => {
+    const reason = needsToWait ? undefined : restartReasons.get(command);
+    if (!needsToWait) {
+      restartReasons.delete(command);
+    }
+    process.stdout.write(
+      `${commandTitleOnlyWithIndicator(
+        needsToWait ? waitingIndicator : defaultIndicator(command),
+        command,
+      )}\n${reason === undefined ? "" : `${dim(reason)}\n`}\n`,
+    );
+  };
+
+  /**
+   * @returns {void}
+   */
+  const onResize = () => {
+    for (const command of commands) {
+      if ("terminal" in command.status) {
+        command.status.terminal.resize(
+          process.stdout.columns,
+          process.stdout.rows,
+        );
+      }
+    }
+  };
+
+  // No file watching: This mode is about running the commands until they are
+  // done, not about restarting them.
+  const teardownCommandResources = setupCommandResources(commands, undefined);
+  let isFinished = false;
+
+  /**
+   * @param {number} exitCode
+   * @returns {void}
+   */
+  const done = (exitCode) => {
+    isFinished = true;
+    for (const command of commands) {
+      command.cancelRestart();
+    }
+    notifications.cancelAll();
+    teardownCommandResources();
+    process.stdout.off("resize", onResize);
+    hooks.onDone(exitCode);
+  };
+
+  process.stdout.on("resize", onResize);
+
+  // Start on the next tick, so that `runPty` callers have a chance to listen
+  // for events first.
+  process.nextTick(() => {
+    if (isFinished) {
+      return;
+    }
+
+    for (const command of commands) {
+      const needsToWait = !canStart(command, commands, maxParallel);
+      command.start({ needsToWait });
+      printStarted(command, needsToWait);
+    }
+
+    startWaiting();
+  });
+
+  return {
+    commands,
+    restart: (index, reason) => {
+      const command = commands[index];
+      // Commands that need to be killed first are printed once restarted.
+      const wasExit = command.status.tag === "Exit";
+      attemptedKillAll = false;
+      if (reason !== undefined) {
+        restartReasons.set(command, reason);
+      }
+      restartCommand(command, commands, maxParallel);
+      if (wasExit) {
+        printStarted(command, command.status.tag === "Waiting");
+      }
+      startWaiting();
+    },
+    kill: (index) => {
+      const command = commands[index];
+      command.kill();
+      process.stdout.write(
+        `${commandTitleOnlyWithIndicator(killingIndicator, command)}\n\n`,
+      );
+    },
+    killAll,
+    focus: undefined,
+  };
+};
+
+/**
+ * @typedef {
+    | { tag: "List" }
+    | { tag: "Restart", target: number | string }
+    | { tag: "Kill", target: number | string }
+    | { tag: "KillAll" }
+    | { tag: "Input", target: number | string, data: string }
+    | { tag: "Subscribe" }
+   } ControlRequest
+ *
+ * @typedef {{
+    index: number,
+    label: string | null,
+    title: string,
+    id: string | null,
+    status: Status["tag"],
+    indicator: string,
+    pid: number | null,
+    exitCode: number | null,
+    startedAt: number | null,
+    exitedAt: number | null,
+    restartedAt: number | null,
+   }} ControlCommand
+ *
+ * @typedef {
+    | { ok: true, commands?: Array<ControlCommand> }
+    | { ok: false, error: string }
+   } ControlResponse
+ */
+
+/**
+ * A command index (starting at 0), or a title or id.
+ *
+ * @type {Codec.Codec<number | string>}
+ */
+const controlTargetCodec = Codec.map(Codec.multi(["number", "string"]), {
+  decoder: (value) => value.value,
+  encoder: (value) =>
+    typeof value === "number"
+      ? { type: "number", value }
+      : { type: "string", value },
+});
+
+/**
+ * The JSON uses `"command": "kill-all"` and the like.
+ *
+ * @type {Codec.Codec<ControlRequest>}
+ */
+const controlRequestCodec = Codec.taggedUnion("tag", [
+  { tag: Codec.tag("List", controlTag("list")) },
+  {
+    tag: Codec.tag("Restart", controlTag("restart")),
+    target: controlTargetCodec,
+  },
+  { tag: Codec.tag("Kill", controlTag("kill")), target: controlTargetCodec },
+  { tag: Codec.tag("KillAll", controlTag("kill-all")) },
+  {
+    tag: Codec.tag("Input", controlTag("input")),
+    target: controlTargetCodec,
+    data: Codec.string,
+  },
+  { tag: Codec.tag("Subscribe", controlTag("subscribe")) },
+]);
+
+/**
+ * @template {string} T
+ * @param {T} name
+ * @returns {{ renameTagFrom: T, renameFieldFrom: "command" }}
+ */
+function controlTag(name) {
+  return { renameTagFrom: name, renameFieldFrom: "command" };
+}
+
+/**
+ * @type {Codec.Codec<ControlCommand>}
+ */
+const controlCommandCodec = Codec.fields({
+  index: Codec.number,
+  label: Codec.nullOr(Codec.string),
+  title: Codec.string,
+  id: Codec.nullOr(Codec.string),
+  status: Codec.primitiveUnion([
+    "Waiting",
+    "Running",
+    "Ready",
+    "Killing",
+    "Paused",
+    "Exit",
+  ]),
+  indicator: Codec.string,
+  pid: Codec.nullOr(Codec.number),
+  exitCode: Codec.nullOr(Codec.number),
+  startedAt: Codec.nullOr(Codec.number),
+  exitedAt: Codec.nullOr(Codec.number),
+  restartedAt: Codec.nullOr(Codec.number),
+});
+
+/**
+ * @type {Codec.Codec<ControlResponse>}
+ */
+const controlResponseCodec = Codec.taggedUnion("ok", [
+  {
+    ok: Codec.tag(true),
+    commands: Codec.field(Codec.array(controlCommandCodec), { optional: true }),
+  },
+  { ok: Codec.tag(false), error: Codec.string },
+]);
+
+/**
+ * @param {Command} command
+ * @param {number} index
+ * @returns {ControlCommand}
+ */
+const commandToControlCommand = (command, index) => ({
+  index,
+  label: command.label ?? null,
+  title: command.title,
+  id: command.id ?? null,
+  status: command.status.tag,
+  indicator: removeGraphicRenditions(getIndicatorChoice(command)),
+  pid: "terminal" in command.status ? command.status.terminal.pid : null,
+  exitCode: command.status.tag === "Exit" ? command.status.exitCode : null,
+  startedAt: command.startedAt ?? null,
+  exitedAt: command.exitedAt ?? null,
+  restartedAt: command.restartedAt ?? null,
+});
+
+/**
+ * @param {net.Socket} socket
+ * @param {ControlResponse} response
+ * @param {() => void} [callback]
+ * @returns {void}
+ */
+const writeControlResponse = (socket, response, callback) => {
+  socket.write(
+    `${Codec.JSON.stringify(controlResponseCodec, response)}\n`,
+    callback,
+  );
+};
+
+/**
+ * Calls `onRequest` for every line of JSON received on the socket.
+ *
+ * @param {net.Server} server
+ * @param {(request: ControlRequest, socket: net.Socket) => void} onRequest
+ * @returns {void}
+ */
+const handleControlConnections = (server, onRequest) => {
+  server.on("connection", (socket) => {
+    socket.setEncoding("utf8");
+    let buffer = "";
+    socket.on("data", (chunk) => {
+      const lines = (buffer + String(chunk)).split("\n");
+      buffer = lines.pop() ?? "";
+      for (const line of lines) {
+        if (line.trim() === "") {
+          continue;
+        }
+        const result = Codec.JSON.parse(controlRequestCodec, line);
+        switch (result.tag) {
+          case "Valid":
+            onRequest(result.value, socket);
+            break;
+          case "DecoderError":
+            writeControlResponse(socket, {
+              ok: false,
+              error: Codec.format(result.error),
+            });
+            break;
+        }
+      }
+    });
+    socket.on("error", () => {
+      // The other end went away. Nothing to do.
+    });
+  });
+};
+
+/**
+ * A socket file left behind by a crashed run-pty is removed, but a socket that
+ * someone is listening on is not.
+ *
+ * @param {net.Server} server
+ * @param {string} socketPath
+ * @returns {Promise<void>}
+ */
+const listenOnSocket = (server, socketPath) =>
+  new Promise((resolve, reject) => {
+    /**
+     * @param {boolean} retry
+     * @returns {void}
+     */
+    const listen = (retry) => {
+      server.once("error", (error) => {
+        if (
+          retry &&
+          "code" in error &&
+          error.code === "EADDRINUSE" &&
+          !IS_WINDOWS
+        ) {
+          const client = net.connect(socketPath);
+          client.once("connect", () => {
+            client.destroy();
+            reject(new Error(`Another process is listening on: ${socketPath}`));
+          });
+          client.once("error", () => {
+            fs.rmSync(socketPath, { force: true });
+            listen(false);
+          });
+        } else {
+          reject(error);
+        }
+      });
+      server.listen(socketPath, () => {
+        resolve();
+      });
+    };
+    listen(true);
+  });
+
+const ctlHelp = `
+Control a run-pty session that was started with --socket:
+
+    ${runPty} ctl list
+    ${runPty} ctl restart <target>
+    ${runPty} ctl kill <target>
+    ${runPty} ctl kill-all
+    ${runPty} ctl input <target> <text>
+    ${runPty} ctl subscribe
+
+<target> is the index of a command (starting at 0), or its title or id.
+
+The socket is found via:
+
+    --socket=<path>        given before the action, like: ${runPty} ctl --socket=<path> list
+    ${bold("RUN_PTY_SOCKET")}         set by run-pty for the commands it runs
+
+list prints one line per command. subscribe prints a line of JSON whenever a
+command changes status.
+`.trim();
+
+/**
+ * @param {Array<string>} args
+ * @returns {{ tag: "Help" } | { tag: "Error", message: string } | { tag: "Request", socketPath: string, request: ControlRequest }}
+ */
+const parseCtlArgs = (args) => {
+  const [flags, restArgs] = partitionArgs(args);
+  let socketPath = process.env.RUN_PTY_SOCKET;
+
+  for (const flag of flags) {
+    if (flag === "-h" || flag === "--help") {
+      return { tag: "Help" };
+    }
+    const match = /^--socket=(.+)$/.exec(flag);
+    if (match === null) {
+      return { tag: "Error", message: `Bad flag: ${flag}\n\n${ctlHelp}` };
+    }
+    socketPath = match[1];
+  }
+
+  /**
+   * @param {string} target
+   * @returns {number | string}
+   */
+  const parseTarget = (target) =>
+    /^\d+$/.test(target) ? Number(target) : target;
+
+  /** @type {ControlRequest | undefined} */
+  const request = (() => {
+    const [action, target, data, ...rest] = restArgs;
+    if (rest.length > 0) {
+      return undefined;
+    }
+    switch (action) {
+      case "list":
+        return target === undefined ? { tag: "List" } : undefined;
+      case "kill-all":
+        return target === undefined ? { tag: "KillAll" } : undefined;
+      case "subscribe":
+        return target === undefined ? { tag: "Subscribe" } : undefined;
+      case "restart":
+        return target !== undefined && data === undefined
+          ? { tag: "Restart", target: parseTarget(target) }
+          : undefined;
+      case "kill":
+        return target !== undefined && data === undefined
+          ? { tag: "Kill", target: parseTarget(target) }
+          : undefined;
+      case "input":
+        return target !== undefined && data !== undefined
+          ? { tag: "Input", target: parseTarget(target), data }
+          : undefined;
+      default:
+        return undefined;
+    }
+  })();
+
+  if (request === undefined) {
+    return restArgs.length === 0
+      ? { tag: "Help" }
+      : {
+          tag: "Error",
+          message: `Bad arguments: ${commandToPresentationName(restArgs)}\n\n${ctlHelp}`,
+        };
+  }
+
+  if (socketPath === undefined || socketPath === "") {
+    return {
+      tag: "Error",
+      message:
+        "No socket to connect to. Use --socket=<path> or set RUN_PTY_SOCKET.",
+    };
+  }
+
+  return { tag: "Request", socketPath, request };
+};
 
-        process.stdout.write(
-          exitTextAndHistory({
-            command: thisCommand,
-            exitCode,
-            numExited: numExit,
-            numTotal: commands.length,
-          }),
-        );
+/**
+ * @param {ControlCommand} command
+ * @returns {string}
+ */
+const controlCommandLine = (command) =>
+  [
+    String(command.index).padEnd(3, " "),
+    `${command.indicator}${EMOJI_WIDTH_FIX}`,
+    command.status === "Exit" && command.exitCode !== null
+      ? `exit ${command.exitCode}`
+      : command.pid === null
+        ? command.status
+        : `${command.status} (pid ${command.pid})`,
+    command.title,
+  ].join(" ");
 
-        // Exit the whole program if all commands have exited.
-        if (
-          (attemptedKillAll && numRunning === 0) ||
-          numExit === commands.length
-        ) {
-          process.stdout.write(drawSummary(commands));
-          process.exit(attemptedKillAll || numExit0 !== numExit ? 1 : 0);
-        }
+/**
+ * @param {Array<string>} args
+ * @returns {void}
+ */
+const runCtl = (args) => {
+  const parseResult = parseCtlArgs(args);
 
-        const nextWaitingIndex = commands.findIndex(
-          (command) => command.status.tag === "Waiting",
-        );
-        if (nextWaitingIndex !== -1 && !attemptedKillAll) {
-          const command = commands[nextWaitingIndex];
-          command.start({ needsToWait: false });
-          process.stdout.write(
-            `${commandTitleOnlyWithIndicator(runningIndicator, command)}\n\n`,
-          );
-        }
+  switch (parseResult.tag) {
+    case "Help":
+      console.log(ctlHelp);
+      process.exit(0);
 
-        return undefined;
-      },
-    });
+    case "Error":
+      console.error(parseResult.message);
+      process.exit(1);
 
-    return thisCommand;
+    case "Request":
+      break;
+  }
+
+  const { socketPath, request } = parseResult;
+  const socket = net.connect(socketPath);
+  socket.setEncoding("utf8");
+  let buffer = "";
+  let gotResponse = false;
+
+  socket.on("connect", () => {
+    socket.write(`${Codec.JSON.stringify(controlRequestCodec, request)}\n`);
   });
 
-  process.stdout.on("resize", () => {
-    for (const command of commands) {
-      if ("terminal" in command.status) {
-        command.status.terminal.resize(
-          process.stdout.columns,
-          process.stdout.rows,
+  socket.on("data", (chunk) => {
+    const lines = (buffer + String(chunk)).split("\n");
+    buffer = lines.pop() ?? "";
+    for (const line of lines) {
+      if (gotResponse) {
+        // Events from `subscribe`.
+        console.log(line);
+        continue;
+      }
+      gotResponse = true;
+      const result = Codec.JSON.parse(controlResponseCodec, line);
+      if (result.tag === "DecoderError") {
+        console.error(
+          `Unexpected response from run-pty:\n${Codec.format(result.error)}`,
         );
+        process.exit(1);
+      }
+      const response = result.value;
+      if (!response.ok) {
+        console.error(response.error);
+        process.exit(1);
+      }
+      switch (request.tag) {
+        case "List":
+          for (const command of response.commands ?? []) {
+            console.log(controlCommandLine(command));
+          }
+          process.exit(0);
+        case "Subscribe":
+          // Print the current statuses the same way as the events.
+          for (const command of response.commands ?? []) {
+            console.log(
+              `{"event":"status","command":${Codec.JSON.stringify(
+                controlCommandCodec,
+                command,
+              )}}`,
+            );
+          }
+          break;
+        case "Restart":
+        case "Kill":
+        case "KillAll":
+        case "Input":
+          process.exit(0);
       }
     }
   });
 
-  setupSignalHandlers(commands, killAll);
+  socket.on("error", (error) => {
+    console.error(`Failed to connect to run-pty at ${socketPath}:`);
+    console.error(error.message);
+    process.exit(1);
+  });
 
-  for (const [index, command] of commands.entries()) {
-    const needsToWait = index >= maxParallel;
-    command.start({ needsToWait });
-    process.stdout.write(
-      `${commandTitleOnlyWithIndicator(
-        needsToWait ? waitingIndicator : runningIndicator,
-        command,
-      )}\n\n`,
-    );
+  socket.on("close", () => {
+    process.exit(gotResponse ? 0 : 1);
+  });
+};
+
+/**
+ * @param {Array<Command>} commands
+ * @param {number | string} target
+ * @returns {{ tag: "Found", index: number } | { tag: "Error", message: string }}
+ */
+const findControlTarget = (commands, target) => {
+  if (typeof target === "number") {
+    return Number.isInteger(target) && target >= 0 && target < commands.length
+      ? { tag: "Found", index: target }
+      : {
+          tag: "Error",
+          message: `There is no command with index ${target}. Valid indexes: 0-${commands.length - 1}`,
+        };
+  }
+  const indexes = commands.flatMap((command, index) =>
+    hasName(command, target) ? [index] : [],
+  );
+  switch (indexes.length) {
+    case 0:
+      return {
+        tag: "Error",
+        message: `There is no command with this title or id: ${target}`,
+      };
+    case 1:
+      return { tag: "Found", index: indexes[0] };
+    default:
+      return {
+        tag: "Error",
+        message: `Several commands have this title: ${target}\nUse an index instead.`,
+      };
+  }
+};
+
+/**
+ * Calls `onChange` (debounced) when the config file changes. Watches the
+ * directory, since many editors save by replacing the file. Returns a function
+ * that stops watching.
+ *
+ * @param {string} file
+ * @param {() => void} onChange
+ * @returns {() => void}
+ */
+const watchConfigFile = (file, onChange) => {
+  const absolute = path.resolve(file);
+  const basename = path.basename(absolute);
+  /** @type {NodeJS.Timeout | undefined} */
+  let timeout = undefined;
+  const watcher = fs.watch(path.dirname(absolute), (_event, filename) => {
+    if (filename === basename) {
+      clearTimeout(timeout);
+      timeout = setTimeout(onChange, WATCH_DEBOUNCE_DEFAULT);
+    }
+  });
+  watcher.on("error", () => {
+    // For example if the directory is removed. Keep going without reloading.
+  });
+  return () => {
+    clearTimeout(timeout);
+    watcher.close();
+  };
+};
+
+/**
+ * Opens the log files and starts the file watchers (if `onWatchedFileChange` is
+ * given) of all commands. Throws if any of that fails, after undoing what was
+ * already set up. Returns a function that undoes everything, for the commands
+ * in `commands` at that point.
+ *
+ * @param {Array<Command>} commands
+ * @param {((command: Command, file: string) => void) | undefined} onWatchedFileChange
+ * @returns {() => void}
+ */
+const setupCommandResources = (commands, onWatchedFileChange) => {
+  /**
+   * @returns {void}
+   */
+  const teardown = () => {
+    for (const command of commands) {
+      command.unwatchFiles();
+      command.closeLogFile();
+    }
+  };
+
+  for (const command of commands) {
+    try {
+      command.openLogFile();
+    } catch (error) {
+      teardown();
+      throw new Error(
+        `Failed to open log file for: ${command.title}\n${
+          error instanceof Error ? error.message : String(error)
+        }`,
+      );
+    }
+    if (onWatchedFileChange === undefined) {
+      continue;
+    }
+    try {
+      command.watchFiles((file) => {
+        onWatchedFileChange(command, file);
+      });
+    } catch (error) {
+      teardown();
+      throw new Error(
+        `Failed to watch files for: ${command.title}\n${
+          error instanceof Error ? error.message : String(error)
+        }`,
+      );
+    }
   }
+
+  return teardown;
 };
 
 /**
+ * Only for the CLI: `runPty` leaves signals and crashes to the caller.
+ *
  * @param {Array<Command>} commands
  * @param {() => void} killAll
  * @returns {void}
@@ -2629,11 +9494,403 @@ const setupSignalHandlers = (commands, killAll) => {
   }
 };
 
+/**
+ * A command for `runPty`, in the same form as in a JSON file.
+ *
+ * @typedef {{
+    command: Array<string>,
+    title?: string,
+    id?: string,
+    dependsOn?: Array<string>,
+    group?: string,
+    cwd?: string,
+    env?: Record<string, string | null>,
+    status?: Record<string, [string, string] | null>,
+    defaultStatus?: [string, string] | null,
+    ready?: string | number,
+    restart?: "no" | "on-failure" | "always",
+    maxRestarts?: number,
+    watch?: Array<string>,
+    watchIgnore?: Array<string>,
+    watchDebounce?: number,
+    logFile?: string,
+    killAllSequence?: string,
+    timestamps?: "off" | "wall" | "relative",
+    notify?: RunPtyNotify,
+   }} RunPtyCommand
+ *
+ * Like `--notify`: `"off"`, `"bell"`, `"osc9"`, `"osc777"` or a command to run.
+ *
+ * @typedef {"off" | "bell" | "osc9" | "osc777" | Array<string>} RunPtyNotify
+ *
+ * Everything but `commands` is optional:
+ *
+ * - `autoExit`: Like `--auto-exit`. `true` runs as many commands in parallel
+ *   as there are CPU cores, and a number sets the limit. Defaults to `false`.
+ * - `notify`: Like `--notify`. Defaults to `"off"`.
+ * - `socket`: Like `--socket=path`. Defaults to no socket.
+ *
+ * @typedef {{
+    commands: Array<RunPtyCommand>,
+    autoExit?: boolean | number,
+    notify?: RunPtyNotify,
+    socket?: string,
+   }} RunPtyOptions
+ *
+ * @typedef {
+    | { tag: "Help" }
+    | { tag: "NoCommands" }
+    | { tag: "Error", message: string }
+    | { tag: "Parsed", options: RunPtyOptions }
+   } RunPtyParseResult
+ *
+ * @typedef {{
+    exitCode: number,
+    commands: Array<ControlCommand>,
+   }} RunPtySummary
+ *
+ * @typedef {{
+    start: [command: ControlCommand],
+    data: [command: ControlCommand, data: string],
+    statusChange: [command: ControlCommand],
+    exit: [command: ControlCommand, exitCode: number],
+   }} RunPtyEvents
+ */
+
+/**
+ * Returned by `runPty` (see `module.exports`). Commands are targeted by index (starting at 0), title
+ * or id, just like with `run-pty ctl`. The methods throw if the target is not
+ * found, or if the action does not make sense for the command right now.
+ *
+ * @extends {events.EventEmitter<RunPtyEvents>}
+ */
+class RunPtyController extends events.EventEmitter {
+  /**
+   * @param {(hooks: SessionHooks) => Session} startSession
+   */
+  constructor(startSession) {
+    super();
+    this.isDone = false;
+    /** @type {(summary: RunPtySummary) => void} */
+    let resolveDone = () => undefined;
+    /** @type {(error: Error) => void} */
+    let rejectDone = () => undefined;
+    /**
+     * Resolves once run-pty is done – when it would have exited if run from
+     * the command line. Rejects if run-pty could not start, such as when the
+     * socket could not be created.
+     *
+     * @type {Promise<RunPtySummary>}
+     */
+    this.done = new Promise((resolve, reject) => {
+      resolveDone = resolve;
+      rejectDone = reject;
+    });
+    /** @type {Session} */
+    this.session = startSession({
+      onEvent: (event) => {
+        const command = commandToControlCommand(
+          this.session.commands[event.index],
+          event.index,
+        );
+        switch (event.tag) {
+          case "Start":
+            this.emit("start", command);
+            return;
+          case "Data":
+            this.emit("data", command, event.data);
+            return;
+          case "StatusChange":
+            this.emit("statusChange", command);
+            return;
+          case "Exit":
+            this.emit("exit", command, event.exitCode);
+            return;
+        }
+      },
+      onDone: (exitCode) => {
+        this.isDone = true;
+        resolveDone({ exitCode, commands: this.commands });
+      },
+      onFail: (error) => {
+        this.isDone = true;
+        rejectDone(error);
+      },
+    });
+  }
+
+  /**
+   * @returns {Array<ControlCommand>}
+   */
+  get commands() {
+    return this.session.commands.map(commandToControlCommand);
+  }
+
+  /**
+   * Kills the command if needed, and then starts it again. The reason (if any)
+   * is printed at the top of the command’s output.
+   *
+   * @param {number | string} target
+   * @param {string} [reason]
+   * @returns {void}
+   */
+  restart(target, reason) {
+    const index = this.findIndex(target);
+    const command = this.session.commands[index];
+    if (command.status.tag === "Waiting") {
+      throw new Error(`Already waiting to start: ${command.title}`);
+    }
+    this.session.restart(index, reason);
+  }
+
+  /**
+   * @param {number | string} target
+   * @returns {void}
+   */
+  kill(target) {
+    const index = this.findIndex(target);
+    const command = this.session.commands[index];
+    if (!("terminal" in command.status)) {
+      throw new Error(`Not running: ${command.title}`);
+    }
+    this.session.kill(index);
+  }
+
+  /**
+   * Like pressing ctrl+c in the dashboard. `done` resolves once all commands
+   * have exited.
+   *
+   * @returns {void}
+   */
+  killAll() {
+    this.assertNotDone();
+    this.session.killAll();
+  }
+
+  /**
+   * Shows the output of the command, like selecting it in the dashboard. Only
+   * works in interactive mode.
+   *
+   * @param {number | string} target
+   * @returns {void}
+   */
+  focus(target) {
+    const index = this.findIndex(target);
+    if (this.session.focus === undefined) {
+      throw new Error(
+        "Commands can only be focused in interactive mode (when stdin is a TTY).",
+      );
+    }
+    this.session.focus(index);
+  }
+
+  /**
+   * @param {number | string} target
+   * @returns {number}
+   */
+  findIndex(target) {
+    this.assertNotDone();
+    const result = findControlTarget(this.session.commands, target);
+    if (result.tag === "Error") {
+      throw new Error(result.message);
+    }
+    return result.index;
+  }
+
+  /**
+   * @returns {void}
+   */
+  assertNotDone() {
+    if (this.isDone) {
+      throw new Error("run-pty is already done.");
+    }
+  }
+}
+
+/**
+ * @template T
+ * @param {Codec.Codec<T>} codec
+ * @param {unknown} value
+ * @param {string} name
+ * @returns {T}
+ */
+const decodeOption = (codec, value, name) => {
+  const result = codec.decoder(value);
+  switch (result.tag) {
+    case "Valid":
+      return result.value;
+    case "DecoderError":
+      throw new Error(`runPty ${name}:\n${Codec.format(result.error)}`);
+  }
+};
+
+/**
+ * @param {Array<CommandDescription>} commands
+ * @returns {Array<RunPtyCommand>}
+ */
+const toRunPtyCommands = (commands) =>
+  /** @type {Array<RunPtyCommand>} */ (
+    commandDescriptionsCodec.encoder(commands)
+  );
+
+/**
+ * Validates the contents of a JSON file like the CLI does, and returns the
+ * commands for `runPty` (with defaults filled in). Throws if invalid.
+ *
+ * @param {string} string
+ * @returns {Array<RunPtyCommand>}
+ */
+const parseInputFileApi = (string) => toRunPtyCommands(parseInputFile(string));
+
+/**
+ * Parses CLI arguments (without `run-pty` itself) like the CLI does, and
+ * returns the options for `runPty`. CLI only flags, like `--log-plain`, are
+ * left out.
+ *
+ * @param {Array<string>} args
+ * @returns {RunPtyParseResult}
+ */
+const parseArgsApi = (args) => {
+  const parseResult = parseArgs(args);
+  switch (parseResult.tag) {
+    case "Help":
+    case "NoCommands":
+    case "Error":
+      return parseResult;
+
+    case "Parsed": {
+      const { commands, autoExit, notify, socket } = parseResult;
+      /** @type {RunPtyOptions} */
+      const options = {
+        commands: toRunPtyCommands(commands),
+        autoExit: autoExit.tag === "AutoExit" ? autoExit.maxParallel : false,
+        notify: /** @type {RunPtyNotify} */ (notifyCodec.encoder(notify)),
+      };
+      if (socket !== undefined) {
+        options.socket = socket;
+      }
+      return { tag: "Parsed", options };
+    }
+  }
+};
+
+/**
+ * Runs commands like the CLI does: Interactively if stdin is a TTY, and
+ * otherwise like with `--auto-exit` (which then is required). Throws if the
+ * options are invalid, or if log files or file watchers cannot be set up.
+ * Unlike the CLI, signals (like ctrl+c when not interactive) and uncaught
+ * errors are left to the caller.
+ *
+ * @param {RunPtyOptions} options
+ * @returns {RunPtyController}
+ */
+const runPtyApi = ({
+  commands: rawCommands,
+  autoExit: rawAutoExit = false,
+  notify: rawNotify = "off",
+  socket,
+}) => {
+  const notify = decodeOption(notifyCodec, rawNotify, "notify");
+  const commands = withFlagDefaults(
+    decodeOption(commandDescriptionsCodec, rawCommands, "commands"),
+    { logDir: undefined, timestamps: undefined, notify },
+  );
+  if (commands.length === 0) {
+    throw new Error("runPty needs at least one command.");
+  }
+  if (
+    typeof rawAutoExit === "number" &&
+    !(Number.isInteger(rawAutoExit) && rawAutoExit > 0)
+  ) {
+    throw new Error(
+      `runPty autoExit: Expected true, false or a positive integer, but got: ${rawAutoExit}`,
+    );
+  }
+  /** @type {AutoExit} */
+  const autoExit =
+    rawAutoExit === false
+      ? { tag: "NoAutoExit" }
+      : {
+          tag: "AutoExit",
+          maxParallel: rawAutoExit === true ? os.cpus().length : rawAutoExit,
+        };
+  /** @type {LogOptions} */
+  const log = { plain: false, maxSize: LOG_MAX_SIZE_DEFAULT };
+
+  if (process.stdin.isTTY) {
+    // The session starts the commands once the server is listening.
+    /** @type {{ server: net.Server, socketPath: string, listening: Promise<void> } | undefined} */
+    let control = undefined;
+    if (socket !== undefined) {
+      const server = net.createServer();
+      control = {
+        server,
+        socketPath: socket,
+        listening: listenOnSocket(server, socket),
+      };
+    }
+    return new RunPtyController((hooks) =>
+      runInteractively(
+        commands,
+        autoExit,
+        log,
+        notify,
+        { logDir: undefined, timestamps: undefined, notify },
+        control,
+        undefined,
+        hooks,
+      ),
+    );
+  }
+  // Just like with the CLI, the socket is only available in interactive mode.
+  if (autoExit.tag === "AutoExit") {
+    const { maxParallel } = autoExit;
+    return new RunPtyController((hooks) =>
+      runNonInteractively(commands, maxParallel, log, notify, hooks),
+    );
+  }
+  throw new Error(
+    "run-pty requires stdin to be a TTY to run properly (unless autoExit is used).",
+  );
+};
+
+/** @type {SessionHooks} */
+const cliHooks = {
+  onEvent: () => undefined,
+  onDone: (exitCode) => {
+    process.exit(exitCode);
+  },
+  onFail: (error) => {
+    console.error(error.message);
+    process.exit(1);
+  },
+};
+
+/**
+ * @param {() => Session} start
+ * @returns {void}
+ */
+const startOrExit = (start) => {
+  try {
+    const session = start();
+    setupSignalHandlers(session.commands, session.killAll);
+  } catch (error) {
+    console.error(error instanceof Error ? error.message : String(error));
+    process.exit(1);
+  }
+};
+
 /**
  * @returns {undefined}
  */
 const run = () => {
-  const parseResult = parseArgs(process.argv.slice(2));
+  if (process.argv[2] === "ctl") {
+    runCtl(process.argv.slice(3));
+    return undefined;
+  }
+
+  const args = process.argv.slice(2);
+  const parseResult = parseArgs(args);
 
   switch (parseResult.tag) {
     case "Help":
@@ -2645,11 +9902,78 @@ const run = () => {
 
     case "Parsed":
       if (process.stdin.isTTY) {
-        runInteractively(parseResult.commands, parseResult.autoExit);
+        const {
+          commands,
+          autoExit,
+          log,
+          notify,
+          socket,
+          configFile,
+          flagDefaults,
+        } = parseResult;
+        // Only the commands are reloaded – changed flags need a restart.
+        const config =
+          configFile === undefined
+            ? undefined
+            : { file: configFile, reload: () => parseArgs(args) };
+        if (socket === undefined) {
+          startOrExit(() =>
+            runInteractively(
+              commands,
+              autoExit,
+              log,
+              notify,
+              flagDefaults,
+              undefined,
+              config,
+              cliHooks,
+            ),
+          );
+        } else {
+          const server = net.createServer();
+          listenOnSocket(server, socket).then(
+            () => {
+              if (!IS_WINDOWS) {
+                process.on("exit", () => {
+                  fs.rmSync(socket, { force: true });
+                });
+              }
+              // The dashboard shows the path too, but it clears the screen.
+              // This way it can be found in a redirected stderr, for scripts.
+              console.error(`run-pty: Control socket: ${socket}`);
+              startOrExit(() =>
+                runInteractively(
+                  commands,
+                  autoExit,
+                  log,
+                  notify,
+                  flagDefaults,
+                  { server, socketPath: socket, listening: Promise.resolve() },
+                  config,
+                  cliHooks,
+                ),
+              );
+            },
+            (/** @type {unknown} */ error) => {
+              console.error(
+                `Failed to create socket: ${
+                  error instanceof Error ? error.message : String(error)
+                }`,
+              );
+              process.exit(1);
+            },
+          );
+        }
       } else if (parseResult.autoExit.tag === "AutoExit") {
-        runNonInteractively(
-          parseResult.commands,
-          parseResult.autoExit.maxParallel,
+        const { commands, autoExit, log, notify } = parseResult;
+        startOrExit(() =>
+          runNonInteractively(
+            commands,
+            autoExit.maxParallel,
+            log,
+            notify,
+            cliHooks,
+          ),
         );
       } else {
         console.error(
@@ -2670,21 +9994,47 @@ if (require.main === module) {
 }
 
 module.exports = {
+  runPty: runPtyApi,
+  parseArgs: parseArgsApi,
+  parseInputFile: parseInputFileApi,
   __internalRun: run,
   __forTests: {
     ALL_LABELS,
+    commandInputText,
     commandToPresentationName,
+    createScreen,
+    diffCommandDescriptions,
+    dashboardTerminalTitle,
     drawDashboard,
+    drawPager,
+    drawSplit,
     drawSummary,
     exitText,
     exitTextAndHistory,
+    getLabels,
+    getPagerContent,
+    getWatchTargets,
+    globToRegex,
     help,
     historyStart,
+    initialPager,
     killingText,
+    mergeEnv,
+    pagerKeypress,
+    parseCommandInput,
+    parseCtlArgs,
+    parseProgressEscape,
+    parseStatusEscape,
+    pausedText,
+    progressText,
     parseArgs,
     runningIndicator,
     runningText,
+    splitAllOutputLines,
     summarizeLabels,
+    updatePagerContent,
     waitingText,
+    withFlagDefaults,
+    writeScreen,
   },
 };
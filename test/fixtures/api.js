@@ -0,0 +1,79 @@
+"use strict";
+
+// Used by the “runPty” test. Runs non-interactively, since stdin isn’t a TTY.
+
+const { runPty, parseArgs, parseInputFile } = require("../../run-pty");
+
+try {
+  runPty({ commands: [{ command: [] }] });
+} catch (error) {
+  console.error("error", error instanceof Error ? error.message : error);
+}
+
+try {
+  parseInputFile(`[{ "command": ["node"], "restart": "sometimes" }]`);
+} catch (error) {
+  console.error("error", error instanceof Error ? error.message : error);
+}
+
+console.error("parseArgs", parseArgs(["--auto-exit=x"]).tag);
+
+const parseResult = parseArgs([
+  "--auto-exit=1",
+  "%",
+  "node",
+  "-e",
+  "console.log('hello')",
+]);
+
+if (parseResult.tag !== "Parsed") {
+  throw new Error(`Unexpected parseArgs result: ${parseResult.tag}`);
+}
+
+const controller = runPty({
+  ...parseResult.options,
+  commands: [
+    ...parseResult.options.commands,
+    ...parseInputFile(
+      `[{ "command": ["node", "-e", "process.exit(2)"], "title": "fail" }]`,
+    ),
+  ],
+});
+
+let restarted = false;
+
+controller.on("start", (command) => {
+  console.error("start", command.index, command.status);
+});
+
+controller.on("data", (command, data) => {
+  console.error("data", command.index, JSON.stringify(data));
+});
+
+controller.on("exit", (command, exitCode) => {
+  console.error("exit", command.index, exitCode);
+  // The last command to exit: Restarting it keeps run-pty going.
+  if (command.index === 1 && !restarted) {
+    restarted = true;
+    controller.restart("fail", "restarted by the test");
+  }
+});
+
+try {
+  controller.kill("nope");
+} catch (error) {
+  console.error("error", error instanceof Error ? error.message : error);
+}
+
+controller.done.then(
+  (summary) => {
+    console.error(
+      "done",
+      summary.exitCode,
+      summary.commands.map((command) => command.exitCode),
+    );
+  },
+  (/** @type {unknown} */ error) => {
+    console.error("failed", error);
+  },
+);
@@ -1,6 +1,7 @@
 "use strict";
 
 import * as childProcess from "child_process";
+import * as fs from "fs";
 import * as path from "path";
 import * as os from "os";
 import { expect, test, describe } from "vitest";
@@ -9,19 +10,42 @@ import runPty from "../run-pty";
 const {
   __forTests: {
     ALL_LABELS,
+    commandInputText,
     commandToPresentationName,
+    createScreen,
+    dashboardTerminalTitle,
+    diffCommandDescriptions,
     drawDashboard,
+    drawPager,
+    drawSplit,
     drawSummary,
     exitText,
     exitTextAndHistory,
+    getLabels,
+    getPagerContent,
+    getWatchTargets,
+    globToRegex,
     help,
     historyStart,
+    initialPager,
     killingText,
+    mergeEnv,
+    pagerKeypress,
+    parseCommandInput,
+    parseCtlArgs,
     parseArgs,
+    parseProgressEscape,
+    parseStatusEscape,
+    pausedText,
+    progressText,
     runningIndicator,
     runningText,
+    splitAllOutputLines,
     summarizeLabels,
+    updatePagerContent,
     waitingText,
+    withFlagDefaults,
+    writeScreen,
   },
 } = runPty;
 
@@ -53,7 +77,18 @@ function fakeTerminal({ pid }) {
  *   command: Array<string>;
  *   status: import("../run-pty").Status;
  *   statusFromRules?: string;
+ *   statusTextFromEscape?: string;
+ *   terminalTitle?: string;
+ *   progress?: import("../run-pty").Progress;
+ *   readyRule?: RegExp | number;
+ *   maxRestarts?: number;
+ *   numRestarts?: number;
+ *   pendingRestart?: { at: number; timeout: NodeJS.Timeout };
+ *   startedAt?: number;
+ *   exitedAt?: number;
+ *   resourceUsage?: import("../run-pty").ResourceUsage;
  *   title?: string;
+ *   group?: string;
  * }} FakeCommand
  *
  * @param {FakeCommand} item
@@ -73,28 +108,98 @@ function fakeCommand(item, index = 0) {
     formattedCommandWithTitle: commandToPresentationName(item.command),
     status: item.status,
     // Unused in this case:
+    commandDescription: {
+      title,
+      dependsOn: [],
+      cwd: ".",
+      env: {},
+      command: item.command,
+      status: [],
+      restart: "no",
+      watch: [],
+      watchIgnore: [],
+      watchDebounce: 0,
+      killAllSequence: "\x03",
+    },
     file: "file",
     args: [],
+    id: undefined,
+    dependsOn: [],
+    group: item.group,
     cwd: ".",
+    env: {},
+    socketPath: undefined,
     killAllSequence: "\x03",
     history: "",
+    historyCut: 0,
+    screen: undefined,
     historyAlternateScreen: "",
+    historyStartIndicator: "",
+    historyStartText: "",
     addHistoryStart: false,
     isSimpleLog: true,
     isOnAlternateScreen: false,
     statusFromRules: item.statusFromRules,
+    statusTextFromEscape: item.statusTextFromEscape,
+    terminalTitle: item.terminalTitle,
+    progress: item.progress,
     defaultStatus: undefined,
     statusRules: [],
+    readyRule: item.readyRule,
+    restartPolicy: "no",
+    maxRestarts: item.maxRestarts,
+    numRestarts: item.numRestarts ?? 0,
+    pendingRestart: item.pendingRestart,
+    watch: [],
+    watchIgnore: [],
+    watchDebounce: 0,
+    stopWatchingFiles: undefined,
+    restartReason: undefined,
+    logFile: undefined,
+    log: { plain: false, maxSize: 0 },
+    logFd: undefined,
+    logSize: 0,
+    lastExitCode: undefined,
+    startedAt: item.startedAt,
+    exitedAt: item.exitedAt,
+    restartedAt: undefined,
+    timestamps: "off",
+    isAtLineStart: true,
+    notify: { tag: "Off" },
+    resourceUsage: item.resourceUsage,
+    previousCpuSample: undefined,
     windowsConptyCursorMoveWorkaround: false,
     unfinishedEscapeBuffer: "",
     onData: () => notCalled("onData"),
     onRequest: () => notCalled("onRequest"),
     onSynchronizedOutputChange: () => notCalled("onSynchronizedOutputChange"),
+    onTerminalTitleChange: () => notCalled("onTerminalTitleChange"),
+    onReady: () => notCalled("onReady"),
     onExit: () => notCalled("onExit"),
+    onStatusChange: () => notCalled("onStatusChange"),
+    updateResourceUsage: () => notCalled("updateResourceUsage"),
+    addTimestamps: () => notCalled("addTimestamps"),
     pushHistory: () => notCalled("pushHistory"),
+    update: () => notCalled("update"),
     start: () => notCalled("start"),
+    setStatus: () => notCalled("setStatus"),
+    scheduleRestart: () => notCalled("scheduleRestart"),
+    cancelRestart: () => notCalled("cancelRestart"),
+    watchFiles: () => notCalled("watchFiles"),
+    unwatchFiles: () => notCalled("unwatchFiles"),
+    openLogFile: () => notCalled("openLogFile"),
+    closeLogFile: () => notCalled("closeLogFile"),
+    writeLog: () => notCalled("writeLog"),
     kill: () => notCalled("kill"),
+    pause: () => notCalled("pause"),
+    resume: () => notCalled("resume"),
+    skip: () => notCalled("skip"),
+    updateStatusFromEscape: () => notCalled("updateStatusFromEscape"),
+    updateHistoryStart: () => notCalled("updateHistoryStart"),
+    updateTerminalTitleFromEscape: () =>
+      notCalled("updateTerminalTitleFromEscape"),
     updateStatusFromRules: () => notCalled("updateStatusFromRules"),
+    applyStatusRules: () => notCalled("applyStatusRules"),
   };
 }
 
@@ -109,6 +214,16 @@ function replaceAnsi(string) {
     .replace(/\x1B\[\d*[GJK]/g, "");
 }
 
+/**
+ * Run times vary between runs of the tests.
+ *
+ * @param {string} string
+ * @returns {string}
+ */
+function replaceDurations(string) {
+  return string.replace(/ran for [^,)]+/g, "ran for (duration)");
+}
+
 /**
  * @param {string} name
  * @returns {never}
@@ -152,6 +267,42 @@ describe("help", () => {
           --auto-exit=auto       uses the number of logical CPU cores
           --auto-exit            defaults to auto
 
+      You can keep the full output of all commands on disk:
+
+          ⧙run-pty⧘ --log-dir=logs ⧙%⧘ npm start ⧙%⧘ make watch
+
+          --log-dir=<dir>        also write the output of each command to <dir>/<title>.log
+          --log-plain            strip escape codes (such as colors) from log files
+          --log-max-size=<size>  rotate log files at this size, like 500K or 10M (default: 10M)
+
+      You can see when each line of output appeared:
+
+          ⧙run-pty⧘ --timestamps ⧙%⧘ npm start ⧙%⧘ make watch
+
+          --timestamps=wall      prefix each line of output with the time of day
+          --timestamps=relative  prefix each line of output with the time since start
+          --timestamps           defaults to wall
+
+      You can get notified when a command fails, or when --auto-exit is done:
+
+          ⧙run-pty⧘ --notify=notify-send ⧙%⧘ npm start ⧙%⧘ make watch
+
+          --notify=bell          ring the terminal bell when a command fails or changes status
+          --notify=osc9          show a desktop notification (iTerm2, WezTerm, …)
+          --notify=osc777        show a desktop notification (GNOME Terminal, foot, …)
+          --notify=<program>     run <program> with a title and a message as arguments
+          --notify               defaults to bell
+
+      You can restart, kill and query commands from other terminals:
+
+          ⧙run-pty⧘ --socket=.run-pty.sock ⧙%⧘ npm start ⧙%⧘ make watch
+          ⧙run-pty⧘ ctl --socket=.run-pty.sock restart "npm start"
+
+          --socket=<path>        let \`run-pty ctl\` control this session via a socket at <path>
+          --socket               uses a socket in the temp directory
+
+      Run ⧙run-pty⧘ ctl --help for more information.
+
       Keyboard shortcuts:
 
           ⧙[⧘⧙ctrl+z⧘⧙]⧘ Dashboard
@@ -175,24 +326,50 @@ describe("help", () => {
 describe("dashboard", () => {
   /**
    * @param {Array<FakeCommand>} items
-   * @param {{width?: number, attemptedKillAll?: boolean, autoExit?: import("../run-pty").AutoExit}} options
+   * @param {{width?: number, height?: number, scroll?: number, attemptedKillAll?: boolean, autoExit?: import("../run-pty").AutoExit, selection?: import("../run-pty").Selection, filter?: string, collapsedGroups?: Array<string>, labelPrefix?: string, marked?: Array<number>, broadcast?: Array<number>, commandInput?: import("../run-pty").CommandInput, socketPath?: string, configError?: string}} options
    * @returns {string}
    */
   function testDashboard(
     items,
     {
       width = 80,
+      height = Infinity,
+      scroll = 0,
       attemptedKillAll = false,
       autoExit = { tag: "NoAutoExit" },
+      selection = { tag: "Invisible", index: 0 },
+      filter,
+      collapsedGroups = [],
+      labelPrefix = "",
+      marked = [],
+      broadcast,
+      commandInput,
+      socketPath,
+      configError,
     } = {},
   ) {
+    const labels = getLabels(items.length);
     return replaceAnsi(
       drawDashboard({
-        commands: items.map(fakeCommand),
+        commands: items.map((item, index) => {
+          const command = fakeCommand(item, index);
+          command.label = labels[index];
+          return command;
+        }),
         width,
+        height,
+        scroll,
         attemptedKillAll,
         autoExit,
-        selection: { tag: "Invisible", index: 0 },
+        selection,
+        filter,
+        collapsedGroups: new Set(collapsedGroups),
+        labelPrefix,
+        marked: new Set(marked),
+        broadcast,
+        commandInput,
+        socketPath,
+        configError,
       }),
     );
   }
@@ -202,6 +379,8 @@ describe("dashboard", () => {
       ⧙[⧘⧙⧘⧙]⧘       focus command ⧙(or click)⧘
       ⧙[⧘⧙ctrl+c⧘⧙]⧘ exit
       ⧙[⧘⧙↑↓←→⧘⧙]⧘   move selection
+      ⧙[⧘⧙/⧘⧙]⧘      filter
+      ⧙[⧘⧙+⧘⧙]⧘      add command
     `);
   });
 
@@ -219,6 +398,8 @@ describe("dashboard", () => {
       ⧙[⧘⧙1⧘⧙]⧘      focus command ⧙(or click)⧘
       ⧙[⧘⧙ctrl+c⧘⧙]⧘ exit
       ⧙[⧘⧙↑↓←→⧘⧙]⧘   move selection
+      ⧙[⧘⧙/⧘⧙]⧘      filter
+      ⧙[⧘⧙+⧘⧙]⧘      add command
       ⧙[⧘⧙enter⧘⧙]⧘  restart exited
     `);
   });
@@ -241,6 +422,8 @@ describe("dashboard", () => {
       ⧙[⧘⧙1⧘⧙]⧘      focus command ⧙(or click)⧘
       ⧙[⧘⧙ctrl+c⧘⧙]⧘ kill all
       ⧙[⧘⧙↑↓⧘⧙]⧘     move selection
+      ⧙[⧘⧙/⧘⧙]⧘      filter
+      ⧙[⧘⧙+⧘⧙]⧘      add command
 
       At most 3 commands run at a time.
       The session ends automatically once all commands are ⚪ ⧙exit 0⧘.
@@ -265,6 +448,8 @@ describe("dashboard", () => {
       ⧙[⧘⧙1⧘⧙]⧘      focus command ⧙(or click)⧘
       ⧙[⧘⧙ctrl+c⧘⧙]⧘ kill all
       ⧙[⧘⧙↑↓⧘⧙]⧘     move selection
+      ⧙[⧘⧙/⧘⧙]⧘      filter
+      ⧙[⧘⧙+⧘⧙]⧘      add command
 
       At most 1 command runs at a time.
       The session ends automatically once all commands are ⚪ ⧙exit 0⧘.
@@ -289,6 +474,8 @@ describe("dashboard", () => {
       ⧙[⧘⧙1⧘⧙]⧘      focus command ⧙(or click)⧘
       ⧙[⧘⧙ctrl+c⧘⧙]⧘ kill all
       ⧙[⧘⧙↑↓⧘⧙]⧘     move selection
+      ⧙[⧘⧙/⧘⧙]⧘      filter
+      ⧙[⧘⧙+⧘⧙]⧘      add command
 
       At most 2 commands run at a time.
       The session ends automatically once all commands are ⚪ ⧙exit 0⧘.
@@ -319,6 +506,11 @@ describe("dashboard", () => {
       ⧙[⧘⧙1-2⧘⧙]⧘    focus command ⧙(or click)⧘
       ⧙[⧘⧙ctrl+c⧘⧙]⧘ kill all
       ⧙[⧘⧙↑↓⧘⧙]⧘     move selection
+      ⧙[⧘⧙/⧘⧙]⧘      filter
+      ⧙[⧘⧙+⧘⧙]⧘      add command
+      ⧙[⧘⧙ctrl+x⧘⧙]⧘ split view
+      ⧙[⧘⧙ctrl+a⧘⧙]⧘ all output
+      ⧙[⧘⧙ctrl+b⧘⧙]⧘ broadcast to all
       ⧙[⧘⧙enter⧘⧙]⧘  restart failed
 
       At most 3 commands run at a time.
@@ -338,6 +530,7 @@ describe("dashboard", () => {
               slow: false,
               lastKillPress: undefined,
               restartAfterKill: false,
+              wasReady: false,
             },
           },
         ],
@@ -349,6 +542,8 @@ describe("dashboard", () => {
       ⧙[⧘⧙1⧘⧙]⧘      focus command ⧙(or click)⧘
       ⧙[⧘⧙ctrl+c⧘⧙]⧘ kill all ⧙(double-press to force) ⧘
       ⧙[⧘⧙↑↓←→⧘⧙]⧘   move selection
+      ⧙[⧘⧙/⧘⧙]⧘      filter
+      ⧙[⧘⧙+⧘⧙]⧘      add command
     `);
   });
 
@@ -364,6 +559,7 @@ describe("dashboard", () => {
               slow: false,
               lastKillPress: undefined,
               restartAfterKill: true,
+              wasReady: false,
             },
           },
         ],
@@ -375,6 +571,8 @@ describe("dashboard", () => {
       ⧙[⧘⧙1⧘⧙]⧘      focus command ⧙(or click)⧘
       ⧙[⧘⧙ctrl+c⧘⧙]⧘ kill all ⧙(double-press to force) ⧘
       ⧙[⧘⧙↑↓←→⧘⧙]⧘   move selection
+      ⧙[⧘⧙/⧘⧙]⧘      filter
+      ⧙[⧘⧙+⧘⧙]⧘      add command
     `);
   });
 
@@ -390,6 +588,7 @@ describe("dashboard", () => {
               slow: false,
               lastKillPress: undefined,
               restartAfterKill: false,
+              wasReady: false,
             },
           },
         ],
@@ -405,6 +604,8 @@ describe("dashboard", () => {
       ⧙[⧘⧙1⧘⧙]⧘      focus command ⧙(or click)⧘
       ⧙[⧘⧙ctrl+c⧘⧙]⧘ kill all ⧙(double-press to force) ⧘
       ⧙[⧘⧙↑↓⧘⧙]⧘     move selection
+      ⧙[⧘⧙/⧘⧙]⧘      filter
+      ⧙[⧘⧙+⧘⧙]⧘      add command
 
       At most 3 commands run at a time.
       The session ends automatically once all commands are ⚪ ⧙exit 0⧘.
@@ -466,6 +667,7 @@ describe("dashboard", () => {
             slow: false,
             lastKillPress: undefined,
             restartAfterKill: false,
+            wasReady: false,
           },
           statusFromRules: "!", // Should be ignored.
         },
@@ -477,6 +679,7 @@ describe("dashboard", () => {
             slow: false,
             lastKillPress: undefined,
             restartAfterKill: true,
+            wasReady: false,
           },
           statusFromRules: "!", // Should be ignored.
         },
@@ -510,467 +713,2225 @@ describe("dashboard", () => {
       ⧙[⧘⧙1-7⧘⧙]⧘    focus command ⧙(or click)⧘
       ⧙[⧘⧙ctrl+c⧘⧙]⧘ kill all ⧙(double-press to force) ⧘
       ⧙[⧘⧙↑↓←→⧘⧙]⧘   move selection
+      ⧙[⧘⧙/⧘⧙]⧘      filter
+      ⧙[⧘⧙+⧘⧙]⧘      add command
+      ⧙[⧘⧙ctrl+x⧘⧙]⧘ split view
+      ⧙[⧘⧙ctrl+a⧘⧙]⧘ all output
+      ⧙[⧘⧙ctrl+b⧘⧙]⧘ broadcast to all
       ⧙[⧘⧙enter⧘⧙]⧘  restart exited
     `);
   });
 
-  test("62 commands", () => {
-    expect(
-      testDashboard(
-        Array.from({ length: 62 }, (_, i) => ({
-          command: ["echo", String(i)],
-          status: {
-            tag: "Running",
-            terminal: fakeTerminal({ pid: 9980 + i }),
-          },
-        })),
-      ),
-    ).toMatchInlineSnapshot(`
-      ⧙[⧘⧙1⧘⧙]⧘  🟢⧘  echo 0⧘
-      ⧙[⧘⧙2⧘⧙]⧘  🟢⧘  echo 1⧘
-      ⧙[⧘⧙3⧘⧙]⧘  🟢⧘  echo 2⧘
-      ⧙[⧘⧙4⧘⧙]⧘  🟢⧘  echo 3⧘
-      ⧙[⧘⧙5⧘⧙]⧘  🟢⧘  echo 4⧘
-      ⧙[⧘⧙6⧘⧙]⧘  🟢⧘  echo 5⧘
-      ⧙[⧘⧙7⧘⧙]⧘  🟢⧘  echo 6⧘
-      ⧙[⧘⧙8⧘⧙]⧘  🟢⧘  echo 7⧘
-      ⧙[⧘⧙9⧘⧙]⧘  🟢⧘  echo 8⧘
-      ⧙[⧘⧙a⧘⧙]⧘  🟢⧘  echo 9⧘
-      ⧙[⧘⧙b⧘⧙]⧘  🟢⧘  echo 10⧘
-      ⧙[⧘⧙c⧘⧙]⧘  🟢⧘  echo 11⧘
-      ⧙[⧘⧙d⧘⧙]⧘  🟢⧘  echo 12⧘
-      ⧙[⧘⧙e⧘⧙]⧘  🟢⧘  echo 13⧘
-      ⧙[⧘⧙f⧘⧙]⧘  🟢⧘  echo 14⧘
-      ⧙[⧘⧙g⧘⧙]⧘  🟢⧘  echo 15⧘
-      ⧙[⧘⧙h⧘⧙]⧘  🟢⧘  echo 16⧘
-      ⧙[⧘⧙i⧘⧙]⧘  🟢⧘  echo 17⧘
-      ⧙[⧘⧙j⧘⧙]⧘  🟢⧘  echo 18⧘
-      ⧙[⧘⧙k⧘⧙]⧘  🟢⧘  echo 19⧘
-      ⧙[⧘⧙l⧘⧙]⧘  🟢⧘  echo 20⧘
-      ⧙[⧘⧙m⧘⧙]⧘  🟢⧘  echo 21⧘
-      ⧙[⧘⧙n⧘⧙]⧘  🟢⧘  echo 22⧘
-      ⧙[⧘⧙o⧘⧙]⧘  🟢⧘  echo 23⧘
-      ⧙[⧘⧙p⧘⧙]⧘  🟢⧘  echo 24⧘
-      ⧙[⧘⧙q⧘⧙]⧘  🟢⧘  echo 25⧘
-      ⧙[⧘⧙r⧘⧙]⧘  🟢⧘  echo 26⧘
-      ⧙[⧘⧙s⧘⧙]⧘  🟢⧘  echo 27⧘
-      ⧙[⧘⧙t⧘⧙]⧘  🟢⧘  echo 28⧘
-      ⧙[⧘⧙u⧘⧙]⧘  🟢⧘  echo 29⧘
-      ⧙[⧘⧙v⧘⧙]⧘  🟢⧘  echo 30⧘
-      ⧙[⧘⧙w⧘⧙]⧘  🟢⧘  echo 31⧘
-      ⧙[⧘⧙x⧘⧙]⧘  🟢⧘  echo 32⧘
-      ⧙[⧘⧙y⧘⧙]⧘  🟢⧘  echo 33⧘
-      ⧙[⧘⧙z⧘⧙]⧘  🟢⧘  echo 34⧘
-      ⧙[⧘⧙A⧘⧙]⧘  🟢⧘  echo 35⧘
-      ⧙[⧘⧙B⧘⧙]⧘  🟢⧘  echo 36⧘
-      ⧙[⧘⧙C⧘⧙]⧘  🟢⧘  echo 37⧘
-      ⧙[⧘⧙D⧘⧙]⧘  🟢⧘  echo 38⧘
-      ⧙[⧘⧙E⧘⧙]⧘  🟢⧘  echo 39⧘
-      ⧙[⧘⧙F⧘⧙]⧘  🟢⧘  echo 40⧘
-      ⧙[⧘⧙G⧘⧙]⧘  🟢⧘  echo 41⧘
-      ⧙[⧘⧙H⧘⧙]⧘  🟢⧘  echo 42⧘
-      ⧙[⧘⧙I⧘⧙]⧘  🟢⧘  echo 43⧘
-      ⧙[⧘⧙J⧘⧙]⧘  🟢⧘  echo 44⧘
-      ⧙[⧘⧙K⧘⧙]⧘  🟢⧘  echo 45⧘
-      ⧙[⧘⧙L⧘⧙]⧘  🟢⧘  echo 46⧘
-      ⧙[⧘⧙M⧘⧙]⧘  🟢⧘  echo 47⧘
-      ⧙[⧘⧙N⧘⧙]⧘  🟢⧘  echo 48⧘
-      ⧙[⧘⧙O⧘⧙]⧘  🟢⧘  echo 49⧘
-      ⧙[⧘⧙P⧘⧙]⧘  🟢⧘  echo 50⧘
-      ⧙[⧘⧙Q⧘⧙]⧘  🟢⧘  echo 51⧘
-      ⧙[⧘⧙R⧘⧙]⧘  🟢⧘  echo 52⧘
-      ⧙[⧘⧙S⧘⧙]⧘  🟢⧘  echo 53⧘
-      ⧙[⧘⧙T⧘⧙]⧘  🟢⧘  echo 54⧘
-      ⧙[⧘⧙U⧘⧙]⧘  🟢⧘  echo 55⧘
-      ⧙[⧘⧙V⧘⧙]⧘  🟢⧘  echo 56⧘
-      ⧙[⧘⧙W⧘⧙]⧘  🟢⧘  echo 57⧘
-      ⧙[⧘⧙X⧘⧙]⧘  🟢⧘  echo 58⧘
-      ⧙[⧘⧙Y⧘⧙]⧘  🟢⧘  echo 59⧘
-      ⧙[⧘⧙Z⧘⧙]⧘  🟢⧘  echo 60⧘
-      ⧙[⧘⧙ ⧘⧙]⧘  🟢⧘  echo 61⧘
-
-      ⧙[⧘⧙1-9/a-z/A-Z⧘⧙]⧘ focus command ⧙(or click)⧘
-      ⧙[⧘⧙ctrl+c⧘⧙]⧘ kill all
-      ⧙[⧘⧙↑↓←→⧘⧙]⧘   move selection
-    `);
-  });
-});
-
-describe("summary", () => {
-  /**
-   * @param {Array<FakeCommand>} items
-   * @returns {string}
-   */
-  function testSummary(items) {
-    return replaceAnsi(drawSummary(items.map(fakeCommand)).trim());
-  }
-
-  test("empty", () => {
-    expect(testSummary([])).toMatchInlineSnapshot(`⧙Summary – success:⧘`);
-  });
-
-  test("one command", () => {
+  test("ready", () => {
     expect(
-      testSummary([
+      testDashboard([
         {
-          command: ["npm", "start"],
-          status: { tag: "Exit", exitCode: 0, wasKilled: false },
+          command: ["npm", "run", "backend"],
+          status: { tag: "Running", terminal: fakeTerminal({ pid: 1 }) },
+          readyRule: /Listening/u,
         },
-      ]),
-    ).toMatchInlineSnapshot(`
-      ⧙Summary – success:⧘
-      ⚪ ⧙exit 0⧘ npm start⧘
-    `);
-  });
-
-  test("one success, one failure", () => {
-    expect(
-      testSummary([
         {
-          command: ["npm", "start"],
-          status: { tag: "Exit", exitCode: 0, wasKilled: false },
+          command: ["npm", "run", "frontend"],
+          status: { tag: "Ready", terminal: fakeTerminal({ pid: 2 }) },
+          readyRule: /ready in/u,
         },
         {
-          command: ["npm", "test"],
-          status: { tag: "Exit", exitCode: 1, wasKilled: false },
+          command: ["npm", "run", "db"],
+          status: { tag: "Running", terminal: fakeTerminal({ pid: 3 }) },
+          readyRule: 1000,
+          statusFromRules: "🚨",
+        },
+        {
+          command: ["npm", "run", "codegen"],
+          status: { tag: "Running", terminal: fakeTerminal({ pid: 4 }) },
         },
       ]),
     ).toMatchInlineSnapshot(`
-      ⧙Summary – failure:⧘
-      ⚪ ⧙exit 0⧘ npm start⧘
-      🔴 ⧙exit 1⧘ npm test⧘
+      ⧙[⧘⧙1⧘⧙]⧘  🟡⧘  npm run backend⧘
+      ⧙[⧘⧙2⧘⧙]⧘  🟢⧘  ⧙ready⧘  npm run frontend⧘
+      ⧙[⧘⧙3⧘⧙]⧘  🚨⧘  npm run db⧘
+      ⧙[⧘⧙4⧘⧙]⧘  🟢⧘  npm run codegen⧘
+
+      ⧙[⧘⧙1-4⧘⧙]⧘    focus command ⧙(or click)⧘
+      ⧙[⧘⧙ctrl+c⧘⧙]⧘ kill all
+      ⧙[⧘⧙↑↓←→⧘⧙]⧘   move selection
+      ⧙[⧘⧙/⧘⧙]⧘      filter
+      ⧙[⧘⧙+⧘⧙]⧘      add command
+      ⧙[⧘⧙ctrl+x⧘⧙]⧘ split view
+      ⧙[⧘⧙ctrl+a⧘⧙]⧘ all output
+      ⧙[⧘⧙ctrl+b⧘⧙]⧘ broadcast to all
     `);
   });
 
-  test("one success, one aborted", () => {
+  test("durations", () => {
+    const now = Date.now();
     expect(
-      testSummary([
+      testDashboard([
         {
           command: ["npm", "start"],
+          status: { tag: "Running", terminal: fakeTerminal({ pid: 1 }) },
+          startedAt: now - (3 * 24 + 5) * 60 * 60 * 1000,
+        },
+        {
+          command: ["npm", "run", "build"],
           status: { tag: "Exit", exitCode: 0, wasKilled: false },
+          startedAt: now - 5 * 60 * 1000 - 4200,
+          exitedAt: now - 5 * 60 * 1000,
         },
         {
           command: ["npm", "test"],
-          status: { tag: "Exit", exitCode: 0, wasKilled: true },
+          status: { tag: "Exit", exitCode: 1, wasKilled: false },
+          startedAt: now - 95 * 1000,
+          exitedAt: now - 5 * 1000,
+        },
+        {
+          command: ["npm", "run", "lint"],
+          status: { tag: "Waiting" },
         },
       ]),
     ).toMatchInlineSnapshot(`
-      ⧙Summary – aborted:⧘
-      ⚪ ⧙exit 0⧘ npm start⧘
-      ⛔️ ⧙exit 0⧘ npm test⧘
+      ⧙[⧘⧙1⧘⧙]⧘  🟢⧘  ⧙up 3d 5h            ⧘  npm start⧘
+      ⧙[⧘⧙2⧘⧙]⧘  ⚪⧘  ⧙exit 0⧘  ⧙ran 4.2s, 5m 0s ago ⧘  npm run build⧘
+      ⧙[⧘⧙3⧘⧙]⧘  🔴⧘  ⧙exit 1⧘  ⧙ran 1m 30s, 5.0s ago⧘  npm test⧘
+      ⧙[⧘⧙4⧘⧙]⧘  🥱⧘  npm run lint⧘
+
+      ⧙[⧘⧙1-4⧘⧙]⧘    focus command ⧙(or click)⧘
+      ⧙[⧘⧙ctrl+c⧘⧙]⧘ kill all
+      ⧙[⧘⧙↑↓←→⧘⧙]⧘   move selection
+      ⧙[⧘⧙/⧘⧙]⧘      filter
+      ⧙[⧘⧙+⧘⧙]⧘      add command
+      ⧙[⧘⧙ctrl+x⧘⧙]⧘ split view
+      ⧙[⧘⧙ctrl+a⧘⧙]⧘ all output
+      ⧙[⧘⧙ctrl+b⧘⧙]⧘ broadcast to all
+      ⧙[⧘⧙enter⧘⧙]⧘  restart exited
     `);
   });
 
-  test("one failure, one aborted, one success", () => {
+  test("CPU and memory usage", () => {
     expect(
-      testSummary([
+      testDashboard([
         {
           command: ["npm", "start"],
-          status: { tag: "Exit", exitCode: 126, wasKilled: false },
+          status: { tag: "Running", terminal: fakeTerminal({ pid: 1 }) },
+          resourceUsage: { cpu: 0.2, rss: 52 * 1024 ** 2 },
         },
         {
-          command: ["ping", "localhost"],
-          status: { tag: "Exit", exitCode: 2, wasKilled: true },
+          command: ["tsc", "--watch"],
+          status: { tag: "Running", terminal: fakeTerminal({ pid: 2 }) },
+          resourceUsage: { cpu: 143.7, rss: 1.5 * 1024 ** 3 },
         },
         {
           command: ["npm", "test"],
           status: { tag: "Exit", exitCode: 0, wasKilled: false },
+          resourceUsage: { cpu: 100, rss: 900 * 1024 },
         },
       ]),
     ).toMatchInlineSnapshot(`
-      ⧙Summary – failure:⧘
-      🔴 ⧙exit 126⧘ npm start⧘
-      ⛔️ ⧙exit 2⧘ ping localhost⧘
-      ⚪ ⧙exit 0⧘ npm test⧘
+      ⧙[⧘⧙1⧘⧙]⧘  🟢⧘  ⧙  0%   52M⧘  npm start⧘
+      ⧙[⧘⧙2⧘⧙]⧘  🟢⧘  ⧙144%  1.5G⧘  tsc --watch⧘
+      ⧙[⧘⧙3⧘⧙]⧘  ⚪⧘  ⧙exit 0⧘  ⧙          ⧘  npm test⧘
+
+      ⧙[⧘⧙1-3⧘⧙]⧘    focus command ⧙(or click)⧘
+      ⧙[⧘⧙ctrl+c⧘⧙]⧘ kill all
+      ⧙[⧘⧙↑↓←→⧘⧙]⧘   move selection
+      ⧙[⧘⧙/⧘⧙]⧘      filter
+      ⧙[⧘⧙+⧘⧙]⧘      add command
+      ⧙[⧘⧙ctrl+x⧘⧙]⧘ split view
+      ⧙[⧘⧙ctrl+a⧘⧙]⧘ all output
+      ⧙[⧘⧙ctrl+b⧘⧙]⧘ broadcast to all
+      ⧙[⧘⧙enter⧘⧙]⧘  restart exited
     `);
   });
-});
 
-describe("focused command", () => {
-  /**
-   * @param {(command: import("../run-pty").CommandText) => string} f
-   * @param {string} formattedCommandWithTitle
-   * @param {string} cwd
-   * @returns {string}
-   */
-  function render(f, formattedCommandWithTitle, cwd) {
-    return replaceAnsi(
-      f({
-        formattedCommandWithTitle,
-        title: "Expected `title` not to be used",
-        titlePossiblyWithGraphicRenditions:
-          "Expected `titlePossiblyWithGraphicRenditions` not to be used",
-        cwd,
-        history: "",
-      }),
-    );
-  }
+  test("marked commands", () => {
+    /** @type {Array<FakeCommand>} */
+    const items = [
+      {
+        command: ["npm", "run", "frontend"],
+        status: { tag: "Running", terminal: fakeTerminal({ pid: 1 }) },
+      },
+      {
+        command: ["npm", "run", "backend"],
+        status: { tag: "Running", terminal: fakeTerminal({ pid: 2 }) },
+      },
+      {
+        command: ["npm", "test"],
+        status: { tag: "Running", terminal: fakeTerminal({ pid: 3 }) },
+      },
+    ];
 
-  test("just a command", () => {
     expect(
-      render(
-        (command) => historyStart(runningIndicator, command),
-        "npm start",
-        "./",
-      ),
+      testDashboard(items, {
+        selection: { tag: "Keyboard", index: 2 },
+        marked: [0, 2],
+      }),
     ).toMatchInlineSnapshot(`
-      🟢 npm start⧘␊
+      ⧙[⧘⧙1⧘⧙]⧘* 🟢⧘  npm run frontend⧘
+      ⧙[⧘⧙2⧘⧙]⧘  🟢⧘  npm run backend⧘
+      ⧙[⧘⧙3⧘⧙]⧘* 🟢⧘  ⧙npm test⧘⧘
+
+      ⧙[⧘⧙1-3⧘⧙]⧘    focus command ⧙(or click)⧘
+      ⧙[⧘⧙ctrl+c⧘⧙]⧘ kill all
+      ⧙[⧘⧙↑↓←→⧘⧙]⧘   move selection
+      ⧙[⧘⧙/⧘⧙]⧘      filter
+      ⧙[⧘⧙+⧘⧙]⧘      add command
+      ⧙[⧘⧙ctrl+x⧘⧙]⧘ split view
+      ⧙[⧘⧙ctrl+a⧘⧙]⧘ all output
+      ⧙[⧘⧙ctrl+b⧘⧙]⧘ broadcast to marked
+      ⧙[⧘⧙enter⧘⧙]⧘  focus selected ⧙(pid 3)⧘
+      ⧙[⧘⧙space⧘⧙]⧘  unmark selected
+      ⧙[⧘⧙ctrl+d⧘⧙]⧘ duplicate selected
+      ⧙[⧘⧙ctrl+p⧘⧙]⧘ pause selected
+      ⧙[⧘⧙escape⧘⧙]⧘ unselect
+    `);
 
+    expect(testDashboard(items, { marked: [0, 2] })).toMatchInlineSnapshot(`
+      ⧙[⧘⧙1⧘⧙]⧘* 🟢⧘  npm run frontend⧘
+      ⧙[⧘⧙2⧘⧙]⧘  🟢⧘  npm run backend⧘
+      ⧙[⧘⧙3⧘⧙]⧘* 🟢⧘  npm test⧘
+
+      ⧙[⧘⧙1-3⧘⧙]⧘    focus command ⧙(or click)⧘
+      ⧙[⧘⧙ctrl+c⧘⧙]⧘ kill all
+      ⧙[⧘⧙↑↓←→⧘⧙]⧘   move selection
+      ⧙[⧘⧙/⧘⧙]⧘      filter
+      ⧙[⧘⧙+⧘⧙]⧘      add command
+      ⧙[⧘⧙ctrl+x⧘⧙]⧘ split view
+      ⧙[⧘⧙ctrl+a⧘⧙]⧘ all output
+      ⧙[⧘⧙ctrl+b⧘⧙]⧘ broadcast to marked
+      ⧙[⧘⧙escape⧘⧙]⧘ unmark all
     `);
-  });
 
-  test("title with command and changed cwd", () => {
     expect(
-      render(
-        (command) => historyStart(runningIndicator, command),
-        "frontend: npm start",
-        "web/frontend",
-      ),
+      testDashboard(items, {
+        selection: { tag: "ByIndicator", indicator: "🟢", keyboardIndex: 0 },
+        marked: [1],
+      }),
     ).toMatchInlineSnapshot(`
-      🟢 frontend: npm start⧘
-      📂 ⧙web/frontend⧘␊
+      ⧙[⧘⧙1⧘⧙]⧘ ⧙ 🟢  ⧘⧘⧙ ⧘ npm run frontend⧘
+      ⧙[⧘⧙2⧘⧙]⧘*⧙ 🟢  ⧘⧘⧙ ⧘ npm run backend⧘
+      ⧙[⧘⧙3⧘⧙]⧘ ⧙ 🟢  ⧘⧘⧙ ⧘ npm test⧘
 
+      ⧙[⧘⧙1-3⧘⧙]⧘    focus command ⧙(or click)⧘
+      ⧙[⧘⧙ctrl+c⧘⧙]⧘ kill all
+      ⧙[⧘⧙↑↓←→⧘⧙]⧘   move selection
+      ⧙[⧘⧙/⧘⧙]⧘      filter
+      ⧙[⧘⧙+⧘⧙]⧘      add command
+      ⧙[⧘⧙ctrl+x⧘⧙]⧘ split selected
+      ⧙[⧘⧙ctrl+a⧘⧙]⧘ all output
+      ⧙[⧘⧙ctrl+b⧘⧙]⧘ broadcast to marked
+      ⧙[⧘⧙enter⧘⧙]⧘  restart selected
+      ⧙[⧘⧙escape⧘⧙]⧘ unselect
     `);
   });
 
-  test("running text includes pid", () => {
-    expect(replaceAnsi(runningText(12345))).toMatchInlineSnapshot(`
-      ⧙[⧘⧙ctrl+c⧘⧙]⧘ kill ⧙(pid 12345)⧘
-      ⧙[⧘⧙ctrl+z⧘⧙]⧘ dashboard
+  test("broadcasting", () => {
+    /** @type {Array<FakeCommand>} */
+    const items = [
+      {
+        command: ["npm", "run", "frontend"],
+        status: { tag: "Running", terminal: fakeTerminal({ pid: 1 }) },
+      },
+      {
+        command: ["npm", "run", "backend"],
+        status: { tag: "Running", terminal: fakeTerminal({ pid: 2 }) },
+      },
+      {
+        command: ["npm", "test"],
+        status: { tag: "Exit", exitCode: 0, wasKilled: false },
+      },
+    ];
+
+    expect(testDashboard(items, { broadcast: [0, 1] })).toMatchInlineSnapshot(`
+      ⧙[⧘⧙1⧘⧙]⧘* 🟢⧘  npm run frontend⧘
+      ⧙[⧘⧙2⧘⧙]⧘* 🟢⧘  npm run backend⧘
+      ⧙[⧘⧙3⧘⧙]⧘  ⚪⧘  ⧙exit 0⧘  npm test⧘
+
+      ⧙Broadcasting:⧘ Typing goes to the running commands marked with *.
+
+      ⧙[⧘⧙ctrl+z⧘⧙]⧘ stop broadcasting
+      ⧙[⧘⧙ctrl+c⧘⧙]⧘ kill marked
+    `);
+
+    expect(testDashboard(items, { broadcast: [2] })).toMatchInlineSnapshot(`
+      ⧙[⧘⧙1⧘⧙]⧘  🟢⧘  npm run frontend⧘
+      ⧙[⧘⧙2⧘⧙]⧘  🟢⧘  npm run backend⧘
+      ⧙[⧘⧙3⧘⧙]⧘* ⚪⧘  ⧙exit 0⧘  npm test⧘
+
+      ⧙Broadcasting:⧘ Typing goes to the running commands marked with *.
+
+      ⧙[⧘⧙ctrl+z⧘⧙]⧘ stop broadcasting
     `);
   });
 
-  test("killing without cwd", () => {
-    expect(render(() => killingText(12345), "frontend: npm start", "./x/.."))
+  test("adding and removing commands", () => {
+    /** @type {Array<FakeCommand>} */
+    const items = [
+      {
+        command: ["npm", "run", "frontend"],
+        status: { tag: "Running", terminal: fakeTerminal({ pid: 1 }) },
+      },
+      {
+        command: ["npm", "test"],
+        status: { tag: "Exit", exitCode: 0, wasKilled: false },
+      },
+    ];
+
+    expect(testDashboard(items, { selection: { tag: "Keyboard", index: 1 } }))
       .toMatchInlineSnapshot(`
-      ⧙[⧘⧙ctrl+c⧘⧙]⧘ kill ⧙(double-press to force) (pid 12345)⧘
-      ⧙[⧘⧙ctrl+z⧘⧙]⧘ dashboard
+      ⧙[⧘⧙1⧘⧙]⧘  🟢⧘  npm run frontend⧘
+      ⧙[⧘⧙2⧘⧙]⧘  ⚪⧘  ⧙⧙exit 0⧘⧙  npm test⧘⧘
+
+      ⧙[⧘⧙1-2⧘⧙]⧘    focus command ⧙(or click)⧘
+      ⧙[⧘⧙ctrl+c⧘⧙]⧘ kill all
+      ⧙[⧘⧙↑↓←→⧘⧙]⧘   move selection
+      ⧙[⧘⧙/⧘⧙]⧘      filter
+      ⧙[⧘⧙+⧘⧙]⧘      add command
+      ⧙[⧘⧙ctrl+x⧘⧙]⧘ split view
+      ⧙[⧘⧙ctrl+a⧘⧙]⧘ all output
+      ⧙[⧘⧙ctrl+b⧘⧙]⧘ broadcast to all
+      ⧙[⧘⧙enter⧘⧙]⧘  focus selected
+      ⧙[⧘⧙space⧘⧙]⧘  mark selected
+      ⧙[⧘⧙ctrl+d⧘⧙]⧘ duplicate selected
+      ⧙[⧘⧙-⧘⧙]⧘      remove selected
+      ⧙[⧘⧙escape⧘⧙]⧘ unselect
     `);
-  });
 
-  test("killing with cwd", () => {
     expect(
-      render(() => killingText(12345), "frontend: npm start", "web/frontend"),
+      testDashboard(items, {
+        commandInput: {
+          text: "tsc --watch",
+          template: undefined,
+          error: undefined,
+        },
+      }),
     ).toMatchInlineSnapshot(`
-      ⧙[⧘⧙ctrl+c⧘⧙]⧘ kill ⧙(double-press to force) (pid 12345)⧘
-      ⧙[⧘⧙ctrl+z⧘⧙]⧘ dashboard
+      ⧙[⧘⧙1⧘⧙]⧘  🟢⧘  npm run frontend⧘
+      ⧙[⧘⧙2⧘⧙]⧘  ⚪⧘  ⧙exit 0⧘  npm test⧘
+
+      ⧙+ ⧘tsc --watch⧙ ⧘
+
+      ⧙[⧘⧙enter⧘⧙]⧘  add
+      ⧙[⧘⧙escape⧘⧙]⧘ cancel
+
+      ⧙Separate commands with %. Start with --cwd=<dir> to run in another directory.⧘
     `);
-  });
 
-  test("exit 0 with cwd", () => {
     expect(
-      render(
-        (command) =>
-          exitText(
-            [],
-            command,
-            { tag: "Exit", exitCode: 0, wasKilled: false },
-            { tag: "NoAutoExit" },
-          ),
-        "frontend: npm start",
-        "web/frontend",
-      ),
+      testDashboard(items, {
+        commandInput: {
+          text: "--cwd=server npm test",
+          template: fakeCommand(items[1]).commandDescription,
+          error: "Bad flag: --port=3001\nOnly --cwd=<dir> is accepted.",
+        },
+      }),
     ).toMatchInlineSnapshot(`
-      ⚪ frontend: npm start⧘
-      📂 ⧙web/frontend⧘
-      exit 0
+      ⧙[⧘⧙1⧘⧙]⧘  🟢⧘  npm run frontend⧘
+      ⧙[⧘⧙2⧘⧙]⧘  ⚪⧘  ⧙exit 0⧘  npm test⧘
 
-      ⧙[⧘⧙enter⧘⧙]⧘  restart
-      ⧙[⧘⧙ctrl+c⧘⧙]⧘ exit
-      ⧙[⧘⧙ctrl+z⧘⧙]⧘ dashboard
+      ⧙+ ⧘--cwd=server npm test⧙ ⧘
+
+      Bad flag: --port=3001
+      Only --cwd=<dir> is accepted.
+
+      ⧙[⧘⧙enter⧘⧙]⧘  add copy
+      ⧙[⧘⧙escape⧘⧙]⧘ cancel
+
+      ⧙Separate commands with %. Start with --cwd=<dir> to run in another directory.⧘
     `);
   });
 
-  test("exit 0 without cwd", () => {
+  test("automatic restarts", () => {
     expect(
-      render(
-        (command) =>
-          exitText(
-            [],
-            command,
-            { tag: "Exit", exitCode: 0, wasKilled: false },
-            { tag: "NoAutoExit" },
-          ),
-        "frontend: npm start",
-        ".",
-      ),
+      testDashboard([
+        {
+          command: ["npm", "run", "backend"],
+          status: { tag: "Exit", exitCode: 1, wasKilled: false },
+          numRestarts: 1,
+          maxRestarts: 5,
+          pendingRestart: {
+            at: Date.now() + 3500,
+            timeout: setTimeout(() => undefined, 0),
+          },
+        },
+        {
+          command: ["npm", "run", "frontend"],
+          status: { tag: "Running", terminal: fakeTerminal({ pid: 2 }) },
+          numRestarts: 3,
+        },
+        {
+          command: ["npm", "run", "db"],
+          status: { tag: "Exit", exitCode: 0, wasKilled: false },
+        },
+      ]),
     ).toMatchInlineSnapshot(`
-      ⚪ frontend: npm start⧘
-      exit 0
+      ⧙[⧘⧙1⧘⧙]⧘  🔴⧘  ⧙exit 1⧘ ⧙restart 2/5 in 4s⧘  npm run backend⧘
+      ⧙[⧘⧙2⧘⧙]⧘  🟢⧘  ⧙restarts: 3⧘               npm run frontend⧘
+      ⧙[⧘⧙3⧘⧙]⧘  ⚪⧘  ⧙exit 0⧘                    npm run db⧘
 
-      ⧙[⧘⧙enter⧘⧙]⧘  restart
-      ⧙[⧘⧙ctrl+c⧘⧙]⧘ exit
-      ⧙[⧘⧙ctrl+z⧘⧙]⧘ dashboard
+      ⧙[⧘⧙1-3⧘⧙]⧘    focus command ⧙(or click)⧘
+      ⧙[⧘⧙ctrl+c⧘⧙]⧘ kill all
+      ⧙[⧘⧙↑↓←→⧘⧙]⧘   move selection
+      ⧙[⧘⧙/⧘⧙]⧘      filter
+      ⧙[⧘⧙+⧘⧙]⧘      add command
+      ⧙[⧘⧙ctrl+x⧘⧙]⧘ split view
+      ⧙[⧘⧙ctrl+a⧘⧙]⧘ all output
+      ⧙[⧘⧙ctrl+b⧘⧙]⧘ broadcast to all
+      ⧙[⧘⧙enter⧘⧙]⧘  restart exited
     `);
   });
 
-  test("exit 0 with auto exit (cannot be restarted)", () => {
+  test("status from escapes", () => {
     expect(
-      render(
-        (command) =>
-          exitText(
-            [],
-            command,
+      testDashboard([
+        {
+          command: ["npm", "run", "build"],
+          status: { tag: "Running", terminal: fakeTerminal({ pid: 1 }) },
+          statusFromRules: "🚨",
+          statusTextFromEscape: "3 errors",
+        },
+        {
+          command: ["npm", "run", "watch"],
+          status: { tag: "Ready", terminal: fakeTerminal({ pid: 2 }) },
+          statusTextFromEscape: "compiling 40%",
+          numRestarts: 1,
+        },
+        {
+          command: ["npm", "run", "old"],
+          status: { tag: "Exit", exitCode: 0, wasKilled: false },
+          statusTextFromEscape: "only shown while running",
+        },
+      ]),
+    ).toMatchInlineSnapshot(`
+      ⧙[⧘⧙1⧘⧙]⧘  🚨⧘  3 errors                         npm run build⧘
+      ⧙[⧘⧙2⧘⧙]⧘  🟢⧘  ⧙ready⧘ compiling 40% ⧙restarts: 1⧘  npm run watch⧘
+      ⧙[⧘⧙3⧘⧙]⧘  ⚪⧘  ⧙exit 0⧘                           npm run old⧘
+
+      ⧙[⧘⧙1-3⧘⧙]⧘    focus command ⧙(or click)⧘
+      ⧙[⧘⧙ctrl+c⧘⧙]⧘ kill all
+      ⧙[⧘⧙↑↓←→⧘⧙]⧘   move selection
+      ⧙[⧘⧙/⧘⧙]⧘      filter
+      ⧙[⧘⧙+⧘⧙]⧘      add command
+      ⧙[⧘⧙ctrl+x⧘⧙]⧘ split view
+      ⧙[⧘⧙ctrl+a⧘⧙]⧘ all output
+      ⧙[⧘⧙ctrl+b⧘⧙]⧘ broadcast to all
+      ⧙[⧘⧙enter⧘⧙]⧘  restart exited
+    `);
+  });
+
+  test("progress", () => {
+    expect(
+      testDashboard([
+        {
+          command: ["npm", "ci"],
+          status: { tag: "Running", terminal: fakeTerminal({ pid: 1 }) },
+          progress: { tag: "Normal", percent: 40 },
+        },
+        {
+          command: ["cargo", "build"],
+          status: { tag: "Running", terminal: fakeTerminal({ pid: 2 }) },
+          progress: { tag: "Error", percent: 100 },
+          statusTextFromEscape: "1 error",
+        },
+        {
+          command: ["npm", "run", "download"],
+          status: { tag: "Ready", terminal: fakeTerminal({ pid: 3 }) },
+          progress: { tag: "Indeterminate" },
+        },
+        {
+          command: ["npm", "run", "upload"],
+          status: { tag: "Running", terminal: fakeTerminal({ pid: 4 }) },
+          progress: { tag: "Paused", percent: 7 },
+        },
+        {
+          command: ["npm", "run", "old"],
+          status: { tag: "Exit", exitCode: 0, wasKilled: false },
+          progress: { tag: "Normal", percent: 100 },
+        },
+      ]),
+    ).toMatchInlineSnapshot(`
+      ⧙[⧘⧙1⧘⧙]⧘  🟢⧘  ⧙██░░░ 40%⧘           npm ci⧘
+      ⧙[⧘⧙2⧘⧙]⧘  🟢⧘  ⧙█████ 100%⧘ 1 error  cargo build⧘
+      ⧙[⧘⧙3⧘⧙]⧘  🟢⧘  ⧙ready⧘ ⧙░░░░░⧘         npm run download⧘
+      ⧙[⧘⧙4⧘⧙]⧘  🟢⧘  ⧙░░░░░ 7%⧘            npm run upload⧘
+      ⧙[⧘⧙5⧘⧙]⧘  ⚪⧘  ⧙exit 0⧘              npm run old⧘
+
+      ⧙[⧘⧙1-5⧘⧙]⧘    focus command ⧙(or click)⧘
+      ⧙[⧘⧙ctrl+c⧘⧙]⧘ kill all
+      ⧙[⧘⧙↑↓←→⧘⧙]⧘   move selection
+      ⧙[⧘⧙/⧘⧙]⧘      filter
+      ⧙[⧘⧙+⧘⧙]⧘      add command
+      ⧙[⧘⧙ctrl+x⧘⧙]⧘ split view
+      ⧙[⧘⧙ctrl+a⧘⧙]⧘ all output
+      ⧙[⧘⧙ctrl+b⧘⧙]⧘ broadcast to all
+      ⧙[⧘⧙enter⧘⧙]⧘  restart exited
+    `);
+  });
+
+  test("terminal titles", () => {
+    /** @type {Array<FakeCommand>} */
+    const commands = [
+      {
+        command: ["npm", "run", "frontend"],
+        status: { tag: "Running", terminal: fakeTerminal({ pid: 1 }) },
+        terminalTitle: "VITE ready",
+      },
+      {
+        command: ["tsc", "--watch"],
+        status: { tag: "Running", terminal: fakeTerminal({ pid: 2 }) },
+      },
+      {
+        command: ["npm", "run", "backend"],
+        status: { tag: "Exit", exitCode: 1, wasKilled: false },
+        terminalTitle: "nodemon",
+      },
+    ];
+
+    expect(testDashboard(commands)).toMatchInlineSnapshot(`
+      ⧙[⧘⧙1⧘⧙]⧘  🟢⧘  npm run frontend⧘         ⧙VITE ready⧘⧘
+      ⧙[⧘⧙2⧘⧙]⧘  🟢⧘  tsc --watch⧘
+      ⧙[⧘⧙3⧘⧙]⧘  🔴⧘  ⧙exit 1⧘  npm run backend⧘  ⧙nodemon⧘⧘
+
+      ⧙[⧘⧙1-3⧘⧙]⧘    focus command ⧙(or click)⧘
+      ⧙[⧘⧙ctrl+c⧘⧙]⧘ kill all
+      ⧙[⧘⧙↑↓←→⧘⧙]⧘   move selection
+      ⧙[⧘⧙/⧘⧙]⧘      filter
+      ⧙[⧘⧙+⧘⧙]⧘      add command
+      ⧙[⧘⧙ctrl+x⧘⧙]⧘ split view
+      ⧙[⧘⧙ctrl+a⧘⧙]⧘ all output
+      ⧙[⧘⧙ctrl+b⧘⧙]⧘ broadcast to all
+      ⧙[⧘⧙enter⧘⧙]⧘  restart exited
+    `);
+
+    expect(dashboardTerminalTitle(commands.map(fakeCommand))).toBe(
+      "run-pty: 2 running, 1 failed",
+    );
+    expect(dashboardTerminalTitle([])).toBe("run-pty");
+  });
+
+  test("paused", () => {
+    /** @type {Array<FakeCommand>} */
+    const commands = [
+      {
+        command: ["tsc", "--watch"],
+        status: {
+          tag: "Paused",
+          terminal: fakeTerminal({ pid: 1 }),
+          wasReady: false,
+        },
+      },
+      {
+        command: ["npm", "run", "frontend"],
+        status: { tag: "Running", terminal: fakeTerminal({ pid: 2 }) },
+      },
+    ];
+
+    expect(
+      testDashboard(commands, { selection: { tag: "Keyboard", index: 0 } }),
+    ).toMatchInlineSnapshot(`
+      ⧙[⧘⧙1⧘⧙]⧘  ⏸️⧘  ⧙tsc --watch⧘⧘
+      ⧙[⧘⧙2⧘⧙]⧘  🟢⧘  npm run frontend⧘
+
+      ⧙[⧘⧙1-2⧘⧙]⧘    focus command ⧙(or click)⧘
+      ⧙[⧘⧙ctrl+c⧘⧙]⧘ kill all
+      ⧙[⧘⧙↑↓←→⧘⧙]⧘   move selection
+      ⧙[⧘⧙/⧘⧙]⧘      filter
+      ⧙[⧘⧙+⧘⧙]⧘      add command
+      ⧙[⧘⧙ctrl+x⧘⧙]⧘ split view
+      ⧙[⧘⧙ctrl+a⧘⧙]⧘ all output
+      ⧙[⧘⧙ctrl+b⧘⧙]⧘ broadcast to all
+      ⧙[⧘⧙enter⧘⧙]⧘  focus selected ⧙(pid 1)⧘
+      ⧙[⧘⧙space⧘⧙]⧘  mark selected
+      ⧙[⧘⧙ctrl+d⧘⧙]⧘ duplicate selected
+      ⧙[⧘⧙ctrl+p⧘⧙]⧘ resume selected
+      ⧙[⧘⧙escape⧘⧙]⧘ unselect
+    `);
+
+    expect(
+      testDashboard(commands, { selection: { tag: "Keyboard", index: 1 } }),
+    ).toMatchInlineSnapshot(`
+      ⧙[⧘⧙1⧘⧙]⧘  ⏸️⧘  tsc --watch⧘
+      ⧙[⧘⧙2⧘⧙]⧘  🟢⧘  ⧙npm run frontend⧘⧘
+
+      ⧙[⧘⧙1-2⧘⧙]⧘    focus command ⧙(or click)⧘
+      ⧙[⧘⧙ctrl+c⧘⧙]⧘ kill all
+      ⧙[⧘⧙↑↓←→⧘⧙]⧘   move selection
+      ⧙[⧘⧙/⧘⧙]⧘      filter
+      ⧙[⧘⧙+⧘⧙]⧘      add command
+      ⧙[⧘⧙ctrl+x⧘⧙]⧘ split view
+      ⧙[⧘⧙ctrl+a⧘⧙]⧘ all output
+      ⧙[⧘⧙ctrl+b⧘⧙]⧘ broadcast to all
+      ⧙[⧘⧙enter⧘⧙]⧘  focus selected ⧙(pid 2)⧘
+      ⧙[⧘⧙space⧘⧙]⧘  mark selected
+      ⧙[⧘⧙ctrl+d⧘⧙]⧘ duplicate selected
+      ⧙[⧘⧙ctrl+p⧘⧙]⧘ pause selected
+      ⧙[⧘⧙escape⧘⧙]⧘ unselect
+    `);
+
+    expect(dashboardTerminalTitle(commands.map(fakeCommand))).toBe(
+      "run-pty: 1 running, 1 paused",
+    );
+  });
+
+  test("filter", () => {
+    /** @type {Array<FakeCommand>} */
+    const items = [
+      {
+        command: ["npm", "run", "web"],
+        status: { tag: "Running", terminal: fakeTerminal({ pid: 1 }) },
+      },
+      {
+        command: ["npm", "run", "api"],
+        status: { tag: "Exit", exitCode: 1, wasKilled: false },
+      },
+      {
+        title: "Website tests",
+        command: ["vitest"],
+        status: { tag: "Exit", exitCode: 0, wasKilled: false },
+      },
+    ];
+
+    expect(testDashboard(items, { filter: "" })).toMatchInlineSnapshot(`
+      ⧙[⧘⧙1⧘⧙]⧘  🟢⧘  npm run web⧘
+      ⧙[⧘⧙2⧘⧙]⧘  🔴⧘  ⧙exit 1⧘  npm run api⧘
+      ⧙[⧘⧙3⧘⧙]⧘  ⚪⧘  ⧙exit 0⧘  Website tests⧘
+
+      ⧙/⧘⧙ ⧘
+
+      ⧙[⧘⧙escape⧘⧙]⧘ clear filter
+      ⧙[⧘⧙ctrl+c⧘⧙]⧘ kill all
+      ⧙[⧘⧙↑↓⧘⧙]⧘     move selection
+      ⧙[⧘⧙ctrl+x⧘⧙]⧘ split matching
+      ⧙[⧘⧙ctrl+b⧘⧙]⧘ broadcast to matching
+    `);
+
+    expect(testDashboard(items, { filter: "wb" })).toMatchInlineSnapshot(`
+      ⧙[⧘⧙1⧘⧙]⧘  🟢⧘  npm run web⧘
+      ⧙[⧘⧙3⧘⧙]⧘  ⚪⧘  ⧙exit 0⧘  Website tests⧘
+
+      ⧙/⧘wb⧙ ⧘
+
+      ⧙[⧘⧙escape⧘⧙]⧘ clear filter
+      ⧙[⧘⧙ctrl+c⧘⧙]⧘ kill all
+      ⧙[⧘⧙↑↓⧘⧙]⧘     move selection
+      ⧙[⧘⧙ctrl+x⧘⧙]⧘ split matching
+      ⧙[⧘⧙ctrl+b⧘⧙]⧘ broadcast to matching
+    `);
+
+    expect(
+      testDashboard(items, {
+        filter: "wb",
+        selection: { tag: "Keyboard", index: 2 },
+      }),
+    ).toMatchInlineSnapshot(`
+      ⧙[⧘⧙1⧘⧙]⧘  🟢⧘  npm run web⧘
+      ⧙[⧘⧙3⧘⧙]⧘  ⚪⧘  ⧙⧙exit 0⧘⧙  Website tests⧘⧘
+
+      ⧙/⧘wb⧙ ⧘
+
+      ⧙[⧘⧙escape⧘⧙]⧘ clear filter
+      ⧙[⧘⧙ctrl+c⧘⧙]⧘ kill all
+      ⧙[⧘⧙↑↓⧘⧙]⧘     move selection
+      ⧙[⧘⧙ctrl+x⧘⧙]⧘ split matching
+      ⧙[⧘⧙ctrl+b⧘⧙]⧘ broadcast to matching
+      ⧙[⧘⧙enter⧘⧙]⧘  focus selected
+    `);
+
+    expect(testDashboard(items, { filter: "fail" })).toMatchInlineSnapshot(`
+      ⧙[⧘⧙2⧘⧙]⧘  🔴⧘  ⧙exit 1⧘  npm run api⧘
+
+      ⧙/⧘fail⧙ ⧘
+
+      ⧙[⧘⧙escape⧘⧙]⧘ clear filter
+      ⧙[⧘⧙ctrl+c⧘⧙]⧘ kill all
+      ⧙[⧘⧙↑↓⧘⧙]⧘     move selection
+      ⧙[⧘⧙enter⧘⧙]⧘  focus command
+    `);
+
+    expect(testDashboard(items, { filter: "web exit" })).toMatchInlineSnapshot(`
+      ⧙[⧘⧙3⧘⧙]⧘  ⚪⧘  ⧙exit 0⧘  Website tests⧘
+
+      ⧙/⧘web exit⧙ ⧘
+
+      ⧙[⧘⧙escape⧘⧙]⧘ clear filter
+      ⧙[⧘⧙ctrl+c⧘⧙]⧘ kill all
+      ⧙[⧘⧙↑↓⧘⧙]⧘     move selection
+      ⧙[⧘⧙enter⧘⧙]⧘  focus command
+    `);
+
+    expect(testDashboard(items, { filter: "nope" })).toMatchInlineSnapshot(`
+      ⧙No matching commands.⧘
+
+      ⧙/⧘nope⧙ ⧘
+
+      ⧙[⧘⧙escape⧘⧙]⧘ clear filter
+      ⧙[⧘⧙ctrl+c⧘⧙]⧘ kill all
+      ⧙[⧘⧙↑↓⧘⧙]⧘     move selection
+    `);
+  });
+
+  test("control socket", () => {
+    expect(
+      testDashboard(
+        [
+          {
+            command: ["npm", "start"],
+            status: { tag: "Running", terminal: fakeTerminal({ pid: 1 }) },
+          },
+        ],
+        { socketPath: "/tmp/run-pty-123.sock" },
+      ),
+    ).toMatchInlineSnapshot(`
+      ⧙[⧘⧙1⧘⧙]⧘  🟢⧘  npm start⧘
+
+      ⧙[⧘⧙1⧘⧙]⧘      focus command ⧙(or click)⧘
+      ⧙[⧘⧙ctrl+c⧘⧙]⧘ kill all
+      ⧙[⧘⧙↑↓←→⧘⧙]⧘   move selection
+      ⧙[⧘⧙/⧘⧙]⧘      filter
+      ⧙[⧘⧙+⧘⧙]⧘      add command
+
+      ⧙Control socket: /tmp/run-pty-123.sock⧘
+    `);
+  });
+
+  test("config error", () => {
+    expect(
+      testDashboard(
+        [
+          {
+            command: ["npm", "start"],
+            status: { tag: "Running", terminal: fakeTerminal({ pid: 1 }) },
+          },
+        ],
+        {
+          configError:
+            "Failed to reload run-pty.json:\nFailed to read command descriptions file as JSON:\nUnexpected end of JSON input",
+        },
+      ),
+    ).toMatchInlineSnapshot(`
+      ⧙[⧘⧙1⧘⧙]⧘  🟢⧘  npm start⧘
+
+      ⧙[⧘⧙1⧘⧙]⧘      focus command ⧙(or click)⧘
+      ⧙[⧘⧙ctrl+c⧘⧙]⧘ kill all
+      ⧙[⧘⧙↑↓←→⧘⧙]⧘   move selection
+      ⧙[⧘⧙/⧘⧙]⧘      filter
+      ⧙[⧘⧙+⧘⧙]⧘      add command
+
+      Failed to reload run-pty.json:
+      Failed to read command descriptions file as JSON:
+      Unexpected end of JSON input
+    `);
+  });
+
+  test("too many commands to fit", () => {
+    /** @type {Array<FakeCommand>} */
+    const items = Array.from({ length: 30 }, (_, i) => ({
+      command: ["echo", String(i)],
+      status: { tag: "Exit", exitCode: 0, wasKilled: false },
+    }));
+
+    expect(testDashboard(items, { height: 15 })).toMatchInlineSnapshot(`
+      ⧙[⧘⧙1⧘⧙]⧘  ⚪⧘  ⧙exit 0⧘  echo 0⧘
+      ⧙[⧘⧙2⧘⧙]⧘  ⚪⧘  ⧙exit 0⧘  echo 1⧘
+      ⧙[⧘⧙3⧘⧙]⧘  ⚪⧘  ⧙exit 0⧘  echo 2⧘
+      ⧙[⧘⧙4⧘⧙]⧘  ⚪⧘  ⧙exit 0⧘  echo 3⧘
+      ⧙1-4 of 30 (scroll or use the arrow keys to see more)⧘
+
+      ⧙[⧘⧙1-9/a-u⧘⧙]⧘ focus command ⧙(or click)⧘
+      ⧙[⧘⧙ctrl+c⧘⧙]⧘ exit
+      ⧙[⧘⧙↑↓←→⧘⧙]⧘   move selection
+      ⧙[⧘⧙/⧘⧙]⧘      filter
+      ⧙[⧘⧙+⧘⧙]⧘      add command
+      ⧙[⧘⧙ctrl+x⧘⧙]⧘ split view
+      ⧙[⧘⧙ctrl+a⧘⧙]⧘ all output
+      ⧙[⧘⧙ctrl+b⧘⧙]⧘ broadcast to all
+      ⧙[⧘⧙enter⧘⧙]⧘  restart exited
+    `);
+
+    expect(testDashboard(items, { height: 15, scroll: 100 }))
+      .toMatchInlineSnapshot(`
+        ⧙[⧘⧙r⧘⧙]⧘  ⚪⧘  ⧙exit 0⧘  echo 26⧘
+        ⧙[⧘⧙s⧘⧙]⧘  ⚪⧘  ⧙exit 0⧘  echo 27⧘
+        ⧙[⧘⧙t⧘⧙]⧘  ⚪⧘  ⧙exit 0⧘  echo 28⧘
+        ⧙[⧘⧙u⧘⧙]⧘  ⚪⧘  ⧙exit 0⧘  echo 29⧘
+        ⧙27-30 of 30 (scroll or use the arrow keys to see more)⧘
+
+        ⧙[⧘⧙1-9/a-u⧘⧙]⧘ focus command ⧙(or click)⧘
+        ⧙[⧘⧙ctrl+c⧘⧙]⧘ exit
+        ⧙[⧘⧙↑↓←→⧘⧙]⧘   move selection
+        ⧙[⧘⧙/⧘⧙]⧘      filter
+        ⧙[⧘⧙+⧘⧙]⧘      add command
+        ⧙[⧘⧙ctrl+x⧘⧙]⧘ split view
+        ⧙[⧘⧙ctrl+a⧘⧙]⧘ all output
+        ⧙[⧘⧙ctrl+b⧘⧙]⧘ broadcast to all
+        ⧙[⧘⧙enter⧘⧙]⧘  restart exited
+      `);
+
+    expect(
+      testDashboard(items, {
+        height: 15,
+        scroll: 0,
+        selection: { tag: "Keyboard", index: 20 },
+      }),
+    ).toMatchInlineSnapshot(`
+      ⧙[⧘⧙l⧘⧙]⧘  ⚪⧘  ⧙⧙exit 0⧘⧙  echo 20⧘⧘
+      ⧙21-21 of 30 (scroll or use the arrow keys to see more)⧘
+
+      ⧙[⧘⧙1-9/a-u⧘⧙]⧘ focus command ⧙(or click)⧘
+      ⧙[⧘⧙ctrl+c⧘⧙]⧘ exit
+      ⧙[⧘⧙↑↓←→⧘⧙]⧘   move selection
+      ⧙[⧘⧙/⧘⧙]⧘      filter
+      ⧙[⧘⧙+⧘⧙]⧘      add command
+      ⧙[⧘⧙ctrl+x⧘⧙]⧘ split view
+      ⧙[⧘⧙ctrl+a⧘⧙]⧘ all output
+      ⧙[⧘⧙ctrl+b⧘⧙]⧘ broadcast to all
+      ⧙[⧘⧙enter⧘⧙]⧘  focus selected
+      ⧙[⧘⧙space⧘⧙]⧘  mark selected
+      ⧙[⧘⧙ctrl+d⧘⧙]⧘ duplicate selected
+      ⧙[⧘⧙-⧘⧙]⧘      remove selected
+      ⧙[⧘⧙escape⧘⧙]⧘ unselect
+    `);
+  });
+
+  test("two key label prefix", () => {
+    expect(
+      testDashboard(
+        Array.from({ length: 62 }, (_, i) => ({
+          command: ["echo", String(i)],
+          status: { tag: "Exit", exitCode: 0, wasKilled: false },
+        })),
+        { height: 8, labelPrefix: "a" },
+      ),
+    ).toMatchInlineSnapshot(`
+      ⧙[⧘⧙1 ⧘⧙]⧘  ⚪⧘  ⧙exit 0⧘  echo 0⧘
+      ⧙[⧘⧙2 ⧘⧙]⧘  ⚪⧘  ⧙exit 0⧘  echo 1⧘
+      ⧙[⧘⧙3 ⧘⧙]⧘  ⚪⧘  ⧙exit 0⧘  echo 2⧘
+      ⧙[⧘⧙4 ⧘⧙]⧘  ⚪⧘  ⧙exit 0⧘  echo 3⧘
+      ⧙1-4 of 62 (scroll or use the arrow keys to see more)⧘
+
+      ⧙[⧘⧙aa-az⧘⧙]⧘  focus command
+      ⧙[⧘⧙escape⧘⧙]⧘ cancel
+    `);
+  });
+
+  test("groups", () => {
+    /** @type {Array<FakeCommand>} */
+    const items = [
+      {
+        command: ["npm", "run", "backend"],
+        status: { tag: "Running", terminal: fakeTerminal({ pid: 9980 }) },
+        group: "web",
+      },
+      {
+        command: ["npm", "run", "frontend"],
+        status: { tag: "Exit", exitCode: 1, wasKilled: false },
+        group: "web",
+      },
+      {
+        command: ["npm", "run", "worker"],
+        status: { tag: "Waiting" },
+        group: "jobs",
+      },
+      {
+        command: ["docker", "compose", "up"],
+        status: { tag: "Running", terminal: fakeTerminal({ pid: 9981 }) },
+      },
+    ];
+
+    expect(testDashboard(items)).toMatchInlineSnapshot(`
+      ▾ ⧙web⧘⧘
+        ⧙[⧘⧙1⧘⧙]⧘  🟢⧘  npm run backend⧘
+        ⧙[⧘⧙2⧘⧙]⧘  🔴⧘  ⧙exit 1⧘  npm run frontend⧘
+      ▾ ⧙jobs⧘⧘
+        ⧙[⧘⧙3⧘⧙]⧘  🥱⧘  npm run worker⧘
+      ⧙[⧘⧙4⧘⧙]⧘    🟢⧘  docker compose up⧘
+
+      ⧙[⧘⧙1-4⧘⧙]⧘    focus command ⧙(or click)⧘
+      ⧙[⧘⧙ctrl+c⧘⧙]⧘ kill all
+      ⧙[⧘⧙↑↓←→⧘⧙]⧘   move selection
+      ⧙[⧘⧙/⧘⧙]⧘      filter
+      ⧙[⧘⧙+⧘⧙]⧘      add command
+      ⧙[⧘⧙ctrl+x⧘⧙]⧘ split view
+      ⧙[⧘⧙ctrl+a⧘⧙]⧘ all output
+      ⧙[⧘⧙ctrl+b⧘⧙]⧘ broadcast to all
+      ⧙[⧘⧙enter⧘⧙]⧘  restart exited
+    `);
+
+    expect(
+      testDashboard(items, {
+        collapsedGroups: ["web"],
+        selection: { tag: "ByGroup", group: "web", keyboardIndex: 0 },
+      }),
+    ).toMatchInlineSnapshot(`
+      ▸ ⧙⧙web⧘⧙  🟢 🔴⧘⧘
+      ▾ ⧙jobs⧘⧘
+        ⧙[⧘⧙3⧘⧙]⧘  🥱⧘  npm run worker⧘
+      ⧙[⧘⧙4⧘⧙]⧘    🟢⧘  docker compose up⧘
+
+      ⧙[⧘⧙1-4⧘⧙]⧘    focus command ⧙(or click)⧘
+      ⧙[⧘⧙ctrl+c⧘⧙]⧘ kill group
+      ⧙[⧘⧙↑↓⧘⧙]⧘     move selection
+      ⧙[⧘⧙/⧘⧙]⧘      filter
+      ⧙[⧘⧙+⧘⧙]⧘      add command
+      ⧙[⧘⧙ctrl+x⧘⧙]⧘ split group
+      ⧙[⧘⧙ctrl+a⧘⧙]⧘ all output
+      ⧙[⧘⧙ctrl+b⧘⧙]⧘ broadcast to group
+      ⧙[⧘⧙enter⧘⧙]⧘  restart group
+      ⧙[⧘⧙tab⧘⧙]⧘    focus next in group ⧙(pid 9980)⧘
+      ⧙[⧘⧙→⧘⧙]⧘      expand
+      ⧙[⧘⧙escape⧘⧙]⧘ unselect
+    `);
+
+    expect(
+      testDashboard(items, {
+        collapsedGroups: ["web"],
+        filter: "front",
+      }),
+    ).toMatchInlineSnapshot(`
+      ▾ ⧙web⧘⧘
+        ⧙[⧘⧙2⧘⧙]⧘  🔴⧘  ⧙exit 1⧘  npm run frontend⧘
+
+      ⧙/⧘front⧙ ⧘
+
+      ⧙[⧘⧙escape⧘⧙]⧘ clear filter
+      ⧙[⧘⧙ctrl+c⧘⧙]⧘ kill all
+      ⧙[⧘⧙↑↓⧘⧙]⧘     move selection
+      ⧙[⧘⧙enter⧘⧙]⧘  focus command
+    `);
+  });
+
+  test("62 commands", () => {
+    expect(
+      testDashboard(
+        Array.from({ length: 62 }, (_, i) => ({
+          command: ["echo", String(i)],
+          status: {
+            tag: "Running",
+            terminal: fakeTerminal({ pid: 9980 + i }),
+          },
+        })),
+      ),
+    ).toMatchInlineSnapshot(`
+      ⧙[⧘⧙1 ⧘⧙]⧘  🟢⧘  echo 0⧘
+      ⧙[⧘⧙2 ⧘⧙]⧘  🟢⧘  echo 1⧘
+      ⧙[⧘⧙3 ⧘⧙]⧘  🟢⧘  echo 2⧘
+      ⧙[⧘⧙4 ⧘⧙]⧘  🟢⧘  echo 3⧘
+      ⧙[⧘⧙5 ⧘⧙]⧘  🟢⧘  echo 4⧘
+      ⧙[⧘⧙6 ⧘⧙]⧘  🟢⧘  echo 5⧘
+      ⧙[⧘⧙7 ⧘⧙]⧘  🟢⧘  echo 6⧘
+      ⧙[⧘⧙8 ⧘⧙]⧘  🟢⧘  echo 7⧘
+      ⧙[⧘⧙9 ⧘⧙]⧘  🟢⧘  echo 8⧘
+      ⧙[⧘⧙aa⧘⧙]⧘  🟢⧘  echo 9⧘
+      ⧙[⧘⧙ab⧘⧙]⧘  🟢⧘  echo 10⧘
+      ⧙[⧘⧙ac⧘⧙]⧘  🟢⧘  echo 11⧘
+      ⧙[⧘⧙ad⧘⧙]⧘  🟢⧘  echo 12⧘
+      ⧙[⧘⧙ae⧘⧙]⧘  🟢⧘  echo 13⧘
+      ⧙[⧘⧙af⧘⧙]⧘  🟢⧘  echo 14⧘
+      ⧙[⧘⧙ag⧘⧙]⧘  🟢⧘  echo 15⧘
+      ⧙[⧘⧙ah⧘⧙]⧘  🟢⧘  echo 16⧘
+      ⧙[⧘⧙ai⧘⧙]⧘  🟢⧘  echo 17⧘
+      ⧙[⧘⧙aj⧘⧙]⧘  🟢⧘  echo 18⧘
+      ⧙[⧘⧙ak⧘⧙]⧘  🟢⧘  echo 19⧘
+      ⧙[⧘⧙al⧘⧙]⧘  🟢⧘  echo 20⧘
+      ⧙[⧘⧙am⧘⧙]⧘  🟢⧘  echo 21⧘
+      ⧙[⧘⧙an⧘⧙]⧘  🟢⧘  echo 22⧘
+      ⧙[⧘⧙ao⧘⧙]⧘  🟢⧘  echo 23⧘
+      ⧙[⧘⧙ap⧘⧙]⧘  🟢⧘  echo 24⧘
+      ⧙[⧘⧙aq⧘⧙]⧘  🟢⧘  echo 25⧘
+      ⧙[⧘⧙ar⧘⧙]⧘  🟢⧘  echo 26⧘
+      ⧙[⧘⧙as⧘⧙]⧘  🟢⧘  echo 27⧘
+      ⧙[⧘⧙at⧘⧙]⧘  🟢⧘  echo 28⧘
+      ⧙[⧘⧙au⧘⧙]⧘  🟢⧘  echo 29⧘
+      ⧙[⧘⧙av⧘⧙]⧘  🟢⧘  echo 30⧘
+      ⧙[⧘⧙aw⧘⧙]⧘  🟢⧘  echo 31⧘
+      ⧙[⧘⧙ax⧘⧙]⧘  🟢⧘  echo 32⧘
+      ⧙[⧘⧙ay⧘⧙]⧘  🟢⧘  echo 33⧘
+      ⧙[⧘⧙az⧘⧙]⧘  🟢⧘  echo 34⧘
+      ⧙[⧘⧙ba⧘⧙]⧘  🟢⧘  echo 35⧘
+      ⧙[⧘⧙bb⧘⧙]⧘  🟢⧘  echo 36⧘
+      ⧙[⧘⧙bc⧘⧙]⧘  🟢⧘  echo 37⧘
+      ⧙[⧘⧙bd⧘⧙]⧘  🟢⧘  echo 38⧘
+      ⧙[⧘⧙be⧘⧙]⧘  🟢⧘  echo 39⧘
+      ⧙[⧘⧙bf⧘⧙]⧘  🟢⧘  echo 40⧘
+      ⧙[⧘⧙bg⧘⧙]⧘  🟢⧘  echo 41⧘
+      ⧙[⧘⧙bh⧘⧙]⧘  🟢⧘  echo 42⧘
+      ⧙[⧘⧙bi⧘⧙]⧘  🟢⧘  echo 43⧘
+      ⧙[⧘⧙bj⧘⧙]⧘  🟢⧘  echo 44⧘
+      ⧙[⧘⧙bk⧘⧙]⧘  🟢⧘  echo 45⧘
+      ⧙[⧘⧙bl⧘⧙]⧘  🟢⧘  echo 46⧘
+      ⧙[⧘⧙bm⧘⧙]⧘  🟢⧘  echo 47⧘
+      ⧙[⧘⧙bn⧘⧙]⧘  🟢⧘  echo 48⧘
+      ⧙[⧘⧙bo⧘⧙]⧘  🟢⧘  echo 49⧘
+      ⧙[⧘⧙bp⧘⧙]⧘  🟢⧘  echo 50⧘
+      ⧙[⧘⧙bq⧘⧙]⧘  🟢⧘  echo 51⧘
+      ⧙[⧘⧙br⧘⧙]⧘  🟢⧘  echo 52⧘
+      ⧙[⧘⧙bs⧘⧙]⧘  🟢⧘  echo 53⧘
+      ⧙[⧘⧙bt⧘⧙]⧘  🟢⧘  echo 54⧘
+      ⧙[⧘⧙bu⧘⧙]⧘  🟢⧘  echo 55⧘
+      ⧙[⧘⧙bv⧘⧙]⧘  🟢⧘  echo 56⧘
+      ⧙[⧘⧙bw⧘⧙]⧘  🟢⧘  echo 57⧘
+      ⧙[⧘⧙bx⧘⧙]⧘  🟢⧘  echo 58⧘
+      ⧙[⧘⧙by⧘⧙]⧘  🟢⧘  echo 59⧘
+      ⧙[⧘⧙bz⧘⧙]⧘  🟢⧘  echo 60⧘
+      ⧙[⧘⧙ca⧘⧙]⧘  🟢⧘  echo 61⧘
+
+      ⧙[⧘⧙1-9/aa-ca⧘⧙]⧘ focus command ⧙(or click)⧘
+      ⧙[⧘⧙ctrl+c⧘⧙]⧘ kill all
+      ⧙[⧘⧙↑↓←→⧘⧙]⧘   move selection
+      ⧙[⧘⧙/⧘⧙]⧘      filter
+      ⧙[⧘⧙+⧘⧙]⧘      add command
+      ⧙[⧘⧙ctrl+x⧘⧙]⧘ split view
+      ⧙[⧘⧙ctrl+a⧘⧙]⧘ all output
+      ⧙[⧘⧙ctrl+b⧘⧙]⧘ broadcast to all
+    `);
+  });
+});
+
+describe("summary", () => {
+  /**
+   * @param {Array<FakeCommand>} items
+   * @returns {string}
+   */
+  function testSummary(items) {
+    return replaceAnsi(drawSummary(items.map(fakeCommand)).trim());
+  }
+
+  test("empty", () => {
+    expect(testSummary([])).toMatchInlineSnapshot(`⧙Summary – success:⧘`);
+  });
+
+  test("one command", () => {
+    expect(
+      testSummary([
+        {
+          command: ["npm", "start"],
+          status: { tag: "Exit", exitCode: 0, wasKilled: false },
+        },
+      ]),
+    ).toMatchInlineSnapshot(`
+      ⧙Summary – success:⧘
+      ⚪ ⧙exit 0⧘ npm start⧘
+    `);
+  });
+
+  test("one success, one failure", () => {
+    expect(
+      testSummary([
+        {
+          command: ["npm", "start"],
+          status: { tag: "Exit", exitCode: 0, wasKilled: false },
+        },
+        {
+          command: ["npm", "test"],
+          status: { tag: "Exit", exitCode: 1, wasKilled: false },
+        },
+      ]),
+    ).toMatchInlineSnapshot(`
+      ⧙Summary – failure:⧘
+      ⚪ ⧙exit 0⧘ npm start⧘
+      🔴 ⧙exit 1⧘ npm test⧘
+    `);
+  });
+
+  test("one success, one aborted", () => {
+    expect(
+      testSummary([
+        {
+          command: ["npm", "start"],
+          status: { tag: "Exit", exitCode: 0, wasKilled: false },
+        },
+        {
+          command: ["npm", "test"],
+          status: { tag: "Exit", exitCode: 0, wasKilled: true },
+        },
+      ]),
+    ).toMatchInlineSnapshot(`
+      ⧙Summary – aborted:⧘
+      ⚪ ⧙exit 0⧘ npm start⧘
+      ⛔️ ⧙exit 0⧘ npm test⧘
+    `);
+  });
+
+  test("one failure, one aborted, one success", () => {
+    expect(
+      testSummary([
+        {
+          command: ["npm", "start"],
+          status: { tag: "Exit", exitCode: 126, wasKilled: false },
+        },
+        {
+          command: ["ping", "localhost"],
+          status: { tag: "Exit", exitCode: 2, wasKilled: true },
+        },
+        {
+          command: ["npm", "test"],
+          status: { tag: "Exit", exitCode: 0, wasKilled: false },
+        },
+      ]),
+    ).toMatchInlineSnapshot(`
+      ⧙Summary – failure:⧘
+      🔴 ⧙exit 126⧘ npm start⧘
+      ⛔️ ⧙exit 2⧘ ping localhost⧘
+      ⚪ ⧙exit 0⧘ npm test⧘
+    `);
+  });
+
+  test("still running or ready", () => {
+    expect(
+      testSummary([
+        {
+          command: ["npm", "run", "backend"],
+          status: { tag: "Running", terminal: fakeTerminal({ pid: 1 }) },
+        },
+        {
+          command: ["npm", "run", "frontend"],
+          status: { tag: "Ready", terminal: fakeTerminal({ pid: 2 }) },
+        },
+        {
+          command: ["npm", "test"],
+          status: { tag: "Exit", exitCode: 0, wasKilled: false },
+        },
+      ]),
+    ).toMatchInlineSnapshot(`
+      ⧙Summary – aborted:⧘
+      🟢 npm run backend⧘
+      🟢 ⧙ready⧘ npm run frontend⧘
+      ⚪ ⧙exit 0⧘ npm test⧘
+    `);
+  });
+
+  test("run times", () => {
+    expect(
+      testSummary([
+        {
+          command: ["npm", "start"],
+          status: { tag: "Exit", exitCode: 0, wasKilled: true },
+          startedAt: 0,
+          exitedAt: 2 * 60 * 60 * 1000 + 15 * 60 * 1000 + 59 * 1000,
+        },
+        {
+          command: ["npm", "test"],
+          status: { tag: "Exit", exitCode: 0, wasKilled: false },
+          startedAt: 1000,
+          exitedAt: 43500,
+        },
+      ]),
+    ).toMatchInlineSnapshot(`
+      ⧙Summary – aborted:⧘
+      ⛔️ ⧙exit 0⧘ ⧙(ran for 2h 15m)⧘ npm start⧘
+      ⚪ ⧙exit 0⧘ ⧙(ran for 42s)⧘ npm test⧘
+    `);
+  });
+});
+
+describe("focused command", () => {
+  /**
+   * @param {(command: import("../run-pty").CommandText) => string} f
+   * @param {string} formattedCommandWithTitle
+   * @param {string} cwd
+   * @param {Record<string, string | null>} env
+   * @param {string} [terminalTitle]
+   * @returns {string}
+   */
+  function render(f, formattedCommandWithTitle, cwd, env = {}, terminalTitle) {
+    return replaceAnsi(
+      f({
+        formattedCommandWithTitle,
+        title: "Expected `title` not to be used",
+        titlePossiblyWithGraphicRenditions:
+          "Expected `titlePossiblyWithGraphicRenditions` not to be used",
+        cwd,
+        env,
+        history: "",
+        maxRestarts: undefined,
+        numRestarts: 0,
+        pendingRestart: undefined,
+        startedAt: undefined,
+        exitedAt: undefined,
+        terminalTitle,
+      }),
+    );
+  }
+
+  test("just a command", () => {
+    expect(
+      render(
+        (command) => historyStart(runningIndicator, command),
+        "npm start",
+        "./",
+      ),
+    ).toMatchInlineSnapshot(`
+      🟢 npm start⧘␊
+
+    `);
+  });
+
+  test("title with command and changed cwd", () => {
+    expect(
+      render(
+        (command) => historyStart(runningIndicator, command),
+        "frontend: npm start",
+        "web/frontend",
+      ),
+    ).toMatchInlineSnapshot(`
+      🟢 frontend: npm start⧘
+      📂 ⧙web/frontend⧘␊
+
+    `);
+  });
+
+  test("title with command and env", () => {
+    expect(
+      render(
+        (command) => historyStart(runningIndicator, command),
+        "backend: npm start",
+        "backend",
+        { PORT: "3001", NODE_ENV: "development", DEBUG: null, X: "a b" },
+      ),
+    ).toMatchInlineSnapshot(`
+      🟢 backend: npm start⧘
+      📂 ⧙backend⧘
+      🔧 ⧙-u DEBUG PORT=3001 NODE_ENV=development 'X=a b'⧘␊
+    `);
+  });
+
+  test("terminal title", () => {
+    expect(
+      render(
+        (command) => historyStart(runningIndicator, command),
+        "frontend: vite",
+        "web",
+        {},
+        "VITE ready",
+      ),
+    ).toMatchInlineSnapshot(`
+      🟢 frontend: vite⧘
+      📂 ⧙web⧘
+      💬 ⧙VITE ready⧘␊
+    `);
+  });
+
+  test("running text includes pid", () => {
+    expect(replaceAnsi(runningText(12345, undefined))).toMatchInlineSnapshot(`
+      ⧙[⧘⧙ctrl+c⧘⧙]⧘ kill ⧙(pid 12345)⧘
+      ⧙[⧘⧙ctrl+z⧘⧙]⧘ dashboard
+      ⧙[⧘⧙ctrl+o⧘⧙]⧘ scrollback
+      ⧙[⧘⧙ctrl+p⧘⧙]⧘ pause
+    `);
+  });
+
+  test("paused text", () => {
+    expect(replaceAnsi(pausedText(12345))).toMatchInlineSnapshot(`
+      ⧙[⧘⧙ctrl+p⧘⧙]⧘ resume ⧙(pid 12345)⧘
+      ⧙[⧘⧙ctrl+c⧘⧙]⧘ kill
+      ⧙[⧘⧙ctrl+z⧘⧙]⧘ dashboard
+      ⧙[⧘⧙ctrl+o⧘⧙]⧘ scrollback
+    `);
+  });
+
+  test("running text with CPU and memory usage", () => {
+    expect(replaceAnsi(runningText(12345, { cpu: 12.6, rss: 123456789 })))
+      .toMatchInlineSnapshot(`
+        ⧙[⧘⧙ctrl+c⧘⧙]⧘ kill ⧙(pid 12345, 13% CPU, 118M memory)⧘
+        ⧙[⧘⧙ctrl+z⧘⧙]⧘ dashboard
+        ⧙[⧘⧙ctrl+o⧘⧙]⧘ scrollback
+        ⧙[⧘⧙ctrl+p⧘⧙]⧘ pause
+      `);
+  });
+
+  test("killing without cwd", () => {
+    expect(render(() => killingText(12345), "frontend: npm start", "./x/.."))
+      .toMatchInlineSnapshot(`
+        ⧙[⧘⧙ctrl+c⧘⧙]⧘ kill ⧙(double-press to force) (pid 12345)⧘
+        ⧙[⧘⧙ctrl+z⧘⧙]⧘ dashboard
+        ⧙[⧘⧙ctrl+o⧘⧙]⧘ scrollback
+      `);
+  });
+
+  test("killing with cwd", () => {
+    expect(
+      render(() => killingText(12345), "frontend: npm start", "web/frontend"),
+    ).toMatchInlineSnapshot(`
+      ⧙[⧘⧙ctrl+c⧘⧙]⧘ kill ⧙(double-press to force) (pid 12345)⧘
+      ⧙[⧘⧙ctrl+z⧘⧙]⧘ dashboard
+      ⧙[⧘⧙ctrl+o⧘⧙]⧘ scrollback
+    `);
+  });
+
+  test("exit 0 with cwd", () => {
+    expect(
+      render(
+        (command) =>
+          exitText(
+            [],
+            command,
+            { tag: "Exit", exitCode: 0, wasKilled: false },
+            { tag: "NoAutoExit" },
+          ),
+        "frontend: npm start",
+        "web/frontend",
+      ),
+    ).toMatchInlineSnapshot(`
+      ⚪ frontend: npm start⧘
+      📂 ⧙web/frontend⧘
+      exit 0
+
+      ⧙[⧘⧙enter⧘⧙]⧘  restart
+      ⧙[⧘⧙ctrl+c⧘⧙]⧘ exit
+      ⧙[⧘⧙ctrl+z⧘⧙]⧘ dashboard
+      ⧙[⧘⧙ctrl+o⧘⧙]⧘ scrollback
+    `);
+  });
+
+  test("exit 1 with env", () => {
+    expect(
+      render(
+        (command) =>
+          exitText(
+            [],
+            command,
+            { tag: "Exit", exitCode: 1, wasKilled: false },
+            { tag: "NoAutoExit" },
+          ),
+        "frontend: npm start",
+        ".",
+        { NODE_ENV: "production" },
+      ),
+    ).toMatchInlineSnapshot(`
+      🔴 frontend: npm start⧘
+      🔧 ⧙NODE_ENV=production⧘
+      exit 1
+
+      ⧙[⧘⧙enter⧘⧙]⧘  restart
+      ⧙[⧘⧙ctrl+c⧘⧙]⧘ exit
+      ⧙[⧘⧙ctrl+z⧘⧙]⧘ dashboard
+      ⧙[⧘⧙ctrl+o⧘⧙]⧘ scrollback
+    `);
+  });
+
+  test("exit 0 without cwd", () => {
+    expect(
+      render(
+        (command) =>
+          exitText(
+            [],
+            command,
+            { tag: "Exit", exitCode: 0, wasKilled: false },
+            { tag: "NoAutoExit" },
+          ),
+        "frontend: npm start",
+        ".",
+      ),
+    ).toMatchInlineSnapshot(`
+      ⚪ frontend: npm start⧘
+      exit 0
+
+      ⧙[⧘⧙enter⧘⧙]⧘  restart
+      ⧙[⧘⧙ctrl+c⧘⧙]⧘ exit
+      ⧙[⧘⧙ctrl+z⧘⧙]⧘ dashboard
+      ⧙[⧘⧙ctrl+o⧘⧙]⧘ scrollback
+    `);
+  });
+
+  test("exit 0 with auto exit (cannot be restarted)", () => {
+    expect(
+      render(
+        (command) =>
+          exitText(
+            [],
+            command,
             { tag: "Exit", exitCode: 0, wasKilled: false },
             {
               tag: "AutoExit",
               maxParallel: 3,
             },
-          ),
-        "frontend: npm start",
-        ".",
+          ),
+        "frontend: npm start",
+        ".",
+      ),
+    ).toMatchInlineSnapshot(`
+      ⚪ frontend: npm start⧘
+      exit 0
+
+      ⧙[⧘⧙ctrl+c⧘⧙]⧘ exit
+      ⧙[⧘⧙ctrl+z⧘⧙]⧘ dashboard
+      ⧙[⧘⧙ctrl+o⧘⧙]⧘ scrollback
+    `);
+  });
+
+  test("exit 0 via killed with auto exit (CAN be restarted)", () => {
+    expect(
+      render(
+        (command) =>
+          exitText(
+            [],
+            command,
+            { tag: "Exit", exitCode: 0, wasKilled: true },
+            {
+              tag: "AutoExit",
+              maxParallel: 3,
+            },
+          ),
+
+        "frontend: npm start",
+        ".",
+      ),
+    ).toMatchInlineSnapshot(`
+      ⛔️ frontend: npm start⧘
+      exit 0
+
+      ⧙[⧘⧙enter⧘⧙]⧘  restart
+      ⧙[⧘⧙ctrl+c⧘⧙]⧘ exit
+      ⧙[⧘⧙ctrl+z⧘⧙]⧘ dashboard
+      ⧙[⧘⧙ctrl+o⧘⧙]⧘ scrollback
+    `);
+  });
+
+  test("exit 1 with auto exit (can be restarted)", () => {
+    expect(
+      render(
+        (command) =>
+          exitText(
+            [],
+            command,
+            { tag: "Exit", exitCode: 1, wasKilled: false },
+            { tag: "NoAutoExit" },
+          ),
+        "frontend: npm start",
+        ".",
+      ),
+    ).toMatchInlineSnapshot(`
+      🔴 frontend: npm start⧘
+      exit 1
+
+      ⧙[⧘⧙enter⧘⧙]⧘  restart
+      ⧙[⧘⧙ctrl+c⧘⧙]⧘ exit
+      ⧙[⧘⧙ctrl+z⧘⧙]⧘ dashboard
+      ⧙[⧘⧙ctrl+o⧘⧙]⧘ scrollback
+    `);
+  });
+
+  test("waiting text", () => {
+    expect(render(() => waitingText([], []), "frontend: npm start", "."))
+      .toMatchInlineSnapshot(`
+      Waiting for other commands to finish before starting.
+
+      ⧙[⧘⧙ctrl+c⧘⧙]⧘ exit
+      ⧙[⧘⧙ctrl+z⧘⧙]⧘ dashboard
+    `);
+  });
+
+  test("waiting for dependencies", () => {
+    expect(
+      render(
+        () => waitingText([], ["db", "codegen"]),
+        "backend: npm start",
+        ".",
+      ),
+    ).toMatchInlineSnapshot(`
+      Waiting for: db, codegen
+
+      ⧙[⧘⧙ctrl+c⧘⧙]⧘ exit
+      ⧙[⧘⧙ctrl+z⧘⧙]⧘ dashboard
+    `);
+  });
+
+  test("exit 1 with pending automatic restart", () => {
+    expect(
+      replaceAnsi(
+        exitText(
+          [],
+          {
+            formattedCommandWithTitle: "npm start",
+            title: "Expected `title` not to be used",
+            titlePossiblyWithGraphicRenditions:
+              "Expected `titlePossiblyWithGraphicRenditions` not to be used",
+            cwd: ".",
+            env: {},
+            history: "",
+            maxRestarts: undefined,
+            numRestarts: 2,
+            pendingRestart: {
+              at: Date.now() + 3500,
+              timeout: setTimeout(() => undefined, 0),
+            },
+            startedAt: undefined,
+            exitedAt: undefined,
+            terminalTitle: undefined,
+          },
+          { tag: "Exit", exitCode: 1, wasKilled: false },
+          { tag: "NoAutoExit" },
+        ),
       ),
     ).toMatchInlineSnapshot(`
-      ⚪ frontend: npm start⧘
-      exit 0
+      🔴 npm start⧘
+      exit 1 ⧙(restart 3 in 4s)⧘
 
+      ⧙[⧘⧙enter⧘⧙]⧘  restart
       ⧙[⧘⧙ctrl+c⧘⧙]⧘ exit
       ⧙[⧘⧙ctrl+z⧘⧙]⧘ dashboard
+      ⧙[⧘⧙ctrl+o⧘⧙]⧘ scrollback
     `);
   });
 
-  test("exit 0 via killed with auto exit (CAN be restarted)", () => {
+  test("exit 1 with run time and pending automatic restart", () => {
     expect(
-      render(
-        (command) =>
-          exitText(
-            [],
-            command,
-            { tag: "Exit", exitCode: 0, wasKilled: true },
-            {
-              tag: "AutoExit",
-              maxParallel: 3,
+      replaceAnsi(
+        exitText(
+          [],
+          {
+            formattedCommandWithTitle: "npm start",
+            title: "Expected `title` not to be used",
+            titlePossiblyWithGraphicRenditions:
+              "Expected `titlePossiblyWithGraphicRenditions` not to be used",
+            cwd: ".",
+            env: {},
+            history: "",
+            maxRestarts: 5,
+            numRestarts: 0,
+            pendingRestart: {
+              at: Date.now() + 1500,
+              timeout: setTimeout(() => undefined, 0),
             },
-          ),
-
-        "frontend: npm start",
-        ".",
+            startedAt: 1000,
+            exitedAt: 126000,
+            terminalTitle: undefined,
+          },
+          { tag: "Exit", exitCode: 1, wasKilled: false },
+          { tag: "NoAutoExit" },
+        ),
       ),
     ).toMatchInlineSnapshot(`
-      ⛔️ frontend: npm start⧘
-      exit 0
+      🔴 npm start⧘
+      exit 1 ⧙(ran for 2m 5s, restart 1/5 in 2s)⧘
 
       ⧙[⧘⧙enter⧘⧙]⧘  restart
       ⧙[⧘⧙ctrl+c⧘⧙]⧘ exit
       ⧙[⧘⧙ctrl+z⧘⧙]⧘ dashboard
+      ⧙[⧘⧙ctrl+o⧘⧙]⧘ scrollback
     `);
   });
+});
 
-  test("exit 1 with auto exit (can be restarted)", () => {
+describe("exit text and history", () => {
+  /** @type {import("../run-pty").CommandText} */
+  const command = {
+    cwd: ".",
+    env: {},
+    formattedCommandWithTitle:
+      "Expected `formattedCommandWithTitle` not to be used.",
+    title: "Expected `title` not to be used.",
+    titlePossiblyWithGraphicRenditions:
+      "Expected `titlePossiblyWithGraphicRenditions` not to be used.",
+    history: "",
+    maxRestarts: undefined,
+    numRestarts: 0,
+    pendingRestart: undefined,
+    startedAt: undefined,
+    exitedAt: undefined,
+    terminalTitle: undefined,
+  };
+
+  test("one command, no history", () => {
     expect(
-      render(
-        (command) =>
-          exitText(
-            [],
-            command,
-            { tag: "Exit", exitCode: 1, wasKilled: false },
-            { tag: "NoAutoExit" },
-          ),
-        "frontend: npm start",
-        ".",
+      replaceAnsi(
+        exitTextAndHistory({
+          command: {
+            ...command,
+            titlePossiblyWithGraphicRenditions: "npm test",
+          },
+          exitCode: 0,
+          numExited: 1,
+          numTotal: 1,
+        }),
       ),
     ).toMatchInlineSnapshot(`
-      🔴 frontend: npm start⧘
-      exit 1
+      ⚪ npm test⧘
+      ⧙exit 0⧘ ⧙(1/1 exited)⧘␊
+      ␊
+
+    `);
+  });
+
+  test("many commands, history", () => {
+    expect(
+      replaceAnsi(
+        exitTextAndHistory({
+          command: {
+            ...command,
+            titlePossiblyWithGraphicRenditions: "npm test",
+            history: ["First line", "Second line", ""].join("\n"),
+          },
+          exitCode: 1,
+          numExited: 2,
+          numTotal: 11,
+        }),
+      ),
+    ).toMatchInlineSnapshot(`
+      🔴 npm test⧘
+      First line
+      Second line
+      ⧙exit 1⧘ ⧙(2/11 exited)⧘␊
+      ␊
+
+    `);
+  });
+
+  test("cwd, no newline at end of history", () => {
+    expect(
+      replaceAnsi(
+        exitTextAndHistory({
+          command: {
+            ...command,
+            cwd: "web/frontend",
+            titlePossiblyWithGraphicRenditions: "npm test",
+            history: ["First line", "Second line"].join("\n"),
+          },
+
+          exitCode: 2,
+          numExited: 11,
+          numTotal: 11,
+        }),
+      ),
+    ).toMatchInlineSnapshot(`
+      🔴 npm test⧘
+      📂 ⧙web/frontend⧘
+      First line
+      Second line
+      ⧙exit 2⧘ ⧙(11/11 exited)⧘␊
+      ␊
+
+    `);
+  });
+
+  test("run time", () => {
+    expect(
+      replaceAnsi(
+        exitTextAndHistory({
+          command: {
+            ...command,
+            titlePossiblyWithGraphicRenditions: "npm test",
+            history: "Done\n",
+            startedAt: 1000,
+            exitedAt: 4234,
+          },
+          exitCode: 0,
+          numExited: 1,
+          numTotal: 2,
+        }),
+      ),
+    ).toMatchInlineSnapshot(`
+      ⚪ npm test⧘
+      Done
+      ⧙exit 0⧘ ⧙(ran for 3.2s, 1/2 exited)⧘␊
+      ␊
+    `);
+  });
+});
+
+describe("watch globs", () => {
+  /**
+   * @param {string} glob
+   * @param {Array<string>} files
+   * @returns {Array<string>}
+   */
+  function matching(glob, files) {
+    const regex = globToRegex(glob);
+    return files.filter((file) => regex.test(file));
+  }
+
+  const files = [
+    "main.go",
+    "package.json",
+    "src/app.js",
+    "src/app.test.js",
+    "src/lib/util.js",
+    "srcfoo/x.js",
+  ];
+
+  test("plain paths match themselves and everything inside", () => {
+    expect(matching("src", files)).toStrictEqual([
+      "src/app.js",
+      "src/app.test.js",
+      "src/lib/util.js",
+    ]);
+    expect(matching("./package.json", files)).toStrictEqual(["package.json"]);
+    expect(matching(".", files)).toStrictEqual(files);
+  });
+
+  test("wildcards", () => {
+    expect(matching("*.go", files)).toStrictEqual(["main.go"]);
+    expect(matching("src/*.js", files)).toStrictEqual([
+      "src/app.js",
+      "src/app.test.js",
+    ]);
+    expect(matching("**/*.test.js", files)).toStrictEqual(["src/app.test.js"]);
+    expect(matching("src/**/u?il.js", files)).toStrictEqual([
+      "src/lib/util.js",
+    ]);
+    expect(matching("package.jso?", files)).toStrictEqual(["package.json"]);
+    expect(matching("package?json", files)).toStrictEqual(["package.json"]);
+    expect(matching("package.js", files)).toStrictEqual([]);
+  });
+
+  test("watched directories", () => {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), "run-pty-test-"));
+    try {
+      for (const file of ["main.go", "node_modules/x/index.js", "x.go/a.go"]) {
+        fs.mkdirSync(path.dirname(path.join(dir, file)), { recursive: true });
+        fs.writeFileSync(path.join(dir, file), "");
+      }
+
+      /**
+       * @param {string} glob
+       * @returns {Array<string>}
+       */
+      function targets(glob) {
+        return getWatchTargets(dir, glob).map(({ directory, recursive }) => {
+          const relative = path.relative(dir, directory);
+          return `${relative === "" ? "." : relative}${
+            recursive ? " (recursive)" : ""
+          }`;
+        });
+      }
+
+      expect(targets("*.go")).toStrictEqual([".", "x.go (recursive)"]);
+      expect(targets("main.go")).toStrictEqual(["."]);
+      expect(targets("node_modules")).toStrictEqual([
+        "node_modules (recursive)",
+      ]);
+      expect(targets("**/*.go")).toStrictEqual([". (recursive)"]);
+      expect(targets("*/index.js")).toStrictEqual([". (recursive)"]);
+      expect(() => targets("missing/*.go")).toThrow(/ENOENT/);
+    } finally {
+      fs.rmSync(dir, { recursive: true });
+    }
+  });
+});
+
+describe("status escapes", () => {
+  test("status", () => {
+    expect(parseStatusEscape("\x1B]7777;status;🚨;E\x07")).toStrictEqual({
+      tag: "Status",
+      status: ["🚨", "E"],
+    });
+    expect(parseStatusEscape("\x1B]7777;status;🚨\x1B\\")).toStrictEqual({
+      tag: "Status",
+      status: ["🚨", "🚨"],
+    });
+    expect(parseStatusEscape("\x1B]7777;status\x07")).toStrictEqual({
+      tag: "Status",
+      status: undefined,
+    });
+  });
+
+  test("text", () => {
+    expect(
+      parseStatusEscape("\x1B]7777;text;3 errors; 1 warning\x07"),
+    ).toStrictEqual({
+      tag: "Text",
+      text: "3 errors; 1 warning",
+    });
+    expect(parseStatusEscape("\x1B]7777;text;  \x07")).toStrictEqual({
+      tag: "Text",
+      text: undefined,
+    });
+    expect(parseStatusEscape(`\x1B]7777;text;${"long ".repeat(10)}\x07`))
+      .toMatchInlineSnapshot(`
+      {
+        tag: Text,
+        text: long long long long long long…,
+      }
+    `);
+  });
+
+  test("unknown", () => {
+    expect(parseStatusEscape("\x1B]7777;progress;50\x07")).toBeUndefined();
+    expect(parseStatusEscape("\x1B]0;title\x07")).toBeUndefined();
+  });
+});
+
+describe("pager", () => {
+  const history = [
+    "\x1B[1mcompiling\x1B[0m\r\n",
+    "10%\r50%\r100%\r\n",
+    "a\tb\r\n",
+    "Error: something went wrong\r\n",
+    "    at a very long line that needs to be wrapped somewhere\r\n",
+    "error: again\r\n",
+    "done\r\n",
+  ].join("");
+
+  /**
+   * @param {import("../run-pty").Pager} pager
+   * @param {Array<string>} keys
+   * @returns {{ screen: string, pager: import("../run-pty").Pager | undefined }}
+   */
+  function pressKeys(pager, keys) {
+    const content = getPagerContent(history, 40);
+    const height = 5;
+    /** @type {import("../run-pty").Pager | undefined} */
+    let result = pager;
+    for (const key of keys) {
+      if (result === undefined) {
+        break;
+      }
+      result = pagerKeypress(content, result, height - 1, key);
+    }
+    return {
+      screen:
+        result === undefined
+          ? "(closed)"
+          : replaceAnsi(drawPager(content, result, height).join("\n")),
+      pager: result,
+    };
+  }
+
+  test("content", () => {
+    expect(getPagerContent(history, 40).lines).toMatchInlineSnapshot(`
+      [
+        compiling,
+        100%,
+        a       b,
+        Error: something went wrong,
+            at a very long line that needs to be wrapped somewhere,
+        error: again,
+        done,
+      ]
+    `);
+  });
+
+  test("wide characters", () => {
+    const content = getPagerContent(
+      "日本語のテキスト🎉🎉 ok\r\ne\u0301\u0301\u0301",
+      7,
+    );
+    expect(
+      content.rows.map(({ lineIndex, start, end }) =>
+        content.lines[lineIndex].slice(start, end),
+      ),
+    ).toMatchInlineSnapshot(`
+      [
+        日本語,
+        のテキ,
+        スト🎉,
+        🎉 ok,
+        é́́,
+      ]
+    `);
+  });
+
+  test("incremental updates", () => {
+    /**
+     * @param {import("../run-pty").PagerContent} content
+     * @returns {unknown}
+     */
+    const view = ({ lines, rows, firstRows, lineStarts }) => ({
+      lines,
+      rows,
+      firstRows,
+      lineStarts,
+    });
+
+    const appended = updatePagerContent(
+      getPagerContent(history.slice(0, 30), 40),
+      history,
+      0,
+      40,
+    );
+    expect(view(appended)).toStrictEqual(view(getPagerContent(history, 40)));
+
+    // Like `MAX_HISTORY` cutting off the start, in the middle of a line.
+    const cut = 40;
+    const afterCut = updatePagerContent(
+      getPagerContent(history.slice(0, 100), 40),
+      history.slice(cut),
+      cut,
+      40,
+    );
+    expect(view(afterCut)).toStrictEqual(
+      view(updatePagerContent(undefined, history.slice(cut), cut, 40)),
+    );
+    expect(afterCut.lines[0]).toBe("ror: something went wrong");
+
+    // The history was replaced, for example by restarting the command.
+    const replaced = updatePagerContent(appended, "new\r\n", 0, 40);
+    expect(replaced.lines).toStrictEqual(["new"]);
+  });
+
+  test("starts at the bottom", () => {
+    expect(pressKeys(initialPager, []).screen).toMatchInlineSnapshot(`
+      at a very long line that needs to be
+       wrapped somewhere
+      error: again
+      done
+      ⧙5-8/8⧘ ⧙[⧘⧙/?⧘⧙]⧘ search ⧙[⧘⧙n/N⧘⧙]⧘ next/previous ⧙[⧘⧙…
+    `);
+  });
+
+  test("scrolling", () => {
+    expect(pressKeys(initialPager, ["g"]).screen).toMatchInlineSnapshot(`
+      compiling
+      100%
+      a       b
+      Error: something went wrong
+      ⧙1-4/8⧘ ⧙[⧘⧙/?⧘⧙]⧘ search ⧙[⧘⧙n/N⧘⧙]⧘ next/previous ⧙[⧘⧙…
+    `);
+    expect(pressKeys(initialPager, ["g", "j", "j"]).screen)
+      .toMatchInlineSnapshot(`
+      a       b
+      Error: something went wrong
+          at a very long line that needs to be
+       wrapped somewhere
+      ⧙3-6/8⧘ ⧙[⧘⧙/?⧘⧙]⧘ search ⧙[⧘⧙n/N⧘⧙]⧘ next/previous ⧙[⧘⧙…
+    `);
+    expect(pressKeys(initialPager, ["\x1B[5~"]).screen).toMatchInlineSnapshot(`
+      compiling
+      100%
+      a       b
+      Error: something went wrong
+      ⧙1-4/8⧘ ⧙[⧘⧙/?⧘⧙]⧘ search ⧙[⧘⧙n/N⧘⧙]⧘ next/previous ⧙[⧘⧙…
+    `);
+    expect(pressKeys(initialPager, ["g", " ", " "]).pager).toEqual(
+      initialPager,
+    );
+  });
+
+  test("search", () => {
+    expect(pressKeys(initialPager, ["g", "/", "e", "r", "r"]).screen)
+      .toMatchInlineSnapshot(`
+      compiling
+      100%
+      a       b
+      Error: something went wrong
+      /err
+    `);
+    expect(pressKeys(initialPager, ["g", "/", "err", "\r"]).screen)
+      .toMatchInlineSnapshot(`
+      ⧙Err⧘or: something went wrong
+          at a very long line that needs to be
+       wrapped somewhere
+      ⧙err⧘or: again
+      ⧙4-7/8⧘ ⧙[⧘⧙/?⧘⧙]⧘ search ⧙[⧘⧙n/N⧘⧙]⧘ next/previous ⧙[⧘⧙…
+    `);
+    expect(pressKeys(initialPager, ["g", "/", "err", "\r", "n"]).screen)
+      .toMatchInlineSnapshot(`
+      at a very long line that needs to be
+       wrapped somewhere
+      ⧙err⧘or: again
+      done
+      ⧙5-8/8⧘ ⧙[⧘⧙/?⧘⧙]⧘ search ⧙[⧘⧙n/N⧘⧙]⧘ next/previous ⧙[⧘⧙…
+    `);
+    expect(pressKeys(initialPager, ["g", "/", "err", "\r", "n", "n"]).screen)
+      .toMatchInlineSnapshot(`
+      at a very long line that needs to be
+       wrapped somewhere
+      ⧙err⧘or: again
+      done
+      ⧙5-8/8⧘ ⧙No more matches: err⧘
+    `);
+    expect(pressKeys(initialPager, ["?", "Error", "\r", "n"]).screen)
+      .toMatchInlineSnapshot(`
+      ⧙Error⧘: something went wrong
+          at a very long line that needs to be
+       wrapped somewhere
+      error: again
+      ⧙4-7/8⧘ ⧙No more matches: Error⧘
+    `);
+    expect(pressKeys(initialPager, ["/", "nope", "\r"]).screen)
+      .toMatchInlineSnapshot(`
+      at a very long line that needs to be
+       wrapped somewhere
+      error: again
+      done
+      ⧙5-8/8⧘ ⧙Not found: nope⧘
+    `);
+    expect(pressKeys(initialPager, ["n"]).screen).toMatchInlineSnapshot(`
+      at a very long line that needs to be
+       wrapped somewhere
+      error: again
+      done
+      ⧙5-8/8⧘ ⧙No previous search⧘
+    `);
+  });
+
+  test("closing", () => {
+    expect(pressKeys(initialPager, ["/", "x", "\x1B"]).pager).toEqual(
+      initialPager,
+    );
+    expect(pressKeys(initialPager, ["/", "\x7F"]).pager).toEqual(initialPager);
+    expect(pressKeys(initialPager, ["q"]).screen).toBe("(closed)");
+    expect(pressKeys(initialPager, ["\x03"]).screen).toBe("(closed)");
+  });
+});
+
+describe("split view", () => {
+  /**
+   * Places the text after each “cursor horizontal absolute” escape at that
+   * column, like the terminal does.
+   *
+   * @param {string} line
+   * @returns {string}
+   */
+  function renderColumns(line) {
+    /** @type {Array<string>} */
+    const columns = [];
+    let column = 0;
+    for (const [index, part] of line.split(/\x1B\[(\d+)G/).entries()) {
+      if (index % 2 === 1) {
+        column = Number(part) - 1;
+      } else {
+        for (const char of part.replace(/\x1B\[[\d;]*m/g, "")) {
+          columns[column] = char;
+          column++;
+        }
+      }
+    }
+    return Array.from(columns, (char) => char ?? " ")
+      .join("")
+      .trimEnd();
+  }
+
+  /**
+   * @param {import("../run-pty").Split["direction"]} direction
+   * @param {{ isOnAlternateScreen?: boolean }} options
+   * @returns {{ screen: string, lines: Array<string>, cursor: { x: number, y: number } | undefined }}
+   */
+  function testSplit(direction, { isOnAlternateScreen = false } = {}) {
+    const first = fakeCommand(
+      {
+        command: ["npm", "run", "frontend"],
+        status: { tag: "Running", terminal: fakeTerminal({ pid: 9980 }) },
+      },
+      0,
+    );
+    first.history = [
+      "\x1B[32mcompiled\x1B[0m in 1.2s\r\n",
+      "10%\r50%\r100%\r\n",
+      "a line that is too long for the pane\r\n",
+      "> ",
+    ].join("");
+    const second = fakeCommand(
+      {
+        command: ["npm", "run", "backend"],
+        status: { tag: "Exit", exitCode: 1, wasKilled: false },
+      },
+      1,
+    );
+    second.history = "listening\r\nError: oops\x1B[K\r\n";
+    second.isOnAlternateScreen = isOnAlternateScreen;
+    const { lines, cursor } = drawSplit(
+      [first, second],
+      { indexes: [0, 1], focused: 0, direction },
+      { width: 41, height: 9, useSeparateKilledIndicator: false },
+    );
+    return { screen: lines.map(renderColumns).join("\n"), lines, cursor };
+  }
+
+  test("side by side", () => {
+    const { screen, lines, cursor } = testSplit("SideBySide");
+    expect(screen).toMatchInlineSnapshot(`
+      🟢  1 npm run fronte…│🔴  2 npm run backend
+      compiled in 1.2s    │listening
+      100%                │Error: oops
+      a line that is too l│
+      ong for the pane    │
+      >                   │
+                          │
+                          │
+      [ctrl+t] next pane [ctrl+x] stacked [ctr…
+    `);
+    expect(replaceAnsi(lines[1])).toMatchInlineSnapshot(
+      `⧘⧙compiled⧘ in 1.2s    listening           ⧙│⧘⧘`,
+    );
+    expect(cursor).toMatchInlineSnapshot(`
+      {
+        x: 2,
+        y: 5,
+      }
+    `);
+  });
 
-      ⧙[⧘⧙enter⧘⧙]⧘  restart
-      ⧙[⧘⧙ctrl+c⧘⧙]⧘ exit
-      ⧙[⧘⧙ctrl+z⧘⧙]⧘ dashboard
+  test("stacked", () => {
+    const { screen, cursor } = testSplit("Stacked");
+    expect(screen).toMatchInlineSnapshot(`
+      🟢  1 npm run frontend
+      100%
+      a line that is too long for the pane
+      >
+      🔴  2 npm run backend
+      listening
+      Error: oops
+
+      [ctrl+t] next pane [ctrl+x] side by side …
+    `);
+    expect(cursor).toMatchInlineSnapshot(`
+      {
+        x: 2,
+        y: 3,
+      }
     `);
   });
 
-  test("waiting text", () => {
-    expect(render(() => waitingText([]), "frontend: npm start", "."))
-      .toMatchInlineSnapshot(`
-      Waiting for other commands to finish before starting.
+  test("cursor movement and erasing", () => {
+    /**
+     * @param {import("../run-pty").Screen} screen
+     * @returns {Array<string>}
+     */
+    const text = (screen) =>
+      screen.rows.map((cells) => cells.map((cell) => cell.char).join(""));
+
+    const output = [
+      "task 1: 0%\r\ntask 2: 0%\r\n",
+      "\x1B[2Atask 1: 50%\r\n\x1B[Ktask 2: done\x1B[E",
+      "\x1B[3;4Hxx\x1B[1;6H\x1B[1K\x1B[B\x1B[J",
+      "\x1B7\x1B[2;1H>\x1B8!",
+      "\r\nA long line that wraps",
+    ];
+    expect(text(createScreen(output.join(""), 12, 4))).toMatchInlineSnapshot(`
+      [
+              : 50%,
+        >ask !,
+        A long line ,
+        that wraps,
+      ]
+    `);
 
-      ⧙[⧘⧙ctrl+c⧘⧙]⧘ exit
-      ⧙[⧘⧙ctrl+z⧘⧙]⧘ dashboard
+    const screen = createScreen("", 12, 4);
+    for (const part of output) {
+      writeScreen(screen, part);
+    }
+    expect(screen).toStrictEqual(createScreen(output.join(""), 12, 4));
+    expect([screen.x, screen.y]).toMatchInlineSnapshot(`
+      [
+        10,
+        3,
+      ]
     `);
-  });
-});
 
-describe("exit text and history", () => {
-  /** @type {import("../run-pty").CommandText} */
-  const command = {
-    cwd: ".",
-    formattedCommandWithTitle:
-      "Expected `formattedCommandWithTitle` not to be used.",
-    title: "Expected `title` not to be used.",
-    titlePossiblyWithGraphicRenditions:
-      "Expected `titlePossiblyWithGraphicRenditions` not to be used.",
-    history: "",
-  };
+    writeScreen(screen, "\x1B[H\x1B[2Jclean");
+    expect(text(screen)).toMatchInlineSnapshot(`
+      [
+        clean,
+        ,
+        ,
+        ,
+      ]
+    `);
+  });
 
-  test("one command, no history", () => {
-    expect(
-      replaceAnsi(
-        exitTextAndHistory({
-          command: {
-            ...command,
-            titlePossiblyWithGraphicRenditions: "npm test",
-          },
-          exitCode: 0,
-          numExited: 1,
-          numTotal: 1,
-        }),
-      ),
-    ).toMatchInlineSnapshot(`
-      ⚪ npm test⧘
-      ⧙exit 0⧘ ⧙(1/1 exited)⧘␊
-      ␊
+  test("alternate screen", () => {
+    expect(testSplit("SideBySide", { isOnAlternateScreen: true }).screen)
+      .toMatchInlineSnapshot(`
+        🟢  1 npm run fronte…│🔴  2 npm run backend
+        compiled in 1.2s    │Full screen – focus…
+        100%                │
+        a line that is too l│
+        ong for the pane    │
+        >                   │
+                            │
+                            │
+        [ctrl+t] next pane [ctrl+x] stacked [ctr…
+      `);
+  });
+});
 
+describe("all output", () => {
+  test("whole lines", () => {
+    const first = splitAllOutputLines(
+      "",
+      "\x1B[32mcompiled\x1B[0m\r\n10%\r50%\r100%\r\n\x1B[2Kdone\r\n> wait",
+    );
+    expect(first.lines.map(replaceAnsi)).toMatchInlineSnapshot(`
+      [
+        ⧙compiled⧘,
+        100%,
+        done,
+      ]
     `);
+    expect(first.partialLine).toMatchInlineSnapshot(`> wait`);
+    expect(splitAllOutputLines(first.partialLine, "ing\r\n"))
+      .toMatchInlineSnapshot(`
+        {
+          lines: [
+            > waiting,
+          ],
+          partialLine: ,
+        }
+      `);
   });
+});
 
-  test("many commands, history", () => {
+describe("progress escapes", () => {
+  test("states", () => {
     expect(
-      replaceAnsi(
-        exitTextAndHistory({
-          command: {
-            ...command,
-            titlePossiblyWithGraphicRenditions: "npm test",
-            history: ["First line", "Second line", ""].join("\n"),
-          },
-          exitCode: 1,
-          numExited: 2,
-          numTotal: 11,
-        }),
-      ),
+      [
+        "\x1B]9;4;1;40\x07",
+        "\x1B]9;4;2;250\x1B\\",
+        "\x1B]9;4;3\x07",
+        "\x1B]9;4;4;5\x07",
+        "\x1B]9;4;0;0\x07",
+        "\x1B]9;4;\x07",
+        "\x1B]9;4;9;1\x07",
+        "\x1B]9;notification\x07",
+      ].map(parseProgressEscape),
     ).toMatchInlineSnapshot(`
-      🔴 npm test⧘
-      First line
-      Second line
-      ⧙exit 1⧘ ⧙(2/11 exited)⧘␊
-      ␊
-
+      [
+        {
+          progress: {
+            percent: 40,
+            tag: Normal,
+          },
+          tag: Progress,
+        },
+        {
+          progress: {
+            percent: 100,
+            tag: Error,
+          },
+          tag: Progress,
+        },
+        {
+          progress: {
+            tag: Indeterminate,
+          },
+          tag: Progress,
+        },
+        {
+          progress: {
+            percent: 5,
+            tag: Paused,
+          },
+          tag: Progress,
+        },
+        {
+          progress: undefined,
+          tag: Progress,
+        },
+        {
+          progress: undefined,
+          tag: Progress,
+        },
+        undefined,
+        undefined,
+      ]
     `);
   });
 
-  test("cwd, no newline at end of history", () => {
+  test("text", () => {
     expect(
       replaceAnsi(
-        exitTextAndHistory({
-          command: {
-            ...command,
-            cwd: "web/frontend",
-            titlePossiblyWithGraphicRenditions: "npm test",
-            history: ["First line", "Second line"].join("\n"),
-          },
-
-          exitCode: 2,
-          numExited: 11,
-          numTotal: 11,
-        }),
+        [
+          progressText({ tag: "Normal", percent: 0 }),
+          progressText({ tag: "Normal", percent: 50 }),
+          progressText({ tag: "Error", percent: 100 }),
+          progressText({ tag: "Indeterminate" }),
+        ].join("\n"),
       ),
     ).toMatchInlineSnapshot(`
-      🔴 npm test⧘
-      📂 ⧙web/frontend⧘
-      First line
-      Second line
-      ⧙exit 2⧘ ⧙(11/11 exited)⧘␊
-      ␊
-
+      ⧙░░░░░ 0%⧘
+      ⧙███░░ 50%⧘
+      ⧙█████ 100%⧘
+      ⧙░░░░░⧘
     `);
   });
 });
@@ -1002,6 +2963,16 @@ describe("summarize labels", () => {
     expect(testLabels(61)).toBe("1-9/a-z/A-Z");
     expect(testLabels(62)).toBe("1-9/a-z/A-Z");
   });
+
+  test("two key labels", () => {
+    expect(getLabels(61)).toHaveLength(61);
+    expect(summarizeLabels(getLabels(62).slice(0, 62))).toBe("1-9/aa-ca");
+    expect(summarizeLabels(getLabels(100).slice(0, 100))).toBe("1-9/aa-dm");
+    expect(summarizeLabels(getLabels(1000))).toBe("1-9/aa-zz");
+    expect(
+      summarizeLabels(getLabels(100).filter((label) => label.startsWith("b"))),
+    ).toBe("ba-bz");
+  });
 });
 
 describe("parse args", () => {
@@ -1033,7 +3004,20 @@ describe("parse args", () => {
       Only these forms are accepted:
           --auto-exit=<number>   auto exit when done, with at most <number> parallel processes
           --auto-exit=auto       uses the number of logical CPU cores
-          --auto-exit            defaults to auto,
+          --auto-exit            defaults to auto
+          --log-dir=<dir>        also write the output of each command to <dir>/<title>.log
+          --log-plain            strip escape codes (such as colors) from log files
+          --log-max-size=<size>  rotate log files at this size, like 500K or 10M (default: 10M)
+          --timestamps=wall      prefix each line of output with the time of day
+          --timestamps=relative  prefix each line of output with the time since start
+          --timestamps           defaults to wall
+          --notify=bell          ring the terminal bell when a command fails or changes status
+          --notify=osc9          show a desktop notification (iTerm2, WezTerm, …)
+          --notify=osc777        show a desktop notification (GNOME Terminal, foot, …)
+          --notify=<program>     run <program> with a title and a message as arguments
+          --notify               defaults to bell
+          --socket=<path>        let \`run-pty ctl\` control this session via a socket at <path>
+          --socket               uses a socket in the temp directory,
         tag: Error,
       }
     `);
@@ -1046,7 +3030,20 @@ describe("parse args", () => {
       Only these forms are accepted:
           --auto-exit=<number>   auto exit when done, with at most <number> parallel processes
           --auto-exit=auto       uses the number of logical CPU cores
-          --auto-exit            defaults to auto,
+          --auto-exit            defaults to auto
+          --log-dir=<dir>        also write the output of each command to <dir>/<title>.log
+          --log-plain            strip escape codes (such as colors) from log files
+          --log-max-size=<size>  rotate log files at this size, like 500K or 10M (default: 10M)
+          --timestamps=wall      prefix each line of output with the time of day
+          --timestamps=relative  prefix each line of output with the time since start
+          --timestamps           defaults to wall
+          --notify=bell          ring the terminal bell when a command fails or changes status
+          --notify=osc9          show a desktop notification (iTerm2, WezTerm, …)
+          --notify=osc777        show a desktop notification (GNOME Terminal, foot, …)
+          --notify=<program>     run <program> with a title and a message as arguments
+          --notify               defaults to bell
+          --socket=<path>        let \`run-pty ctl\` control this session via a socket at <path>
+          --socket               uses a socket in the temp directory,
         tag: Error,
       }
     `);
@@ -1055,24 +3052,36 @@ describe("parse args", () => {
   test("commands", () => {
     /**
      * @param {Array<Array<string>>} commands
-     * @param {{ autoExit?: import("../run-pty").AutoExit }} options
+     * @param {{ autoExit?: import("../run-pty").AutoExit, logDir?: string, logFiles?: Array<string> }} options
      * @returns {import("../run-pty").ParseResult}
      */
     function parsedCommands(
       commands,
-      { autoExit = { tag: "NoAutoExit" } } = {},
+      { autoExit = { tag: "NoAutoExit" }, logDir, logFiles } = {},
     ) {
       return {
         tag: "Parsed",
-        commands: commands.map((command) => ({
+        commands: commands.map((command, index) => ({
           command,
           cwd: ".",
+          env: {},
           defaultStatus: undefined,
           status: [],
           title: commandToPresentationName(command),
+          dependsOn: [],
+          restart: "no",
+          watch: [],
+          watchIgnore: [],
+          watchDebounce: 200,
           killAllSequence: "\x03",
+          ...(logFiles === undefined ? {} : { logFile: logFiles[index] }),
         })),
         autoExit,
+        log: { plain: false, maxSize: 10485760 },
+        notify: { tag: "Off" },
+        socket: undefined,
+        configFile: undefined,
+        flagDefaults: { logDir, timestamps: undefined, notify: undefined },
       };
     }
 
@@ -1124,43 +3133,515 @@ describe("parse args", () => {
       parsedCommands([["one"], ["-two"]]),
     );
 
-    expect(parseArgs(["--", "one", "--", "--two", "--"])).toStrictEqual(
-      parsedCommands([["one"], ["--two"]]),
-    );
+    expect(parseArgs(["--", "one", "--", "--two", "--"])).toStrictEqual(
+      parsedCommands([["one"], ["--two"]]),
+    );
+
+    expect(parseArgs(["---", "one", "---", "---two", "---"])).toStrictEqual(
+      parsedCommands([["one"], ["---two"]]),
+    );
+
+    expect(
+      parseArgs(["--auto-exit", "%", "one", "%", "two", "--auto-exit"]),
+    ).toStrictEqual(
+      parsedCommands([["one"], ["two", "--auto-exit"]], {
+        autoExit: {
+          tag: "AutoExit",
+          maxParallel: os.cpus().length,
+        },
+      }),
+    );
+
+    expect(
+      parseArgs(["--auto-exit=234", "%", "one", "%", "two", "--auto-exit"]),
+    ).toStrictEqual(
+      parsedCommands([["one"], ["two", "--auto-exit"]], {
+        autoExit: { tag: "AutoExit", maxParallel: 234 },
+      }),
+    );
+
+    expect(
+      parseArgs(["--auto-exit=auto", "%", "one", "%", "two", "--auto-exit"]),
+    ).toStrictEqual(
+      parsedCommands([["one"], ["two", "--auto-exit"]], {
+        autoExit: {
+          tag: "AutoExit",
+          maxParallel: os.cpus().length,
+        },
+      }),
+    );
+
+    expect(
+      parseArgs(["--log-dir=logs", "%", "npm", "start", "%", "npm  start"]),
+    ).toStrictEqual(
+      parsedCommands([["npm", "start"], ["npm  start"]], {
+        logDir: "logs",
+        logFiles: [
+          path.join("logs", "npm-start.log"),
+          path.join("logs", "npm-start-2.log"),
+        ],
+      }),
+    );
+  });
+
+  test("timestamps flag", () => {
+    /**
+     * @param {Array<string>} args
+     * @returns {unknown}
+     */
+    const timestamps = (args) => {
+      const result = parseArgs(args);
+      return result.tag === "Parsed"
+        ? result.commands.map((command) => command.timestamps)
+        : result;
+    };
+
+    expect(timestamps(["%", "npm", "start"])).toStrictEqual([undefined]);
+    expect(timestamps(["--timestamps", "%", "npm", "start"])).toStrictEqual([
+      "wall",
+    ]);
+    expect(
+      timestamps(["--timestamps=relative", "%", "npm", "start"]),
+    ).toStrictEqual(["relative"]);
+    expect(
+      timestamps([
+        "--timestamps",
+        path.join(__dirname, "fixtures", "kitchen-sink.json"),
+      ]),
+    ).toStrictEqual(["wall", "wall", "relative"]);
+  });
+
+  test("notify flag", () => {
+    /**
+     * @param {Array<string>} args
+     * @returns {unknown}
+     */
+    const notify = (args) => {
+      const result = parseArgs(args);
+      return result.tag === "Parsed"
+        ? [result.notify, ...result.commands.map((command) => command.notify)]
+        : result;
+    };
+
+    expect(notify(["%", "npm", "start"])).toStrictEqual([
+      { tag: "Off" },
+      undefined,
+    ]);
+    expect(notify(["--notify", "%", "npm", "start"])).toStrictEqual([
+      { tag: "Bell" },
+      { tag: "Bell" },
+    ]);
+    expect(notify(["--notify=osc777", "%", "npm", "start"])).toStrictEqual([
+      { tag: "Osc777" },
+      { tag: "Osc777" },
+    ]);
+    expect(
+      notify([
+        "--notify=notify-send",
+        path.join(__dirname, "fixtures", "kitchen-sink.json"),
+      ]),
+    ).toStrictEqual([
+      { tag: "Command", command: ["notify-send"] },
+      { tag: "Command", command: ["notify-send"] },
+      { tag: "Command", command: ["notify-send"] },
+      { tag: "Command", command: ["notify-send", "--urgency=low"] },
+    ]);
+  });
+
+  test("socket flag", () => {
+    const result = parseArgs(["--socket=.run-pty.sock", "%", "npm", "start"]);
+    expect(result.tag === "Parsed" ? result.socket : result).toBe(
+      ".run-pty.sock",
+    );
+
+    const defaultResult = parseArgs(["--socket", "%", "npm", "start"]);
+    expect(
+      defaultResult.tag === "Parsed" ? defaultResult.socket : defaultResult,
+    ).toBe(path.join(os.tmpdir(), `run-pty-${process.pid}.sock`));
+  });
+
+  test("log flags", () => {
+    const result = parseArgs([
+      "--log-plain",
+      "--log-max-size=500K",
+      "%",
+      "npm",
+      "start",
+    ]);
+    expect(result.tag === "Parsed" ? result.log : result).toStrictEqual({
+      plain: true,
+      maxSize: 500 * 1024,
+    });
+
+    expect(parseArgs(["--log-max-size=0M", "%", "npm", "start"]))
+      .toMatchInlineSnapshot(`
+      {
+        message: --log-max-size must be at least 1.,
+        tag: Error,
+      }
+    `);
+
+    expect(parseArgs(["--log-max-size=10MB", "%", "npm", "start"]))
+      .toMatchInlineSnapshot(`
+        {
+          message: Bad flag: --log-max-size=10MB
+        Only these forms are accepted:
+            --auto-exit=<number>   auto exit when done, with at most <number> parallel processes
+            --auto-exit=auto       uses the number of logical CPU cores
+            --auto-exit            defaults to auto
+            --log-dir=<dir>        also write the output of each command to <dir>/<title>.log
+            --log-plain            strip escape codes (such as colors) from log files
+            --log-max-size=<size>  rotate log files at this size, like 500K or 10M (default: 10M)
+            --timestamps=wall      prefix each line of output with the time of day
+            --timestamps=relative  prefix each line of output with the time since start
+            --timestamps           defaults to wall
+            --notify=bell          ring the terminal bell when a command fails or changes status
+            --notify=osc9          show a desktop notification (iTerm2, WezTerm, …)
+            --notify=osc777        show a desktop notification (GNOME Terminal, foot, …)
+            --notify=<program>     run <program> with a title and a message as arguments
+            --notify               defaults to bell
+            --socket=<path>        let \`run-pty ctl\` control this session via a socket at <path>
+            --socket               uses a socket in the temp directory,
+          tag: Error,
+        }
+      `);
+  });
+});
+
+describe("parse ctl args", () => {
+  test("actions", () => {
+    const env = process.env.RUN_PTY_SOCKET;
+    process.env.RUN_PTY_SOCKET = "/tmp/run-pty.sock";
+    try {
+      expect(parseCtlArgs(["list"])).toStrictEqual({
+        tag: "Request",
+        socketPath: "/tmp/run-pty.sock",
+        request: { tag: "List" },
+      });
+      expect(
+        parseCtlArgs(["--socket=other.sock", "restart", "0"]),
+      ).toStrictEqual({
+        tag: "Request",
+        socketPath: "other.sock",
+        request: { tag: "Restart", target: 0 },
+      });
+      expect(parseCtlArgs(["kill", "backend"])).toStrictEqual({
+        tag: "Request",
+        socketPath: "/tmp/run-pty.sock",
+        request: { tag: "Kill", target: "backend" },
+      });
+      expect(parseCtlArgs(["input", "1", "rs\n"])).toStrictEqual({
+        tag: "Request",
+        socketPath: "/tmp/run-pty.sock",
+        request: { tag: "Input", target: 1, data: "rs\n" },
+      });
+      expect(parseCtlArgs([])).toStrictEqual({ tag: "Help" });
+    } finally {
+      if (env === undefined) {
+        delete process.env.RUN_PTY_SOCKET;
+      } else {
+        process.env.RUN_PTY_SOCKET = env;
+      }
+    }
+  });
+
+  test("errors", () => {
+    const env = process.env.RUN_PTY_SOCKET;
+    delete process.env.RUN_PTY_SOCKET;
+    try {
+      expect(parseCtlArgs(["list"])).toMatchInlineSnapshot(`
+        {
+          message: No socket to connect to. Use --socket=<path> or set RUN_PTY_SOCKET.,
+          tag: Error,
+        }
+      `);
+      const result = parseCtlArgs(["restart"]);
+      expect(
+        result.tag === "Error" ? result.message.split("\n")[0] : result,
+      ).toMatchInlineSnapshot(`Bad arguments: restart`);
+    } finally {
+      if (env !== undefined) {
+        process.env.RUN_PTY_SOCKET = env;
+      }
+    }
+  });
+});
+
+describe("parse command input", () => {
+  /**
+   * @param {ReturnType<typeof parseCommandInput>} result
+   * @returns {unknown}
+   */
+  function simplify(result) {
+    return result.tag === "Parsed"
+      ? result.commands.map(({ title, cwd, command }) => ({
+          title,
+          cwd,
+          command,
+        }))
+      : result;
+  }
+
+  test("commands", () => {
+    expect(simplify(parseCommandInput("vite --port 3001", undefined)))
+      .toMatchInlineSnapshot(`
+        [
+          {
+            command: [
+              vite,
+              --port,
+              3001,
+            ],
+            cwd: .,
+            title: vite --port 3001,
+          },
+        ]
+      `);
+
+    expect(
+      simplify(
+        parseCommandInput(" tsc --watch  %  % node server.js ", undefined),
+      ),
+    ).toMatchInlineSnapshot(`
+      [
+        {
+          command: [
+            tsc,
+            --watch,
+          ],
+          cwd: .,
+          title: tsc --watch,
+        },
+        {
+          command: [
+            node,
+            server.js,
+          ],
+          cwd: .,
+          title: node server.js,
+        },
+      ]
+    `);
+
+    expect(
+      simplify(
+        parseCommandInput(
+          `--cwd='my app' echo it\\'s "a \\"b\\" \\c" '' x\\ y`,
+          undefined,
+        ),
+      ),
+    ).toMatchInlineSnapshot(`
+      [
+        {
+          command: [
+            echo,
+            it's,
+            a "b" \\c,
+            ,
+            x y,
+          ],
+          cwd: my app,
+          title: echo it\\'s 'a "b" \\c' '' 'x y',
+        },
+      ]
+    `);
+  });
+
+  test("duplicate", () => {
+    /** @type {import("../run-pty").CommandDescription} */
+    const template = {
+      title: "Backend",
+      id: "backend",
+      dependsOn: ["database"],
+      cwd: "server",
+      env: { PORT: "3000" },
+      command: ["npm", "start"],
+      status: [[/listening/, ["🟢", "+"]]],
+      restart: "on-failure",
+      watch: ["src/**"],
+      watchIgnore: [],
+      watchDebounce: 200,
+      logFile: "backend.log",
+      killAllSequence: "\x03",
+    };
 
-    expect(parseArgs(["---", "one", "---", "---two", "---"])).toStrictEqual(
-      parsedCommands([["one"], ["---two"]]),
+    expect(commandInputText(template)).toMatchInlineSnapshot(
+      `--cwd=server npm start`,
     );
 
     expect(
-      parseArgs(["--auto-exit", "%", "one", "%", "two", "--auto-exit"]),
-    ).toStrictEqual(
-      parsedCommands([["one"], ["two", "--auto-exit"]], {
-        autoExit: {
-          tag: "AutoExit",
-          maxParallel: os.cpus().length,
+      parseCommandInput(commandInputText(template), template),
+    ).toStrictEqual({
+      tag: "Parsed",
+      commands: [
+        {
+          title: "Backend",
+          dependsOn: ["database"],
+          cwd: "server",
+          env: { PORT: "3000" },
+          command: ["npm", "start"],
+          status: [[/listening/, ["🟢", "+"]]],
+          restart: "on-failure",
+          watch: ["src/**"],
+          watchIgnore: [],
+          watchDebounce: 200,
+          killAllSequence: "\x03",
         },
-      }),
-    );
+      ],
+    });
 
     expect(
-      parseArgs(["--auto-exit=234", "%", "one", "%", "two", "--auto-exit"]),
-    ).toStrictEqual(
-      parsedCommands([["one"], ["two", "--auto-exit"]], {
-        autoExit: { tag: "AutoExit", maxParallel: 234 },
-      }),
-    );
+      simplify(
+        parseCommandInput("--cwd=other npm start -- --port=3001", {
+          ...template,
+          title: "npm start",
+        }),
+      ),
+    ).toMatchInlineSnapshot(`
+      [
+        {
+          command: [
+            npm,
+            start,
+            --,
+            --port=3001,
+          ],
+          cwd: other,
+          title: npm start -- --port=3001,
+        },
+      ]
+    `);
+  });
+
+  test("errors", () => {
+    expect(parseCommandInput(`echo "hello`, undefined)).toMatchInlineSnapshot(`
+      {
+        message: Missing closing quote.,
+        tag: Error,
+      }
+    `);
+    expect(parseCommandInput("--port=3001 vite", undefined))
+      .toMatchInlineSnapshot(`
+        {
+          message: Bad flag: --port=3001
+        Only --cwd=<dir> is accepted.,
+          tag: Error,
+        }
+      `);
+    expect(parseCommandInput(" % ", undefined)).toMatchInlineSnapshot(`
+      {
+        message: Type a command to run.,
+        tag: Error,
+      }
+    `);
+  });
+  test("flag defaults for added commands", () => {
+    const result = parseCommandInput("npm start % vite", undefined);
+    if (result.tag !== "Parsed") {
+      throw new Error(result.message);
+    }
 
     expect(
-      parseArgs(["--auto-exit=auto", "%", "one", "%", "two", "--auto-exit"]),
-    ).toStrictEqual(
-      parsedCommands([["one"], ["two", "--auto-exit"]], {
-        autoExit: {
-          tag: "AutoExit",
-          maxParallel: os.cpus().length,
-        },
+      withFlagDefaults(
+        result.commands,
+        { logDir: "logs", timestamps: "relative", notify: { tag: "Bell" } },
+        [path.join("logs", "npm-start.log")],
+      ).map(({ title, logFile, timestamps, notify }) => ({
+        title,
+        logFile,
+        timestamps,
+        notify,
+      })),
+    ).toStrictEqual([
+      {
+        title: "npm start",
+        logFile: path.join("logs", "npm-start-2.log"),
+        timestamps: "relative",
+        notify: { tag: "Bell" },
+      },
+      {
+        title: "vite",
+        logFile: path.join("logs", "vite.log"),
+        timestamps: "relative",
+        notify: { tag: "Bell" },
+      },
+    ]);
+  });
+});
+
+describe("reload config", () => {
+  /**
+   * @param {string} title
+   * @param {Partial<import("../run-pty").CommandDescription>} overrides
+   * @returns {import("../run-pty").CommandDescription}
+   */
+  function commandDescription(title, overrides = {}) {
+    return {
+      title,
+      dependsOn: [],
+      cwd: ".",
+      env: {},
+      command: ["npm", "run", title],
+      status: [],
+      restart: "no",
+      watch: [],
+      watchIgnore: [],
+      watchDebounce: 200,
+      killAllSequence: "\x03",
+      ...overrides,
+    };
+  }
+
+  test("diff", () => {
+    const before = [
+      commandDescription("unchanged"),
+      commandDescription("rules", { status: [[/error/, ["🚨", "E"]]] }),
+      commandDescription("command"),
+      commandDescription("removed"),
+      commandDescription("renamed", { id: "renamed" }),
+    ];
+    const after = [
+      commandDescription("added"),
+      commandDescription("unchanged"),
+      commandDescription("rules", { status: [[/failed/, ["🚨", "E"]]] }),
+      commandDescription("command", { env: { DEBUG: "1" } }),
+      commandDescription("New title", {
+        id: "renamed",
+        command: ["npm", "run", "renamed"],
       }),
+    ];
+
+    const { changed, added, removed } = diffCommandDescriptions(before, after);
+
+    expect(
+      changed.map(({ index, commandDescription: { title }, needsRestart }) => ({
+        index,
+        title,
+        needsRestart,
+      })),
+    ).toStrictEqual([
+      { index: 1, title: "rules", needsRestart: false },
+      { index: 2, title: "command", needsRestart: true },
+      { index: 4, title: "New title", needsRestart: false },
+    ]);
+    expect(added).toStrictEqual([after[0]]);
+    expect(removed).toStrictEqual([3]);
+  });
+
+  test("commands with the same title are matched in order", () => {
+    const { changed, added, removed } = diffCommandDescriptions(
+      [commandDescription("test"), commandDescription("test")],
+      [commandDescription("test", { cwd: "other" })],
     );
+    expect(changed).toStrictEqual([
+      {
+        index: 0,
+        commandDescription: commandDescription("test", { cwd: "other" }),
+        needsRestart: true,
+      },
+    ]);
+    expect(added).toStrictEqual([]);
+    expect(removed).toStrictEqual([1]);
   });
 });
 
@@ -1255,6 +3736,93 @@ describe("parse json", () => {
     `);
   });
 
+  test("invalid env", () => {
+    expect(testJsonError("invalid-env.json")).toMatchInlineSnapshot(`
+      Failed to read command descriptions file as JSON:
+      At root[0]["env"]["PORT"]:
+      Expected a string
+      Got: 3001
+      Or expected: null
+    `);
+  });
+
+  test("dependsOn unknown command", () => {
+    expect(testJsonError("depends-on-unknown.json")).toMatchInlineSnapshot(`
+      Failed to read command descriptions file as JSON:
+      At root[1]["dependsOn"][1]:
+      Expected the title or id of another command
+      Got: "codgen"
+    `);
+  });
+
+  test("dependsOn ambiguous title", () => {
+    expect(testJsonError("depends-on-ambiguous.json")).toMatchInlineSnapshot(`
+      Failed to read command descriptions file as JSON:
+      At root[2]["dependsOn"][0]:
+      Several commands have this title. Give them an id to tell them apart
+      Got: "server"
+    `);
+  });
+
+  test("dependsOn cycle", () => {
+    expect(testJsonError("depends-on-cycle.json")).toMatchInlineSnapshot(`
+      Failed to read command descriptions file as JSON:
+      At root[1]["dependsOn"]:
+      Dependency cycle: b → c → b
+      Got: [
+        "c"
+      ]
+    `);
+  });
+
+  test("dependsOn dense graph", () => {
+    // Every command depends on all earlier ones.
+    const commands = Array.from({ length: 30 }, (_, index) => ({
+      command: ["node"],
+      id: `c${index}`,
+      dependsOn: Array.from({ length: index }, (__, other) => `c${other}`),
+    }));
+
+    expect(runPty.parseInputFile(JSON.stringify(commands))).toHaveLength(30);
+
+    commands[0].dependsOn = ["c29"];
+    expect(() => runPty.parseInputFile(JSON.stringify(commands)))
+      .toThrowErrorMatchingInlineSnapshot(`
+      [Error: At root[0]["dependsOn"]:
+      Dependency cycle: c0 → c29 → c0
+      Got: [
+        "c29"
+      ]]
+    `);
+  });
+
+  test("invalid ready", () => {
+    expect(testJsonError("invalid-ready.json")).toMatchInlineSnapshot(`
+      Failed to read command descriptions file as JSON:
+      At root[0]["ready"]:
+      Expected a non-negative number of milliseconds
+      Got: -1
+    `);
+  });
+
+  test("invalid notify", () => {
+    expect(testJsonError("invalid-notify.json")).toMatchInlineSnapshot(`
+      Failed to read command descriptions file as JSON:
+      At root[0]["notify"]:
+      Expected one of "off", "bell", "osc9", "osc777", or a command (array of strings)
+      Got: "desktop"
+    `);
+  });
+
+  test("invalid maxRestarts", () => {
+    expect(testJsonError("invalid-max-restarts.json")).toMatchInlineSnapshot(`
+      Failed to read command descriptions file as JSON:
+      At root[0]["maxRestarts"]:
+      Expected a non-negative integer
+      Got: 1.5
+    `);
+  });
+
   test("key typo", () => {
     expect(testJsonError("key-typo.json")).toMatchInlineSnapshot(`
       Failed to read command descriptions file as JSON:
@@ -1262,10 +3830,23 @@ describe("parse json", () => {
       Expected only these fields:
         "command",
         "title",
+        "id",
+        "dependsOn",
+        "group",
         "cwd",
+        "env",
         "status",
         "defaultStatus",
-        "killAllSequence"
+        "ready",
+        "restart",
+        "maxRestarts",
+        "watch",
+        "watchIgnore",
+        "watchDebounce",
+        "logFile",
+        "killAllSequence",
+        "timestamps",
+        "notify"
       Found extra fields:
         "titel"
     `);
@@ -1278,31 +3859,84 @@ describe("parse json", () => {
         {
           command: ["node"],
           title: "node",
+          dependsOn: [],
           cwd: ".",
+          env: {},
           status: [],
+          restart: "no",
+          watch: [],
+          watchIgnore: [],
+          watchDebounce: 200,
           killAllSequence: "\x03\x03",
         },
         {
           command: ["npm", "start"],
           title: "Backend",
+          group: "Web",
+          dependsOn: [],
           cwd: ".",
+          env: { PORT: "3001", DEBUG: null },
           defaultStatus: undefined,
+          ready: /Listening on port \d+/u,
           status: [],
+          restart: "on-failure",
+          maxRestarts: 5,
+          watch: [],
+          watchIgnore: [],
+          watchDebounce: 200,
           killAllSequence: "\x03",
         },
         {
           command: ["npm", "run", "parcel"],
           title: "Parcel",
+          group: "Web",
+          dependsOn: ["Backend"],
           cwd: "frontend",
+          env: {},
           status: [
             [/🚨/u, ["🚨", "E"]],
             [/✨/u, undefined],
           ],
           defaultStatus: ["⏳", "S"],
+          ready: 2000,
+          restart: "no",
+          watch: ["src", "package.json"],
+          watchIgnore: ["**/*.test.js"],
+          watchDebounce: 500,
           killAllSequence: "\x03",
+          timestamps: "relative",
+          notify: { tag: "Command", command: ["notify-send", "--urgency=low"] },
         },
       ],
       autoExit: { tag: "NoAutoExit" },
+      log: { plain: false, maxSize: 10485760 },
+      notify: { tag: "Off" },
+      socket: undefined,
+      configFile: path.join(__dirname, "fixtures", "kitchen-sink.json"),
+      flagDefaults: {
+        logDir: undefined,
+        timestamps: undefined,
+        notify: undefined,
+      },
+    });
+  });
+});
+
+describe("merge env", () => {
+  const baseEnv = { Path: "C:\\Windows", HOME: "/home/me", EMPTY: undefined };
+
+  test("case sensitive", () => {
+    expect(
+      mergeEnv(baseEnv, { PATH: "/bin", HOME: null, PORT: "3000" }, false),
+    ).toStrictEqual({ Path: "C:\\Windows", PATH: "/bin", PORT: "3000" });
+  });
+
+  test("case insensitive (Windows)", () => {
+    expect(mergeEnv(baseEnv, { PATH: "/bin", home: null }, true)).toStrictEqual(
+      { PATH: "/bin" },
+    );
+    expect(mergeEnv(baseEnv, { path: null }, true)).toStrictEqual({
+      HOME: "/home/me",
     });
   });
 });
@@ -1325,7 +3959,7 @@ describe("--auto-exit runs", () => {
 
     return {
       status: child.status,
-      stdout: replaceAnsi(child.stdout).replace(/\r/g, ""),
+      stdout: replaceDurations(replaceAnsi(child.stdout)).replace(/\r/g, ""),
     };
   }
 
@@ -1350,22 +3984,21 @@ describe("--auto-exit runs", () => {
       🥱 echo hello⧘
 
       ⚪ true⧘
-      ⧙exit 0⧘ ⧙(1/3 exited)⧘
+      ⧙exit 0⧘ ⧙(ran for (duration), 1/3 exited)⧘
 
       🟢 echo hello⧘
 
       ⚪ echo hello⧘
       hello
-      ⧙exit 0⧘ ⧙(2/3 exited)⧘
+      ⧙exit 0⧘ ⧙(ran for (duration), 2/3 exited)⧘
 
       ⚪ sleep 0.1⧘
-      ⧙exit 0⧘ ⧙(3/3 exited)⧘
+      ⧙exit 0⧘ ⧙(ran for (duration), 3/3 exited)⧘
 
       ⧙Summary – success:⧘
-      ⚪ ⧙exit 0⧘ true⧘
-      ⚪ ⧙exit 0⧘ sleep 0.1⧘
-      ⚪ ⧙exit 0⧘ echo hello⧘␊
-
+      ⚪ ⧙exit 0⧘ ⧙(ran for (duration))⧘ true⧘
+      ⚪ ⧙exit 0⧘ ⧙(ran for (duration))⧘ sleep 0.1⧘
+      ⚪ ⧙exit 0⧘ ⧙(ran for (duration))⧘ echo hello⧘␊
     `);
 
     expect(status).toBe(0);
@@ -1392,24 +4025,333 @@ describe("--auto-exit runs", () => {
       🥱 echo hello⧘
 
       🔴 false⧘
-      ⧙exit 1⧘ ⧙(1/3 exited)⧘
+      ⧙exit 1⧘ ⧙(ran for (duration), 1/3 exited)⧘
 
       🟢 echo hello⧘
 
       ⚪ echo hello⧘
       hello
-      ⧙exit 0⧘ ⧙(2/3 exited)⧘
+      ⧙exit 0⧘ ⧙(ran for (duration), 2/3 exited)⧘
 
       ⚪ sleep 0.1⧘
-      ⧙exit 0⧘ ⧙(3/3 exited)⧘
+      ⧙exit 0⧘ ⧙(ran for (duration), 3/3 exited)⧘
+
+      ⧙Summary – failure:⧘
+      ⚪ ⧙exit 0⧘ ⧙(ran for (duration))⧘ sleep 0.1⧘
+      🔴 ⧙exit 1⧘ ⧙(ran for (duration))⧘ false⧘
+      ⚪ ⧙exit 0⧘ ⧙(ran for (duration))⧘ echo hello⧘␊
+    `);
+
+    expect(status).toBe(1);
+  });
+
+  test("notify", () => {
+    const failure = run(["--auto-exit=2", "--notify=osc9", "%", "false"]);
+    expect(failure.stdout.match(/\x1B\]9;.*?\x07/g)).toMatchInlineSnapshot(`
+      [
+        ]9;🔴 false: exit 1,
+      ]
+    `);
+    expect(failure.status).toBe(1);
+
+    const success = run(["--auto-exit=2", "--notify=osc9", "%", "true"]);
+    expect(success.stdout.match(/\x1B\]9;.*?\x07/g)).toMatchInlineSnapshot(`
+      [
+        ]9;All commands succeeded,
+      ]
+    `);
+    expect(success.status).toBe(0);
+  });
+
+  test("ready", () => {
+    const { status, stdout } = run([
+      "--auto-exit=2",
+      path.join(__dirname, "fixtures", "ready.json"),
+    ]);
+
+    expect(stdout).toMatchInlineSnapshot(`
+      🥱 echo second⧘
+
+      🟡 first⧘
+
+      🟢 echo second⧘
+
+      ⚪ echo second⧘
+      second
+      ⧙exit 0⧘ ⧙(ran for (duration), 1/2 exited)⧘
+
+      ⚪ first⧘
+      Listening
+      done
+      ⧙exit 0⧘ ⧙(ran for (duration), 2/2 exited)⧘
+
+      ⧙Summary – success:⧘
+      ⚪ ⧙exit 0⧘ ⧙(ran for (duration))⧘ echo second⧘
+      ⚪ ⧙exit 0⧘ ⧙(ran for (duration))⧘ first⧘␊
+    `);
+
+    expect(status).toBe(0);
+  });
+
+  test("ready with timestamps", () => {
+    const { status, stdout } = run([
+      "--auto-exit=2",
+      "--timestamps=relative",
+      path.join(__dirname, "fixtures", "ready.json"),
+    ]);
+
+    expect(stdout.replace(/\+\d+\.\d{3}s/g, "+(time)")).toMatchInlineSnapshot(`
+      🥱 echo second⧘
+
+      🟡 first⧘
+
+      🟢 echo second⧘
+
+      ⚪ echo second⧘
+      ⧙+(time)⧙ second
+      ⧙exit 0⧘ ⧙(ran for (duration), 1/2 exited)⧘
+
+      ⚪ first⧘
+      ⧙+(time)⧙ Listening
+      ⧙+(time)⧙ done
+      ⧙exit 0⧘ ⧙(ran for (duration), 2/2 exited)⧘
+
+      ⧙Summary – success:⧘
+      ⚪ ⧙exit 0⧘ ⧙(ran for (duration))⧘ echo second⧘
+      ⚪ ⧙exit 0⧘ ⧙(ran for (duration))⧘ first⧘␊
+    `);
+
+    expect(status).toBe(0);
+  });
+
+  test("restart", () => {
+    const { status, stdout } = run([
+      "--auto-exit",
+      path.join(__dirname, "fixtures", "restart.json"),
+    ]);
+
+    expect(stdout).toMatchInlineSnapshot(`
+      🟢 crash⧘
+
+      🔴 crash⧘
+      crash
+      ⧙exit 1⧘ ⧙(ran for (duration), 1/1 exited)⧘
+
+      🟢 crash⧘
+
+      🔴 crash⧘
+      crash
+      ⧙exit 1⧘ ⧙(ran for (duration), 1/1 exited)⧘
 
       ⧙Summary – failure:⧘
-      ⚪ ⧙exit 0⧘ sleep 0.1⧘
-      🔴 ⧙exit 1⧘ false⧘
-      ⚪ ⧙exit 0⧘ echo hello⧘␊
+      🔴 ⧙exit 1⧘ ⧙(ran for (duration))⧘ crash⧘␊
+    `);
+
+    expect(status).toBe(1);
+  });
+
+  test("log files", () => {
+    const logDir = fs.mkdtempSync(path.join(os.tmpdir(), "run-pty-test-"));
+    try {
+      const { status } = run([
+        "--auto-exit",
+        `--log-dir=${logDir}`,
+        "--log-plain",
+        path.join(__dirname, "fixtures", "restart.json"),
+      ]);
+
+      expect(status).toBe(1);
+      expect(fs.readdirSync(logDir)).toStrictEqual(["crash.log"]);
+      expect(
+        fs
+          .readFileSync(path.join(logDir, "crash.log"), "utf8")
+          .replace(/\d{4}-\d\d-\d\dT\d\d:\d\d:\d\d\.\d+Z/g, "<time>"),
+      ).toMatchInlineSnapshot(`
+        --- <time> crash: node -e 'console.log('\\'crash\\''); process.exit(1)' ---
+        crash
+        --- <time> crash: node -e 'console.log('\\'crash\\''); process.exit(1)' (previous run: exit 1) ---
+        crash␊
+      `);
+    } finally {
+      fs.rmSync(logDir, { recursive: true });
+    }
+  });
+
+  test("timestamps", () => {
+    const { status, stdout } = run([
+      "--auto-exit=1",
+      "--timestamps=relative",
+      "%",
+      "node",
+      "-e",
+      "console.log('first'); console.log(); console.log('second')",
+      "%",
+      "node",
+      "-e",
+      "console.log('\\x1B[2;1Hmoves the cursor')",
+    ]);
+
+    expect(stdout.replace(/\+\d+\.\d{3}s/g, "+<time>")).toMatchInlineSnapshot(`
+        🟢 node -e 'console.log('\\'first\\''); console.log(); console.log('\\'second\\'')'⧘
+
+        🥱 node -e 'console.log('\\''\\x1B[2;1Hmoves the cursor'\\'')'⧘
+
+        ⚪ node -e 'console.log('\\'first\\''); console.log(); console.log('\\'second\\'')'⧘
+        ⧙+<time>⧙ first
+
+        ⧙+<time>⧙ second
+        ⧙exit 0⧘ ⧙(ran for (duration), 1/2 exited)⧘
+
+        🟢 node -e 'console.log('\\''\\x1B[2;1Hmoves the cursor'\\'')'⧘
+
+        ⚪ node -e 'console.log('\\''\\x1B[2;1Hmoves the cursor'\\'')'⧘
+        [2;1Hmoves the cursor
+        ⧙exit 0⧘ ⧙(ran for (duration), 2/2 exited)⧘
 
+        ⧙Summary – success:⧘
+        ⚪ ⧙exit 0⧘ ⧙(ran for (duration))⧘ node -e 'console.log('\\'first\\''); console.log(); console.log('\\'second\\'')'⧘
+        ⚪ ⧙exit 0⧘ ⧙(ran for (duration))⧘ node -e 'console.log('\\''\\x1B[2;1Hmoves the cursor'\\'')'⧘␊
+      `);
+
+    expect(status).toBe(0);
+  });
+
+  test("status, title and progress escapes are removed from the output", () => {
+    const { status, stdout } = run([
+      "--auto-exit",
+      path.join(__dirname, "fixtures", "status-escapes.json"),
+    ]);
+
+    expect(stdout).toMatchInlineSnapshot(`
+      🟢 build⧘
+
+      ⚪ build⧘
+      compiling
+      done
+      ⧙exit 0⧘ ⧙(ran for (duration), 1/1 exited)⧘
+
+      ⧙Summary – success:⧘
+      ⚪ ⧙exit 0⧘ ⧙(ran for (duration))⧘ build⧘␊
+    `);
+
+    expect(status).toBe(0);
+  });
+
+  test("dependsOn", () => {
+    const { status, stdout } = run([
+      "--auto-exit=1",
+      path.join(__dirname, "fixtures", "depends-on.json"),
+    ]);
+
+    expect(stdout).toMatchInlineSnapshot(`
+      🥱 echo second⧘
+
+      🟢 echo first⧘
+
+      ⚪ echo first⧘
+      first
+      ⧙exit 0⧘ ⧙(ran for (duration), 1/2 exited)⧘
+
+      🟢 echo second⧘
+
+      ⚪ echo second⧘
+      second
+      ⧙exit 0⧘ ⧙(ran for (duration), 2/2 exited)⧘
+
+      ⧙Summary – success:⧘
+      ⚪ ⧙exit 0⧘ ⧙(ran for (duration))⧘ echo second⧘
+      ⚪ ⧙exit 0⧘ ⧙(ran for (duration))⧘ echo first⧘␊
+    `);
+
+    expect(status).toBe(0);
+  });
+
+  test("dependsOn failure", () => {
+    const { status, stdout } = run([
+      "--auto-exit=1",
+      path.join(__dirname, "fixtures", "depends-on-failure.json"),
+    ]);
+
+    expect(stdout).toMatchInlineSnapshot(`
+      🟢 a⧘
+
+      🥱 echo hi⧘
+
+      🔴 a⧘
+      ⧙exit 1⧘ ⧙(ran for (duration), 1/2 exited)⧘
+
+      🔴 echo hi⧘
+      ⧙Skipped because a failed.⧘
+      ⧙exit 1⧘ ⧙(2/2 exited)⧘
+
+      ⧙Summary – failure:⧘
+      🔴 ⧙exit 1⧘ ⧙(ran for (duration))⧘ a⧘
+      🔴 ⧙skipped⧘ echo hi⧘␊
     `);
 
     expect(status).toBe(1);
   });
 });
+
+describe("runPty", () => {
+  test("events, restart and summary", () => {
+    const child = childProcess.spawnSync(
+      "node",
+      [path.join(__dirname, "fixtures", "api.js")],
+      { encoding: "utf8" },
+    );
+
+    expect(child.error).toBeUndefined();
+
+    expect(replaceDurations(replaceAnsi(child.stdout)).replace(/\r/g, ""))
+      .toMatchInlineSnapshot(`
+        🟢 node -e 'console.log('\\'hello\\'')'⧘
+
+        🥱 fail⧘
+
+        ⚪ node -e 'console.log('\\'hello\\'')'⧘
+        hello
+        ⧙exit 0⧘ ⧙(ran for (duration), 1/2 exited)⧘
+
+        🟢 fail⧘
+
+        🔴 fail⧘
+        ⧙exit 2⧘ ⧙(ran for (duration), 2/2 exited)⧘
+
+        🟢 fail⧘
+        ⧙restarted by the test⧘
+
+        🔴 fail⧘
+        ⧙exit 2⧘ ⧙(ran for (duration), 2/2 exited)⧘
+
+        ⧙Summary – failure:⧘
+        ⚪ ⧙exit 0⧘ ⧙(ran for (duration))⧘ node -e 'console.log('\\'hello\\'')'⧘
+        🔴 ⧙exit 2⧘ ⧙(ran for (duration))⧘ fail⧘␊
+      `);
+
+    expect(child.stderr).toMatchInlineSnapshot(`
+      error runPty commands:
+      At root[0]["command"]:
+      Expected a non-empty array
+      Got: []
+      error At root[0]["restart"]:
+      Expected one of these variants:
+        "no",
+        "on-failure",
+        "always"
+      Got: "sometimes"
+      parseArgs Error
+      error There is no command with this title or id: nope
+      start 0 Running
+      data 0 "hello\\r\\n"
+      exit 0 0
+      start 1 Running
+      exit 1 2
+      start 1 Running
+      exit 1 2
+      done 1 [ 0, 2 ]␊
+    `);
+
+    expect(child.status).toBe(0);
+  });
+});